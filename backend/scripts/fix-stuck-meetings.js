@@ -19,12 +19,28 @@ console.log('🔧 Fixing stuck meetings...\n');
 const database = new db(DB_PATH);
 
 try {
-  // Find meetings without transcript_path or summary_path
+  // Status columns are added by the server's migrations
+  const hasStatus = database.pragma('table_info(meetings)').some(col => col.name === 'status');
+  if (!hasStatus) {
+    console.log('⚠️  Meetings table has no status column yet - start the server once to migrate the database.');
+    database.close();
+    process.exit(1);
+  }
+
+  // Meetings with queued or running jobs are still being processed - leave them alone
+  const hasJobsTable = database.prepare(`
+    SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'processing_jobs'
+  `).get();
+  const activeJobFilter = hasJobsTable
+    ? `AND id NOT IN (SELECT meeting_id FROM processing_jobs WHERE status IN ('pending', 'running'))`
+    : '';
+
+  // Find meetings that never reached complete or failed
   const stuckMeetings = database.prepare(`
-    SELECT id, title, audio_path, created_at
+    SELECT id, title, status, audio_path, created_at
     FROM meetings
-    WHERE (transcript_path IS NULL OR summary_path IS NULL)
-    AND transcript_path NOT LIKE 'ERROR:%'
+    WHERE status NOT IN ('complete', 'failed')
+    ${activeJobFilter}
     ORDER BY id DESC
   `).all();
 
@@ -38,15 +54,16 @@ try {
 
   const updateMeeting = database.prepare(`
     UPDATE meetings
-    SET transcript_path = ?,
-        summary_path = NULL,
-        duration = 0
+    SET status = 'failed',
+        error_message = ?,
+        failed_at = CURRENT_TIMESTAMP
     WHERE id = ?
   `);
 
   for (const meeting of stuckMeetings) {
     console.log(`Processing meeting ${meeting.id}: "${meeting.title}"`);
     console.log(`  Created: ${meeting.created_at}`);
+    console.log(`  Status: ${meeting.status}`);
     console.log(`  Audio: ${meeting.audio_path}`);
 
     // Check if audio file exists and has content
@@ -68,8 +85,8 @@ try {
     }
 
     // Mark meeting with error
-    updateMeeting.run(`ERROR: ${errorReason}`, meeting.id);
-    console.log(`  ❌ Marked as ERROR: ${errorReason}\n`);
+    updateMeeting.run(errorReason, meeting.id);
+    console.log(`  ❌ Marked as failed: ${errorReason}\n`);
   }
 
   console.log(`\n✅ Processed ${stuckMeetings.length} stuck meetings`);
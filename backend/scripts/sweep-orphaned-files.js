@@ -0,0 +1,27 @@
+/**
+ * Delete files in storage/ that no meeting or project refers to any more
+ * Run this with: node backend/scripts/sweep-orphaned-files.js [--dry-run]
+ */
+
+import { sweepOrphanedFiles } from '../src/services/storageCleanup.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+console.log(`🧹 Sweeping orphaned files${dryRun ? ' (dry run)' : ''}...\n`);
+
+try {
+  const { files, deleted } = await sweepOrphanedFiles({ dryRun });
+
+  files.forEach(file => console.log(`   ${dryRun ? 'would delete' : 'deleted'}: ${file}`));
+
+  if (files.length === 0) {
+    console.log('✅ No orphaned files found');
+  } else if (dryRun) {
+    console.log(`\n${files.length} orphaned file(s) found - run without --dry-run to delete them`);
+  } else {
+    console.log(`\n✅ Deleted ${deleted} orphaned file(s)`);
+  }
+} catch (error) {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+}
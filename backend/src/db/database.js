@@ -5,7 +5,8 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const dbPath = path.join(__dirname, '../..', 'aiba.db');
+// DATABASE_PATH overrides the location (':memory:' for a throwaway database, as the tests use)
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '../..', 'aiba.db');
 
 // Initialize database
 const db = new Database(dbPath);
@@ -19,6 +20,9 @@ function initializeDatabase() {
     CREATE TABLE IF NOT EXISTS projects (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       name TEXT NOT NULL,
+      language TEXT,
+      analysis_template_id INTEGER REFERENCES analysis_templates(id) ON DELETE SET NULL,
+      deleted_at DATETIME,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
@@ -35,6 +39,19 @@ function initializeDatabase() {
       transcript_path TEXT,
       summary_path TEXT,
       duration INTEGER,
+      language TEXT,
+      detected_language TEXT,
+      status TEXT NOT NULL DEFAULT 'queued',
+      error_message TEXT,
+      queued_at DATETIME,
+      transcribing_at DATETIME,
+      analyzing_at DATETIME,
+      indexing_at DATETIME,
+      completed_at DATETIME,
+      failed_at DATETIME,
+      deleted_at DATETIME,
+      series_id INTEGER REFERENCES meeting_series(id) ON DELETE SET NULL,
+      analysis_template_id INTEGER REFERENCES analysis_templates(id) ON DELETE SET NULL,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
@@ -51,6 +68,7 @@ function initializeDatabase() {
       risks TEXT,
       questions TEXT,
       ai_model_info TEXT,
+      removed_items TEXT,
       FOREIGN KEY (meeting_id) REFERENCES meetings(id) ON DELETE CASCADE
     )
   `);
@@ -151,51 +169,220 @@ function initializeDatabase() {
     )
   `);
 
+  // Processing jobs table - persistent queue for meeting processing stages
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS processing_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      meeting_id INTEGER NOT NULL,
+      stage TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      payload TEXT,
+      attempts INTEGER DEFAULT 0,
+      max_attempts INTEGER DEFAULT 5,
+      last_error TEXT,
+      run_after DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME,
+      completed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (meeting_id) REFERENCES meetings(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_processing_jobs_status
+      ON processing_jobs(status, run_after)
+  `);
+
+  // Action items table - follow-ups extracted from meetings or added by hand
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS action_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      meeting_id INTEGER NOT NULL,
+      task TEXT NOT NULL,
+      owner TEXT,
+      owner_id INTEGER,
+      status TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'done', 'blocked')),
+      due_date DATE,
+      position INTEGER DEFAULT 0,
+      human_edited INTEGER DEFAULT 0,
+      completed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (meeting_id) REFERENCES meetings(id) ON DELETE CASCADE,
+      FOREIGN KEY (owner_id) REFERENCES people(id) ON DELETE SET NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_action_items_meeting
+      ON action_items(meeting_id, position)
+  `);
+
+  // People - the roster that attendees and action item owners are matched against
+  // (aliases is a JSON array of other names the person goes by, e.g. nicknames)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS people (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      email TEXT,
+      aliases TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Meeting attendees - who was in a meeting, with the transcript speaker label they map to
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS meeting_attendees (
+      meeting_id INTEGER NOT NULL,
+      person_id INTEGER NOT NULL,
+      speaker_label TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (meeting_id, person_id),
+      FOREIGN KEY (meeting_id) REFERENCES meetings(id) ON DELETE CASCADE,
+      FOREIGN KEY (person_id) REFERENCES people(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_meeting_attendees_person
+      ON meeting_attendees(person_id)
+  `);
+
+  // Meeting series - recurring meetings (standups, weekly syncs) grouped together
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS meeting_series (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      project_id INTEGER,
+      name TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+    )
+  `);
+
+  // "What changed since last time" digests, one per meeting compared with the previous one in its series
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS series_digests (
+      meeting_id INTEGER PRIMARY KEY,
+      previous_meeting_id INTEGER NOT NULL,
+      digest TEXT NOT NULL,
+      ai_model_info TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (meeting_id) REFERENCES meetings(id) ON DELETE CASCADE,
+      FOREIGN KEY (previous_meeting_id) REFERENCES meetings(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Transcript revisions - hand corrections of transcript segments, for history and revert
+  // (changes: JSON [{ index, start, before, after }]; only revisions of the meeting's current
+  // transcript_path apply - transcribing again starts a new history)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS transcript_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      meeting_id INTEGER NOT NULL,
+      transcript_path TEXT NOT NULL,
+      changes TEXT NOT NULL,
+      reverts_revision_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (meeting_id) REFERENCES meetings(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_transcript_revisions_meeting
+      ON transcript_revisions(meeting_id)
+  `);
+
+  // Decision supersessions - a later decision replacing an earlier one in the project decision register
+  // (decisions are identified by the ids stored in meeting_metadata.decisions)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS decision_supersessions (
+      decision_id TEXT PRIMARY KEY,
+      superseded_by TEXT NOT NULL,
+      project_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Analysis templates - user-defined analysis prompts with their own output fields, assigned to
+  // projects or meetings (fields: JSON [{ key, label, type: 'text' | 'list', description }])
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS analysis_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      description TEXT,
+      instructions TEXT NOT NULL,
+      fields TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
   console.log('Database initialized successfully');
 }
 
-// Initialize on import
+// Initialize on import (migrations run before statements are prepared against the schema)
 initializeDatabase();
+runMigrations();
 
 // Helper functions for database operations
 
 // Projects
 export const createProject = db.prepare(`
-  INSERT INTO projects (name) VALUES (?)
+  INSERT INTO projects (name, language) VALUES (?, ?)
 `);
 
+// Projects and meetings in the trash (deleted_at set) are left out of the regular queries
 export const getAllProjects = db.prepare(`
-  SELECT * FROM projects ORDER BY created_at DESC
+  SELECT * FROM projects WHERE deleted_at IS NULL ORDER BY created_at DESC
 `);
 
 export const getProjectById = db.prepare(`
-  SELECT * FROM projects WHERE id = ?
+  SELECT * FROM projects WHERE id = ? AND deleted_at IS NULL
 `);
 
 export const updateProject = db.prepare(`
-  UPDATE projects SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  UPDATE projects SET name = ?, language = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
 `);
 
 export const deleteProject = db.prepare(`
   DELETE FROM projects WHERE id = ?
 `);
 
+export const setProjectAnalysisTemplate = db.prepare(`
+  UPDATE projects SET analysis_template_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+`);
+
 // Meetings
 export const createMeeting = db.prepare(`
-  INSERT INTO meetings (project_id, title, date, duration, audio_path, transcript_path, summary_path)
-  VALUES (?, ?, ?, ?, ?, ?, ?)
+  INSERT INTO meetings (project_id, title, date, duration, audio_path, transcript_path, summary_path, language, status, queued_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'queued', CURRENT_TIMESTAMP)
 `);
 
 export const getAllMeetings = db.prepare(`
-  SELECT * FROM meetings ORDER BY date DESC
+  SELECT m.*, s.name AS series_name
+  FROM meetings m
+  LEFT JOIN meeting_series s ON s.id = m.series_id
+  WHERE m.deleted_at IS NULL
+  ORDER BY m.date DESC
 `);
 
 export const getMeetingById = db.prepare(`
-  SELECT * FROM meetings WHERE id = ?
+  SELECT m.*, s.name AS series_name
+  FROM meetings m
+  LEFT JOIN meeting_series s ON s.id = m.series_id
+  WHERE m.id = ? AND m.deleted_at IS NULL
 `);
 
 export const getMeetingsByProject = db.prepare(`
-  SELECT * FROM meetings WHERE project_id = ? ORDER BY date DESC
+  SELECT m.*, s.name AS series_name
+  FROM meetings m
+  LEFT JOIN meeting_series s ON s.id = m.series_id
+  WHERE m.project_id = ? AND m.deleted_at IS NULL
+  ORDER BY m.date DESC
 `);
 
 export const updateMeeting = db.prepare(`
@@ -204,10 +391,199 @@ export const updateMeeting = db.prepare(`
   WHERE id = ?
 `);
 
+// language is the requested transcription language (null = project default),
+// detected_language what transcription found
+export const setMeetingLanguage = db.prepare(`
+  UPDATE meetings SET language = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+`);
+
+export const setMeetingDetectedLanguage = db.prepare(`
+  UPDATE meetings SET detected_language = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+`);
+
+// null analyzes the meeting with its project's template
+export const setMeetingAnalysisTemplate = db.prepare(`
+  UPDATE meetings SET analysis_template_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+`);
+
+export const updateMeetingProject = db.prepare(`
+  UPDATE meetings SET project_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+`);
+
 export const deleteMeeting = db.prepare(`
   DELETE FROM meetings WHERE id = ?
 `);
 
+// Meeting series
+export const createSeries = db.prepare(`
+  INSERT INTO meeting_series (project_id, name) VALUES (?, ?)
+`);
+
+// Filter is optional - pass null to list every series
+export const getAllSeries = db.prepare(`
+  SELECT s.*, p.name AS project_name, COUNT(m.id) AS meeting_count, MAX(m.date) AS last_meeting_date
+  FROM meeting_series s
+  LEFT JOIN projects p ON p.id = s.project_id
+  LEFT JOIN meetings m ON m.series_id = s.id AND m.deleted_at IS NULL
+  WHERE (@projectId IS NULL OR s.project_id = @projectId) AND (p.id IS NULL OR p.deleted_at IS NULL)
+  GROUP BY s.id
+  ORDER BY last_meeting_date DESC
+`);
+
+export const getSeriesById = db.prepare(`
+  SELECT * FROM meeting_series WHERE id = ?
+`);
+
+export const updateSeriesName = db.prepare(`
+  UPDATE meeting_series SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+`);
+
+export const deleteSeries = db.prepare(`
+  DELETE FROM meeting_series WHERE id = ?
+`);
+
+export const setMeetingSeries = db.prepare(`
+  UPDATE meetings SET series_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+`);
+
+// Oldest first - the order of the series timeline
+export const getMeetingsBySeries = db.prepare(`
+  SELECT * FROM meetings WHERE series_id = ? AND deleted_at IS NULL ORDER BY date, id
+`);
+
+export const getMeetingsWithoutSeries = db.prepare(`
+  SELECT * FROM meetings
+  WHERE series_id IS NULL AND deleted_at IS NULL AND (@projectId IS NULL OR project_id = @projectId)
+  ORDER BY date
+`);
+
+export const getSeriesDigest = db.prepare(`
+  SELECT * FROM series_digests WHERE meeting_id = ?
+`);
+
+export const saveSeriesDigest = db.prepare(`
+  INSERT OR REPLACE INTO series_digests (meeting_id, previous_meeting_id, digest, ai_model_info)
+  VALUES (?, ?, ?, ?)
+`);
+
+// Used by the orphaned file sweeper (includes trashed meetings and projects - their files are kept)
+export const getMeetingFileRefs = db.prepare(`
+  SELECT id, status, audio_path FROM meetings
+`);
+
+export const getAllProjectIds = db.prepare(`
+  SELECT id FROM projects
+`);
+
+// Trash
+export const trashMeeting = db.prepare(`
+  UPDATE meetings SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL
+`);
+
+export const restoreMeeting = db.prepare(`
+  UPDATE meetings SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+`);
+
+// A project's meetings go to the trash with it, stamped with the same deleted_at
+export const trashProject = db.prepare(`
+  UPDATE projects SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL
+`);
+
+export const trashProjectMeetings = db.prepare(`
+  UPDATE meetings
+  SET deleted_at = (SELECT deleted_at FROM projects WHERE id = @projectId)
+  WHERE project_id = @projectId AND deleted_at IS NULL
+`);
+
+// Only restores the meetings that were trashed along with the project
+export const restoreProjectMeetings = db.prepare(`
+  UPDATE meetings
+  SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP
+  WHERE project_id = @projectId AND deleted_at = (SELECT deleted_at FROM projects WHERE id = @projectId)
+`);
+
+export const restoreProject = db.prepare(`
+  UPDATE projects SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+`);
+
+export const getTrashedProjects = db.prepare(`
+  SELECT p.*, COUNT(m.id) AS meeting_count
+  FROM projects p
+  LEFT JOIN meetings m ON m.project_id = p.id
+  WHERE p.deleted_at IS NOT NULL
+  GROUP BY p.id
+  ORDER BY p.deleted_at DESC
+`);
+
+export const getTrashedProjectById = db.prepare(`
+  SELECT * FROM projects WHERE id = ? AND deleted_at IS NOT NULL
+`);
+
+// Meetings of a trashed project are listed with the project, not on their own
+export const getTrashedMeetings = db.prepare(`
+  SELECT m.*, p.name AS project_name
+  FROM meetings m
+  LEFT JOIN projects p ON p.id = m.project_id
+  WHERE m.deleted_at IS NOT NULL AND (p.id IS NULL OR p.deleted_at IS NULL OR p.deleted_at != m.deleted_at)
+  ORDER BY m.deleted_at DESC
+`);
+
+export const getTrashedMeetingById = db.prepare(`
+  SELECT * FROM meetings WHERE id = ? AND deleted_at IS NOT NULL
+`);
+
+// Every meeting of a project, trashed or not - used when a project is deleted for good
+export const getAllMeetingsOfProject = db.prepare(`
+  SELECT * FROM meetings WHERE project_id = ?
+`);
+
+export const getExpiredTrashedProjects = db.prepare(`
+  SELECT * FROM projects
+  WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', '-' || ? || ' days')
+`);
+
+export const getExpiredTrashedMeetings = db.prepare(`
+  SELECT * FROM meetings
+  WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', '-' || ? || ' days')
+`);
+
+// Meeting status lifecycle - each status records when the meeting entered it
+export const MEETING_STATUSES = ['queued', 'transcribing', 'analyzing', 'indexing', 'complete', 'failed'];
+
+const STATUS_TIMESTAMP_COLUMNS = {
+  queued: 'queued_at',
+  transcribing: 'transcribing_at',
+  analyzing: 'analyzing_at',
+  indexing: 'indexing_at',
+  complete: 'completed_at',
+  failed: 'failed_at',
+};
+
+const updateMeetingStatusStatements = Object.fromEntries(
+  Object.entries(STATUS_TIMESTAMP_COLUMNS).map(([status, column]) => [
+    status,
+    db.prepare(`
+      UPDATE meetings
+      SET status = '${status}', error_message = ?, ${column} = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `),
+  ])
+);
+
+/**
+ * Move a meeting to a new processing status
+ * @param {number} meetingId - Meeting ID
+ * @param {string} status - One of MEETING_STATUSES
+ * @param {string|null} errorMessage - Error detail (for 'failed')
+ */
+export function setMeetingStatus(meetingId, status, errorMessage = null) {
+  const statement = updateMeetingStatusStatements[status];
+  if (!statement) {
+    throw new Error(`Invalid meeting status: ${status}`);
+  }
+  return statement.run(errorMessage, meetingId);
+}
+
 // Meeting metadata
 export const createMeetingMetadata = db.prepare(`
   INSERT INTO meeting_metadata (meeting_id, decisions, action_items, risks, questions, ai_model_info)
@@ -224,6 +600,214 @@ export const updateMeetingMetadata = db.prepare(`
   WHERE meeting_id = ?
 `);
 
+export const updateMeetingModelInfo = db.prepare(`
+  UPDATE meeting_metadata SET ai_model_info = ? WHERE meeting_id = ?
+`);
+
+// Decisions edited by hand (removed_items remembers deleted AI decisions and action items)
+export const updateMeetingItems = db.prepare(`
+  UPDATE meeting_metadata
+  SET decisions = ?, removed_items = ?
+  WHERE meeting_id = ?
+`);
+
+// Action items stored as JSON in meeting_metadata before the action_items table existed
+export const getLegacyActionItems = db.prepare(`
+  SELECT meeting_id, action_items FROM meeting_metadata
+  WHERE action_items IS NOT NULL AND action_items != '[]'
+`);
+
+export const clearLegacyActionItems = db.prepare(`
+  UPDATE meeting_metadata SET action_items = NULL WHERE meeting_id = ?
+`);
+
+// Action items
+export const ACTION_ITEM_STATUSES = ['open', 'done', 'blocked'];
+
+export const createActionItem = db.prepare(`
+  INSERT INTO action_items (meeting_id, task, owner, owner_id, status, due_date, position, human_edited)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+`);
+
+export const getActionItemById = db.prepare(`
+  SELECT * FROM action_items WHERE id = ?
+`);
+
+export const getActionItemsByMeeting = db.prepare(`
+  SELECT * FROM action_items WHERE meeting_id = ? ORDER BY position, id
+`);
+
+export const updateActionItem = db.prepare(`
+  UPDATE action_items
+  SET task = ?, owner = ?, owner_id = ?, status = ?, due_date = ?, human_edited = 1,
+      completed_at = CASE WHEN ? = 'done' THEN COALESCE(completed_at, CURRENT_TIMESTAMP) ELSE NULL END,
+      updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`);
+
+export const updateActionItemPosition = db.prepare(`
+  UPDATE action_items SET position = ? WHERE id = ?
+`);
+
+export const deleteActionItem = db.prepare(`
+  DELETE FROM action_items WHERE id = ?
+`);
+
+export const deleteGeneratedActionItems = db.prepare(`
+  DELETE FROM action_items WHERE meeting_id = ? AND human_edited = 0
+`);
+
+// Sets the matched person without marking the item human-edited
+export const setActionItemOwner = db.prepare(`
+  UPDATE action_items SET owner = ?, owner_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+`);
+
+// Action items whose owner has not been matched to a person yet (pass null for every meeting)
+export const getUnmatchedActionItems = db.prepare(`
+  SELECT * FROM action_items
+  WHERE owner IS NOT NULL AND owner_id IS NULL AND (@meetingId IS NULL OR meeting_id = @meetingId)
+`);
+
+// Filters are optional - pass null to skip one
+export const searchActionItems = db.prepare(`
+  SELECT ai.*, m.title AS meeting_title, m.date AS meeting_date, m.project_id, p.name AS project_name
+  FROM action_items ai
+  JOIN meetings m ON m.id = ai.meeting_id
+  LEFT JOIN projects p ON p.id = m.project_id
+  WHERE m.deleted_at IS NULL
+    AND (@projectId IS NULL OR m.project_id = @projectId)
+    AND (@owner IS NULL OR ai.owner = @owner COLLATE NOCASE)
+    AND (@status IS NULL OR ai.status = @status)
+  ORDER BY
+    CASE ai.status WHEN 'blocked' THEN 0 WHEN 'open' THEN 1 ELSE 2 END,
+    ai.due_date IS NULL, ai.due_date, m.date DESC, ai.position
+`);
+
+export const getActionItemOwners = db.prepare(`
+  SELECT ai.owner, COUNT(*) AS count
+  FROM action_items ai
+  JOIN meetings m ON m.id = ai.meeting_id
+  WHERE ai.owner IS NOT NULL AND m.deleted_at IS NULL
+  GROUP BY ai.owner COLLATE NOCASE
+  ORDER BY ai.owner COLLATE NOCASE
+`);
+
+// People
+export const createPerson = db.prepare(`
+  INSERT INTO people (name, email, aliases) VALUES (?, ?, ?)
+`);
+
+export const getAllPeople = db.prepare(`
+  SELECT p.*,
+    (SELECT COUNT(*) FROM meeting_attendees ma JOIN meetings m ON m.id = ma.meeting_id
+     WHERE ma.person_id = p.id AND m.deleted_at IS NULL) AS meeting_count,
+    (SELECT COUNT(*) FROM action_items ai JOIN meetings m ON m.id = ai.meeting_id
+     WHERE ai.owner_id = p.id AND ai.status != 'done' AND m.deleted_at IS NULL) AS open_item_count
+  FROM people p
+  ORDER BY p.name COLLATE NOCASE
+`);
+
+export const getPersonById = db.prepare(`
+  SELECT * FROM people WHERE id = ?
+`);
+
+export const getPersonByName = db.prepare(`
+  SELECT * FROM people WHERE name = ? COLLATE NOCASE
+`);
+
+export const updatePerson = db.prepare(`
+  UPDATE people SET name = ?, email = ?, aliases = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+`);
+
+export const deletePerson = db.prepare(`
+  DELETE FROM people WHERE id = ?
+`);
+
+// Keep the owner text of matched action items in line with the person's name
+export const renameActionItemOwner = db.prepare(`
+  UPDATE action_items SET owner = ?, updated_at = CURRENT_TIMESTAMP WHERE owner_id = ?
+`);
+
+export const getMeetingAttendees = db.prepare(`
+  SELECT p.*, ma.speaker_label
+  FROM meeting_attendees ma
+  JOIN people p ON p.id = ma.person_id
+  WHERE ma.meeting_id = ?
+  ORDER BY p.name COLLATE NOCASE
+`);
+
+export const addMeetingAttendee = db.prepare(`
+  INSERT INTO meeting_attendees (meeting_id, person_id, speaker_label) VALUES (?, ?, ?)
+  ON CONFLICT(meeting_id, person_id) DO UPDATE SET speaker_label = excluded.speaker_label
+`);
+
+// A speaker label belongs to one attendee at a time
+export const clearSpeakerLabel = db.prepare(`
+  UPDATE meeting_attendees SET speaker_label = NULL WHERE meeting_id = ? AND speaker_label = ?
+`);
+
+export const clearMeetingAttendees = db.prepare(`
+  DELETE FROM meeting_attendees WHERE meeting_id = ?
+`);
+
+export const getMeetingsByPerson = db.prepare(`
+  SELECT m.id, m.title, m.date, m.status, m.project_id, p.name AS project_name, ma.speaker_label
+  FROM meeting_attendees ma
+  JOIN meetings m ON m.id = ma.meeting_id
+  LEFT JOIN projects p ON p.id = m.project_id
+  WHERE ma.person_id = ? AND m.deleted_at IS NULL
+  ORDER BY m.date DESC
+`);
+
+export const getOpenActionItemsByPerson = db.prepare(`
+  SELECT ai.*, m.title AS meeting_title, m.date AS meeting_date, m.project_id, p.name AS project_name
+  FROM action_items ai
+  JOIN meetings m ON m.id = ai.meeting_id
+  LEFT JOIN projects p ON p.id = m.project_id
+  WHERE ai.owner_id = ? AND ai.status != 'done' AND m.deleted_at IS NULL
+  ORDER BY
+    CASE ai.status WHEN 'blocked' THEN 0 ELSE 1 END,
+    ai.due_date IS NULL, ai.due_date, m.date DESC, ai.position
+`);
+
+// Transcript revisions
+export const createTranscriptRevision = db.prepare(`
+  INSERT INTO transcript_revisions (meeting_id, transcript_path, changes, reverts_revision_id)
+  VALUES (?, ?, ?, ?)
+`);
+
+export const getTranscriptRevisions = db.prepare(`
+  SELECT * FROM transcript_revisions
+  WHERE meeting_id = ? AND transcript_path = ?
+  ORDER BY id DESC
+`);
+
+export const getTranscriptRevisionById = db.prepare(`
+  SELECT * FROM transcript_revisions WHERE id = ? AND meeting_id = ?
+`);
+
+// Decision register
+export const getProjectDecisionSources = db.prepare(`
+  SELECT m.id AS meeting_id, m.title AS meeting_title, m.date AS meeting_date
+  FROM meetings m
+  JOIN meeting_metadata mm ON mm.meeting_id = m.id
+  WHERE m.project_id = ? AND m.deleted_at IS NULL AND mm.decisions IS NOT NULL AND mm.decisions != '[]'
+  ORDER BY m.date, m.id
+`);
+
+export const getDecisionSupersessions = db.prepare(`
+  SELECT * FROM decision_supersessions WHERE project_id = ?
+`);
+
+export const setDecisionSupersession = db.prepare(`
+  INSERT OR REPLACE INTO decision_supersessions (decision_id, superseded_by, project_id)
+  VALUES (?, ?, ?)
+`);
+
+export const deleteDecisionSupersession = db.prepare(`
+  DELETE FROM decision_supersessions WHERE decision_id = ?
+`);
+
 // Search index
 export const addToSearchIndex = db.prepare(`
   INSERT INTO search_index (meeting_id, content, content_type, rank)
@@ -234,7 +818,7 @@ export const searchMeetings = db.prepare(`
   SELECT DISTINCT m.*, si.rank
   FROM meetings m
   JOIN search_index si ON m.id = si.meeting_id
-  WHERE si.content LIKE ?
+  WHERE si.content LIKE ? AND m.deleted_at IS NULL
   ORDER BY si.rank DESC, m.date DESC
 `);
 
@@ -242,6 +826,38 @@ export const clearSearchIndexForMeeting = db.prepare(`
   DELETE FROM search_index WHERE meeting_id = ?
 `);
 
+// Analysis templates
+export const createAnalysisTemplate = db.prepare(`
+  INSERT INTO analysis_templates (name, description, instructions, fields) VALUES (?, ?, ?, ?)
+`);
+
+export const getAllAnalysisTemplates = db.prepare(`
+  SELECT t.*,
+    (SELECT COUNT(*) FROM projects p WHERE p.analysis_template_id = t.id AND p.deleted_at IS NULL) AS project_count,
+    (SELECT COUNT(*) FROM meetings m WHERE m.analysis_template_id = t.id AND m.deleted_at IS NULL) AS meeting_count
+  FROM analysis_templates t
+  ORDER BY t.name COLLATE NOCASE
+`);
+
+export const getAnalysisTemplateById = db.prepare(`
+  SELECT * FROM analysis_templates WHERE id = ?
+`);
+
+export const getAnalysisTemplateByName = db.prepare(`
+  SELECT * FROM analysis_templates WHERE name = ? COLLATE NOCASE
+`);
+
+export const updateAnalysisTemplate = db.prepare(`
+  UPDATE analysis_templates
+  SET name = ?, description = ?, instructions = ?, fields = ?, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`);
+
+// Projects and meetings using the template fall back to the standard analysis (ON DELETE SET NULL)
+export const deleteAnalysisTemplate = db.prepare(`
+  DELETE FROM analysis_templates WHERE id = ?
+`);
+
 // Chat messages
 export const createChatMessage = db.prepare(`
   INSERT INTO chat_messages (project_id, role, content, context_snapshot)
@@ -355,7 +971,7 @@ export const getAllServiceNowMappings = db.prepare(`
   SELECT m.*, snm.servicenow_sys_id, snm.servicenow_type, snm.servicenow_number, snm.servicenow_title
   FROM meetings m
   LEFT JOIN servicenow_mappings snm ON m.id = snm.meeting_id
-  WHERE snm.id IS NOT NULL
+  WHERE snm.id IS NOT NULL AND m.deleted_at IS NULL
   ORDER BY m.date DESC
 `);
 
@@ -378,6 +994,73 @@ export const clearExpiredCache = db.prepare(`
   DELETE FROM servicenow_cache WHERE expires_at <= datetime('now')
 `);
 
+// Processing jobs
+export const createJob = db.prepare(`
+  INSERT INTO processing_jobs (meeting_id, stage, payload, max_attempts)
+  VALUES (?, ?, ?, ?)
+`);
+
+export const getJobById = db.prepare(`
+  SELECT * FROM processing_jobs WHERE id = ?
+`);
+
+export const getJobsByMeeting = db.prepare(`
+  SELECT * FROM processing_jobs WHERE meeting_id = ? ORDER BY id DESC
+`);
+
+export const getActiveJobsForMeeting = db.prepare(`
+  SELECT * FROM processing_jobs
+  WHERE meeting_id = ? AND status IN ('pending', 'running')
+  ORDER BY id ASC
+`);
+
+// Oldest due job, skipping meetings that already have a job running
+export const getNextPendingJob = db.prepare(`
+  SELECT * FROM processing_jobs
+  WHERE status = 'pending'
+    AND run_after <= datetime('now')
+    AND meeting_id NOT IN (SELECT meeting_id FROM processing_jobs WHERE status = 'running')
+  ORDER BY run_after ASC, id ASC
+  LIMIT 1
+`);
+
+export const markJobRunning = db.prepare(`
+  UPDATE processing_jobs
+  SET status = 'running', attempts = attempts + 1, started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`);
+
+export const markJobCompleted = db.prepare(`
+  UPDATE processing_jobs
+  SET status = 'completed', last_error = NULL, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`);
+
+export const markJobFailed = db.prepare(`
+  UPDATE processing_jobs
+  SET status = 'failed', last_error = ?, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`);
+
+export const rescheduleJob = db.prepare(`
+  UPDATE processing_jobs
+  SET status = 'pending', last_error = ?, run_after = datetime('now', '+' || ? || ' seconds'), updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`);
+
+export const cancelPendingJobsForMeeting = db.prepare(`
+  UPDATE processing_jobs
+  SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+  WHERE meeting_id = ? AND status = 'pending'
+`);
+
+// Jobs interrupted by a server restart go back to the queue
+export const resetRunningJobs = db.prepare(`
+  UPDATE processing_jobs
+  SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+  WHERE status = 'running'
+`);
+
 // Run migrations for existing databases
 function runMigrations() {
   try {
@@ -391,12 +1074,136 @@ function runMigrations() {
       console.log('Migration completed successfully');
     }
 
-    // Initialize default settings if they don't exist
+    // Migration: Add removed_items column to meeting_metadata table if it doesn't exist
+    const hasRemovedItems = columns.some(col => col.name === 'removed_items');
+
+    if (!hasRemovedItems) {
+      console.log('Running migration: Adding removed_items column to meeting_metadata table...');
+      db.exec('ALTER TABLE meeting_metadata ADD COLUMN removed_items TEXT');
+      console.log('Migration completed successfully');
+    }
+
+    // Migration: Add status lifecycle columns to meetings and convert "ERROR:" transcript markers
+    const meetingColumns = db.pragma('table_info(meetings)');
+    const hasStatus = meetingColumns.some(col => col.name === 'status');
+
+    if (!hasStatus) {
+      console.log('Running migration: Adding status columns to meetings table...');
+      db.transaction(() => {
+        db.exec(`ALTER TABLE meetings ADD COLUMN status TEXT NOT NULL DEFAULT 'queued'`);
+        db.exec('ALTER TABLE meetings ADD COLUMN error_message TEXT');
+        for (const column of ['queued_at', 'transcribing_at', 'analyzing_at', 'indexing_at', 'completed_at', 'failed_at']) {
+          db.exec(`ALTER TABLE meetings ADD COLUMN ${column} DATETIME`);
+        }
+
+        db.exec(`UPDATE meetings SET queued_at = created_at`);
+
+        // Failed meetings: move the error message out of transcript_path
+        db.exec(`
+          UPDATE meetings
+          SET status = 'failed',
+              error_message = TRIM(SUBSTR(transcript_path, 7)),
+              failed_at = updated_at,
+              transcript_path = NULL,
+              summary_path = NULL
+          WHERE transcript_path LIKE 'ERROR:%'
+        `);
+
+        // Fully processed meetings
+        db.exec(`
+          UPDATE meetings
+          SET status = 'complete', completed_at = updated_at
+          WHERE status = 'queued' AND transcript_path IS NOT NULL AND summary_path IS NOT NULL
+        `);
+
+        // Anything else was left behind by in-request processing that never finished
+        db.exec(`
+          UPDATE meetings
+          SET status = 'failed',
+              error_message = 'Processing was interrupted. Use "Reprocess Meeting" to try again.',
+              failed_at = updated_at
+          WHERE status = 'queued'
+        `);
+      })();
+      console.log('Migration completed successfully');
+    }
+
+    // Migration: Add series_id column to meetings table if it doesn't exist
+    const hasSeriesId = db.pragma('table_info(meetings)').some(col => col.name === 'series_id');
+
+    if (!hasSeriesId) {
+      console.log('Running migration: Adding series_id column to meetings table...');
+      db.exec('ALTER TABLE meetings ADD COLUMN series_id INTEGER REFERENCES meeting_series(id) ON DELETE SET NULL');
+      console.log('Migration completed successfully');
+    }
+
+    // Migration: Add owner_id column to action_items table if it doesn't exist
+    const hasOwnerId = db.pragma('table_info(action_items)').some(col => col.name === 'owner_id');
+
+    if (!hasOwnerId) {
+      console.log('Running migration: Adding owner_id column to action_items table...');
+      db.exec('ALTER TABLE action_items ADD COLUMN owner_id INTEGER REFERENCES people(id) ON DELETE SET NULL');
+      console.log('Migration completed successfully');
+    }
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_action_items_owner ON action_items(owner_id)');
+
+    // Migration: Add deleted_at columns for the trash
+    for (const table of ['projects', 'meetings']) {
+      const hasDeletedAt = db.pragma(`table_info(${table})`).some(col => col.name === 'deleted_at');
+
+      if (!hasDeletedAt) {
+        console.log(`Running migration: Adding deleted_at column to ${table} table...`);
+        db.exec(`ALTER TABLE ${table} ADD COLUMN deleted_at DATETIME`);
+        console.log('Migration completed successfully');
+      }
+    }
+
+    // Migration: Add language columns to projects and meetings tables
+    const languageColumns = {
+      projects: ['language'],
+      meetings: ['language', 'detected_language'],
+    };
+
+    for (const [table, columnNames] of Object.entries(languageColumns)) {
+      const existing = db.pragma(`table_info(${table})`).map(col => col.name);
+
+      for (const column of columnNames.filter(name => !existing.includes(name))) {
+        console.log(`Running migration: Adding ${column} column to ${table} table...`);
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} TEXT`);
+        console.log('Migration completed successfully');
+      }
+    }
+
+    // Migration: Add analysis_template_id columns to projects and meetings tables
+    for (const table of ['projects', 'meetings']) {
+      const hasTemplateId = db.pragma(`table_info(${table})`).some(col => col.name === 'analysis_template_id');
+
+      if (!hasTemplateId) {
+        console.log(`Running migration: Adding analysis_template_id column to ${table} table...`);
+        db.exec(`ALTER TABLE ${table} ADD COLUMN analysis_template_id INTEGER REFERENCES analysis_templates(id) ON DELETE SET NULL`);
+        console.log('Migration completed successfully');
+      }
+    }
+  } catch (error) {
+    console.error('Migration error:', error);
+  }
+}
+
+// Initialize default settings if they don't exist
+function initializeDefaultSettings() {
+  try {
     const defaultSettings = {
       'ai.meeting_analysis': process.env.AI_BACKEND || 'anthropic',
       'ai.chat': process.env.AI_BACKEND || 'anthropic',
       'ai.wiki_updates': process.env.AI_BACKEND || 'anthropic',
       'ai.mentor_feedback': process.env.AI_BACKEND || 'anthropic',
+      'ai.meeting_analysis.model': 'default',
+      'ai.chat.model': 'default',
+      'ai.wiki_updates.model': 'default',
+      'ai.mentor_feedback.model': 'default',
+      'ai.transcription': process.env.TRANSCRIPTION_BACKEND || 'openai',
+      'analysis.output_language': 'meeting',
     };
 
     const existingSettings = getAllSettings.all();
@@ -409,10 +1216,10 @@ function runMigrations() {
       }
     }
   } catch (error) {
-    console.error('Migration error:', error);
+    console.error('Error initializing default settings:', error);
   }
 }
 
-runMigrations();
+initializeDefaultSettings();
 
 export default db;
@@ -0,0 +1,89 @@
+import express from 'express';
+import {
+  searchActionItems,
+  getActionItemOwners,
+  getActionItemById,
+  ACTION_ITEM_STATUSES,
+} from '../db/database.js';
+import {
+  normalizeOwner,
+  updateActionItemFields,
+  validateItemFields,
+  pickItemFields,
+} from '../services/meetingItems.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/action-items
+ * List action items across meetings (blocked first, then open, then done; earliest due first)
+ * Query (all optional):
+ *   - projectId: only items from this project's meetings
+ *   - owner: only items owned by this person (matched after owner normalization)
+ *   - status: 'open', 'done' or 'blocked'
+ */
+router.get('/', (req, res, next) => {
+  try {
+    const { projectId, owner, status } = req.query;
+
+    if (status && !ACTION_ITEM_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status: ${status}. Must be one of: ${ACTION_ITEM_STATUSES.join(', ')}`
+      });
+    }
+
+    const actionItems = searchActionItems.all({
+      projectId: projectId ? parseInt(projectId, 10) : null,
+      owner: owner ? normalizeOwner(owner) : null,
+      status: status || null,
+    }).map(item => ({ ...item, human_edited: !!item.human_edited }));
+
+    res.json({ actionItems });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/action-items/owners
+ * List everyone who owns at least one action item
+ */
+router.get('/owners', (req, res, next) => {
+  try {
+    const owners = getActionItemOwners.all();
+    res.json({ owners });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/action-items/:id
+ * Update an action item's task, owner, status or due date
+ * Edited items are marked human_edited and kept when their meeting is reprocessed.
+ */
+router.patch('/:id', (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    if (!getActionItemById.get(id)) {
+      return res.status(404).json({ error: 'Action item not found' });
+    }
+
+    const validationError = validateItemFields('action_items', req.body, false);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const actionItem = updateActionItemFields(id, pickItemFields('action_items', req.body));
+
+    res.json({
+      message: 'Action item updated successfully',
+      actionItem: { ...actionItem, human_edited: !!actionItem.human_edited },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,172 @@
+import express from 'express';
+import {
+  createAnalysisTemplate,
+  getAllAnalysisTemplates,
+  getAnalysisTemplateById,
+  getAnalysisTemplateByName,
+  updateAnalysisTemplate,
+  deleteAnalysisTemplate,
+} from '../db/database.js';
+import { toAnalysisTemplate, normalizeTemplateFields } from '../services/analysisTemplates.js';
+
+const router = express.Router();
+
+/**
+ * Validate the name and instructions of a template from a request body
+ * @returns {string|null} Error message or null when valid
+ */
+const validateTemplateText = ({ name, description, instructions }, isNew) => {
+  if ((isNew || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    return 'Name is required';
+  }
+  if ((isNew || instructions !== undefined) && (typeof instructions !== 'string' || !instructions.trim())) {
+    return 'Instructions are required';
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return 'description must be a string';
+  }
+  return null;
+};
+
+/**
+ * GET /api/analysis-templates
+ * List analysis templates with the number of projects and meetings using each
+ */
+router.get('/', (req, res, next) => {
+  try {
+    res.json({ templates: getAllAnalysisTemplates.all().map(toAnalysisTemplate) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/analysis-templates
+ * Create an analysis template
+ * Body: { name, description (optional), instructions,
+ *   fields: [{ key (optional - derived from the label), label, type: 'text' | 'list', description }] }
+ */
+router.post('/', (req, res, next) => {
+  try {
+    const validationError = validateTemplateText(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { fields, error } = normalizeTemplateFields(req.body.fields);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { name, description, instructions } = req.body;
+
+    if (getAnalysisTemplateByName.get(name.trim())) {
+      return res.status(409).json({ error: 'A template with this name already exists' });
+    }
+
+    const result = createAnalysisTemplate.run(
+      name.trim(),
+      description?.trim() || null,
+      instructions.trim(),
+      JSON.stringify(fields)
+    );
+
+    res.status(201).json({
+      message: 'Analysis template created successfully',
+      template: toAnalysisTemplate(getAnalysisTemplateById.get(result.lastInsertRowid)),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/analysis-templates/:id
+ * Get an analysis template
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    const template = getAnalysisTemplateById.get(parseInt(req.params.id, 10));
+
+    if (!template) {
+      return res.status(404).json({ error: 'Analysis template not found' });
+    }
+
+    res.json({ template: toAnalysisTemplate(template) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/analysis-templates/:id
+ * Update an analysis template - applies the next time a meeting using it is analyzed
+ * Body: { name, description, instructions, fields } (all optional)
+ */
+router.patch('/:id', (req, res, next) => {
+  try {
+    const template = getAnalysisTemplateById.get(parseInt(req.params.id, 10));
+
+    if (!template) {
+      return res.status(404).json({ error: 'Analysis template not found' });
+    }
+
+    const validationError = validateTemplateText(req.body, false);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    let fields = template.fields;
+    if (req.body.fields !== undefined) {
+      const normalized = normalizeTemplateFields(req.body.fields);
+      if (normalized.error) {
+        return res.status(400).json({ error: normalized.error });
+      }
+      fields = JSON.stringify(normalized.fields);
+    }
+
+    const name = req.body.name !== undefined ? req.body.name.trim() : template.name;
+    const description = req.body.description !== undefined ? req.body.description?.trim() || null : template.description;
+    const instructions = req.body.instructions !== undefined ? req.body.instructions.trim() : template.instructions;
+
+    const sameName = getAnalysisTemplateByName.get(name);
+    if (sameName && sameName.id !== template.id) {
+      return res.status(409).json({ error: 'A template with this name already exists' });
+    }
+
+    updateAnalysisTemplate.run(name, description, instructions, fields, template.id);
+
+    res.json({
+      message: 'Analysis template updated successfully',
+      template: toAnalysisTemplate(getAnalysisTemplateById.get(template.id)),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/analysis-templates/:id
+ * Delete an analysis template
+ * Projects and meetings using it go back to the standard analysis; existing summaries keep their fields.
+ */
+router.delete('/:id', (req, res, next) => {
+  try {
+    const template = getAnalysisTemplateById.get(parseInt(req.params.id, 10));
+
+    if (!template) {
+      return res.status(404).json({ error: 'Analysis template not found' });
+    }
+
+    deleteAnalysisTemplate.run(template.id);
+
+    res.json({
+      message: 'Analysis template deleted successfully',
+      template: toAnalysisTemplate(template),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
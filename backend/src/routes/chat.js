@@ -1,41 +1,16 @@
 import express from 'express';
 import * as db from '../db/database.js';
-import Anthropic from '@anthropic-ai/sdk';
-import OpenAI from 'openai';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { transcribeAudio } from '../services/transcription.js';
 import { findRelevantSkills, buildSkillsContext } from '../services/skillMatcher.js';
-import { getAIBackendForFeature } from '../services/settingsService.js';
+import { generateText } from '../services/llmProviders.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const router = express.Router();
-const AI_BACKEND = process.env.AI_BACKEND || 'openai';
-
-// Initialize AI clients (lazy initialization)
-let anthropic = null;
-let openai = null;
-
-function getAnthropicClient() {
-  if (!anthropic && process.env.ANTHROPIC_API_KEY) {
-    anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY,
-    });
-  }
-  return anthropic;
-}
-
-function getOpenAIClient() {
-  if (!openai && process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-  }
-  return openai;
-}
 
 // System prompt for the AI mentor
 const SYSTEM_PROMPT = `You're talking to someone who needs genuine help thinking through their work and projects. Have a real conversation with them - like you're their smart friend who gets it.
@@ -143,50 +118,18 @@ async function buildProjectContext(projectId) {
 }
 
 /**
- * Get AI response using Claude or GPT
+ * Get AI response from the provider and model selected for chat
  */
-async function getAIResponse(messages, systemPrompt, backend = null) {
+async function getAIResponse(messages, systemPrompt) {
   try {
-    // Get backend from settings if not specified
-    if (!backend) {
-      backend = getAIBackendForFeature('chat');
-    }
-
-    if (backend === 'anthropic') {
-      const client = getAnthropicClient();
-      if (!client) {
-        throw new Error('Anthropic API key not configured');
-      }
-
-      const response = await client.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 4096,
-        temperature: 1.0, // More creative and natural (default is 1.0, but explicit is better)
-        system: systemPrompt,
-        messages: messages,
-      });
-
-      return response.content[0].text;
-    } else {
-      const client = getOpenAIClient();
-      if (!client) {
-        throw new Error('OpenAI API key not configured');
-      }
-
-      const chatMessages = [
-        { role: 'system', content: systemPrompt },
-        ...messages,
-      ];
-
-      const completion = await client.chat.completions.create({
-        model: 'gpt-4o',
-        messages: chatMessages,
-        max_tokens: 4096,
-        temperature: 1.0, // More creative and natural
-      });
+    const { text } = await generateText('chat', {
+      system: systemPrompt,
+      messages,
+      maxTokens: 4096,
+      temperature: 1.0, // More creative and natural
+    });
 
-      return completion.choices[0].message.content;
-    }
+    return text;
   } catch (error) {
     console.error('AI response error:', error);
     throw new Error(`Failed to get AI response: ${error.message}`);
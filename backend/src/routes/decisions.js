@@ -0,0 +1,103 @@
+import express from 'express';
+import { getProjectById } from '../db/database.js';
+import {
+  getProjectDecisions,
+  supersedeDecision,
+  restoreDecision,
+} from '../services/decisionLog.js';
+
+const router = express.Router();
+
+const DECISION_STATUSES = ['active', 'superseded'];
+
+/**
+ * GET /api/decisions/:projectId
+ * Get the decision register of a project (oldest meeting first)
+ * Query (optional):
+ *   - status: 'active' or 'superseded'
+ */
+router.get('/:projectId', (req, res, next) => {
+  try {
+    const projectId = parseInt(req.params.projectId, 10);
+    const { status } = req.query;
+
+    if (!getProjectById.get(projectId)) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (status && !DECISION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status: ${status}. Must be one of: ${DECISION_STATUSES.join(', ')}`
+      });
+    }
+
+    const decisions = getProjectDecisions(projectId)
+      .filter(decision => !status || decision.status === status);
+
+    res.json({ projectId, decisions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/decisions/:projectId/:decisionId/superseded-by
+ * Mark a decision as superseded by a decision from the same or a later meeting
+ * Body: { decisionId } - the decision that replaces it
+ */
+router.put('/:projectId/:decisionId/superseded-by', (req, res, next) => {
+  try {
+    const projectId = parseInt(req.params.projectId, 10);
+    const { decisionId } = req.body;
+
+    if (!getProjectById.get(projectId)) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!decisionId || typeof decisionId !== 'string') {
+      return res.status(400).json({ error: 'decisionId of the superseding decision is required' });
+    }
+
+    const result = supersedeDecision(projectId, req.params.decisionId, decisionId);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Decision marked as superseded',
+      decisions: result.decisions,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/decisions/:projectId/:decisionId/superseded-by
+ * Make a superseded decision active again
+ */
+router.delete('/:projectId/:decisionId/superseded-by', (req, res, next) => {
+  try {
+    const projectId = parseInt(req.params.projectId, 10);
+
+    if (!getProjectById.get(projectId)) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const decisions = restoreDecision(projectId, req.params.decisionId);
+
+    if (!decisions) {
+      return res.status(404).json({ error: 'Decision not found in this project' });
+    }
+
+    res.json({
+      message: 'Decision is active again',
+      decisions,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
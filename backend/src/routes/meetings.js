@@ -1,5 +1,5 @@
 import express from 'express';
-import path from 'path';
+import multer from 'multer';
 import fs from 'fs/promises';
 import {
   createMeeting,
@@ -7,23 +7,116 @@ import {
   getMeetingById,
   getMeetingsByProject,
   updateMeeting,
-  deleteMeeting,
-  createMeetingMetadata,
+  updateMeetingProject,
+  getProjectById,
+  getSeriesById,
+  setMeetingSeries,
+  setMeetingLanguage,
+  setMeetingAnalysisTemplate,
+  getAnalysisTemplateById,
   getMeetingMetadata,
-  updateMeetingMetadata,
+  getMeetingAttendees,
+  getJobsByMeeting,
+  getActiveJobsForMeeting,
+  cancelPendingJobsForMeeting,
+  MEETING_STATUSES,
 } from '../db/database.js';
-import { analyzeMeeting, saveSummary } from '../services/aiAnalysis.js';
-import { buildSearchIndex } from '../services/searchIndex.js';
+import { listSummaries } from '../services/aiAnalysis.js';
+import { saveAudioFile, validateAudioFile } from '../services/audioProcessor.js';
+import {
+  PIPELINE_STAGES,
+  enqueueMeetingProcessing,
+  saveNotes,
+  readNotes,
+  findTranscriptPath,
+  updateMeetingStatus,
+  resolveStoragePath,
+} from '../services/meetingProcessor.js';
+import { subscribeToMeetingEvents } from '../services/processingEvents.js';
+import { moveMeetingToTrash, TRASH_RETENTION_DAYS } from '../services/trash.js';
+import {
+  getMeetingItems,
+  addMeetingItem,
+  updateMeetingItem,
+  deleteMeetingItem,
+  reorderMeetingItems,
+  validateItemFields,
+  pickItemFields,
+} from '../services/meetingItems.js';
+import { toPerson, validateAttendees, setMeetingAttendees } from '../services/people.js';
+import {
+  getMeetingSpeakers,
+  validateSpeakerAssignments,
+  assignSpeakers,
+  applySpeakerNames,
+  getSpeakerNames,
+} from '../services/diarization.js';
+import { isValidLanguage } from '../services/languages.js';
+import { readTranscriptSegments } from '../services/transcription.js';
+import { getLLMProviderNames } from '../services/llmProviders.js';
+import {
+  validateSegmentEdits,
+  editTranscriptSegments,
+  listTranscriptRevisions,
+  getTranscriptRevision,
+  revertTranscriptRevision,
+} from '../services/transcriptEditor.js';
+
+// Processing stages that can be re-run individually, in execution order
+// ('summary' controls whether the new analysis replaces the meeting's current summary)
+const REPROCESS_STAGES = ['transcription', 'diarization', 'analysis', 'summary', 'metadata', 'indexing'];
+const INVALID_LANGUAGE = 'language must be a supported language code or "auto"';
+
+// URL segment -> meeting_metadata list for the decision/action item endpoints
+const ITEM_LISTS = {
+  'decisions': 'decisions',
+  'action-items': 'action_items',
+};
 
 const router = express.Router();
 
+// Processing stages rewrite a meeting's transcript and summary, so changes wait for a running one
+const PROCESSING_CONFLICT = 'Meeting is currently being processed. Try again when it finishes.';
+
+/**
+ * Whether a processing stage is running for a meeting
+ * Queued stages do not block changes - requeueMeetingProcessing replaces them.
+ * @param {number} meetingId - Meeting ID
+ * @returns {boolean}
+ */
+const hasRunningJob = (meetingId) => getActiveJobsForMeeting.all(meetingId).some(job => job.status === 'running');
+
+/**
+ * Replace a meeting's queued processing with new stages
+ * @param {number} meetingId - Meeting ID
+ * @param {Array<string>} stages - Stages to run, in order
+ * @param {Object} context - Shared payload (see enqueueMeetingProcessing)
+ */
+const requeueMeetingProcessing = (meetingId, stages, context) => {
+  cancelPendingJobsForMeeting.run(meetingId);
+  updateMeetingStatus(meetingId, 'queued');
+  enqueueMeetingProcessing(meetingId, stages, context);
+};
+
+// Recordings are kept in memory and handed to saveAudioFile (size is checked by validateAudioFile)
+const audioUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 100 * 1024 * 1024 } // 100MB - chunking handles files over 25MB
+});
+
 /**
  * GET /api/meetings
- * Get all meetings or filter by project
+ * Get all meetings or filter by project and/or processing status
  */
 router.get('/', (req, res, next) => {
   try {
-    const { projectId } = req.query;
+    const { projectId, status } = req.query;
+
+    if (status && !MEETING_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status: ${status}. Must be one of: ${MEETING_STATUSES.join(', ')}`
+      });
+    }
 
     let meetings;
     if (projectId) {
@@ -32,6 +125,10 @@ router.get('/', (req, res, next) => {
       meetings = getAllMeetings.all();
     }
 
+    if (status) {
+      meetings = meetings.filter(meeting => meeting.status === status);
+    }
+
     res.json({ meetings });
   } catch (error) {
     next(error);
@@ -52,12 +149,15 @@ router.get('/:id', (req, res, next) => {
       return res.status(404).json({ error: 'Meeting not found' });
     }
 
-    // Get metadata if exists
-    const metadata = getMeetingMetadata.get(parseInt(id, 10));
+    // Get metadata if exists (items are read first so legacy entries get ids)
+    const items = getMeetingItems(meeting.id);
+    const metadata = getMeetingMetadata.get(meeting.id);
 
     res.json({
       meeting,
       metadata: metadata || null,
+      items: items ? { decisions: items.decisions, action_items: items.action_items } : null,
+      attendees: getMeetingAttendees.all(meeting.id).map(toPerson),
     });
   } catch (error) {
     next(error);
@@ -66,11 +166,29 @@ router.get('/:id', (req, res, next) => {
 
 /**
  * POST /api/meetings
- * Create a new meeting with typed notes
+ * Create a new meeting with typed notes (JSON) or a recording (multipart, field "audio")
+ * Optional "language" overrides the project's default language ('auto' to auto-detect).
+ */
+router.post('/', (req, res, next) => {
+  audioUpload.single('audio')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: 'File upload failed: ' + err.message });
+    }
+
+    if (req.file) {
+      return createAudioMeeting(req, res, next);
+    }
+
+    return createNotesMeeting(req, res, next);
+  });
+});
+
+/**
+ * Create a meeting from typed notes
  */
-router.post('/', async (req, res, next) => {
+async function createNotesMeeting(req, res, next) {
   try {
-    const { projectId, title, notes } = req.body;
+    const { projectId, title, notes, language } = req.body;
 
     // Validate required fields
     if (!title || !title.trim()) {
@@ -81,6 +199,10 @@ router.post('/', async (req, res, next) => {
       return res.status(400).json({ error: 'Notes are required' });
     }
 
+    if (language && !isValidLanguage(language)) {
+      return res.status(400).json({ error: INVALID_LANGUAGE });
+    }
+
     // Create meeting record with current date
     const date = new Date().toISOString();
     const result = createMeeting.run(
@@ -90,15 +212,18 @@ router.post('/', async (req, res, next) => {
       null, // duration (not applicable for notes)
       null, // audio_path (no audio in notes version)
       null, // transcript_path (will be set after saving notes)
-      null  // summary_path (will be set after analysis)
+      null, // summary_path (will be set after analysis)
+      language || null
     );
 
     const meetingId = result.lastInsertRowid;
 
-    // Start async processing (save notes + analysis)
-    // In production, this should be a background job
-    processNotesMeeting(meetingId, notes.trim(), title.trim(), date).catch(error => {
-      console.error(`Error processing meeting ${meetingId}:`, error);
+    // Save notes as the transcript, then queue analysis and indexing
+    const notesPath = await saveNotes(notes.trim(), meetingId, { title: title.trim(), date });
+    updateMeeting.run(title.trim(), date, null, null, notesPath, null, meetingId);
+
+    enqueueMeetingProcessing(meetingId, ['analysis', 'metadata', 'indexing'], {
+      transcriptPath: notesPath,
     });
 
     const meeting = getMeetingById.get(meetingId);
@@ -110,146 +235,846 @@ router.post('/', async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-});
+}
 
 /**
- * DELETE /api/meetings/:id
- * Delete a meeting
+ * Create a meeting from an uploaded audio recording
  */
-router.delete('/:id', (req, res, next) => {
+async function createAudioMeeting(req, res, next) {
   try {
-    const { id } = req.params;
+    const { projectId, title, date, language } = req.body;
 
-    const meeting = getMeetingById.get(parseInt(id, 10));
+    if (!title || !title.trim()) {
+      return res.status(400).json({ error: 'Title is required' });
+    }
 
-    if (!meeting) {
-      return res.status(404).json({ error: 'Meeting not found' });
+    if (language && !isValidLanguage(language)) {
+      return res.status(400).json({ error: INVALID_LANGUAGE });
+    }
+
+    const validation = validateAudioFile(req.file.mimetype.split(';')[0], req.file.size);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
     }
 
-    // Delete from database (cascade will handle metadata and search index)
-    deleteMeeting.run(parseInt(id, 10));
+    const parsedProjectId = projectId ? parseInt(projectId, 10) : null;
 
-    // Note: Audio/transcript files are kept until cleanup cron runs
+    // Save the recording to storage/audio
+    const audioFile = await saveAudioFile(req.file.buffer, req.file.originalname, parsedProjectId);
 
-    res.json({
-      message: 'Meeting deleted successfully',
+    // Use the client-provided recording date when it is valid
+    const meetingDate = date && !isNaN(Date.parse(date))
+      ? new Date(date).toISOString()
+      : new Date().toISOString();
+
+    const result = createMeeting.run(
+      parsedProjectId,
+      title.trim(),
+      meetingDate,
+      null, // duration (set after transcription)
+      audioFile.path,
+      null, // transcript_path (set after transcription)
+      null, // summary_path (set after analysis)
+      language || null
+    );
+
+    const meetingId = result.lastInsertRowid;
+
+    // Queue transcription, analysis and indexing
+    enqueueMeetingProcessing(meetingId, PIPELINE_STAGES);
+
+    const meeting = getMeetingById.get(meetingId);
+
+    res.status(201).json({
+      message: 'Recording uploaded successfully. Transcription in progress.',
       meeting,
     });
   } catch (error) {
     next(error);
   }
-});
+}
 
 /**
- * Save notes to a text file
- * @param {string} notes - The meeting notes
- * @param {number} meetingId - Meeting ID for filename
- * @param {object} metadata - Meeting metadata (title, date)
- * @returns {Promise<string>} Path to saved notes file
+ * PATCH /api/meetings/:id
+ * Update a meeting's title, date, project, series, language, analysis template or typed notes
+ * Body (all optional): title, date, projectId, seriesId (null to leave the series),
+ *   language (null for the project default, 'auto' to auto-detect),
+ *   analysisTemplateId (null for the project's template), notes
+ * Changing the notes re-runs analysis and search indexing in the background.
+ * A new language or template applies the next time the meeting is transcribed or analyzed.
  */
-async function saveNotes(notes, meetingId, metadata) {
-  const transcriptsDir = path.join(process.cwd(), 'backend', 'storage', 'transcripts');
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const meetingId = parseInt(req.params.id, 10);
+    const meeting = getMeetingById.get(meetingId);
 
-  // Ensure directory exists
-  await fs.mkdir(transcriptsDir, { recursive: true });
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
 
-  // Save as .txt file
-  const txtPath = path.join(transcriptsDir, `meeting-${meetingId}.txt`);
-  const content = `Meeting: ${metadata.title}\nDate: ${metadata.date}\n\n${notes}`;
-  await fs.writeFile(txtPath, content, 'utf8');
+    const { title, date, projectId, seriesId, language, analysisTemplateId, notes } = req.body;
 
-  return txtPath.replace(/\\/g, '/');
-}
+    if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+      return res.status(400).json({ error: 'Title cannot be empty' });
+    }
 
-/**
- * Background processing function for notes
- * Handles saving notes, analysis, and indexing (no transcription needed)
- */
-async function processNotesMeeting(meetingId, notes, title, date) {
-  const PROCESSING_TIMEOUT = 5 * 60 * 1000; // 5 minutes timeout
+    if (date !== undefined && isNaN(Date.parse(date))) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
 
-  try {
-    console.log(`\n=== Processing meeting notes ${meetingId} ===`);
+    let newProjectId = meeting.project_id;
+    if (projectId !== undefined) {
+      newProjectId = projectId === null ? null : parseInt(projectId, 10);
+      if (newProjectId !== null && !getProjectById.get(newProjectId)) {
+        return res.status(400).json({ error: 'Project not found' });
+      }
+    }
+
+    let newSeriesId = meeting.series_id;
+    if (seriesId !== undefined) {
+      newSeriesId = seriesId === null ? null : parseInt(seriesId, 10);
+      if (newSeriesId !== null && !getSeriesById.get(newSeriesId)) {
+        return res.status(400).json({ error: 'Series not found' });
+      }
+    }
 
-    // Step 1: Save notes as transcript
-    console.log('Step 1: Saving notes...');
-    const notesPath = await saveNotes(notes, meetingId, { title, date });
+    if (language !== undefined && language !== null && !isValidLanguage(language)) {
+      return res.status(400).json({ error: INVALID_LANGUAGE });
+    }
 
-    // Step 2: Analyze notes
-    console.log('Step 2: Analyzing meeting notes...');
-    const analysis = await analyzeMeeting(notes);
+    let newTemplateId = meeting.analysis_template_id;
+    if (analysisTemplateId !== undefined) {
+      newTemplateId = analysisTemplateId === null ? null : parseInt(analysisTemplateId, 10);
+      if (newTemplateId !== null && !getAnalysisTemplateById.get(newTemplateId)) {
+        return res.status(400).json({ error: 'Analysis template not found' });
+      }
+    }
 
-    // Step 3: Save summary
-    console.log('Step 3: Saving summary...');
-    const summaryPath = await saveSummary(analysis, meetingId);
+    if (notes !== undefined) {
+      if (meeting.audio_path) {
+        return res.status(400).json({ error: 'Notes can only be edited on meetings created from typed notes' });
+      }
+      if (typeof notes !== 'string' || !notes.trim()) {
+        return res.status(400).json({ error: 'Notes cannot be empty' });
+      }
+    }
+
+    const newTitle = title !== undefined ? title.trim() : meeting.title;
+    const newDate = date !== undefined ? new Date(date).toISOString() : meeting.date;
+
+    // Notes meetings keep title and date in the notes file header too
+    const currentNotes = meeting.audio_path ? null : await readNotes(meeting);
+    const notesChanged = notes !== undefined && notes.trim() !== (currentNotes || '').trim();
+
+    if (notesChanged && hasRunningJob(meetingId)) {
+      return res.status(409).json({ error: PROCESSING_CONFLICT });
+    }
+
+    let transcriptPath = meeting.transcript_path;
+    if (!meeting.audio_path && (notesChanged || newTitle !== meeting.title || newDate !== meeting.date)) {
+      const notesText = notesChanged ? notes.trim() : currentNotes;
+      if (notesText !== null) {
+        transcriptPath = await saveNotes(notesText, meetingId, { title: newTitle, date: newDate });
+      }
+    }
 
-    // Step 4: Update meeting record
-    console.log('Step 4: Updating meeting record...');
-    const meeting = getMeetingById.get(meetingId);
     updateMeeting.run(
-      meeting.title,
-      meeting.date,
-      null, // duration (not applicable for notes)
-      null, // audio_path (no audio)
-      notesPath,
-      summaryPath,
+      newTitle,
+      newDate,
+      meeting.duration,
+      meeting.audio_path,
+      transcriptPath,
+      meeting.summary_path,
       meetingId
     );
 
-    // Step 5: Save metadata
-    console.log('Step 5: Saving metadata...');
-    const existingMetadata = getMeetingMetadata.get(meetingId);
+    if (newProjectId !== meeting.project_id) {
+      updateMeetingProject.run(newProjectId, meetingId);
+    }
 
-    // Extract AI model metadata
-    const aiModelInfo = analysis._metadata ? JSON.stringify(analysis._metadata) : null;
+    if (newSeriesId !== meeting.series_id) {
+      setMeetingSeries.run(newSeriesId, meetingId);
+    }
 
-    if (existingMetadata) {
-      updateMeetingMetadata.run(
-        JSON.stringify(analysis.key_decisions || []),
-        JSON.stringify(analysis.action_items || []),
-        JSON.stringify([]), // risks - deprecated
-        JSON.stringify([]), // open_questions - deprecated
-        aiModelInfo, // AI model metadata
-        meetingId
-      );
-    } else {
-      createMeetingMetadata.run(
-        meetingId,
-        JSON.stringify(analysis.key_decisions || []),
-        JSON.stringify(analysis.action_items || []),
-        JSON.stringify([]), // risks - deprecated
-        JSON.stringify([]),  // open_questions - deprecated
-        aiModelInfo // AI model metadata
-      );
+    if (language !== undefined && language !== meeting.language) {
+      setMeetingLanguage.run(language, meetingId);
     }
 
-    // Step 6: Build search index
-    console.log('Step 6: Building search index...');
-    await buildSearchIndex(meetingId, notes, analysis);
+    if (newTemplateId !== meeting.analysis_template_id) {
+      setMeetingAnalysisTemplate.run(newTemplateId, meetingId);
+    }
+
+    if (notesChanged) {
+      requeueMeetingProcessing(meetingId, ['analysis', 'metadata', 'indexing'], { transcriptPath });
+    }
 
-    console.log(`=== Meeting ${meetingId} processing complete ===\n`);
+    res.json({
+      message: notesChanged
+        ? 'Meeting updated. Notes changed - re-running analysis in background.'
+        : 'Meeting updated successfully',
+      reprocessing: notesChanged,
+      meeting: getMeetingById.get(meetingId),
+    });
   } catch (error) {
-    console.error(`Failed to process meeting ${meetingId}:`, error);
+    next(error);
+  }
+});
 
-    // Mark the meeting with an error by setting transcript_path to an error marker
-    try {
-      const meeting = getMeetingById.get(meetingId);
+/**
+ * POST /api/meetings/:id/reprocess
+ * Re-run processing stages for a meeting
+ * Body (all optional):
+ *   - stages: subset of ['transcription', 'diarization', 'analysis', 'summary', 'metadata', 'indexing']
+ *             (defaults to every stage that applies to the meeting)
+ *   - backend: 'openai' or 'anthropic' to override the analysis backend setting
+ * Previous summary files are left in storage as history. Without the summary stage a new
+ * analysis is only saved as history, and metadata and indexing use the current summary.
+ */
+router.post('/:id/reprocess', async (req, res, next) => {
+  try {
+    const meetingId = parseInt(req.params.id, 10);
+    const meeting = getMeetingById.get(meetingId);
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const { stages, backend = null } = req.body || {};
+
+    if (stages !== undefined && (!Array.isArray(stages) || stages.length === 0)) {
+      return res.status(400).json({ error: 'Stages must be a non-empty array' });
+    }
+
+    const invalidStage = (stages || []).find(stage => !REPROCESS_STAGES.includes(stage));
+    if (invalidStage) {
+      return res.status(400).json({
+        error: `Invalid stage: ${invalidStage}. Must be one of: ${REPROCESS_STAGES.join(', ')}`
+      });
+    }
+
+    if (backend && !getLLMProviderNames().includes(backend)) {
+      return res.status(400).json({ error: `Invalid backend: ${backend}. Must be one of: ${getLLMProviderNames().join(', ')}` });
+    }
+
+    // Default: everything, skipping transcription for typed notes
+    const requested = stages || REPROCESS_STAGES.filter(stage => stage !== 'transcription' || meeting.audio_path);
+    const selected = REPROCESS_STAGES.filter(stage => requested.includes(stage));
+    const has = (stage) => selected.includes(stage);
+
+    if (has('transcription') && !meeting.audio_path) {
+      return res.status(400).json({ error: 'Meeting has no audio recording to transcribe' });
+    }
+
+    if (has('summary') && !has('analysis')) {
+      return res.status(400).json({ error: 'The summary stage requires the analysis stage' });
+    }
+
+    const transcriptPath = await findTranscriptPath(meeting);
+    if ((has('diarization') || has('analysis') || has('indexing')) && !has('transcription') && !transcriptPath) {
+      return res.status(400).json({ error: 'No transcript available. Include the transcription stage.' });
+    }
+
+    if ((has('metadata') || has('indexing')) && !has('analysis') && !meeting.summary_path) {
+      return res.status(400).json({ error: 'No summary available. Include the analysis stage.' });
+    }
+
+    if (hasRunningJob(meetingId)) {
+      return res.status(409).json({ error: PROCESSING_CONFLICT });
+    }
+
+    // Existing outputs stay visible until the new ones replace them
+    if (transcriptPath !== meeting.transcript_path) {
       updateMeeting.run(
         meeting.title,
         meeting.date,
-        null,
-        null,
-        `ERROR: ${error.message}`, // transcript_path used as error marker
-        null, // summary_path
+        meeting.duration,
+        meeting.audio_path,
+        transcriptPath,
+        meeting.summary_path,
         meetingId
       );
-      console.error(`Marked meeting ${meetingId} with error status`);
-    } catch (updateError) {
-      console.error(`Failed to mark meeting ${meetingId} with error:`, updateError);
     }
 
-    throw error;
+    // Replaces any queued work for this meeting
+    requeueMeetingProcessing(meetingId, selected.filter(stage => stage !== 'summary'), {
+      transcriptPath: has('transcription') ? null : transcriptPath,
+      summaryPath: meeting.summary_path,
+      backend,
+      updateSummary: has('summary'),
+    });
+
+    res.json({
+      message: 'Reprocessing started',
+      stages: selected,
+      backend: backend || null,
+      meeting: getMeetingById.get(meetingId),
+    });
+  } catch (error) {
+    next(error);
   }
-}
+});
+
+/**
+ * GET /api/meetings/:id/decisions | /api/meetings/:id/action-items
+ * List a meeting's decisions or action items
+ */
+router.get('/:id/:list(decisions|action-items)', (req, res, next) => {
+  try {
+    const meetingId = parseInt(req.params.id, 10);
+    if (!getMeetingById.get(meetingId)) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const list = ITEM_LISTS[req.params.list];
+    const items = getMeetingItems(meetingId);
+
+    res.json({ items: items ? items[list] : [] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/meetings/:id/decisions | /api/meetings/:id/action-items
+ * Add a decision ({ text }) or action item ({ task, owner })
+ * Added entries are marked human_edited and kept when the meeting is reprocessed.
+ */
+router.post('/:id/:list(decisions|action-items)', (req, res, next) => {
+  try {
+    const meetingId = parseInt(req.params.id, 10);
+    if (!getMeetingById.get(meetingId)) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const list = ITEM_LISTS[req.params.list];
+    const validationError = validateItemFields(list, req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const item = addMeetingItem(meetingId, list, pickItemFields(list, req.body));
+
+    res.status(201).json({
+      message: 'Item added successfully',
+      item,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/meetings/:id/decisions/order | /api/meetings/:id/action-items/order
+ * Reorder entries. Body: { ids: [...] } containing every entry ID in the new order
+ */
+router.put('/:id/:list(decisions|action-items)/order', (req, res, next) => {
+  try {
+    const meetingId = parseInt(req.params.id, 10);
+    if (!getMeetingById.get(meetingId)) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const { ids } = req.body;
+    if (!Array.isArray(ids)) {
+      return res.status(400).json({ error: 'ids must be an array' });
+    }
+
+    const items = reorderMeetingItems(meetingId, ITEM_LISTS[req.params.list], ids);
+    if (!items) {
+      return res.status(400).json({ error: 'ids must contain every item ID exactly once' });
+    }
+
+    res.json({
+      message: 'Items reordered successfully',
+      items,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/meetings/:id/decisions/:itemId | /api/meetings/:id/action-items/:itemId
+ * Edit a decision or action item and mark it human_edited
+ */
+router.patch('/:id/:list(decisions|action-items)/:itemId', (req, res, next) => {
+  try {
+    const meetingId = parseInt(req.params.id, 10);
+    if (!getMeetingById.get(meetingId)) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const list = ITEM_LISTS[req.params.list];
+    const validationError = validateItemFields(list, req.body, false);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const item = updateMeetingItem(meetingId, list, req.params.itemId, pickItemFields(list, req.body));
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    res.json({
+      message: 'Item updated successfully',
+      item,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/meetings/:id/decisions/:itemId | /api/meetings/:id/action-items/:itemId
+ * Delete a decision or action item
+ * Deleted AI entries are remembered so reprocessing does not add them back.
+ */
+router.delete('/:id/:list(decisions|action-items)/:itemId', (req, res, next) => {
+  try {
+    const meetingId = parseInt(req.params.id, 10);
+    if (!getMeetingById.get(meetingId)) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    if (!deleteMeetingItem(meetingId, ITEM_LISTS[req.params.list], req.params.itemId)) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    res.json({ message: 'Item deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:id/attendees
+ * List who attended a meeting
+ */
+router.get('/:id/attendees', (req, res, next) => {
+  try {
+    const meetingId = parseInt(req.params.id, 10);
+    if (!getMeetingById.get(meetingId)) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    res.json({ attendees: getMeetingAttendees.all(meetingId).map(toPerson) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/meetings/:id/attendees
+ * Replace a meeting's attendees
+ * Body: { attendees: [name | { personId } | { name }, ...] } - each may carry a speakerLabel
+ * Names not on the roster are added to it, and action item owners matching an attendee are linked.
+ * Rejected with 409 while a processing stage is running, as it rewrites the transcript files.
+ */
+router.put('/:id/attendees', async (req, res, next) => {
+  try {
+    const meeting = getMeetingById.get(parseInt(req.params.id, 10));
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const { attendees } = req.body;
+    const validationError = validateAttendees(attendees);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Speaker names are written into the transcript files
+    if (hasRunningJob(meeting.id)) {
+      return res.status(409).json({ error: PROCESSING_CONFLICT });
+    }
+
+    const updated = setMeetingAttendees(meeting.id, attendees);
+
+    // Attendees carry the speaker names shown in the transcript
+    await applySpeakerNames(meeting);
+
+    res.json({
+      message: 'Attendees updated successfully',
+      attendees: updated,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:id/speakers
+ * List the speakers found by diarization and the attendee each one is mapped to
+ */
+router.get('/:id/speakers', async (req, res, next) => {
+  try {
+    const meeting = getMeetingById.get(parseInt(req.params.id, 10));
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    res.json({ speakers: (await getMeetingSpeakers(meeting)) || [] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/meetings/:id/speakers
+ * Name speakers - each label is mapped to a person, who becomes an attendee of the meeting
+ * Body: {
+ *   speakers: { 'Speaker 1': { personId } | { name } | null, ... },
+ *   reanalyze: boolean (optional) - re-run analysis so action items are attributed to the new names
+ * }
+ */
+router.put('/:id/speakers', async (req, res, next) => {
+  try {
+    const meeting = getMeetingById.get(parseInt(req.params.id, 10));
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const { speakers, reanalyze = false } = req.body;
+    const validationError = validateSpeakerAssignments(speakers);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const current = await getMeetingSpeakers(meeting);
+    if (!current) {
+      return res.status(400).json({ error: 'This meeting\'s transcript has no speaker segments' });
+    }
+
+    const unknownLabel = Object.keys(speakers).find(label => !current.some(speaker => speaker.label === label));
+    if (unknownLabel) {
+      return res.status(400).json({ error: `Unknown speaker: ${unknownLabel}` });
+    }
+
+    // Speaker names are written into the transcript files
+    if (hasRunningJob(meeting.id)) {
+      return res.status(409).json({ error: PROCESSING_CONFLICT });
+    }
+
+    assignSpeakers(meeting.id, speakers);
+    await applySpeakerNames(meeting);
+
+    if (reanalyze) {
+      requeueMeetingProcessing(meeting.id, ['analysis', 'metadata', 'indexing'], {
+        transcriptPath: meeting.transcript_path,
+        summaryPath: meeting.summary_path,
+      });
+    }
+
+    res.json({
+      message: reanalyze ? 'Speakers updated - re-running analysis' : 'Speakers updated successfully',
+      speakers: await getMeetingSpeakers(meeting),
+      attendees: getMeetingAttendees.all(meeting.id).map(toPerson),
+      meeting: getMeetingById.get(meeting.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Queue re-analysis or re-indexing after a transcript edit
+ * @param {Object} meeting - Meeting row
+ * @param {Object} options - { reanalyze, reindex }
+ * @returns {Array<string>} Queued stages
+ */
+const queueTranscriptReprocessing = (meeting, { reanalyze, reindex }) => {
+  // Indexing reads the summary, so without one only a new analysis can re-index
+  const stages = reanalyze
+    ? ['analysis', 'metadata', 'indexing']
+    : reindex && meeting.summary_path ? ['indexing'] : [];
+
+  if (stages.length > 0) {
+    requeueMeetingProcessing(meeting.id, stages, {
+      transcriptPath: meeting.transcript_path,
+      summaryPath: meeting.summary_path,
+    });
+  }
+  return stages;
+};
+
+/**
+ * Message for a transcript edit response
+ */
+const transcriptEditMessage = (action, stages) => {
+  if (stages.includes('analysis')) return `${action} - re-running analysis`;
+  if (stages.includes('indexing')) return `${action} - updating search index`;
+  return action;
+};
+
+/**
+ * GET /api/meetings/:id/transcript
+ * Get the timestamped segments of a meeting's transcript
+ * Returns { segments: [{ index, start, end, text, speaker }] | null, speakerNames, revisionCount };
+ * segments is null for transcripts without timestamps (typed notes, older transcripts).
+ */
+router.get('/:id/transcript', async (req, res, next) => {
+  try {
+    const meeting = getMeetingById.get(parseInt(req.params.id, 10));
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const data = await readTranscriptSegments(meeting.transcript_path);
+
+    res.json({
+      segments: data ? data.segments.map((segment, index) => ({ index, ...segment })) : null,
+      speakerNames: getSpeakerNames(meeting.id),
+      revisionCount: listTranscriptRevisions(meeting).length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/meetings/:id/transcript
+ * Correct the text of individual transcript segments (recorded as a revision)
+ * Body: { segments: [{ index, text }], reanalyze (default false), reindex (default true) }
+ */
+router.patch('/:id/transcript', async (req, res, next) => {
+  try {
+    const meeting = getMeetingById.get(parseInt(req.params.id, 10));
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const { segments, reanalyze = false, reindex = true } = req.body;
+
+    const data = await readTranscriptSegments(meeting.transcript_path);
+    if (!data) {
+      return res.status(400).json({ error: 'This meeting\'s transcript has no timestamped segments to edit' });
+    }
+
+    const validationError = validateSegmentEdits(segments, data.segments.length);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (hasRunningJob(meeting.id)) {
+      return res.status(409).json({ error: PROCESSING_CONFLICT });
+    }
+
+    const revision = await editTranscriptSegments(meeting, segments);
+    const stages = revision ? queueTranscriptReprocessing(meeting, { reanalyze, reindex }) : [];
+
+    res.json({
+      message: revision ? transcriptEditMessage('Transcript updated', stages) : 'No changes to save',
+      revision,
+      reprocessing: stages,
+      meeting: getMeetingById.get(meeting.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:id/transcript/revisions
+ * Revision history of the meeting's current transcript (newest first)
+ */
+router.get('/:id/transcript/revisions', (req, res, next) => {
+  try {
+    const meeting = getMeetingById.get(parseInt(req.params.id, 10));
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    res.json({ revisions: listTranscriptRevisions(meeting) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/meetings/:id/transcript/revisions/:revisionId/revert
+ * Put back the segment text a revision replaced (recorded as a new revision)
+ * Body: { reanalyze (default false), reindex (default true) }
+ */
+router.post('/:id/transcript/revisions/:revisionId/revert', async (req, res, next) => {
+  try {
+    const meeting = getMeetingById.get(parseInt(req.params.id, 10));
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const revision = getTranscriptRevision(meeting, parseInt(req.params.revisionId, 10));
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    if (hasRunningJob(meeting.id)) {
+      return res.status(409).json({ error: PROCESSING_CONFLICT });
+    }
+
+    const { reanalyze = false, reindex = true } = req.body || {};
+    const revert = await revertTranscriptRevision(meeting, revision);
+    const stages = revert ? queueTranscriptReprocessing(meeting, { reanalyze, reindex }) : [];
+
+    res.json({
+      message: revert ? transcriptEditMessage('Revision reverted', stages) : 'Transcript already matches the text before this revision',
+      revision: revert,
+      reprocessing: stages,
+      meeting: getMeetingById.get(meeting.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:id/audio
+ * Stream a meeting's recording
+ * Supports Range requests (206 Partial Content) so players can seek without downloading the
+ * whole file. Returns 404 for typed notes and recordings removed by the audio retention cleanup.
+ */
+router.get('/:id/audio', async (req, res, next) => {
+  try {
+    const meeting = getMeetingById.get(parseInt(req.params.id, 10));
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+    if (!meeting.audio_path) {
+      return res.status(404).json({ error: 'Meeting has no recording' });
+    }
+
+    const audioPath = resolveStoragePath(meeting.audio_path);
+    try {
+      await fs.access(audioPath);
+    } catch {
+      return res.status(404).json({ error: 'Recording is no longer available' });
+    }
+
+    res.sendFile(audioPath, { acceptRanges: true }, (error) => {
+      // Players abort requests when seeking - only report errors before anything was sent
+      if (error && !res.headersSent) {
+        next(error);
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:id/events
+ * Server-Sent Events stream of processing progress for a meeting
+ * Sends the current meeting first, then status changes, transcription chunk progress,
+ * analysis start/finish and indexing completion as they happen.
+ */
+router.get('/:id/events', (req, res, next) => {
+  try {
+    const meetingId = parseInt(req.params.id, 10);
+    const meeting = getMeetingById.get(meetingId);
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    };
+
+    send({ type: 'status', meetingId, timestamp: new Date().toISOString(), meeting });
+
+    const unsubscribe = subscribeToMeetingEvents(meetingId, send);
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:id/summaries
+ * List all summary files generated for a meeting (newest first)
+ */
+router.get('/:id/summaries', async (req, res, next) => {
+  try {
+    const meetingId = parseInt(req.params.id, 10);
+    const meeting = getMeetingById.get(meetingId);
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const summaries = await listSummaries(meetingId);
+
+    res.json({
+      summaries: summaries.map(summary => ({
+        ...summary,
+        current: summary.path === meeting.summary_path,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:id/jobs
+ * Get processing jobs for a meeting (newest first)
+ */
+router.get('/:id/jobs', (req, res, next) => {
+  try {
+    const meetingId = parseInt(req.params.id, 10);
+
+    if (!getMeetingById.get(meetingId)) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const jobs = getJobsByMeeting.all(meetingId).map(job => ({
+      ...job,
+      payload: job.payload ? JSON.parse(job.payload) : null,
+    }));
+
+    res.json({ jobs });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/meetings/:id
+ * Move a meeting to the trash (restore it with POST /api/trash/meetings/:id/restore)
+ */
+router.delete('/:id', (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const meeting = getMeetingById.get(parseInt(id, 10));
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    moveMeetingToTrash(meeting);
+
+    res.json({
+      message: `Meeting moved to trash (permanently deleted after ${TRASH_RETENTION_DAYS} days)`,
+      meeting,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
 export default router;
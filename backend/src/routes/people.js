@@ -0,0 +1,168 @@
+import express from 'express';
+import db, {
+  createPerson,
+  getAllPeople,
+  getPersonById,
+  getPersonByName,
+  updatePerson,
+  deletePerson,
+  renameActionItemOwner,
+  getMeetingsByPerson,
+  getOpenActionItemsByPerson,
+} from '../db/database.js';
+import { toPerson, serializeAliases, rematchOwners } from '../services/people.js';
+
+const router = express.Router();
+
+/**
+ * Validate the fields of a person from a request body
+ * @returns {string|null} Error message or null when valid
+ */
+const validatePersonFields = ({ name, email, aliases }, isNew) => {
+  if ((isNew || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    return 'Name is required';
+  }
+  if (email !== undefined && email !== null && typeof email !== 'string') {
+    return 'email must be a string';
+  }
+  if (aliases !== undefined && !Array.isArray(aliases)) {
+    return 'aliases must be an array of names';
+  }
+  return null;
+};
+
+/**
+ * GET /api/people
+ * List the roster with meeting and open action item counts
+ */
+router.get('/', (req, res, next) => {
+  try {
+    res.json({ people: getAllPeople.all().map(toPerson) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/people
+ * Add a person to the roster (action item owners that match them are linked)
+ * Body: { name, email (optional), aliases (optional) }
+ */
+router.post('/', (req, res, next) => {
+  try {
+    const validationError = validatePersonFields(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { name, email, aliases } = req.body;
+
+    if (getPersonByName.get(name.trim())) {
+      return res.status(409).json({ error: 'A person with this name already exists' });
+    }
+
+    const result = createPerson.run(name.trim(), email?.trim() || null, serializeAliases(aliases));
+    const ownersMatched = rematchOwners();
+
+    res.status(201).json({
+      message: 'Person created successfully',
+      person: toPerson(getPersonById.get(result.lastInsertRowid)),
+      ownersMatched,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/people/:id
+ * Get a person with the meetings they attended and their open action items
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    const person = getPersonById.get(parseInt(req.params.id, 10));
+
+    if (!person) {
+      return res.status(404).json({ error: 'Person not found' });
+    }
+
+    res.json({
+      person: toPerson(person),
+      meetings: getMeetingsByPerson.all(person.id),
+      actionItems: getOpenActionItemsByPerson.all(person.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/people/:id
+ * Update a person (a new name is also written to the action items they own)
+ * Body: { name, email, aliases } (all optional)
+ */
+router.patch('/:id', (req, res, next) => {
+  try {
+    const person = getPersonById.get(parseInt(req.params.id, 10));
+
+    if (!person) {
+      return res.status(404).json({ error: 'Person not found' });
+    }
+
+    const validationError = validatePersonFields(req.body, false);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const name = req.body.name !== undefined ? req.body.name.trim() : person.name;
+    const email = req.body.email !== undefined ? req.body.email?.trim() || null : person.email;
+    const aliases = req.body.aliases !== undefined ? serializeAliases(req.body.aliases) : person.aliases;
+
+    const sameName = getPersonByName.get(name);
+    if (sameName && sameName.id !== person.id) {
+      return res.status(409).json({ error: 'A person with this name already exists' });
+    }
+
+    db.transaction(() => {
+      updatePerson.run(name, email, aliases, person.id);
+      if (name !== person.name) {
+        renameActionItemOwner.run(name, person.id);
+      }
+    })();
+    const ownersMatched = rematchOwners();
+
+    res.json({
+      message: 'Person updated successfully',
+      person: toPerson(getPersonById.get(person.id)),
+      ownersMatched,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/people/:id
+ * Remove a person from the roster
+ * Their action items keep the owner name but are no longer linked to a person.
+ */
+router.delete('/:id', (req, res, next) => {
+  try {
+    const person = getPersonById.get(parseInt(req.params.id, 10));
+
+    if (!person) {
+      return res.status(404).json({ error: 'Person not found' });
+    }
+
+    deletePerson.run(person.id);
+
+    res.json({
+      message: 'Person deleted successfully',
+      person: toPerson(person),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -4,11 +4,22 @@ import {
   getAllProjects,
   getProjectById,
   updateProject,
-  deleteProject,
+  setProjectAnalysisTemplate,
+  getAnalysisTemplateById,
+  getMeetingsByProject,
 } from '../db/database.js';
+import { moveProjectToTrash, TRASH_RETENTION_DAYS } from '../services/trash.js';
+import { AUTO_DETECT, isValidLanguage } from '../services/languages.js';
 
 const router = express.Router();
 
+const INVALID_LANGUAGE = 'language must be a supported language code or "auto"';
+
+/**
+ * Stored value of a project's default transcription language (auto-detect is stored as null)
+ */
+const toProjectLanguage = (language) => (!language || language === AUTO_DETECT ? null : language);
+
 /**
  * GET /api/projects
  * Get all projects
@@ -25,16 +36,21 @@ router.get('/', (req, res, next) => {
 /**
  * POST /api/projects
  * Create a new project
+ * Body: { name, language (optional default transcription language, 'auto' or omitted to auto-detect) }
  */
 router.post('/', (req, res, next) => {
   try {
-    const { name } = req.body;
+    const { name, language } = req.body;
 
     if (!name || name.trim().length === 0) {
       return res.status(400).json({ error: 'Project name is required' });
     }
 
-    const result = createProject.run(name.trim());
+    if (language && !isValidLanguage(language)) {
+      return res.status(400).json({ error: INVALID_LANGUAGE });
+    }
+
+    const result = createProject.run(name.trim(), toProjectLanguage(language));
 
     const project = getProjectById.get(result.lastInsertRowid);
 
@@ -70,23 +86,43 @@ router.get('/:id', (req, res, next) => {
 /**
  * PUT /api/projects/:id
  * Update a project
+ * Body: { name, language (optional - omit to keep, null or 'auto' to auto-detect),
+ *   analysisTemplateId (optional - omit to keep, null for the standard analysis) }
+ * A new template applies the next time one of the project's meetings is analyzed.
  */
 router.put('/:id', (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name } = req.body;
+    const { name, language, analysisTemplateId } = req.body;
 
     if (!name || name.trim().length === 0) {
       return res.status(400).json({ error: 'Project name is required' });
     }
 
+    if (language && !isValidLanguage(language)) {
+      return res.status(400).json({ error: INVALID_LANGUAGE });
+    }
+
     const project = getProjectById.get(parseInt(id, 10));
 
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    updateProject.run(name.trim(), parseInt(id, 10));
+    let newTemplateId = project.analysis_template_id;
+    if (analysisTemplateId !== undefined) {
+      newTemplateId = analysisTemplateId === null ? null : parseInt(analysisTemplateId, 10);
+      if (newTemplateId !== null && !getAnalysisTemplateById.get(newTemplateId)) {
+        return res.status(400).json({ error: 'Analysis template not found' });
+      }
+    }
+
+    const newLanguage = language !== undefined ? toProjectLanguage(language) : project.language;
+    updateProject.run(name.trim(), newLanguage, parseInt(id, 10));
+
+    if (newTemplateId !== project.analysis_template_id) {
+      setProjectAnalysisTemplate.run(newTemplateId, project.id);
+    }
 
     const updatedProject = getProjectById.get(parseInt(id, 10));
 
@@ -101,7 +137,7 @@ router.put('/:id', (req, res, next) => {
 
 /**
  * DELETE /api/projects/:id
- * Delete a project
+ * Move a project and its meetings to the trash (restore with POST /api/trash/projects/:id/restore)
  */
 router.delete('/:id', (req, res, next) => {
   try {
@@ -113,11 +149,13 @@ router.delete('/:id', (req, res, next) => {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    deleteProject.run(parseInt(id, 10));
+    const meetings = getMeetingsByProject.all(project.id);
+    moveProjectToTrash(project, meetings);
 
     res.json({
-      message: 'Project deleted successfully',
+      message: `Project moved to trash (permanently deleted after ${TRASH_RETENTION_DAYS} days)`,
       project,
+      meetingsTrashed: meetings.length,
     });
   } catch (error) {
     next(error);
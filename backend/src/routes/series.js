@@ -0,0 +1,279 @@
+import express from 'express';
+import db, {
+  createSeries,
+  getAllSeries,
+  getSeriesById,
+  updateSeriesName,
+  deleteSeries,
+  setMeetingSeries,
+  getMeetingsBySeries,
+  getMeetingById,
+  getProjectById,
+} from '../db/database.js';
+import {
+  suggestSeries,
+  getSeriesTimeline,
+  generateDigestForMeeting,
+} from '../services/meetingSeries.js';
+
+const router = express.Router();
+
+/**
+ * Check that every ID in meetingIds is an existing meeting
+ * @returns {string|null} Error message or null when valid
+ */
+const validateMeetingIds = (meetingIds) => {
+  if (!Array.isArray(meetingIds)) {
+    return 'meetingIds must be an array of meeting IDs';
+  }
+  const missing = meetingIds.filter(id => !getMeetingById.get(parseInt(id, 10)));
+  return missing.length > 0 ? `Meeting(s) not found: ${missing.join(', ')}` : null;
+};
+
+const addMeetingsToSeries = db.transaction((seriesId, meetingIds) => {
+  meetingIds.forEach(id => setMeetingSeries.run(seriesId, parseInt(id, 10)));
+});
+
+/**
+ * GET /api/series
+ * List meeting series (most recently met first)
+ * Query (optional):
+ *   - projectId: only this project's series
+ */
+router.get('/', (req, res, next) => {
+  try {
+    const { projectId } = req.query;
+
+    const series = getAllSeries.all({
+      projectId: projectId ? parseInt(projectId, 10) : null,
+    });
+
+    res.json({ series });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/series/suggestions
+ * Suggest series for meetings that are not in one, based on title similarity
+ * Query (optional):
+ *   - projectId: only this project's meetings
+ *   - meetingId: only suggestions that include this meeting
+ */
+router.get('/suggestions', (req, res, next) => {
+  try {
+    const { projectId, meetingId } = req.query;
+
+    const suggestions = suggestSeries({
+      projectId: projectId ? parseInt(projectId, 10) : null,
+      meetingId: meetingId ? parseInt(meetingId, 10) : null,
+    });
+
+    res.json({ suggestions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/series
+ * Create a series
+ * Body: { name, projectId (optional), meetingIds (optional) }
+ */
+router.post('/', (req, res, next) => {
+  try {
+    const { name, projectId, meetingIds = [] } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Series name is required' });
+    }
+
+    const parsedProjectId = projectId ? parseInt(projectId, 10) : null;
+    if (parsedProjectId !== null && !getProjectById.get(parsedProjectId)) {
+      return res.status(400).json({ error: 'Project not found' });
+    }
+
+    const meetingError = validateMeetingIds(meetingIds);
+    if (meetingError) {
+      return res.status(400).json({ error: meetingError });
+    }
+
+    const seriesId = db.transaction(() => {
+      const result = createSeries.run(parsedProjectId, name.trim());
+      addMeetingsToSeries(result.lastInsertRowid, meetingIds);
+      return result.lastInsertRowid;
+    })();
+
+    res.status(201).json({
+      message: 'Series created successfully',
+      series: getSeriesById.get(seriesId),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/series/:id
+ * Get a series with its timeline (meetings oldest first, with "what changed" digests)
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const series = getSeriesById.get(parseInt(req.params.id, 10));
+
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    res.json({
+      series,
+      timeline: await getSeriesTimeline(series.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/series/:id
+ * Rename a series
+ * Body: { name }
+ */
+router.patch('/:id', (req, res, next) => {
+  try {
+    const seriesId = parseInt(req.params.id, 10);
+    const { name } = req.body;
+
+    if (!getSeriesById.get(seriesId)) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Series name is required' });
+    }
+
+    updateSeriesName.run(name.trim(), seriesId);
+
+    res.json({
+      message: 'Series updated successfully',
+      series: getSeriesById.get(seriesId),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/series/:id
+ * Delete a series (its meetings are kept and leave the series)
+ */
+router.delete('/:id', (req, res, next) => {
+  try {
+    const series = getSeriesById.get(parseInt(req.params.id, 10));
+
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    deleteSeries.run(series.id);
+
+    res.json({
+      message: 'Series deleted successfully',
+      series,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/series/:id/meetings
+ * Add meetings to a series (moves them out of any other series)
+ * Body: { meetingIds }
+ */
+router.post('/:id/meetings', (req, res, next) => {
+  try {
+    const series = getSeriesById.get(parseInt(req.params.id, 10));
+    const { meetingIds } = req.body;
+
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    const meetingError = validateMeetingIds(meetingIds);
+    if (meetingError) {
+      return res.status(400).json({ error: meetingError });
+    }
+
+    addMeetingsToSeries(series.id, meetingIds);
+
+    res.json({
+      message: `Added ${meetingIds.length} meeting(s) to the series`,
+      series,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/series/:id/meetings/:meetingId
+ * Remove a meeting from a series
+ */
+router.delete('/:id/meetings/:meetingId', (req, res, next) => {
+  try {
+    const seriesId = parseInt(req.params.id, 10);
+    const meeting = getMeetingById.get(parseInt(req.params.meetingId, 10));
+
+    if (!meeting || meeting.series_id !== seriesId) {
+      return res.status(404).json({ error: 'Meeting not found in this series' });
+    }
+
+    setMeetingSeries.run(null, meeting.id);
+
+    res.json({
+      message: 'Meeting removed from the series',
+      meeting: getMeetingById.get(meeting.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/series/:id/digest
+ * Generate the AI "what changed since last time" digest for a meeting of the series
+ * Body: { meetingId } (optional - defaults to the latest meeting)
+ */
+router.post('/:id/digest', async (req, res, next) => {
+  try {
+    const series = getSeriesById.get(parseInt(req.params.id, 10));
+
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    let meetingId = req.body.meetingId ? parseInt(req.body.meetingId, 10) : null;
+    if (!meetingId) {
+      const meetings = getMeetingsBySeries.all(series.id);
+      meetingId = meetings.length > 0 ? meetings[meetings.length - 1].id : null;
+    }
+
+    const result = await generateDigestForMeeting(series, meetingId);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Digest generated successfully',
+      meetingId,
+      digest: result.digest,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,5 +1,13 @@
 import express from 'express';
 import { getSetting, getAllSettings, upsertSetting } from '../db/database.js';
+import { getTranscriptionProviderNames } from '../services/transcriptionProviders.js';
+import { LANGUAGES } from '../services/languages.js';
+import {
+  getLLMProvider,
+  getLLMProviderNames,
+  getLLMModels,
+  getAllLLMModelIds,
+} from '../services/llmProviders.js';
 
 const router = express.Router();
 
@@ -23,6 +31,44 @@ router.get('/', (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/settings/languages
+ * Languages available for transcription and summaries ([{ code, name }] sorted by name)
+ */
+router.get('/languages', (req, res, next) => {
+  try {
+    const languages = Object.entries(LANGUAGES)
+      .map(([code, name]) => ({ code, name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    res.json({ languages });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/settings/models
+ * AI providers and the models each offers, default model first
+ */
+router.get('/models', (req, res, next) => {
+  try {
+    const providers = getLLMProviderNames().map(name => {
+      const provider = getLLMProvider(name);
+      return {
+        name,
+        label: provider.label,
+        configured: provider.isConfigured(),
+        models: getLLMModels(name).map(({ id, label }) => ({ id, label })),
+      };
+    });
+
+    res.json({ providers });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/settings/:key
  * Get a specific setting by key
@@ -54,22 +100,31 @@ router.put('/', (req, res, next) => {
       return res.status(400).json({ error: 'Settings object is required' });
     }
 
-    // Validate allowed settings keys
-    const allowedKeys = [
-      'ai.meeting_analysis',
-      'ai.chat',
-      'ai.wiki_updates',
-      'ai.mentor_feedback',
-    ];
-
-    const allowedValues = ['openai', 'anthropic'];
+    // Validate allowed settings keys and their values
+    const aiBackends = getLLMProviderNames();
+    const aiModels = ['default', ...getAllLLMModelIds()];
+    const allowedValues = {
+      'ai.meeting_analysis': aiBackends,
+      'ai.chat': aiBackends,
+      'ai.wiki_updates': aiBackends,
+      'ai.mentor_feedback': aiBackends,
+      'ai.meeting_analysis.model': aiModels,
+      'ai.chat.model': aiModels,
+      'ai.wiki_updates.model': aiModels,
+      'ai.mentor_feedback.model': aiModels,
+      'ai.transcription': getTranscriptionProviderNames(),
+      'analysis.output_language': ['meeting', ...Object.keys(LANGUAGES)],
+    };
 
     for (const [key, value] of Object.entries(settings)) {
-      if (!allowedKeys.includes(key)) {
+      if (!allowedValues[key]) {
         return res.status(400).json({ error: `Invalid setting key: ${key}` });
       }
-      if (!allowedValues.includes(value)) {
-        return res.status(400).json({ error: `Invalid value for ${key}: ${value}. Must be 'openai' or 'anthropic'` });
+      if (!allowedValues[key].includes(value)) {
+        const options = allowedValues[key].length > 3
+          ? 'one of the supported values'
+          : allowedValues[key].map(option => `'${option}'`).join(' or ');
+        return res.status(400).json({ error: `Invalid value for ${key}: ${value}. Must be ${options}` });
       }
     }
 
@@ -0,0 +1,146 @@
+import express from 'express';
+import {
+  getTrashedProjects,
+  getTrashedProjectById,
+  getTrashedMeetings,
+  getTrashedMeetingById,
+  getProjectById,
+} from '../db/database.js';
+import {
+  restoreMeetingFromTrash,
+  restoreProjectFromTrash,
+  purgeMeeting,
+  purgeProject,
+  TRASH_RETENTION_DAYS,
+} from '../services/trash.js';
+
+const router = express.Router();
+
+/**
+ * Add the date an item will be permanently deleted
+ */
+const withPurgeDate = (item) => {
+  const deletedAt = new Date(item.deleted_at.replace(' ', 'T') + 'Z');
+  return {
+    ...item,
+    purge_at: new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+  };
+};
+
+/**
+ * GET /api/trash
+ * List trashed projects and meetings (meetings trashed with their project are counted under it)
+ */
+router.get('/', (req, res, next) => {
+  try {
+    res.json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      projects: getTrashedProjects.all().map(withPurgeDate),
+      meetings: getTrashedMeetings.all().map(withPurgeDate),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/trash/projects/:id/restore
+ * Restore a project and the meetings that were trashed with it
+ */
+router.post('/projects/:id/restore', (req, res, next) => {
+  try {
+    const projectId = parseInt(req.params.id, 10);
+
+    if (!getTrashedProjectById.get(projectId)) {
+      return res.status(404).json({ error: 'Project not found in trash' });
+    }
+
+    const meetingsRestored = restoreProjectFromTrash(projectId);
+
+    res.json({
+      message: 'Project restored successfully',
+      project: getProjectById.get(projectId),
+      meetingsRestored,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/trash/meetings/:id/restore
+ * Restore a meeting (its project must not be in the trash)
+ */
+router.post('/meetings/:id/restore', (req, res, next) => {
+  try {
+    const meetingId = parseInt(req.params.id, 10);
+    const meeting = getTrashedMeetingById.get(meetingId);
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found in trash' });
+    }
+
+    if (meeting.project_id && getTrashedProjectById.get(meeting.project_id)) {
+      return res.status(409).json({ error: 'The meeting\'s project is in the trash - restore the project first' });
+    }
+
+    restoreMeetingFromTrash(meetingId);
+
+    res.json({
+      message: 'Meeting restored successfully',
+      meeting: { ...meeting, deleted_at: null },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/trash/projects/:id
+ * Permanently delete a trashed project, its meetings and all of their files
+ */
+router.delete('/projects/:id', async (req, res, next) => {
+  try {
+    const project = getTrashedProjectById.get(parseInt(req.params.id, 10));
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found in trash' });
+    }
+
+    const filesDeleted = await purgeProject(project);
+
+    res.json({
+      message: 'Project permanently deleted',
+      project,
+      filesDeleted,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/trash/meetings/:id
+ * Permanently delete a trashed meeting and its files
+ */
+router.delete('/meetings/:id', async (req, res, next) => {
+  try {
+    const meeting = getTrashedMeetingById.get(parseInt(req.params.id, 10));
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found in trash' });
+    }
+
+    const filesDeleted = await purgeMeeting(meeting);
+
+    res.json({
+      message: 'Meeting permanently deleted',
+      meeting,
+      filesDeleted,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -27,6 +27,17 @@ import chatRouter from './routes/chat.js';
 import skillsRouter from './routes/skills.js';
 import settingsRouter from './routes/settings.js';
 import serviceNowRouter from './routes/servicenow.js';
+import actionItemsRouter from './routes/actionItems.js';
+import decisionsRouter from './routes/decisions.js';
+import trashRouter from './routes/trash.js';
+import seriesRouter from './routes/series.js';
+import peopleRouter from './routes/people.js';
+import analysisTemplatesRouter from './routes/analysisTemplates.js';
+import { startJobQueue } from './services/jobQueue.js';
+import { setupOrphanSweepCron } from './services/storageCleanup.js';
+import { getAudioProcessingStatus } from './services/audioChunker.js';
+import { setupTrashPurgeCron } from './services/trash.js';
+import { getLLMSelection } from './services/llmProviders.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -60,13 +71,13 @@ app.use('/storage', express.static(path.join(__dirname, '../storage')));
 
 // Health check
 app.get('/api/health', (req, res) => {
-  const aiBackend = process.env.AI_BACKEND || 'openai';
-  const modelName = aiBackend === 'anthropic' ? 'Claude Sonnet 4.5' : 'GPT-4o';
+  const { provider, modelLabel } = getLLMSelection('meeting_analysis');
   res.json({
     status: 'ok',
     message: 'Server is running',
-    aiBackend: aiBackend,
-    modelName: modelName,
+    aiBackend: provider,
+    modelName: modelLabel,
+    audio: getAudioProcessingStatus(),
   });
 });
 
@@ -79,6 +90,12 @@ app.use('/api/chat', chatRouter);
 app.use('/api/skills', skillsRouter);
 app.use('/api/settings', settingsRouter);
 app.use('/api/servicenow', serviceNowRouter);
+app.use('/api/action-items', actionItemsRouter);
+app.use('/api/decisions', decisionsRouter);
+app.use('/api/trash', trashRouter);
+app.use('/api/series', seriesRouter);
+app.use('/api/people', peopleRouter);
+app.use('/api/analysis-templates', analysisTemplatesRouter);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -98,4 +115,16 @@ app.use((req, res) => {
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Resume queued meeting processing from before the restart
+  startJobQueue();
+
+  // Permanent deletion of expired trash
+  setupTrashPurgeCron();
+
+  // Remove files left behind by deleted meetings and projects
+  setupOrphanSweepCron();
+
+  // Report a missing FFmpeg now rather than when the first long recording fails to chunk
+  getAudioProcessingStatus();
 });
@@ -1,300 +1,645 @@
-import Anthropic from '@anthropic-ai/sdk';
-import OpenAI from 'openai';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { getAIBackendForFeature } from './settingsService.js';
+import { getAnalysisOutputLanguage } from './settingsService.js';
+import { generateText, getModelForFeature } from './llmProviders.js';
+import { parseJSONResponse, validateJSONSchema } from './llmJson.js';
+import { getLanguageName } from './languages.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const SUMMARY_DIR = path.join(__dirname, '../../storage/summaries');
-const AI_BACKEND = process.env.AI_BACKEND || 'openai';
 
-// Initialize AI clients (lazy initialization)
-let anthropic = null;
-let openai = null;
+// Closing line of every prompt - spelled out for smaller (local) models, which tend to add prose or code fences
+const JSON_ONLY_INSTRUCTION = 'Provide ONLY the JSON response, no additional text: a single JSON object starting with { and ending with }, not wrapped in markdown code fences.';
 
-function getAnthropicClient() {
-  if (!anthropic && process.env.ANTHROPIC_API_KEY) {
-    anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY,
-    });
-  }
-  return anthropic;
-}
+// Fields every analysis has, with the standard prompt or a template's - the decision register,
+// action item tracker and search read them
+const OVERVIEW_FIELD = '"overview": A 2-3 sentence high-level summary of what the meeting covered (string)';
+const KEY_DECISIONS_FIELD = '"key_decisions": An array of decision strings describing concrete decisions made during the meeting (include empty array if none). For each decision, include WHY it was made if discussed. Each item should be a simple string, not an object.';
+const ACTION_ITEMS_FIELD = '"action_items": An array of objects with "task", "owner" and "due_date" fields for specific follow-up actions (include empty array if none). "due_date" is an ISO date (YYYY-MM-DD) only when a deadline was stated, otherwise null. This is the ONLY field that should contain objects.';
 
-function getOpenAIClient() {
-  if (!openai && process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-  }
-  return openai;
-}
+const SPEAKERS_INSTRUCTION = 'SPEAKERS: Transcript paragraphs may start with the speaker\'s name followed by a colon (e.g. "Alice: I\'ll send the draft by Friday"). Use them to attribute action items - the owner is the person who took on or was given the task, written exactly as their speaker name. Use a generic label such as "Speaker 2" as the owner only when no name is known.';
 
 // Prompt template for meeting analysis
-/**
- * Check for API quota/billing errors (OpenAI and Anthropic)
- * @param {Error} error - Error object from API call
- * @param {string} provider - 'openai' or 'anthropic'
- * @returns {string|null} User-friendly error message or null
- */
-function checkAPIQuotaError(error, provider = 'openai') {
-  if (provider === 'openai') {
-    // OpenAI error codes
-    if (error.status === 429) {
-      return 'OpenAI API rate limit exceeded. Please wait and try "Reprocess Meeting"';
-    }
-    if (error.status === 401) {
-      return 'OpenAI API key is invalid or expired. Check your .env file';
-    }
-    if (error.status === 402 || error.code === 'insufficient_quota') {
-      return 'OpenAI account has insufficient credits. Add credits at platform.openai.com/account/billing';
-    }
-    if (error.message && error.message.includes('quota')) {
-      return 'OpenAI API quota exceeded. Check usage at platform.openai.com/account/usage';
-    }
-  } else if (provider === 'anthropic') {
-    // Anthropic error codes
-    if (error.status === 429) {
-      return 'Anthropic API rate limit exceeded. Please wait and try "Reprocess Meeting"';
-    }
-    if (error.status === 401) {
-      return 'Anthropic API key is invalid or expired. Check your .env file';
-    }
-    if (error.status === 402 || error.message?.includes('credit')) {
-      return 'Anthropic account has insufficient credits. Check console.anthropic.com/account/billing';
-    }
-    if (error.message && error.message.includes('quota')) {
-      return 'Anthropic API quota exceeded. Check console.anthropic.com/account/usage';
-    }
-  }
-
-  // Generic billing/quota check
-  if (error.message && (error.message.includes('billing') || error.message.includes('payment'))) {
-    return `${provider === 'openai' ? 'OpenAI' : 'Anthropic'} billing issue detected. Please check your account`;
-  }
-
-  return null;
-}
-
 const ANALYSIS_PROMPT = `You are an AI assistant that captures detailed meeting discussions for long-term memory and reference.
 
 Your goal is to preserve what was discussed in detail, not just extract action items. This is a conversation journal that should capture nuances, options discussed, and trade-offs considered.
 
 Analyze the following meeting transcript and provide a structured summary in JSON format with these fields:
 
-1. "overview": A 2-3 sentence high-level summary of what the meeting covered (string)
+1. ${OVERVIEW_FIELD}
 2. "discussion_topics": An array of topic strings (e.g., ["Feature planning", "Technical architecture", "User feedback"]). Each item should be a simple string, not an object.
 3. "detailed_discussion": An array of paragraph strings, each being 2-4 sentences explaining what was talked about, the context, different viewpoints mentioned, and conclusions reached. Be thorough - capture the conversation flow and reasoning. INCLUDE OPTIONS THAT WERE DISCUSSED (even if not chosen), TRADE-OFFS CONSIDERED, and CONCERNS RAISED. Each entry must be a complete paragraph string, NOT an object.
-4. "key_decisions": An array of decision strings describing concrete decisions made during the meeting (include empty array if none). For each decision, include WHY it was made if discussed. Each item should be a simple string, not an object.
-5. "action_items": An array of objects with "task" and "owner" fields for specific follow-up actions (include empty array if none). This is the ONLY field that should contain objects.
+4. ${KEY_DECISIONS_FIELD}
+5. ${ACTION_ITEMS_FIELD}
 6. "technical_details": An array of technical detail strings - implementations, technologies, APIs, approaches, code details, etc. Include both what was discussed and WHY in each string. INCLUDE ALTERNATIVES THAT WERE CONSIDERED and reasons they were/weren't chosen. Each item should be a simple string, not an object.
 7. "context": A paragraph string providing background context - why this meeting happened, what led to these discussions, relevant prior decisions or history mentioned
 
-IMPORTANT: All fields should contain simple strings in their arrays, EXCEPT action_items which contains objects with task/owner. Do not use objects for discussion_topics, detailed_discussion, key_decisions, or technical_details.
+IMPORTANT: All fields should contain simple strings in their arrays, EXCEPT action_items which contains objects with task/owner/due_date. Do not use objects for discussion_topics, detailed_discussion, key_decisions, or technical_details.
 
 IMPORTANT: Focus on capturing WHAT WAS SAID and the reasoning/thought process, not on identifying gaps or problems. This is for future reference to remember what was discussed.
 
 CAPTURE NUANCE: Include options discussed, alternatives considered, trade-offs mentioned, concerns raised, and reasoning behind decisions - not just final conclusions.
 
+${SPEAKERS_INSTRUCTION}
+
+{language}
+
 Transcript:
 ---
 {transcript}
 ---
 
-Provide ONLY the JSON response, no additional text.`;
+${JSON_ONLY_INSTRUCTION}`;
 
 /**
- * Analyze meeting transcript using AI with automatic fallback
- * @param {string} transcript - Meeting transcript text
- * @param {string} backend - AI backend to use ('openai' or 'anthropic') - defaults to user setting
- * @returns {Promise<Object>} Structured analysis with metadata about which model was used
+ * Prompt paragraph telling the model which language to write the analysis in
+ * @param {string|null} meetingLanguage - Language code the meeting was held in (null when unknown)
+ * @param {string|null} outputLanguage - Language code to write in (null for the transcript's language)
+ * @returns {string}
  */
-export const analyzeMeeting = async (transcript, backend = null) => {
-  if (!transcript || transcript.trim().length === 0) {
-    throw new Error('Transcript is empty');
+const getLanguageInstruction = (meetingLanguage, outputLanguage) => {
+  const meetingName = getLanguageName(meetingLanguage);
+  const outputName = getLanguageName(outputLanguage);
+
+  let instruction = 'LANGUAGE: ';
+  if (meetingName) {
+    instruction += `The meeting was held in ${meetingName}. `;
   }
 
-  // Get backend from settings if not specified
-  if (!backend) {
-    backend = getAIBackendForFeature('meeting_analysis');
+  if (!outputName) {
+    instruction += 'Write all JSON values in the same language as the transcript.';
+  } else if (outputLanguage !== meetingLanguage) {
+    instruction += `Write all JSON values in ${outputName}, translating from the transcript where needed.`;
+  } else {
+    instruction += `Write all JSON values in ${outputName}.`;
   }
 
-  let analysis;
-  let usedBackend = backend;
-  let usedModel = '';
-  let fallbackOccurred = false;
+  return `${instruction} Keep the JSON field names in English.`;
+};
 
-  // Try primary backend first
-  if (backend === 'anthropic') {
-    console.log(`Analyzing meeting with Anthropic (Claude Sonnet 4.5)...`);
-    try {
-      analysis = await analyzeWithClaude(transcript);
-      usedModel = 'Claude Sonnet 4.5';
-    } catch (error) {
-      const quotaError = checkAPIQuotaError(error, 'anthropic');
-
-      // If it's a quota/auth error and OpenAI is available, fall back
-      if (quotaError && process.env.OPENAI_API_KEY) {
-        console.warn(`⚠️  Anthropic API failed: ${quotaError}`);
-        console.log(`🔄 Falling back to OpenAI (GPT-4o)...`);
-
-        try {
-          analysis = await analyzeWithGPT(transcript);
-          usedBackend = 'openai';
-          usedModel = 'GPT-4o';
-          fallbackOccurred = true;
-        } catch (fallbackError) {
-          console.error('❌ Fallback to OpenAI also failed:', fallbackError);
-          throw new Error(`Both APIs failed. Anthropic: ${quotaError}. OpenAI: ${fallbackError.message}`);
-        }
-      } else {
-        // No fallback available or non-quota error
-        throw error;
+// Shape of an analysis - requested as structured output where the provider supports it and checked
+// on every response. All fields are required and no others allowed (OpenAI strict mode needs both).
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    overview: { type: 'string' },
+    discussion_topics: { type: 'array', items: { type: 'string' } },
+    detailed_discussion: { type: 'array', items: { type: 'string' } },
+    key_decisions: { type: 'array', items: { type: 'string' } },
+    action_items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          task: { type: 'string' },
+          owner: { type: ['string', 'null'] },
+          due_date: { type: ['string', 'null'] },
+        },
+        required: ['task', 'owner', 'due_date'],
+        additionalProperties: false,
+      },
+    },
+    technical_details: { type: 'array', items: { type: 'string' } },
+    context: { type: 'string' },
+  },
+  required: ['overview', 'discussion_topics', 'detailed_discussion', 'key_decisions', 'action_items', 'technical_details', 'context'],
+  additionalProperties: false,
+};
+
+/**
+ * What an analysis asks for: the prompt template, the schema responses are checked against and the
+ * kind of each field ('text' or 'list') for coercing and combining section analyses
+ */
+const STANDARD_ANALYSIS = {
+  template: null,
+  prompt: ANALYSIS_PROMPT,
+  schema: ANALYSIS_SCHEMA,
+  fields: {
+    overview: 'text',
+    discussion_topics: 'list',
+    detailed_discussion: 'list',
+    key_decisions: 'list',
+    action_items: 'list',
+    technical_details: 'list',
+    context: 'text',
+  },
+};
+
+// Fields a template's analysis keeps from the standard one
+const CORE_FIELDS = ['overview', 'key_decisions', 'action_items'];
+
+/**
+ * Analysis for an analysis template (see analysisTemplates.js): the template's instructions and
+ * fields in place of the standard prompt's, plus the core fields
+ * @param {Object|null} template - { instructions, fields: [{ key, label, type, description }] }, or
+ *   null for the standard analysis
+ * @returns {Object} See STANDARD_ANALYSIS
+ */
+const getAnalysisSpec = (template) => {
+  if (!template) return STANDARD_ANALYSIS;
+
+  const describeField = (field) => {
+    const shape = field.type === 'list'
+      ? 'An array of simple strings, not objects (include empty array if none)'
+      : 'A paragraph string (empty string if not discussed)';
+    return `"${field.key}" (${field.label}): ${shape}.${field.description ? ` ${field.description}` : ''}`;
+  };
+
+  const fieldLines = [OVERVIEW_FIELD, KEY_DECISIONS_FIELD, ACTION_ITEMS_FIELD, ...template.fields.map(describeField)];
+
+  const prompt = `You are an AI assistant that documents meetings for long-term memory and reference.
+
+{instructions}
+
+Analyze the following meeting transcript and provide a structured summary in JSON format with these fields:
+
+${fieldLines.map((line, i) => `${i + 1}. ${line}`).join('\n')}
+
+IMPORTANT: Every field except action_items is a string or an array of simple strings. Only action_items contains objects with task/owner/due_date.
+
+${SPEAKERS_INSTRUCTION}
+
+{language}
+
+Transcript:
+---
+{transcript}
+---
+
+${JSON_ONLY_INSTRUCTION}`;
+
+  const properties = Object.fromEntries(CORE_FIELDS.map(key => [key, ANALYSIS_SCHEMA.properties[key]]));
+  for (const field of template.fields) {
+    properties[field.key] = field.type === 'list' ? { type: 'array', items: { type: 'string' } } : { type: 'string' };
+  }
+
+  return {
+    template,
+    prompt,
+    schema: { type: 'object', properties, required: Object.keys(properties), additionalProperties: false },
+    fields: {
+      ...Object.fromEntries(CORE_FIELDS.map(key => [key, STANDARD_ANALYSIS.fields[key]])),
+      ...Object.fromEntries(template.fields.map(field => [field.key, field.type])),
+    },
+  };
+};
+
+/**
+ * Build the analysis prompt for a transcript
+ * Placeholders are filled in one pass, so template instructions or a transcript containing
+ * "{transcript}" are left as they are.
+ * @param {Object} analysis - See getAnalysisSpec
+ * @param {string} transcript - Meeting transcript (or one section of it)
+ * @param {string} languageInstruction - See getLanguageInstruction
+ * @param {string} sectionNote - Paragraph saying which part of the meeting this is ('' for the whole meeting)
+ * @returns {string}
+ */
+const buildAnalysisPrompt = (analysis, transcript, languageInstruction, sectionNote = '') => {
+  const values = {
+    instructions: analysis.template?.instructions || '',
+    language: sectionNote ? `${languageInstruction}\n\n${sectionNote}` : languageInstruction,
+    transcript,
+  };
+  return analysis.prompt.replace(/\{(instructions|language|transcript)\}/g, (placeholder, name) => values[name]);
+};
+
+// Responses asked for per analysis: the first one plus repairs of invalid ones
+const MAX_ANALYSIS_ATTEMPTS = 3;
+
+/**
+ * Follow-up message asking the model to fix an analysis that failed validation
+ * @param {Array<string>} errors - Parse or validation errors
+ * @param {Object} schema - Schema the analysis must match
+ * @returns {string}
+ */
+const buildRepairPrompt = (errors, schema) => `Your response did not match the required format:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Send the complete analysis again with these problems fixed, keeping all of its content. Use exactly the fields ${schema.required.map(field => `"${field}"`).join(', ')}.
+
+${JSON_ONLY_INSTRUCTION}`;
+
+/**
+ * Coerce a field that should be a string (smaller models sometimes return a list or object)
+ * @returns {string}
+ */
+const toText = (value) => {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean).join(' ');
+  if (value && typeof value === 'object') return Object.values(value).map(toText).filter(Boolean).join(' - ');
+  return value === null || value === undefined ? '' : String(value);
+};
+
+/**
+ * Coerce a field that should be a list: a single string becomes a one-item list, empty items are dropped
+ * @returns {Array}
+ */
+const toList = (value) => {
+  const items = Array.isArray(value) ? value : (value ? [value] : []);
+  return items.filter(item => item !== null && item !== undefined && item !== '');
+};
+
+/**
+ * Estimate the number of tokens in a text
+ * About 4 characters per token for Latin script and 1-2 for most others - errs on the high side,
+ * as running over the context is worse than analyzing in a few more sections.
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+export const estimateTokens = (text) => {
+  if (!text) return 0;
+  const nonAscii = text.match(/[^\x00-\x7F]/g)?.length || 0;
+  return Math.ceil((text.length - nonAscii) / 4 + nonAscii / 1.5);
+};
+
+// Response size of an analysis, and of the merged analysis of a long meeting
+const ANALYSIS_MAX_TOKENS = 4096;
+const MERGE_MAX_TOKENS = 8192;
+
+// Share of the context window to plan with, leaving room for estimation error
+const CONTEXT_SAFETY_RATIO = 0.9;
+
+// Most of the context window a response may take - small local models would otherwise
+// have no room left for the transcript
+const RESPONSE_CONTEXT_SHARE = 0.25;
+
+// Smallest piece of transcript worth analyzing on its own; below it the model context is too small
+const MIN_TRANSCRIPT_TOKENS = 1000;
+
+/**
+ * Tokens to allow for a response, capped by the model's output limit and its context window
+ * @param {Object} model - { contextTokens, maxOutputTokens } (see getModelForFeature)
+ * @param {number} responseTokens - Tokens wanted for the response
+ * @returns {number}
+ */
+export const getResponseTokenLimit = (model, responseTokens = ANALYSIS_MAX_TOKENS) => Math.min(
+  responseTokens,
+  model.maxOutputTokens || responseTokens,
+  Math.floor(model.contextTokens * RESPONSE_CONTEXT_SHARE)
+);
+
+/**
+ * Tokens of transcript that fit in one analysis request
+ * @param {Object} model - { contextTokens, maxOutputTokens } (see getModelForFeature)
+ * @param {number} responseTokens - Tokens wanted for the response
+ * @param {Object|null} template - Analysis template the prompt is built from (null for the standard prompt)
+ * @returns {number}
+ */
+export const getTranscriptTokenBudget = (model, responseTokens = ANALYSIS_MAX_TOKENS, template = null) => {
+  const analysis = getAnalysisSpec(template);
+  const reserved = getResponseTokenLimit(model, responseTokens)
+    + estimateTokens(analysis.prompt) + estimateTokens(analysis.template?.instructions)
+    + 500; // language and section notes
+  return Math.floor(model.contextTokens * CONTEXT_SAFETY_RATIO) - reserved;
+};
+
+/**
+ * Split text into pieces of at most maxTokens, at paragraph, then sentence, then word boundaries
+ * @param {string} text - Text to split
+ * @param {number} maxTokens - Token limit per piece
+ * @returns {Array<string>} Pieces in order
+ */
+export const splitTranscript = (text, maxTokens) => {
+  const pack = (parts, separator, splitFurther) => {
+    const pieces = [];
+    let current = '';
+
+    for (const part of parts) {
+      if (estimateTokens(part) > maxTokens) {
+        if (current) pieces.push(current);
+        current = '';
+        pieces.push(...splitFurther(part));
+        continue;
       }
-    }
-  } else {
-    // Primary is OpenAI
-    console.log(`Analyzing meeting with OpenAI (GPT-4o)...`);
-    try {
-      analysis = await analyzeWithGPT(transcript);
-      usedModel = 'GPT-4o';
-    } catch (error) {
-      const quotaError = checkAPIQuotaError(error, 'openai');
-
-      // If it's a quota/auth error and Anthropic is available, fall back
-      if (quotaError && process.env.ANTHROPIC_API_KEY) {
-        console.warn(`⚠️  OpenAI API failed: ${quotaError}`);
-        console.log(`🔄 Falling back to Anthropic (Claude Sonnet 4.5)...`);
-
-        try {
-          analysis = await analyzeWithClaude(transcript);
-          usedBackend = 'anthropic';
-          usedModel = 'Claude Sonnet 4.5';
-          fallbackOccurred = true;
-        } catch (fallbackError) {
-          console.error('❌ Fallback to Anthropic also failed:', fallbackError);
-          throw new Error(`Both APIs failed. OpenAI: ${quotaError}. Anthropic: ${fallbackError.message}`);
-        }
+
+      const joined = current ? `${current}${separator}${part}` : part;
+      if (estimateTokens(joined) > maxTokens) {
+        pieces.push(current);
+        current = part;
       } else {
-        // No fallback available or non-quota error
-        throw error;
+        current = joined;
       }
     }
+
+    if (current) pieces.push(current);
+    return pieces;
+  };
+
+  const byWords = (sentence) => pack(sentence.split(/\s+/), ' ', word => [word]);
+  const bySentences = (paragraph) => pack(paragraph.split(/(?<=[.!?])\s+/), ' ', byWords);
+
+  return pack(text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean), '\n\n', bySentences);
+};
+
+/**
+ * Plan the sections a long transcript is analyzed in
+ * Chunked recordings are cut at chunk boundaries: consecutive chunks are combined while they fit,
+ * and a chunk that doesn't fit on its own is split further. Other transcripts are split by size.
+ * @param {string} transcript - Transcript text
+ * @param {Array<Object>|null} chunkSections - [{ start, end, text }] per recording chunk (see
+ *   readTranscriptSections), or null
+ * @param {number} maxTokens - Token limit per section
+ * @returns {Array<Object>} [{ text, start, end }] - start/end (seconds) only for whole chunks
+ */
+export const planAnalysisSections = (transcript, chunkSections, maxTokens) => {
+  if (!chunkSections?.length) {
+    return splitTranscript(transcript, maxTokens).map(text => ({ text, start: null, end: null }));
   }
 
-  try {
-    // Validate and parse the analysis
-    const parsed = typeof analysis === 'string' ? JSON.parse(analysis) : analysis;
+  const sections = [];
+  for (const chunk of chunkSections) {
+    const last = sections[sections.length - 1];
 
-    // Ensure all required fields exist and add metadata
-    return {
-      overview: parsed.overview || 'No overview available',
-      discussion_topics: Array.isArray(parsed.discussion_topics) ? parsed.discussion_topics : [],
-      detailed_discussion: Array.isArray(parsed.detailed_discussion) ? parsed.detailed_discussion : [],
-      key_decisions: Array.isArray(parsed.key_decisions) ? parsed.key_decisions : [],
-      action_items: Array.isArray(parsed.action_items) ? parsed.action_items : [],
-      technical_details: Array.isArray(parsed.technical_details) ? parsed.technical_details : [],
-      context: parsed.context || '',
-      // Metadata about which model was used
-      _metadata: {
-        usedBackend,
-        usedModel,
-        fallbackOccurred,
-        analyzedAt: new Date().toISOString(),
-      },
-    };
-  } catch (error) {
-    console.error('Analysis parsing error:', error);
-    throw new Error(`Failed to parse analysis: ${error.message}`);
+    if (estimateTokens(chunk.text) > maxTokens) {
+      sections.push(...splitTranscript(chunk.text, maxTokens).map(text => ({ text, start: null, end: null })));
+    } else if (last && last.start !== null && estimateTokens(`${last.text}\n\n${chunk.text}`) <= maxTokens) {
+      last.text = `${last.text}\n\n${chunk.text}`;
+      last.end = chunk.end;
+    } else {
+      sections.push({ text: chunk.text, start: chunk.start, end: chunk.end });
+    }
   }
+
+  return sections;
+};
+
+const formatClockTime = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h${String(minutes).padStart(2, '0')}` : `${minutes} min`;
 };
 
 /**
- * Analyze using Claude (Anthropic)
- * @param {string} transcript - Meeting transcript
- * @returns {Promise<string>} JSON analysis
+ * Ask for an analysis until a response passes the analysis schema
+ * Invalid responses are sent back with their validation errors, up to MAX_ANALYSIS_ATTEMPTS in all.
+ * @param {Object} analysis - See getAnalysisSpec
+ * @param {string} prompt - User prompt
+ * @param {string|null} backend - Provider override
+ * @param {number} maxTokens - Response token limit
+ * @returns {Promise<Object>} { parsed, valid, attempts, validationErrors, result } - parsed is the
+ *   last parseable response (valid or not)
+ * @throws {Error} When no response held a JSON object
  */
-const analyzeWithClaude = async (transcript) => {
-  const client = getAnthropicClient();
-  if (!client) {
-    throw new Error('Anthropic API key not configured');
+const requestAnalysis = async (analysis, prompt, backend, maxTokens = ANALYSIS_MAX_TOKENS) => {
+  const request = {
+    system: 'You are a meeting documentation assistant that captures detailed discussions for long-term reference. Return structured JSON responses with thorough detail.',
+    maxTokens,
+    json: true,
+    schema: { name: 'meeting_analysis', schema: analysis.schema },
+  };
+  const messages = [{ role: 'user', content: prompt }];
+  const validationErrors = [];
+  let provider = backend;
+  let result = null;
+  let parsed = null;
+  let valid = false;
+
+  for (let attempt = 1; attempt <= MAX_ANALYSIS_ATTEMPTS && !valid; attempt++) {
+    // Measured per attempt, as repairs grow the conversation
+    const promptTokens = estimateTokens(request.system) + messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+    result = await generateText('meeting_analysis', { ...request, messages: [...messages], promptTokens }, { provider });
+    // Repairs go to the provider that answered
+    if (result.fallbackOccurred) provider = result.provider;
+
+    let errors;
+    try {
+      parsed = parseJSONResponse(result.text);
+      errors = validateJSONSchema(parsed, analysis.schema);
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    if (errors.length === 0) {
+      valid = true;
+    } else {
+      validationErrors.push({ attempt, errors });
+      console.warn(`⚠️  Analysis attempt ${attempt}/${MAX_ANALYSIS_ATTEMPTS} is invalid: ${errors.slice(0, 3).join('; ')}`);
+      messages.push(
+        { role: 'assistant', content: result.text || '(empty response)' },
+        { role: 'user', content: buildRepairPrompt(errors, analysis.schema) }
+      );
+    }
   }
 
-  try {
-    const prompt = ANALYSIS_PROMPT.replace('{transcript}', transcript);
-
-    const message = await client.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4096,
-      messages: [
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
+  if (!parsed) {
+    const lastErrors = validationErrors[validationErrors.length - 1].errors;
+    console.error('Analysis parsing error:', lastErrors);
+    throw new Error(`Failed to parse analysis: ${lastErrors[0]}`);
+  }
+
+  return { parsed, valid, attempts: validationErrors.length + (valid ? 1 : 0), validationErrors, result };
+};
+
+/**
+ * Put a parsed response into the analysis shape
+ * Valid analyses pass through unchanged; an invalid one is coerced field by field.
+ * @param {Object} parsed - Parsed response
+ * @param {Object} analysis - See getAnalysisSpec
+ * @returns {Object} Analysis fields
+ */
+const toAnalysisFields = (parsed, analysis) => {
+  const fields = Object.fromEntries(Object.entries(analysis.fields).map(([key, type]) => [
+    key,
+    type === 'text' ? toText(parsed[key]) : toList(parsed[key]),
+  ]));
+  return { ...fields, overview: fields.overview || 'No overview available' };
+};
+
+/**
+ * Combine section analyses without a model: lists are concatenated with repeats removed
+ * Used when the section analyses are too long to merge in one request, or the merge fails.
+ * @param {Array<Object>} analyses - Section analysis fields, in meeting order
+ * @param {Object|null} template - Analysis template the sections were analyzed with (null for the standard fields)
+ * @returns {Object} Analysis fields
+ */
+export const combineSectionAnalyses = (analyses, template = null) => {
+  const keyOf = (item) => String(typeof item === 'object' && item !== null ? item.task ?? JSON.stringify(item) : item)
+    .trim()
+    .toLowerCase();
+  const concat = (field) => {
+    const seen = new Set();
+    return analyses.flatMap(analysis => analysis[field]).filter(item => {
+      const key = keyOf(item);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
     });
+  };
 
-    const response = message.content[0].text;
-    console.log('Claude analysis completed');
+  return Object.fromEntries(Object.entries(getAnalysisSpec(template).fields).map(([field, type]) => [
+    field,
+    type === 'text' ? analyses.map(analysis => analysis[field]).filter(Boolean).join(' ') : concat(field),
+  ]));
+};
 
-    return response;
-  } catch (error) {
-    // Check for API quota/billing issues
-    const quotaError = checkAPIQuotaError(error, 'anthropic');
-    if (quotaError) {
-      console.error('❌ Anthropic API Error:', quotaError);
-      throw new Error(quotaError);
+/**
+ * Prompt merging the analyses of a long meeting's sections into one
+ * @param {Array<Object>} analyses - Section analysis fields, in meeting order
+ * @param {string} languageInstruction - See getLanguageInstruction
+ * @param {Object} analysis - See getAnalysisSpec
+ * @returns {string}
+ */
+const buildMergePrompt = (analyses, languageInstruction, analysis) => {
+  const fieldsOfType = (type) => Object.keys(analysis.fields)
+    .filter(field => field !== 'overview' && analysis.fields[field] === type)
+    .map(field => `"${field}"`)
+    .join(', ');
+  const textFields = fieldsOfType('text');
+
+  return `You are combining the analyses of the ${analyses.length} consecutive parts of one long meeting into a single analysis of the whole meeting.
+
+Return one JSON object with the same fields as the part analyses:
+- "overview": 2-3 sentences covering the whole meeting
+- ${fieldsOfType('list')}: combine the parts' lists in meeting order. Merge entries about the same topic, decision or task into one (a later part may refine or reverse an earlier one - keep the final outcome and mention the change). Keep all details, options, trade-offs and reasons.${textFields ? `
+- ${textFields}: one paragraph each covering the whole meeting` : ''}
+
+${languageInstruction}
+
+Part analyses, in order:
+---
+${analyses.map((part, i) => `Part ${i + 1}:\n${JSON.stringify(part)}`).join('\n\n')}
+---
+
+${JSON_ONLY_INSTRUCTION}`;
+};
+
+/**
+ * Analyze a transcript too long for one request: analyze each section, then merge the results
+ * @returns {Promise<Object>} { fields, result, validation, sections }
+ */
+const analyzeInSections = async (sections, { analysis, backend, model, languageInstruction, onProgress }) => {
+  const analyses = [];
+  const validation = { valid: true, attempts: 0, errors: [] };
+  let result = null;
+
+  const record = (response, section) => {
+    validation.valid = validation.valid && response.valid;
+    validation.attempts += response.attempts;
+    validation.errors.push(...response.validationErrors.map(entry => ({ ...entry, section })));
+    result = response.result;
+  };
+
+  for (const [i, section] of sections.entries()) {
+    onProgress?.({ current: i + 1, total: sections.length, message: `Analyzing part ${i + 1} of ${sections.length}...` });
+
+    const range = section.start !== null
+      ? ` It covers ${formatClockTime(section.start)} to ${formatClockTime(section.end)} of the recording.`
+      : '';
+    const sectionNote = `PART ${i + 1} OF ${sections.length}: The transcript below is one part of a longer meeting.${range} Analyze only this part - the analyses of all parts are merged afterwards.`;
+
+    const response = await requestAnalysis(
+      analysis,
+      buildAnalysisPrompt(analysis, section.text, languageInstruction, sectionNote),
+      backend,
+      getResponseTokenLimit(model)
+    );
+    record(response, i + 1);
+    analyses.push(toAnalysisFields(response.parsed, analysis));
+  }
+
+  onProgress?.({ current: sections.length, total: sections.length, message: 'Merging the analyses of all parts...' });
+
+  const mergePrompt = buildMergePrompt(analyses, languageInstruction, analysis);
+  if (estimateTokens(mergePrompt) <= getTranscriptTokenBudget(model, MERGE_MAX_TOKENS)) {
+    try {
+      const response = await requestAnalysis(analysis, mergePrompt, backend, getResponseTokenLimit(model, MERGE_MAX_TOKENS));
+      record(response, 'merge');
+      return { fields: toAnalysisFields(response.parsed, analysis), result, validation, merged: 'model' };
+    } catch (error) {
+      console.warn(`⚠️  Merging section analyses failed (${error.message}) - combining them as they are`);
     }
-    throw error;
+  } else {
+    console.warn('⚠️  Section analyses are too long to merge in one request - combining them as they are');
   }
+
+  return { fields: combineSectionAnalyses(analyses, analysis.template), result, validation, merged: 'combined' };
 };
 
 /**
- * Analyze using GPT-4o (OpenAI)
- * @param {string} transcript - Meeting transcript
- * @returns {Promise<string>} JSON analysis
+ * Analyze meeting transcript using AI with automatic fallback
+ * Responses are validated against ANALYSIS_SCHEMA, or the template's schema; invalid ones are sent
+ * back for repair (up to MAX_ANALYSIS_ATTEMPTS responses in all) and their errors are kept in
+ * _metadata.validation.
+ * A transcript over the model's context budget is analyzed section by section (map) and the
+ * section analyses merged into one (reduce) - see planAnalysisSections.
+ * @param {string} transcript - Meeting transcript text
+ * @param {string} backend - AI provider to use (see llmProviders.js) - defaults to user setting
+ * @param {Object} options - { language: code of the language the meeting was held in (optional),
+ *   sections: per-chunk sections of a chunked recording (see readTranscriptSections, optional),
+ *   onProgress: called with { current, total, message } while a long transcript is analyzed,
+ *   template: analysis template to use instead of the standard fields (see analysisTemplates.js, optional) }
+ *   The summary is written in that language unless the analysis.output_language setting names another.
+ * @returns {Promise<Object>} Structured analysis with metadata about which model was used - analyses
+ *   made with a template also carry template: { id, name, fields } so they render without it
  */
-const analyzeWithGPT = async (transcript) => {
-  const client = getOpenAIClient();
-  if (!client) {
-    throw new Error('OpenAI API key not configured');
+export const analyzeMeeting = async (transcript, backend = null, { language = null, sections = null, onProgress = null, template = null } = {}) => {
+  if (!transcript || transcript.trim().length === 0) {
+    throw new Error('Transcript is empty');
   }
 
-  try {
-    const prompt = ANALYSIS_PROMPT.replace('{transcript}', transcript);
-
-    const completion = await client.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a meeting documentation assistant that captures detailed discussions for long-term reference. Return structured JSON responses with thorough detail.',
-        },
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
-      response_format: { type: 'json_object' },
-      max_tokens: 4096,
-    });
+  const outputSetting = getAnalysisOutputLanguage();
+  const outputLanguage = outputSetting === 'meeting' ? language : outputSetting;
+  const languageInstruction = getLanguageInstruction(language, outputLanguage);
+
+  const analysis = getAnalysisSpec(template);
+  const model = getModelForFeature('meeting_analysis', backend);
+  const estimatedTokens = estimateTokens(transcript);
+  const tokenBudget = getTranscriptTokenBudget(model, ANALYSIS_MAX_TOKENS, template);
+
+  let fields;
+  let result;
+  let validation;
+  let mapReduce = null;
+
+  if (estimatedTokens <= tokenBudget) {
+    const response = await requestAnalysis(analysis, buildAnalysisPrompt(analysis, transcript, languageInstruction), backend, getResponseTokenLimit(model));
+    fields = toAnalysisFields(response.parsed, analysis);
+    result = response.result;
+    validation = { valid: response.valid, attempts: response.attempts, errors: response.validationErrors };
+  } else {
+    if (tokenBudget < MIN_TRANSCRIPT_TOKENS) {
+      throw new Error(`Model context too small: ${model.label} has a ${model.contextTokens}-token context, which leaves ${Math.max(tokenBudget, 0)} tokens for this ~${estimatedTokens}-token transcript (at least ${MIN_TRANSCRIPT_TOKENS} needed). Use a model with a larger context${model.provider === 'local' ? ' or raise LOCAL_LLM_CONTEXT_TOKENS' : ''}.`);
+    }
 
-    const response = completion.choices[0].message.content;
-    console.log('GPT-4o analysis completed');
+    const planned = planAnalysisSections(transcript, sections, tokenBudget);
+    console.log(`📏 Transcript is ~${estimatedTokens} tokens, over the ${tokenBudget}-token budget of ${model.label} - analyzing in ${planned.length} sections`);
 
-    return response;
-  } catch (error) {
-    // Check for API quota/billing issues
-    const quotaError = checkAPIQuotaError(error, 'openai');
-    if (quotaError) {
-      console.error('❌ OpenAI API Error:', quotaError);
-      throw new Error(quotaError);
-    }
-    throw error;
+    const analyzed = await analyzeInSections(planned, { analysis, backend, model, languageInstruction, onProgress });
+    ({ fields, result, validation } = analyzed);
+    mapReduce = { sections: planned.length, alignedToChunks: !!sections?.length, merged: analyzed.merged };
   }
+
+  console.log(`${result.modelLabel} analysis completed${template ? ` with template "${template.name}"` : ''}${validation.valid ? '' : ' (did not pass validation - fields were coerced)'}`);
+
+  return {
+    ...fields,
+    ...(template && {
+      template: {
+        id: template.id,
+        name: template.name,
+        fields: template.fields.map(({ key, label, type }) => ({ key, label, type })),
+      },
+    }),
+    // Metadata about which model was used and how its output validated
+    _metadata: {
+      usedBackend: result.provider,
+      usedModel: result.modelLabel,
+      modelId: result.model,
+      fallbackOccurred: result.fallbackOccurred,
+      language: outputLanguage,
+      analyzedAt: new Date().toISOString(),
+      estimatedTokens,
+      tokenBudget,
+      // Present when the transcript was analyzed in sections
+      mapReduce,
+      // Errors of each rejected response (with the section it belonged to when analyzed in
+      // sections); valid is false when a final response still failed
+      validation,
+    },
+  };
 };
 
 /**
@@ -316,7 +661,7 @@ export const saveSummary = async (analysis, meetingId) => {
     const summaryData = {
       ...analysis,
       generatedAt: new Date().toISOString(),
-      aiBackend: AI_BACKEND,
+      aiBackend: analysis._metadata?.usedBackend,
     };
 
     await fs.writeFile(filePath, JSON.stringify(summaryData, null, 2));
@@ -346,6 +691,33 @@ export const readSummary = async (summaryPath) => {
   }
 };
 
+/**
+ * List all summary files saved for a meeting, including ones replaced by reprocessing
+ * @param {number} meetingId - Meeting ID
+ * @returns {Promise<Array<Object>>} Summary paths with generation time (newest first)
+ */
+export const listSummaries = async (meetingId) => {
+  try {
+    const files = await fs.readdir(SUMMARY_DIR);
+    const pattern = new RegExp(`^meeting-${meetingId}-(\\d+)\\.json$`);
+
+    return files
+      .map(file => file.match(pattern))
+      .filter(Boolean)
+      .map(([filename, timestamp]) => ({
+        path: `/storage/summaries/${filename}`,
+        generatedAt: new Date(parseInt(timestamp, 10)).toISOString(),
+      }))
+      .sort((a, b) => b.generatedAt.localeCompare(a.generatedAt));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    console.error('Error listing summaries:', error);
+    throw new Error('Failed to list summaries');
+  }
+};
+
 /**
  * Generate mentor feedback on meeting
  * @param {string} transcript - Meeting transcript
@@ -353,8 +725,6 @@ export const readSummary = async (summaryPath) => {
  * @returns {Promise<Object>} Mentor feedback
  */
 export const generateMentorFeedback = async (transcript, summary) => {
-  const backend = getAIBackendForFeature('mentor_feedback');
-
   const prompt = `You are an experienced technical mentor reviewing a meeting transcript.
 
 Based on this meeting summary and transcript, provide constructive feedback in JSON format:
@@ -370,40 +740,17 @@ Provide feedback in this structure:
   "overall_assessment": "brief overall assessment"
 }
 
-Provide ONLY the JSON response, no additional text.`;
+${JSON_ONLY_INSTRUCTION}`;
 
   try {
-    let feedback;
-
-    if (backend === 'anthropic') {
-      const client = getAnthropicClient();
-      if (!client) {
-        throw new Error('Anthropic API key not configured');
-      }
-      const message = await client.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 1024,
-        messages: [{ role: 'user', content: prompt }],
-      });
-      feedback = message.content[0].text;
-    } else {
-      const client = getOpenAIClient();
-      if (!client) {
-        throw new Error('OpenAI API key not configured');
-      }
-      const completion = await client.chat.completions.create({
-        model: 'gpt-4o',
-        messages: [
-          { role: 'system', content: 'You are a technical mentor providing feedback.' },
-          { role: 'user', content: prompt },
-        ],
-        response_format: { type: 'json_object' },
-        max_tokens: 1024,
-      });
-      feedback = completion.choices[0].message.content;
-    }
+    const { text } = await generateText('mentor_feedback', {
+      system: 'You are a technical mentor providing feedback.',
+      messages: [{ role: 'user', content: prompt }],
+      maxTokens: 1024,
+      json: true,
+    });
 
-    return typeof feedback === 'string' ? JSON.parse(feedback) : feedback;
+    return parseJSONResponse(text);
   } catch (error) {
     console.error('Mentor feedback error:', error);
     throw new Error('Failed to generate mentor feedback');
@@ -419,8 +766,6 @@ Provide ONLY the JSON response, no additional text.`;
  * @returns {Promise<Object>} Wiki update suggestions
  */
 export const generateWikiUpdateSuggestions = async (currentWiki, transcript, summary, projectName) => {
-  const backend = getAIBackendForFeature('wiki_updates');
-
   // Use full transcript for better context (modern LLMs handle 100k+ tokens)
   const fullTranscript = transcript;
 
@@ -498,40 +843,17 @@ IMPORTANT - CAPTURE NUANCE:
 - Only suggest updates for information actually discussed in the meeting
 - Update the Overview if the meeting discusses project purpose, goals, scope, or high-level objectives
 
-Provide ONLY the JSON response, no additional text.`;
+${JSON_ONLY_INSTRUCTION}`;
 
   try {
-    let suggestions;
-
-    if (backend === 'anthropic') {
-      const client = getAnthropicClient();
-      if (!client) {
-        throw new Error('Anthropic API key not configured');
-      }
-      const message = await client.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 8000, // Increased from 3000 to capture detailed nuances and multiple updates
-        messages: [{ role: 'user', content: prompt }],
-      });
-      suggestions = message.content[0].text;
-    } else {
-      const client = getOpenAIClient();
-      if (!client) {
-        throw new Error('OpenAI API key not configured');
-      }
-      const completion = await client.chat.completions.create({
-        model: 'gpt-4o',
-        messages: [
-          { role: 'system', content: 'You are a technical documentation assistant that analyzes meetings and suggests detailed wiki updates with nuances, trade-offs, and context.' },
-          { role: 'user', content: prompt },
-        ],
-        response_format: { type: 'json_object' },
-        max_tokens: 8000, // Increased from 3000 to capture detailed nuances and multiple updates
-      });
-      suggestions = completion.choices[0].message.content;
-    }
+    const { text } = await generateText('wiki_updates', {
+      system: 'You are a technical documentation assistant that analyzes meetings and suggests detailed wiki updates with nuances, trade-offs, and context.',
+      messages: [{ role: 'user', content: prompt }],
+      maxTokens: 8000, // Increased from 3000 to capture detailed nuances and multiple updates
+      json: true,
+    });
 
-    const parsed = typeof suggestions === 'string' ? JSON.parse(suggestions) : suggestions;
+    const parsed = parseJSONResponse(text);
 
     // Validate and normalize the response
     return {
@@ -548,6 +870,62 @@ Provide ONLY the JSON response, no additional text.`;
   }
 };
 
+/**
+ * Compare two consecutive meetings of a series and describe what changed
+ * @param {Object} previous - { title, date, summary } of the earlier meeting
+ * @param {Object} current - { title, date, summary } of the later meeting
+ * @param {string} seriesName - Series name
+ * @returns {Promise<Object>} Digest with overview, new_topics, progress, decisions_changed, still_open, backend and model
+ */
+export const generateSeriesDigest = async (previous, current, seriesName) => {
+  const prompt = `You are helping a team keep track of a recurring meeting: "${seriesName}".
+
+Compare the previous meeting with the latest one and describe what changed since last time.
+
+Previous meeting - ${previous.title} (${previous.date}):
+${JSON.stringify(previous.summary, null, 2)}
+
+Latest meeting - ${current.title} (${current.date}):
+${JSON.stringify(current.summary, null, 2)}
+
+Provide the digest in this JSON structure:
+{
+  "overview": "2-3 sentences on how things moved since the previous meeting",
+  "new_topics": ["topics raised for the first time in the latest meeting"],
+  "progress": ["items from the previous meeting that were completed or moved forward"],
+  "decisions_changed": ["decisions that were made, reversed or revised since last time"],
+  "still_open": ["action items, questions or risks from the previous meeting that are still open"]
+}
+
+Only mention things supported by the two summaries. Use empty arrays when nothing applies.
+
+${JSON_ONLY_INSTRUCTION}`;
+
+  try {
+    const result = await generateText('meeting_analysis', {
+      system: 'You compare consecutive meetings of a recurring series and summarize what changed.',
+      messages: [{ role: 'user', content: prompt }],
+      maxTokens: 2048,
+      json: true,
+    });
+
+    const parsed = parseJSONResponse(result.text);
+
+    return {
+      overview: parsed.overview || '',
+      new_topics: Array.isArray(parsed.new_topics) ? parsed.new_topics : [],
+      progress: Array.isArray(parsed.progress) ? parsed.progress : [],
+      decisions_changed: Array.isArray(parsed.decisions_changed) ? parsed.decisions_changed : [],
+      still_open: Array.isArray(parsed.still_open) ? parsed.still_open : [],
+      backend: result.provider,
+      model: result.modelLabel,
+    };
+  } catch (error) {
+    console.error('Series digest error:', error);
+    throw new Error(`Failed to generate series digest: ${error.message}`);
+  }
+};
+
 /**
  * Get structured wiki template
  * @param {string} projectName - Project name
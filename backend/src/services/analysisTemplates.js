@@ -0,0 +1,99 @@
+import { getAnalysisTemplateById, getProjectById } from '../db/database.js';
+import { ANALYSIS_SCHEMA } from './aiAnalysis.js';
+
+/**
+ * Analysis templates
+ *
+ * A template replaces the standard analysis prompt for the meetings it is assigned to: its
+ * instructions describe what matters in that kind of meeting (a sales call, an incident review)
+ * and its fields are what the analysis returns besides the overview, decisions and action items
+ * every analysis keeps - the decision register, action item tracker and search rely on those.
+ * A meeting uses its own template, else its project's, else the standard analysis.
+ */
+
+export const TEMPLATE_FIELD_TYPES = ['text', 'list'];
+
+const MAX_TEMPLATE_FIELDS = 12;
+
+// Field keys are JSON keys in the summary file, next to the standard fields and file metadata
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const RESERVED_FIELD_KEYS = new Set([...ANALYSIS_SCHEMA.required, 'template', 'generatedAt', 'aiBackend', '_metadata']);
+
+const parseFields = (value) => {
+  try {
+    const fields = value ? JSON.parse(value) : [];
+    return Array.isArray(fields) ? fields : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Convert an analysis_templates row to the API format (fields as an array)
+ * @param {Object} row - analysis_templates row
+ * @returns {Object} Template
+ */
+export const toAnalysisTemplate = (row) => ({
+  ...row,
+  fields: parseFields(row.fields),
+});
+
+/**
+ * Check and clean up the fields of a template from a request body
+ * Labels default to the key; a key is derived from the label when missing.
+ * @param {Array<Object>} fields - [{ key, label, type, description }]
+ * @returns {Object} { fields } when valid, else { error }
+ */
+export const normalizeTemplateFields = (fields) => {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    return { error: 'fields must be a non-empty array' };
+  }
+  if (fields.length > MAX_TEMPLATE_FIELDS) {
+    return { error: `A template can have at most ${MAX_TEMPLATE_FIELDS} fields` };
+  }
+
+  const normalized = [];
+  for (const [index, field] of fields.entries()) {
+    const label = typeof field?.label === 'string' ? field.label.trim() : '';
+    const key = typeof field?.key === 'string' && field.key.trim()
+      ? field.key.trim()
+      : label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+    if (!FIELD_KEY_PATTERN.test(key)) {
+      return { error: `Field ${index + 1}: key must start with a letter and use only lowercase letters, digits and underscores` };
+    }
+    if (RESERVED_FIELD_KEYS.has(key)) {
+      return { error: `Field ${index + 1}: "${key}" is a standard analysis field and cannot be redefined` };
+    }
+    if (normalized.some(existing => existing.key === key)) {
+      return { error: `Field ${index + 1}: duplicate key "${key}"` };
+    }
+    if (!TEMPLATE_FIELD_TYPES.includes(field.type)) {
+      return { error: `Field ${index + 1}: type must be one of ${TEMPLATE_FIELD_TYPES.join(', ')}` };
+    }
+
+    normalized.push({
+      key,
+      label: label || key,
+      type: field.type,
+      description: typeof field.description === 'string' ? field.description.trim() : '',
+    });
+  }
+
+  return { fields: normalized };
+};
+
+/**
+ * Template to analyze a meeting with: its own, else its project's
+ * @param {Object} meeting - Meeting row
+ * @returns {Object|null} Template, or null for the standard analysis
+ */
+export const getAnalysisTemplateForMeeting = (meeting) => {
+  const templateId = meeting.analysis_template_id
+    || (meeting.project_id ? getProjectById.get(meeting.project_id)?.analysis_template_id : null);
+
+  if (!templateId) return null;
+
+  const row = getAnalysisTemplateById.get(templateId);
+  return row ? toAnalysisTemplate(row) : null;
+};
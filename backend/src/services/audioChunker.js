@@ -2,34 +2,172 @@ import ffmpeg from 'fluent-ffmpeg';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { execSync } from 'child_process';
+import { execFileSync } from 'child_process';
+import { createRequire } from 'module';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+const require = createRequire(import.meta.url);
 
 const CHUNK_DIR = path.join(__dirname, '../../storage/chunks');
 
-// Configure FFmpeg path
-try {
-  // Try to find ffmpeg in PATH
-  const ffmpegPath = execSync('where ffmpeg', { encoding: 'utf-8' }).trim().split('\n')[0];
-  const ffprobePath = execSync('where ffprobe', { encoding: 'utf-8' }).trim().split('\n')[0];
+// ==================== FFmpeg discovery ====================
 
-  console.log(`FFmpeg path: ${ffmpegPath}`);
-  console.log(`FFprobe path: ${ffprobePath}`);
+// Binaries shipped with the app (backend/bin/ffmpeg, backend/bin/ffprobe)
+const BUNDLED_BIN_DIR = path.join(__dirname, '../../bin');
+const EXECUTABLE_SUFFIX = process.platform === 'win32' ? '.exe' : '';
 
-  ffmpeg.setFfmpegPath(ffmpegPath);
-  ffmpeg.setFfprobePath(ffprobePath);
-} catch (error) {
-  console.error('Warning: Could not locate FFmpeg/FFprobe in PATH');
-  console.error('Please ensure FFmpeg is installed and in your system PATH');
-}
+// Where each tool can be configured, and npm packages with static builds used when installed
+const AUDIO_TOOLS = {
+  ffmpeg: { envVar: 'FFMPEG_PATH', packages: ['ffmpeg-static', '@ffmpeg-installer/ffmpeg'] },
+  ffprobe: { envVar: 'FFPROBE_PATH', packages: ['ffprobe-static', '@ffprobe-installer/ffprobe'] },
+};
+
+/**
+ * Check that a candidate binary runs
+ * @param {string} binaryPath - Path to ffmpeg/ffprobe
+ * @returns {string|null} First line of `-version` output, or null when it does not run
+ */
+const probeBinary = (binaryPath) => {
+  try {
+    const output = execFileSync(binaryPath, ['-version'], {
+      encoding: 'utf-8',
+      timeout: 10000,
+      stdio: ['ignore', 'pipe', 'ignore'],
+    });
+    return output.split('\n')[0].trim();
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Look a tool up in the system PATH (`where` on Windows, `which` elsewhere)
+ * @param {string} name - Tool name
+ * @returns {string|null} Path of the first match
+ */
+const findInPath = (name) => {
+  try {
+    const output = execFileSync(process.platform === 'win32' ? 'where' : 'which', [name], {
+      encoding: 'utf-8',
+      timeout: 10000,
+      stdio: ['ignore', 'pipe', 'ignore'],
+    });
+    return output.split(/\r?\n/)[0].trim() || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Path exported by an installed static-build package (a string or { path })
+ * @param {string} packageName - npm package
+ * @returns {string|null}
+ */
+const findInPackage = (packageName) => {
+  try {
+    const exported = require(packageName);
+    return typeof exported === 'string' ? exported : exported?.path || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Locate a tool: the FFMPEG_PATH/FFPROBE_PATH setting, then the system PATH, then bundled binaries
+ * @param {string} name - 'ffmpeg' or 'ffprobe'
+ * @returns {Object} { path, source, version } - path is null when the tool was not found
+ */
+const locateTool = (name) => {
+  const { envVar, packages } = AUDIO_TOOLS[name];
+  const candidates = [
+    { path: process.env[envVar], source: envVar },
+    { path: findInPath(name), source: 'PATH' },
+    { path: path.join(BUNDLED_BIN_DIR, `${name}${EXECUTABLE_SUFFIX}`), source: 'bundled' },
+    ...packages.map(packageName => ({ path: findInPackage(packageName), source: packageName })),
+  ];
+
+  for (const candidate of candidates) {
+    if (!candidate.path) continue;
+
+    const version = probeBinary(candidate.path);
+    if (version) {
+      return { ...candidate, version };
+    }
+    if (candidate.source === envVar) {
+      console.warn(`⚠️  ${envVar} is set but ${candidate.path} does not run - looking elsewhere`);
+    }
+  }
+
+  return { path: null, source: null, version: null };
+};
+
+// Located on first use rather than at import - server.js loads .env after its imports have run
+let audioTools = null;
+
+/**
+ * Locate ffmpeg and ffprobe once and point fluent-ffmpeg at them
+ * @returns {Object} { ffmpeg, ffprobe } with { path, source, version } per tool
+ */
+const getAudioTools = () => {
+  if (audioTools) return audioTools;
+
+  audioTools = {
+    ffmpeg: locateTool('ffmpeg'),
+    ffprobe: locateTool('ffprobe'),
+  };
+
+  for (const [name, tool] of Object.entries(audioTools)) {
+    if (tool.path) {
+      console.log(`${name} (${tool.source}): ${tool.path}`);
+    } else {
+      console.warn(`⚠️  Could not locate ${name} - set ${AUDIO_TOOLS[name].envVar}, add it to PATH or place it in backend/bin`);
+    }
+  }
+
+  if (audioTools.ffmpeg.path) ffmpeg.setFfmpegPath(audioTools.ffmpeg.path);
+  if (audioTools.ffprobe.path) ffmpeg.setFfprobePath(audioTools.ffprobe.path);
+
+  return audioTools;
+};
+
+/**
+ * Whether audio conversion and chunking can run, for GET /api/health
+ * @returns {Object} { available, ffmpeg, ffprobe } with { path, source, version } per tool
+ */
+export const getAudioProcessingStatus = () => {
+  const tools = getAudioTools();
+  return {
+    available: !!(tools.ffmpeg.path && tools.ffprobe.path),
+    ffmpeg: tools.ffmpeg,
+    ffprobe: tools.ffprobe,
+  };
+};
+
+/**
+ * Throw a readable error when a tool is missing (instead of fluent-ffmpeg's spawn error)
+ * @param {string} name - 'ffmpeg' or 'ffprobe'
+ */
+const assertToolAvailable = (name) => {
+  if (!getAudioTools()[name].path) {
+    throw new Error(`${name} not found. Install FFmpeg or set ${AUDIO_TOOLS[name].envVar} in your .env file`);
+  }
+};
 
 // Configuration
 const CHUNK_DURATION_SECONDS = 600; // 10 minutes
-const CHUNK_OVERLAP_SECONDS = 2; // 2 seconds overlap between chunks
+const CHUNK_OVERLAP_SECONDS = 2; // Overlap when a chunk has to be cut mid-speech
 const TARGET_SIZE_MB = 24; // Target 24MB to stay under 25MB limit
 
+// Silence detection - chunks are cut in the middle of a pause near the chunk duration
+const SILENCE_NOISE_DB = -35; // Anything quieter counts as silence
+const SILENCE_MIN_SECONDS = 0.5; // Shortest pause to cut on
+const BOUNDARY_SEARCH_SECONDS = 60; // How far before the chunk duration to look for a pause
+
+// Merging - repeated words at an overlapped boundary are removed when at least this many match
+const MIN_OVERLAP_WORDS = 2;
+const MAX_OVERLAP_WORDS = 20;
+
 /**
  * Get audio file metadata using ffprobe
  * @param {string} audioPath - Path to audio file
@@ -37,6 +175,8 @@ const TARGET_SIZE_MB = 24; // Target 24MB to stay under 25MB limit
  */
 export const getAudioMetadata = (audioPath) => {
   return new Promise((resolve, reject) => {
+    assertToolAvailable('ffprobe');
+
     ffmpeg.ffprobe(audioPath, (err, metadata) => {
       if (err) {
         reject(new Error(`Failed to probe audio file: ${err.message}`));
@@ -55,6 +195,8 @@ export const getAudioMetadata = (audioPath) => {
  */
 export const convertToWav = (inputPath, outputPath) => {
   return new Promise((resolve, reject) => {
+    assertToolAvailable('ffmpeg');
+
     ffmpeg(inputPath)
       .audioChannels(1) // Mono
       .audioFrequency(16000) // 16kHz
@@ -78,7 +220,106 @@ export const convertToWav = (inputPath, outputPath) => {
 };
 
 /**
- * Split audio file into chunks with overlap
+ * Parse the log of FFmpeg's silencedetect filter
+ * @param {Array<string>} lines - stderr lines
+ * @returns {Array<Object>} Pauses [{ start, end }] in seconds; end is null for silence running to
+ *   the end of the file
+ */
+export const parseSilenceDetectOutput = (lines) => {
+  const silences = [];
+
+  for (const line of lines) {
+    const start = line.match(/silence_start:\s*(-?[\d.]+)/);
+    if (start) {
+      silences.push({ start: Math.max(0, parseFloat(start[1])), end: null });
+      continue;
+    }
+
+    const end = line.match(/silence_end:\s*([\d.]+)/);
+    if (end && silences.length > 0 && silences[silences.length - 1].end === null) {
+      silences[silences.length - 1].end = parseFloat(end[1]);
+    }
+  }
+
+  return silences;
+};
+
+/**
+ * Find the pauses in a recording with FFmpeg's silencedetect filter
+ * @param {string} audioPath - Path to audio file
+ * @param {Object} options - { noiseDb, minDuration }
+ * @returns {Promise<Array<Object>>} Pauses [{ start, end }] in seconds
+ */
+export const detectSilences = (audioPath, { noiseDb = SILENCE_NOISE_DB, minDuration = SILENCE_MIN_SECONDS } = {}) => {
+  return new Promise((resolve, reject) => {
+    assertToolAvailable('ffmpeg');
+
+    // Read every stderr line - the 'end' event only keeps the last few
+    const lines = [];
+
+    ffmpeg(audioPath)
+      .audioFilters(`silencedetect=noise=${noiseDb}dB:d=${minDuration}`)
+      .format('null') // Analyse only - nothing is written
+      .on('stderr', (line) => lines.push(line))
+      .on('end', () => resolve(parseSilenceDetectOutput(lines)))
+      .on('error', (err) => {
+        reject(new Error(`FFmpeg silence detection failed: ${err.message}`));
+      })
+      .save(process.platform === 'win32' ? 'NUL' : '/dev/null');
+  });
+};
+
+/**
+ * Plan where to cut a recording into chunks of at most chunkDuration seconds
+ * Each cut is placed in the middle of the latest pause within the last BOUNDARY_SEARCH_SECONDS
+ * (at most a quarter of the chunk) before the chunk duration. Without a pause there, the chunk is
+ * cut at the full duration and the next chunk starts CHUNK_OVERLAP_SECONDS early so that words
+ * on the cut are heard whole by one of the two chunks (see mergeChunkTranscriptions).
+ * @param {number} durationSeconds - Total duration in seconds
+ * @param {Array<Object>} silences - Pauses [{ start, end }] from detectSilences
+ * @param {number} chunkDuration - Longest chunk in seconds
+ * @returns {Array<Object>} [{ startTime, endTime, audioStart, overlapSeconds }] - audioStart is
+ *   where the chunk's audio begins (startTime minus the overlap)
+ */
+export const planChunkBoundaries = (durationSeconds, silences, chunkDuration = CHUNK_DURATION_SECONDS) => {
+  const searchSeconds = Math.min(BOUNDARY_SEARCH_SECONDS, chunkDuration / 4);
+  const pauseMiddles = silences
+    .map(({ start, end }) => (start + (end ?? durationSeconds)) / 2)
+    .sort((a, b) => a - b);
+
+  const plan = [];
+  let startTime = 0;
+  let overlapSeconds = 0;
+
+  while (startTime < durationSeconds) {
+    let endTime = Math.min(startTime + chunkDuration, durationSeconds);
+    let nextOverlap = 0;
+
+    if (endTime < durationSeconds) {
+      const pause = pauseMiddles.filter(middle => middle >= endTime - searchSeconds && middle <= endTime).pop();
+      if (pause !== undefined) {
+        endTime = pause;
+      } else {
+        nextOverlap = CHUNK_OVERLAP_SECONDS;
+      }
+    }
+
+    plan.push({
+      startTime,
+      endTime,
+      audioStart: Math.max(0, startTime - overlapSeconds),
+      overlapSeconds: Math.min(overlapSeconds, startTime),
+    });
+
+    startTime = endTime;
+    overlapSeconds = nextOverlap;
+  }
+
+  return plan;
+};
+
+/**
+ * Split audio file into chunks, cutting on pauses where possible
  * @param {string} wavPath - Path to WAV audio file
  * @param {number} durationSeconds - Total duration in seconds
  * @param {number} chunkDuration - Chunk duration in seconds (default: 600)
@@ -86,32 +327,35 @@ export const convertToWav = (inputPath, outputPath) => {
  */
 export const splitIntoChunks = async (wavPath, durationSeconds, chunkDuration = CHUNK_DURATION_SECONDS) => {
   try {
+    assertToolAvailable('ffmpeg');
+
     // Ensure chunks directory exists
     await fs.mkdir(CHUNK_DIR, { recursive: true });
 
+    // Without pauses every chunk is cut at the full duration with an overlap
+    let silences = [];
+    try {
+      silences = await detectSilences(wavPath);
+      console.log(`Detected ${silences.length} pauses`);
+    } catch (error) {
+      console.warn('Silence detection failed - cutting at fixed intervals:', error.message);
+    }
+
+    const plan = planChunkBoundaries(durationSeconds, silences, chunkDuration);
     const chunks = [];
     const baseFilename = path.basename(wavPath, path.extname(wavPath));
-    let startTime = 0;
-
-    while (startTime < durationSeconds) {
-      const chunkIndex = chunks.length;
-      const endTime = Math.min(startTime + chunkDuration, durationSeconds);
-      const actualDuration = endTime - startTime;
-
-      // Add overlap to previous chunk (except first chunk)
-      const seekStart = chunkIndex > 0 ? Math.max(0, startTime - CHUNK_OVERLAP_SECONDS) : startTime;
-      const seekDuration = actualDuration + (chunkIndex > 0 ? CHUNK_OVERLAP_SECONDS : 0);
 
+    for (const [chunkIndex, { startTime, endTime, audioStart, overlapSeconds }] of plan.entries()) {
       const chunkFilename = `${baseFilename}_chunk${chunkIndex}.wav`;
       const chunkPath = path.join(CHUNK_DIR, chunkFilename);
 
-      console.log(`Creating chunk ${chunkIndex}: ${seekStart}s to ${endTime}s`);
+      console.log(`Creating chunk ${chunkIndex}: ${audioStart.toFixed(2)}s to ${endTime.toFixed(2)}s${overlapSeconds ? ` (${overlapSeconds}s overlap)` : ''}`);
 
       // Extract chunk using ffmpeg
       await new Promise((resolve, reject) => {
         ffmpeg(wavPath)
-          .setStartTime(seekStart)
-          .setDuration(seekDuration)
+          .setStartTime(audioStart)
+          .setDuration(endTime - audioStart)
           .audioChannels(1)
           .audioFrequency(16000)
           .audioCodec('pcm_s16le')
@@ -130,15 +374,14 @@ export const splitIntoChunks = async (wavPath, durationSeconds, chunkDuration =
         path: chunkPath,
         startTime,
         endTime,
-        duration: actualDuration,
+        audioStart,
+        overlapSeconds,
+        duration: endTime - startTime,
         sizeMB: sizeMB.toFixed(2),
         filename: chunkFilename
       });
 
       console.log(`Chunk ${chunkIndex} created: ${sizeMB.toFixed(2)}MB`);
-
-      // Move to next chunk
-      startTime += chunkDuration;
     }
 
     return chunks;
@@ -148,6 +391,113 @@ export const splitIntoChunks = async (wavPath, durationSeconds, chunkDuration =
   }
 };
 
+const normalizeWord = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+const splitWords = (text) => text.trim().split(/\s+/).filter(Boolean);
+
+/**
+ * Count the leading words of a chunk's text that repeat the end of the text before it
+ * Words are compared without case and punctuation; fewer than MIN_OVERLAP_WORDS matching words
+ * are not treated as a repeat, since short repeats ("no, no") are often really spoken.
+ * @param {string} previousText - Text merged so far
+ * @param {string} nextText - Text of the next chunk
+ * @returns {number} Number of words to drop from the start of nextText
+ */
+export const findOverlappingWords = (previousText, nextText) => {
+  const previous = splitWords(previousText).slice(-MAX_OVERLAP_WORDS).map(normalizeWord);
+  const next = splitWords(nextText).slice(0, MAX_OVERLAP_WORDS).map(normalizeWord);
+
+  for (let count = Math.min(previous.length, next.length); count >= MIN_OVERLAP_WORDS; count--) {
+    const tail = previous.slice(previous.length - count);
+    if (tail.every((word, i) => word && word === next[i])) {
+      return count;
+    }
+  }
+
+  return 0;
+};
+
+const dropLeadingWords = (text, count) => splitWords(text).slice(count).join(' ');
+
+/**
+ * Remove what an overlapped chunk repeats from the previous one
+ * Segments that end inside the overlap were transcribed with the previous chunk; words repeated
+ * at the start of the first remaining segment are dropped.
+ * @param {Array<Object>} merged - Segments merged so far
+ * @param {Array<Object>} segments - The chunk's segments on the recording's timeline
+ * @param {number} boundary - Where the previous chunk ended, in seconds
+ * @returns {Array<Object>} The chunk's segments without the repeat
+ */
+const dedupeOverlappingSegments = (merged, segments, boundary) => {
+  const remaining = segments.filter(segment => segment.end > boundary);
+  if (remaining.length === 0) return remaining;
+
+  const previousText = merged.slice(-3).map(segment => segment.text).join(' ');
+  const repeated = findOverlappingWords(previousText, remaining[0].text);
+  if (repeated === 0) return remaining;
+
+  const text = dropLeadingWords(remaining[0].text, repeated);
+  return text
+    ? [{ ...remaining[0], start: Math.max(remaining[0].start, boundary), text }, ...remaining.slice(1)]
+    : remaining.slice(1);
+};
+
+/**
+ * Merge the transcriptions of a recording's chunks
+ * Segment timestamps are moved onto the recording's timeline. Chunks that start with an overlap
+ * (cut mid-speech) have the repeated part removed.
+ * @param {Array<Object>} chunkResults - [{ chunk, transcription }] in chunk order
+ * @returns {Object} Merged transcription result { text, language, duration, segments, chunkBoundaries }
+ *   chunkBoundaries are the times (seconds) where one chunk ends and the next begins
+ */
+export const mergeChunkTranscriptions = (chunkResults) => {
+  console.log(`\nMerging ${chunkResults.length} transcripts...`);
+
+  let text = '';
+  const segments = [];
+  let duration = 0;
+  const language = chunkResults[0]?.transcription.language || null;
+
+  for (const { chunk, transcription } of chunkResults) {
+    const offset = chunk.audioStart ?? chunk.startTime;
+    const hasOverlap = chunk.overlapSeconds > 0 && text.length > 0;
+
+    if (transcription.segments && transcription.segments.length > 0) {
+      // Adjust segment timestamps based on where the chunk's audio starts
+      let chunkSegments = transcription.segments.map(segment => ({
+        ...segment,
+        text: segment.text.trim(),
+        start: segment.start + offset,
+        end: segment.end + offset,
+      }));
+
+      if (hasOverlap) {
+        chunkSegments = dedupeOverlappingSegments(segments, chunkSegments, chunk.startTime);
+      }
+
+      segments.push(...chunkSegments);
+      text += ' ' + chunkSegments.map(segment => segment.text).join(' ');
+    } else {
+      const chunkText = hasOverlap
+        ? dropLeadingWords(transcription.text, findOverlappingWords(text, transcription.text))
+        : transcription.text;
+      text += ' ' + chunkText;
+    }
+
+    // Track total duration
+    duration = Math.max(duration, chunk.endTime);
+  }
+
+  // Clean up text (remove extra spaces)
+  text = text.trim().replace(/\s+/g, ' ');
+
+  console.log(`Merged transcript: ${text.length} characters, ${segments.length} segments`);
+
+  const chunkBoundaries = chunkResults.slice(0, -1).map(({ chunk }) => chunk.endTime);
+
+  return { text, language, duration, segments, chunkBoundaries };
+};
+
 /**
  * Process large audio file: convert to WAV and split into chunks
  * @param {string} audioPath - Path to original audio file
@@ -0,0 +1,109 @@
+import db, {
+  getProjectDecisionSources,
+  getDecisionSupersessions,
+  setDecisionSupersession,
+  deleteDecisionSupersession,
+} from '../db/database.js';
+import { getMeetingItems } from './meetingItems.js';
+
+/**
+ * Project decision register
+ *
+ * Collects the decisions of every meeting in a project, oldest first, each linked to its
+ * source meeting. A later decision can supersede an earlier one; the link is stored in
+ * decision_supersessions and links to decisions that no longer exist are ignored.
+ */
+
+/**
+ * Collect a project's decisions with their source meeting and supersession links
+ * @param {number} projectId - Project ID
+ * @returns {Array<Object>} Decisions in meeting order:
+ *   { id, text, human_edited, meeting_id, meeting_title, meeting_date, status, superseded_by, supersedes }
+ */
+export function getProjectDecisions(projectId) {
+  const decisions = [];
+
+  for (const source of getProjectDecisionSources.all(projectId)) {
+    const items = getMeetingItems(source.meeting_id);
+    for (const decision of items?.decisions || []) {
+      decisions.push({ ...decision, ...source });
+    }
+  }
+
+  const byId = new Map(decisions.map(decision => [decision.id, decision]));
+  const supersededBy = new Map(
+    getDecisionSupersessions.all(projectId)
+      .filter(link => byId.has(link.decision_id) && byId.has(link.superseded_by))
+      .map(link => [link.decision_id, link.superseded_by])
+  );
+
+  const summarize = (decision) => ({
+    id: decision.id,
+    text: decision.text,
+    meeting_id: decision.meeting_id,
+    meeting_title: decision.meeting_title,
+    meeting_date: decision.meeting_date,
+  });
+
+  return decisions.map(decision => {
+    const replacement = supersededBy.get(decision.id);
+    return {
+      ...decision,
+      status: replacement ? 'superseded' : 'active',
+      superseded_by: replacement ? summarize(byId.get(replacement)) : null,
+      supersedes: [...supersededBy]
+        .filter(([, by]) => by === decision.id)
+        .map(([id]) => summarize(byId.get(id))),
+    };
+  });
+}
+
+/**
+ * Mark a decision as superseded by a later one
+ * @param {number} projectId - Project ID
+ * @param {string} decisionId - Decision being replaced
+ * @param {string} supersededById - Decision that replaces it
+ * @returns {{ decisions?: Array<Object>, error?: string, status?: number }} Updated register or an error
+ */
+export const supersedeDecision = db.transaction((projectId, decisionId, supersededById) => {
+  const decisions = getProjectDecisions(projectId);
+  const decision = decisions.find(entry => entry.id === decisionId);
+  const replacement = decisions.find(entry => entry.id === supersededById);
+
+  if (!decision || !replacement) {
+    return { error: 'Decision not found in this project', status: 404 };
+  }
+
+  if (decision.id === replacement.id) {
+    return { error: 'A decision cannot supersede itself', status: 400 };
+  }
+
+  if (new Date(replacement.meeting_date) < new Date(decision.meeting_date)) {
+    return { error: 'A decision can only be superseded by one from the same or a later meeting', status: 400 };
+  }
+
+  // Walk the replacement's own chain so two decisions never supersede each other
+  const supersededBy = new Map(decisions.map(entry => [entry.id, entry.superseded_by?.id]));
+  for (let id = supersededById; id; id = supersededBy.get(id)) {
+    if (id === decisionId) {
+      return { error: 'This would create a supersession cycle', status: 400 };
+    }
+  }
+
+  setDecisionSupersession.run(decisionId, supersededById, projectId);
+  return { decisions: getProjectDecisions(projectId) };
+});
+
+/**
+ * Make a superseded decision active again
+ * @param {number} projectId - Project ID
+ * @param {string} decisionId - Decision ID
+ * @returns {Array<Object>|null} Updated register, or null if the decision is not in the project
+ */
+export function restoreDecision(projectId, decisionId) {
+  const decisions = getProjectDecisions(projectId);
+  if (!decisions.some(entry => entry.id === decisionId)) return null;
+
+  deleteDecisionSupersession.run(decisionId);
+  return getProjectDecisions(projectId);
+}
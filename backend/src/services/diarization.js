@@ -0,0 +1,212 @@
+import db, {
+  getMeetingAttendees,
+  getPersonById,
+  addMeetingAttendee,
+  clearSpeakerLabel,
+} from '../db/database.js';
+import { readTranscriptSegments, rewriteTranscript } from './transcription.js';
+import { findOrCreatePerson, rematchOwners, toPerson } from './people.js';
+
+/**
+ * Speaker diarization - who spoke when
+ *
+ * The diarization stage runs after transcription and labels each transcript segment with a
+ * speaker ("Speaker 1", "Speaker 2", ...). Labels are mapped to people through the meeting's
+ * attendees (meeting_attendees.speaker_label), and the transcript files are rewritten with
+ * their names so analysis sees "Alice: ..." instead of one undifferentiated stream.
+ *
+ * Diarizers are pluggable: register one with registerDiarizer() and select it with
+ * DIARIZATION_PROVIDER. A diarizer is { diarize({ audioPath, segments, speakerCount }) } and
+ * returns the segments with a `speaker` on each; any labels work, they are renumbered here.
+ */
+
+const diarizers = new Map();
+
+/**
+ * Register a diarization implementation
+ * @param {string} name - Provider name (value of DIARIZATION_PROVIDER)
+ * @param {Object} diarizer - { diarize: async ({ audioPath, segments, speakerCount }) => segments }
+ */
+export const registerDiarizer = (name, diarizer) => {
+  diarizers.set(name, diarizer);
+};
+
+/**
+ * Get the configured diarizer
+ * @param {string} name - Provider name (defaults to DIARIZATION_PROVIDER, then 'none')
+ * @returns {Object} Diarizer
+ */
+export const getDiarizer = (name = process.env.DIARIZATION_PROVIDER || 'none') => {
+  const diarizer = diarizers.get(name);
+  if (!diarizer) {
+    throw new Error(`Unknown diarization provider: ${name}. Available: ${[...diarizers.keys()].join(', ')}`);
+  }
+  return diarizer;
+};
+
+// Pause (seconds) after which the local diarizer assumes another person is talking
+const TURN_GAP_SECONDS = 1.5;
+
+/**
+ * Local stand-in diarizer: it does not analyze the audio. A new turn starts after a pause or
+ * a question, and turns rotate between the expected number of speakers. Deterministic, needs
+ * no external service - useful for development and tests. Its turns are guesses that can pin
+ * statements and action items on the wrong person, so it is only used when selected.
+ */
+registerDiarizer('local', {
+  diarize: async ({ segments, speakerCount }) => {
+    const count = Math.max(speakerCount || 2, 1);
+    let speaker = 0;
+
+    return segments.map((segment, idx) => {
+      const previous = segments[idx - 1];
+      if (previous && (segment.start - previous.end >= TURN_GAP_SECONDS || previous.text.trim().endsWith('?'))) {
+        speaker = (speaker + 1) % count;
+      }
+      return { ...segment, speaker: `SPEAKER_${speaker}` };
+    });
+  },
+});
+
+// Turns diarization off - segments keep no speaker labels (the default)
+registerDiarizer('none', {
+  diarize: async ({ segments }) => segments.map(segment => ({ ...segment, speaker: null })),
+});
+
+/**
+ * Renumber speaker labels as "Speaker 1", "Speaker 2", ... in order of first appearance
+ * @param {Array<Object>} segments - Segments with provider speaker labels
+ * @returns {Array<Object>} Segments with normalized labels
+ */
+const normalizeSpeakerLabels = (segments) => {
+  const labels = new Map();
+
+  return segments.map(segment => {
+    if (!segment.speaker) return { ...segment, speaker: null };
+
+    if (!labels.has(segment.speaker)) {
+      labels.set(segment.speaker, `Speaker ${labels.size + 1}`);
+    }
+    return { ...segment, speaker: labels.get(segment.speaker) };
+  });
+};
+
+/**
+ * Speaker label to display name for a meeting, from its attendees
+ * @param {number} meetingId - Meeting ID
+ * @returns {Object} { 'Speaker 1': 'Alice', ... }
+ */
+export const getSpeakerNames = (meetingId) => Object.fromEntries(
+  getMeetingAttendees.all(meetingId)
+    .filter(attendee => attendee.speaker_label)
+    .map(attendee => [attendee.speaker_label, attendee.name])
+);
+
+/**
+ * List the speakers of a meeting's transcript with the attendee each one is mapped to
+ * @param {Object} meeting - Meeting row
+ * @returns {Promise<Array<Object>|null>} [{ label, person, segmentCount }], or null when the
+ *   transcript has no segments
+ */
+export const getMeetingSpeakers = async (meeting) => {
+  const data = await readTranscriptSegments(meeting.transcript_path);
+  if (!data) return null;
+
+  const attendees = getMeetingAttendees.all(meeting.id);
+  const counts = new Map();
+  for (const segment of data.segments) {
+    if (segment.speaker) {
+      counts.set(segment.speaker, (counts.get(segment.speaker) || 0) + 1);
+    }
+  }
+
+  return [...counts.entries()].map(([label, segmentCount]) => {
+    const attendee = attendees.find(candidate => candidate.speaker_label === label);
+    return { label, person: attendee ? toPerson(attendee) : null, segmentCount };
+  });
+};
+
+/**
+ * Rewrite a meeting's transcript files with the current speaker names
+ * @param {Object} meeting - Meeting row
+ * @returns {Promise<boolean>} False when the transcript has no segments to label
+ */
+export const applySpeakerNames = async (meeting) => {
+  if (!(await readTranscriptSegments(meeting.transcript_path))) return false;
+
+  await rewriteTranscript(meeting.transcript_path, { speakerNames: getSpeakerNames(meeting.id) });
+  return true;
+};
+
+/**
+ * Run diarization on a saved transcript and rewrite it with speaker labels
+ * @param {Object} options
+ * @param {number} options.meetingId - Meeting ID
+ * @param {string} options.transcriptPath - Stored transcript path
+ * @param {string|null} options.audioPath - Full filesystem path to the recording
+ * @returns {Promise<number|null>} Number of speakers found, or null when the transcript has no segments
+ */
+export const diarizeTranscript = async ({ meetingId, transcriptPath, audioPath }) => {
+  const data = await readTranscriptSegments(transcriptPath);
+  if (!data || data.segments.length === 0) return null;
+
+  // Attendees tell the diarizer how many voices to expect
+  const attendeeCount = getMeetingAttendees.all(meetingId).length;
+
+  const diarized = await getDiarizer().diarize({
+    audioPath,
+    segments: data.segments,
+    speakerCount: attendeeCount >= 2 ? attendeeCount : null,
+  });
+  const segments = normalizeSpeakerLabels(diarized);
+
+  await rewriteTranscript(transcriptPath, { segments, speakerNames: getSpeakerNames(meetingId) });
+
+  return new Set(segments.map(segment => segment.speaker).filter(Boolean)).size;
+};
+
+/**
+ * Validate speaker assignments from a request body
+ * @param {Object} speakers - { 'Speaker 1': { personId } | { name } | null, ... }
+ * @returns {string|null} Error message or null when valid
+ */
+export const validateSpeakerAssignments = (speakers) => {
+  if (!speakers || typeof speakers !== 'object' || Array.isArray(speakers)) {
+    return 'speakers must be an object mapping speaker labels to { personId } or { name }';
+  }
+
+  for (const [label, assignment] of Object.entries(speakers)) {
+    if (assignment === null) continue;
+
+    if (assignment.personId !== undefined) {
+      if (!getPersonById.get(parseInt(assignment.personId, 10))) {
+        return `Person not found: ${assignment.personId}`;
+      }
+    } else if (typeof assignment.name !== 'string' || !assignment.name.trim()) {
+      return `Speaker "${label}" needs a personId or a name`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Map speaker labels to people (they become attendees of the meeting) or clear a mapping with null
+ * Action item owners that now match an attendee are linked.
+ * @param {number} meetingId - Meeting ID
+ * @param {Object} speakers - Validated assignments (see validateSpeakerAssignments)
+ */
+export const assignSpeakers = db.transaction((meetingId, speakers) => {
+  for (const [label, assignment] of Object.entries(speakers)) {
+    clearSpeakerLabel.run(meetingId, label);
+    if (assignment === null) continue;
+
+    const person = assignment.personId !== undefined
+      ? getPersonById.get(parseInt(assignment.personId, 10))
+      : findOrCreatePerson(assignment.name);
+
+    addMeetingAttendee.run(meetingId, person.id, label);
+  }
+
+  rematchOwners({ meetingId });
+});
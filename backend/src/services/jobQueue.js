@@ -0,0 +1,179 @@
+import db, {
+  createJob,
+  getJobById,
+  getMeetingById,
+  getNextPendingJob,
+  markJobRunning,
+  markJobCompleted,
+  markJobFailed,
+  rescheduleJob,
+  resetRunningJobs,
+} from '../db/database.js';
+
+// Configuration
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS || '2', 10);
+const DEFAULT_MAX_ATTEMPTS = 5;
+const POLL_INTERVAL_MS = 2000;
+const RETRY_BASE_DELAY_SECONDS = 30; // 30s, 60s, 120s, 240s...
+const RETRY_MAX_DELAY_SECONDS = 30 * 60;
+
+const handlers = new Map();
+const failureListeners = [];
+let runningCount = 0;
+let pollTimer = null;
+
+/**
+ * Register the function that runs jobs for a stage
+ * The handler receives (job, payload) and may return { next: { stage, payload } }
+ * to enqueue a follow-up job when it completes.
+ * @param {string} stage - Stage name (e.g. 'transcription')
+ * @param {Function} handler - Async job handler
+ */
+export const registerJobHandler = (stage, handler) => {
+  handlers.set(stage, handler);
+};
+
+/**
+ * Register a listener called when a job fails permanently
+ * @param {Function} listener - Called with (job, error)
+ */
+export const onJobFailed = (listener) => {
+  failureListeners.push(listener);
+};
+
+/**
+ * Add a job to the queue
+ * @param {number} meetingId - Meeting ID
+ * @param {string} stage - Stage name
+ * @param {Object} payload - Data passed to the stage handler
+ * @param {number} maxAttempts - Attempts before the job is marked failed
+ * @returns {Object} Created job row
+ */
+export const enqueueJob = (meetingId, stage, payload = {}, maxAttempts = DEFAULT_MAX_ATTEMPTS) => {
+  const result = createJob.run(meetingId, stage, JSON.stringify(payload), maxAttempts);
+  console.log(`📥 Queued ${stage} job ${result.lastInsertRowid} for meeting ${meetingId}`);
+
+  // Pick it up right away if a worker slot is free
+  setImmediate(processQueue);
+
+  return getJobById.get(result.lastInsertRowid);
+};
+
+/**
+ * Check whether an error is a temporary API failure worth retrying
+ * (rate limits, quota, overload and network errors)
+ * @param {Error} error - Error thrown by a handler
+ * @returns {boolean} True if the job should be retried
+ */
+export const isRetryableError = (error) => {
+  const message = error?.message || '';
+  return /rate limit|quota|insufficient credits|overloaded|ECONNRESET|ETIMEDOUT|timeout|Connection error|network instability/i.test(message);
+};
+
+/**
+ * Delay before the next attempt of a job that failed with a retryable error
+ * Doubles with every attempt, up to RETRY_MAX_DELAY_SECONDS.
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in seconds
+ */
+export const getRetryDelay = (attempts) => (
+  Math.min(RETRY_BASE_DELAY_SECONDS * Math.pow(2, attempts - 1), RETRY_MAX_DELAY_SECONDS)
+);
+
+/**
+ * Claim the next due job (marks it running inside a transaction)
+ * @returns {Object|null} Claimed job or null
+ */
+const claimNextJob = db.transaction(() => {
+  const job = getNextPendingJob.get();
+  if (!job) return null;
+
+  markJobRunning.run(job.id);
+  return getJobById.get(job.id);
+});
+
+/**
+ * Complete a job and enqueue its follow-up in one transaction
+ * A meeting moved to the trash (or deleted) while the job ran gets no follow-up.
+ */
+const completeJob = db.transaction((job, next) => {
+  markJobCompleted.run(job.id);
+
+  if (next && next.stage && getMeetingById.get(job.meeting_id)) {
+    createJob.run(job.meeting_id, next.stage, JSON.stringify(next.payload || {}), job.max_attempts);
+  }
+});
+
+/**
+ * Run a single job and record the outcome
+ * @param {Object} job - Claimed job row
+ */
+const runJob = async (job) => {
+  const handler = handlers.get(job.stage);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for stage: ${job.stage}`);
+    }
+
+    console.log(`▶️  Running ${job.stage} job ${job.id} for meeting ${job.meeting_id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+    const payload = job.payload ? JSON.parse(job.payload) : {};
+    const result = await handler(job, payload);
+
+    completeJob(job, result?.next);
+    console.log(`✅ Completed ${job.stage} job ${job.id} for meeting ${job.meeting_id}`);
+  } catch (error) {
+    if (isRetryableError(error) && job.attempts < job.max_attempts) {
+      const delay = getRetryDelay(job.attempts);
+      rescheduleJob.run(error.message, delay, job.id);
+      console.warn(`⚠️  ${job.stage} job ${job.id} failed (${error.message}) - retrying in ${delay}s`);
+      return;
+    }
+
+    markJobFailed.run(error.message, job.id);
+    console.error(`❌ ${job.stage} job ${job.id} for meeting ${job.meeting_id} failed:`, error.message);
+
+    for (const listener of failureListeners) {
+      try {
+        listener(job, error);
+      } catch (listenerError) {
+        console.error('Job failure listener error:', listenerError);
+      }
+    }
+  }
+};
+
+/**
+ * Start as many due jobs as the concurrency limit allows
+ */
+const processQueue = () => {
+  while (runningCount < MAX_CONCURRENT_JOBS) {
+    const job = claimNextJob();
+    if (!job) break;
+
+    runningCount++;
+    runJob(job).finally(() => {
+      runningCount--;
+      setImmediate(processQueue);
+    });
+  }
+};
+
+/**
+ * Start the queue worker
+ * Jobs left running by a previous server process are resumed
+ */
+export const startJobQueue = () => {
+  if (pollTimer) return;
+
+  const resumed = resetRunningJobs.run();
+  if (resumed.changes > 0) {
+    console.log(`🔁 Resuming ${resumed.changes} interrupted processing job(s)`);
+  }
+
+  pollTimer = setInterval(processQueue, POLL_INTERVAL_MS);
+  processQueue();
+
+  console.log(`Processing job queue started (max ${MAX_CONCURRENT_JOBS} concurrent jobs)`);
+};
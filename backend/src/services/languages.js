@@ -0,0 +1,83 @@
+import { getProjectById } from '../db/database.js';
+
+/**
+ * Languages for transcription and analysis
+ *
+ * Languages are stored as ISO 639-1 codes. 'auto' lets the transcription provider detect the
+ * language. A meeting's language is its own override, else its project's default, else 'auto'.
+ */
+
+export const AUTO_DETECT = 'auto';
+
+// Languages Whisper can transcribe (code -> English name)
+export const LANGUAGES = {
+  af: 'Afrikaans', am: 'Amharic', ar: 'Arabic', as: 'Assamese', az: 'Azerbaijani',
+  ba: 'Bashkir', be: 'Belarusian', bg: 'Bulgarian', bn: 'Bengali', bo: 'Tibetan',
+  br: 'Breton', bs: 'Bosnian', ca: 'Catalan', cs: 'Czech', cy: 'Welsh',
+  da: 'Danish', de: 'German', el: 'Greek', en: 'English', es: 'Spanish',
+  et: 'Estonian', eu: 'Basque', fa: 'Persian', fi: 'Finnish', fo: 'Faroese',
+  fr: 'French', gl: 'Galician', gu: 'Gujarati', ha: 'Hausa', haw: 'Hawaiian',
+  he: 'Hebrew', hi: 'Hindi', hr: 'Croatian', ht: 'Haitian Creole', hu: 'Hungarian',
+  hy: 'Armenian', id: 'Indonesian', is: 'Icelandic', it: 'Italian', ja: 'Japanese',
+  jw: 'Javanese', ka: 'Georgian', kk: 'Kazakh', km: 'Khmer', kn: 'Kannada',
+  ko: 'Korean', la: 'Latin', lb: 'Luxembourgish', ln: 'Lingala', lo: 'Lao',
+  lt: 'Lithuanian', lv: 'Latvian', mg: 'Malagasy', mi: 'Maori', mk: 'Macedonian',
+  ml: 'Malayalam', mn: 'Mongolian', mr: 'Marathi', ms: 'Malay', mt: 'Maltese',
+  my: 'Myanmar', ne: 'Nepali', nl: 'Dutch', nn: 'Nynorsk', no: 'Norwegian',
+  oc: 'Occitan', pa: 'Punjabi', pl: 'Polish', ps: 'Pashto', pt: 'Portuguese',
+  ro: 'Romanian', ru: 'Russian', sa: 'Sanskrit', sd: 'Sindhi', si: 'Sinhala',
+  sk: 'Slovak', sl: 'Slovenian', sn: 'Shona', so: 'Somali', sq: 'Albanian',
+  sr: 'Serbian', su: 'Sundanese', sv: 'Swedish', sw: 'Swahili', ta: 'Tamil',
+  te: 'Telugu', tg: 'Tajik', th: 'Thai', tk: 'Turkmen', tl: 'Tagalog',
+  tr: 'Turkish', tt: 'Tatar', uk: 'Ukrainian', ur: 'Urdu', uz: 'Uzbek',
+  vi: 'Vietnamese', yi: 'Yiddish', yo: 'Yoruba', yue: 'Cantonese', zh: 'Chinese',
+};
+
+/**
+ * Language code for a code or English name as returned by transcription providers
+ * (OpenAI returns names such as "german", local Whisper returns codes)
+ * @param {string} value - Code or name
+ * @returns {string|null} ISO 639-1 code, or null when unknown
+ */
+export const normalizeLanguage = (value) => {
+  if (!value || typeof value !== 'string') return null;
+
+  const lower = value.trim().toLowerCase();
+  if (LANGUAGES[lower]) return lower;
+
+  const match = Object.entries(LANGUAGES).find(([, name]) => name.toLowerCase() === lower);
+  return match ? match[0] : null;
+};
+
+/**
+ * Check a language from a request body: a supported code or 'auto'
+ * @param {string} value - Language
+ * @returns {boolean}
+ */
+export const isValidLanguage = (value) => value === AUTO_DETECT || !!LANGUAGES[value];
+
+/**
+ * English name of a language code
+ * @param {string} code - ISO 639-1 code
+ * @returns {string|null}
+ */
+export const getLanguageName = (code) => LANGUAGES[code] || null;
+
+/**
+ * Language to transcribe a meeting in: its own override, else its project's default
+ * @param {Object} meeting - Meeting row
+ * @returns {string|null} Language code, or null to auto-detect
+ */
+export const getTranscriptionLanguage = (meeting) => {
+  const language = meeting.language
+    || (meeting.project_id ? getProjectById.get(meeting.project_id)?.language : null);
+
+  return language && language !== AUTO_DETECT ? language : null;
+};
+
+/**
+ * Language a meeting was held in: detected during transcription, else the language it was set to
+ * @param {Object} meeting - Meeting row
+ * @returns {string|null} Language code, or null when unknown
+ */
+export const getMeetingLanguage = (meeting) => meeting.detected_language || getTranscriptionLanguage(meeting);
@@ -0,0 +1,163 @@
+/**
+ * Parsing and validating JSON out of LLM responses
+ *
+ * Hosted models in JSON mode return a bare object. Smaller local models often don't: they wrap
+ * it in markdown code fences, add a sentence before or after it, prefix their reasoning in
+ * <think> tags or leave trailing commas. parseJSONResponse copes with all of these.
+ * validateJSONSchema then checks the object has the shape the prompt asked for.
+ */
+
+/**
+ * Find the first complete top-level JSON object in a text
+ * Braces inside strings are skipped.
+ * @param {string} text - Text containing a JSON object
+ * @returns {string|null} The object's source, or null when there is no complete object
+ */
+const extractJSONObject = (text) => {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{') depth++;
+    else if (char === '}') {
+      depth--;
+      if (depth === 0) return text.slice(start, i + 1);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Remove commas directly before a closing brace or bracket (outside strings)
+ * @param {string} json - JSON source
+ * @returns {string}
+ */
+const removeTrailingCommas = (json) => {
+  let result = '';
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < json.length; i++) {
+    const char = json[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === ',' && /^\s*[}\]]/.test(json.slice(i + 1))) {
+      continue;
+    }
+
+    result += char;
+  }
+
+  return result;
+};
+
+/**
+ * Parse the JSON object in an LLM response
+ * @param {string} text - Response text
+ * @returns {Object} Parsed object
+ * @throws {Error} When the response holds no complete, valid JSON object
+ */
+export const parseJSONResponse = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Empty response from AI model');
+  }
+
+  const withoutReasoning = text.replace(/<think>[\s\S]*?<\/think>/gi, '');
+  const fenced = withoutReasoning.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = extractJSONObject(fenced ? fenced[1] : withoutReasoning);
+
+  if (!candidate) {
+    throw new Error('AI response does not contain a complete JSON object (the output may have been cut off)');
+  }
+
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    try {
+      return JSON.parse(removeTrailingCommas(candidate));
+    } catch (error) {
+      throw new Error(`AI response is not valid JSON: ${error.message}`);
+    }
+  }
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => typeOf(value) === type || (type === 'number' && typeOf(value) === 'integer');
+
+// Validation stops collecting after this many errors - enough to write a repair prompt
+const MAX_VALIDATION_ERRORS = 20;
+
+/**
+ * Validate a value against a JSON schema
+ * Supports the subset used for structured output: type (a name or a list of names), enum,
+ * properties, required, additionalProperties: false and items.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema
+ * @param {string} location - Path of the value in error messages
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export const validateJSONSchema = (value, schema, location = '$') => {
+  const errors = [];
+
+  const visit = (current, rules, at) => {
+    if (errors.length >= MAX_VALIDATION_ERRORS) return;
+
+    if (rules.type) {
+      const types = [].concat(rules.type);
+      if (!types.some(type => matchesType(current, type))) {
+        errors.push(`${at}: expected ${types.join(' or ')}, got ${typeOf(current)}`);
+        return;
+      }
+    }
+
+    if (rules.enum && !rules.enum.includes(current)) {
+      errors.push(`${at}: must be one of ${rules.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeOf(current) === 'object') {
+      for (const key of rules.required || []) {
+        if (!(key in current)) errors.push(`${at}: missing required field "${key}"`);
+      }
+      for (const [key, child] of Object.entries(current)) {
+        if (rules.properties?.[key]) {
+          visit(child, rules.properties[key], `${at}.${key}`);
+        } else if (rules.additionalProperties === false) {
+          errors.push(`${at}: unexpected field "${key}"`);
+        }
+      }
+    }
+
+    if (typeOf(current) === 'array' && rules.items) {
+      current.forEach((item, index) => visit(item, rules.items, `${at}[${index}]`));
+    }
+  };
+
+  visit(value, schema, location);
+  return errors.slice(0, MAX_VALIDATION_ERRORS);
+};
@@ -0,0 +1,427 @@
+import Anthropic from '@anthropic-ai/sdk';
+import OpenAI from 'openai';
+import { getAIBackendForFeature, getAIModelForFeature } from './settingsService.js';
+
+/**
+ * LLM providers - text generation for analysis, chat, wiki updates and feedback
+ *
+ * A provider is { label, isConfigured(), complete(request), onPremises } where request is
+ * { model, system, messages: [{ role, content }], maxTokens, temperature, json, schema } and
+ * complete resolves to the response text. json asks for a JSON object where the provider supports
+ * it; schema ({ name, schema }: a JSON schema) asks for an object of that shape through the
+ * provider's structured output (OpenAI json_schema, Anthropic tool use). The response text is
+ * then that JSON object - callers still validate it, as not every provider enforces the schema.
+ * onPremises marks providers running inside the organization's network.
+ *
+ * Features call generateText(feature, request). The provider comes from the `ai.<feature>`
+ * setting and the model from `ai.<feature>.model` ('default' for the provider's default model).
+ * Models are listed in LLM_MODELS below - adding one there (or setting ANTHROPIC_MODEL /
+ * OPENAI_MODEL / LOCAL_LLM_MODEL) makes it selectable everywhere.
+ */
+
+// Models per provider. The first one is the default unless the provider's env variable names
+// another. maxOutputTokens caps the maxTokens features ask for; contextTokens is the context
+// window (prompt and response) long transcripts are measured against.
+const LLM_MODELS = {
+  anthropic: {
+    envVar: 'ANTHROPIC_MODEL',
+    models: [
+      { id: 'claude-sonnet-4-20250514', label: 'Claude Sonnet 4', maxOutputTokens: 64000, contextTokens: 200000 },
+      { id: 'claude-sonnet-4-5', label: 'Claude Sonnet 4.5', maxOutputTokens: 64000, contextTokens: 200000 },
+      { id: 'claude-3-5-haiku-latest', label: 'Claude Haiku 3.5', maxOutputTokens: 8192, contextTokens: 200000 },
+    ],
+  },
+  openai: {
+    envVar: 'OPENAI_MODEL',
+    models: [
+      { id: 'gpt-4o', label: 'GPT-4o', maxOutputTokens: 16384, contextTokens: 128000 },
+      { id: 'gpt-4o-mini', label: 'GPT-4o mini', maxOutputTokens: 16384, contextTokens: 128000 },
+      { id: 'gpt-4.1', label: 'GPT-4.1', maxOutputTokens: 32768, contextTokens: 1047576 },
+    ],
+  },
+  // Ids as an Ollama server names them - other servers use LOCAL_LLM_MODEL. The context a local
+  // server gives a model is its own setting (Ollama: num_ctx), so it is configured here too.
+  local: {
+    envVar: 'LOCAL_LLM_MODEL',
+    contextEnvVar: 'LOCAL_LLM_CONTEXT_TOKENS',
+    models: [
+      { id: 'llama3.1:8b', label: 'Llama 3.1 8B', maxOutputTokens: 8192, contextTokens: 8192 },
+      { id: 'qwen2.5:14b', label: 'Qwen 2.5 14B', maxOutputTokens: 8192, contextTokens: 8192 },
+      { id: 'mistral-nemo', label: 'Mistral NeMo', maxOutputTokens: 8192, contextTokens: 8192 },
+    ],
+  },
+};
+
+// Context window assumed for models LLM_MODELS doesn't describe
+const DEFAULT_CONTEXT_TOKENS = 8192;
+
+const providers = new Map();
+
+/**
+ * Register an LLM provider
+ * @param {string} name - Provider name (value of the ai.<feature> settings)
+ * @param {Object} provider - { label, isConfigured, complete, onPremises, models }
+ *   models ([{ id, label, maxOutputTokens }]) is for providers without an LLM_MODELS entry
+ */
+export const registerLLMProvider = (name, provider) => {
+  providers.set(name, { name, ...provider });
+};
+
+/**
+ * Get an LLM provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ */
+export const getLLMProvider = (name) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown AI provider: ${name}. Available: ${[...providers.keys()].join(', ')}`);
+  }
+  return provider;
+};
+
+/**
+ * Names of all registered providers
+ * @returns {Array<string>}
+ */
+export const getLLMProviderNames = () => [...providers.keys()];
+
+/**
+ * Models a provider offers, with the default first
+ * A model named in the provider's env variable but missing from LLM_MODELS is added with its id
+ * as label.
+ * @param {string} name - Provider name
+ * @returns {Array<Object>} [{ id, label, maxOutputTokens, contextTokens }]
+ */
+export const getLLMModels = (name) => {
+  const config = LLM_MODELS[name] || { models: providers.get(name)?.models || [] };
+  const contextOverride = config.contextEnvVar && Number(process.env[config.contextEnvVar]);
+  const models = config.models.map(model => ({
+    ...model,
+    contextTokens: contextOverride || model.contextTokens || DEFAULT_CONTEXT_TOKENS,
+  }));
+
+  const configured = config.envVar && process.env[config.envVar];
+  if (!configured) return models;
+
+  const model = models.find(candidate => candidate.id === configured)
+    || { id: configured, label: configured, contextTokens: contextOverride || DEFAULT_CONTEXT_TOKENS };
+  return [model, ...models.filter(candidate => candidate.id !== configured)];
+};
+
+/**
+ * Every model id of every provider (for settings validation)
+ * @returns {Array<string>}
+ */
+export const getAllLLMModelIds = () => getLLMProviderNames().flatMap(name => getLLMModels(name).map(model => model.id));
+
+/**
+ * Display name of a model
+ * @param {string} providerName - Provider name
+ * @param {string|null} modelId - Model id (null for the provider's default)
+ * @returns {string}
+ */
+export const getModelLabel = (providerName, modelId = null) => {
+  const models = getLLMModels(providerName);
+  const model = modelId ? models.find(candidate => candidate.id === modelId) : models[0];
+  return model?.label || modelId || providerName;
+};
+
+/**
+ * Resolve a model id for a provider: the requested one when the provider offers it, else its default
+ * @returns {Object} { id, label, maxOutputTokens, contextTokens }
+ */
+const resolveModel = (providerName, modelId) => {
+  const models = getLLMModels(providerName);
+  return models.find(model => model.id === modelId) || models[0];
+};
+
+/**
+ * Provider and model selected for a feature
+ * @param {string} feature - Feature name ('meeting_analysis', 'chat', 'wiki_updates', 'mentor_feedback')
+ * @returns {Object} { provider, model, modelLabel }
+ */
+export const getLLMSelection = (feature) => {
+  const provider = getAIBackendForFeature(feature);
+  const model = resolveModel(provider, getAIModelForFeature(feature));
+  return { provider, model: model?.id || null, modelLabel: model?.label || provider };
+};
+
+/**
+ * Model generateText will use first for a feature (before any fallback)
+ * @param {string} feature - Feature name
+ * @param {string|null} providerOverride - Provider passed to generateText, if any
+ * @returns {Object} { provider, id, label, maxOutputTokens, contextTokens }
+ */
+export const getModelForFeature = (feature, providerOverride = null) => {
+  if (providerOverride) {
+    return { provider: providerOverride, ...resolveModel(providerOverride, null) };
+  }
+  const selection = getLLMSelection(feature);
+  return { provider: selection.provider, ...resolveModel(selection.provider, selection.model) };
+};
+
+/**
+ * Check for API quota/billing/auth errors
+ * These are errors a different provider can get around, so generateText falls back on them.
+ * @param {Error} error - Error object from API call
+ * @param {string} provider - 'openai' or 'anthropic'
+ * @returns {string|null} User-friendly error message or null
+ */
+export function checkAPIQuotaError(error, provider = 'openai') {
+  if (provider === 'openai') {
+    // OpenAI error codes
+    if (error.status === 429) {
+      return 'OpenAI API rate limit exceeded. Please wait and try "Reprocess Meeting"';
+    }
+    if (error.status === 401) {
+      return 'OpenAI API key is invalid or expired. Check your .env file';
+    }
+    if (error.status === 402 || error.code === 'insufficient_quota') {
+      return 'OpenAI account has insufficient credits. Add credits at platform.openai.com/account/billing';
+    }
+    if (error.message && error.message.includes('quota')) {
+      return 'OpenAI API quota exceeded. Check usage at platform.openai.com/account/usage';
+    }
+  } else if (provider === 'anthropic') {
+    // Anthropic error codes
+    if (error.status === 429) {
+      return 'Anthropic API rate limit exceeded. Please wait and try "Reprocess Meeting"';
+    }
+    if (error.status === 401) {
+      return 'Anthropic API key is invalid or expired. Check your .env file';
+    }
+    if (error.status === 402 || error.message?.includes('credit')) {
+      return 'Anthropic account has insufficient credits. Check console.anthropic.com/account/billing';
+    }
+    if (error.message && error.message.includes('quota')) {
+      return 'Anthropic API quota exceeded. Check console.anthropic.com/account/usage';
+    }
+  }
+
+  // Generic billing/quota check
+  if (error.message && (error.message.includes('billing') || error.message.includes('payment'))) {
+    return `${providers.get(provider)?.label || provider} billing issue detected. Please check your account`;
+  }
+
+  return null;
+}
+
+/**
+ * Generate text for a feature with the provider and model chosen in settings
+ * When the provider is not configured or fails with a quota/billing/auth error, the other
+ * configured providers are tried (with their default model). Other errors are thrown as they are.
+ * An on-premises provider never falls back: its content must not leave the network.
+ * A request sized for the primary model passes promptTokens (its estimated prompt size): fallback
+ * models whose context can't hold the prompt and response are skipped.
+ * @param {string} feature - Feature name (selects provider and model)
+ * @param {Object} request - { system, messages, maxTokens, temperature, json, promptTokens }
+ * @param {Object} options - { provider: use this provider instead of the feature's setting }
+ * @returns {Promise<Object>} { text, provider, model, modelLabel, fallbackOccurred }
+ */
+export const generateText = async (feature, request, { provider: providerOverride = null } = {}) => {
+  const selection = getLLMSelection(feature);
+  const primaryName = providerOverride || selection.provider;
+  const primary = getLLMProvider(primaryName);
+  const order = primary.onPremises
+    ? [primary]
+    : [primary, ...[...providers.values()].filter(provider => provider !== primary)];
+  const errors = [];
+
+  for (const provider of order) {
+    const isPrimary = provider === primary;
+
+    if (!provider.isConfigured()) {
+      if (isPrimary) errors.push(`${provider.label} is not configured`);
+      continue;
+    }
+
+    // The feature's model only applies to the provider it was chosen for
+    const model = resolveModel(provider.name, isPrimary && !providerOverride ? selection.model : null);
+    const maxTokens = Math.min(request.maxTokens || 4096, model.maxOutputTokens || Infinity);
+
+    if (!isPrimary) {
+      if (request.promptTokens && request.promptTokens + maxTokens > model.contextTokens) {
+        console.warn(`⚠️  Skipping ${provider.label} (${model.label}): its context is too small for this request`);
+        errors.push(`${provider.label}: ${model.label} context (${model.contextTokens} tokens) is too small for this request`);
+        continue;
+      }
+      console.log(`🔄 Falling back to ${provider.label} (${model.label})...`);
+    }
+
+    try {
+      const text = await provider.complete({ ...request, model: model.id, maxTokens });
+
+      return {
+        text,
+        provider: provider.name,
+        model: model.id,
+        modelLabel: model.label,
+        fallbackOccurred: !isPrimary,
+      };
+    } catch (error) {
+      const quotaError = checkAPIQuotaError(error, provider.name);
+      if (!quotaError) {
+        throw error;
+      }
+
+      console.warn(`⚠️  ${provider.label} API failed: ${quotaError}`);
+      errors.push(`${provider.label}: ${quotaError}`);
+    }
+  }
+
+  if (errors.length === 1) {
+    throw new Error(errors[0]);
+  }
+  throw new Error(`All AI providers failed. ${errors.join('. ')}`);
+};
+
+// ==================== Anthropic ====================
+
+// Initialize AI clients (lazy initialization)
+let anthropic = null;
+
+function getAnthropicClient() {
+  if (!anthropic && process.env.ANTHROPIC_API_KEY) {
+    anthropic = new Anthropic({
+      apiKey: process.env.ANTHROPIC_API_KEY,
+    });
+  }
+  return anthropic;
+}
+
+registerLLMProvider('anthropic', {
+  label: 'Anthropic',
+  isConfigured: () => !!process.env.ANTHROPIC_API_KEY,
+
+  complete: async ({ model, system, messages, maxTokens, temperature, schema }) => {
+    const client = getAnthropicClient();
+    if (!client) {
+      throw new Error('Anthropic API key not configured');
+    }
+
+    // No JSON mode - prompts ask for JSON only. A schema becomes a tool the model must call,
+    // whose input is the object.
+    const message = await client.messages.create({
+      model,
+      max_tokens: maxTokens,
+      ...(temperature !== undefined && { temperature }),
+      ...(system && { system }),
+      ...(schema && {
+        tools: [{ name: schema.name, description: `Record the ${schema.name.replace(/_/g, ' ')}`, input_schema: schema.schema }],
+        tool_choice: { type: 'tool', name: schema.name },
+      }),
+      messages,
+    });
+
+    const toolUse = message.content.find(block => block.type === 'tool_use');
+    if (toolUse) {
+      return JSON.stringify(toolUse.input);
+    }
+    return message.content.find(block => block.type === 'text')?.text || '';
+  },
+});
+
+// ==================== OpenAI ====================
+
+/**
+ * Chat completion through the OpenAI SDK (OpenAI itself and OpenAI-compatible servers)
+ * @param {OpenAI} client - Client
+ * @param {Object} request - See complete() above
+ * @param {string|false} jsonMode - Most the server accepts: 'schema' (response_format json_schema),
+ *   'object' (json_object) or false (no response_format - the prompt asks for JSON)
+ * @returns {Promise<string>} Response text
+ */
+const completeChat = async (client, { model, system, messages, maxTokens, temperature, json, schema }, jsonMode = 'schema') => {
+  let responseFormat = null;
+  if (schema && jsonMode === 'schema') {
+    responseFormat = { type: 'json_schema', json_schema: { name: schema.name, schema: schema.schema, strict: true } };
+  } else if ((json || schema) && jsonMode) {
+    responseFormat = { type: 'json_object' };
+  }
+
+  const completion = await client.chat.completions.create({
+    model,
+    messages: system ? [{ role: 'system', content: system }, ...messages] : messages,
+    max_tokens: maxTokens,
+    ...(temperature !== undefined && { temperature }),
+    ...(responseFormat && { response_format: responseFormat }),
+  });
+
+  return completion.choices[0]?.message?.content || '';
+};
+
+let openai = null;
+
+/**
+ * Shared OpenAI client (also used for Whisper transcription)
+ * @returns {OpenAI|null} Client, or null without OPENAI_API_KEY
+ */
+export function getOpenAIClient() {
+  if (!openai && process.env.OPENAI_API_KEY) {
+    openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+    });
+  }
+  return openai;
+}
+
+registerLLMProvider('openai', {
+  label: 'OpenAI',
+  isConfigured: () => !!process.env.OPENAI_API_KEY,
+
+  complete: async (request) => {
+    const client = getOpenAIClient();
+    if (!client) {
+      throw new Error('OpenAI API key not configured');
+    }
+
+    return completeChat(client, request);
+  },
+});
+
+// ==================== Local (OpenAI-compatible) ====================
+
+// Ollama, llama.cpp server, vLLM, LM Studio... anything serving /v1/chat/completions
+let localClient = null;
+
+function getLocalClient() {
+  if (!localClient && process.env.LOCAL_LLM_BASE_URL) {
+    localClient = new OpenAI({
+      baseURL: process.env.LOCAL_LLM_BASE_URL,
+      // Most local servers ignore the key, but the SDK requires one
+      apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+      // Local models on modest hardware can take minutes for a long transcript
+      timeout: Number(process.env.LOCAL_LLM_TIMEOUT_MS) || 15 * 60 * 1000,
+    });
+  }
+  return localClient;
+}
+
+registerLLMProvider('local', {
+  label: 'Local',
+  onPremises: true,
+  isConfigured: () => !!process.env.LOCAL_LLM_BASE_URL,
+
+  complete: async (request) => {
+    const client = getLocalClient();
+    if (!client) {
+      throw new Error('Local AI server not configured. Set LOCAL_LLM_BASE_URL');
+    }
+
+    try {
+      // LOCAL_LLM_JSON_MODE: 'schema' for servers with JSON schema output (recent Ollama,
+      // llama.cpp server, vLLM), false for servers that reject response_format
+      const jsonMode = { schema: 'schema', false: false }[process.env.LOCAL_LLM_JSON_MODE] ?? 'object';
+      return await completeChat(client, request, jsonMode);
+    } catch (error) {
+      if (error instanceof OpenAI.APIConnectionTimeoutError) {
+        throw new Error('Local AI server timed out. Raise LOCAL_LLM_TIMEOUT_MS for long meetings');
+      }
+      if (error instanceof OpenAI.APIConnectionError) {
+        throw new Error(`Local AI server not reachable at ${process.env.LOCAL_LLM_BASE_URL}`);
+      }
+      throw error;
+    }
+  },
+});
@@ -0,0 +1,483 @@
+import { randomUUID } from 'crypto';
+import db, {
+  getMeetingMetadata,
+  createMeetingMetadata,
+  updateMeetingItems,
+  createActionItem,
+  getActionItemById,
+  getActionItemsByMeeting,
+  updateActionItem,
+  updateActionItemPosition,
+  deleteActionItem,
+  deleteGeneratedActionItems,
+  getLegacyActionItems,
+  clearLegacyActionItems,
+  ACTION_ITEM_STATUSES,
+} from '../db/database.js';
+import { resolveOwner } from './people.js';
+
+/**
+ * Decisions and action items for a meeting
+ *
+ * Decisions are stored as JSON in meeting_metadata; action items live in the action_items table.
+ * Each entry has an id and a human_edited flag:
+ *   decisions:    { id, text, human_edited }
+ *   action_items: { id, task, owner, owner_id, status, due_date, human_edited }
+ * Action item owners are matched against the people roster when saved (owner_id links the person).
+ * Entries added or edited by hand survive reprocessing, and AI entries deleted by hand
+ * are remembered in removed_items so a new analysis does not bring them back.
+ */
+
+// Owner values that mean nobody has been assigned
+const UNASSIGNED_OWNERS = new Set(['', 'tbd', 'tba', 'unassigned', 'none', 'n/a', 'na', 'unknown', '-', 'null']);
+
+/**
+ * Normalize an action item owner so the same person is always written the same way
+ * Trims whitespace and @mentions, drops role suffixes like "(PM)" and capitalizes lowercase names.
+ * @param {string|null} owner - Owner as written by the AI or a user
+ * @returns {string|null} Normalized owner, or null when unassigned
+ */
+export function normalizeOwner(owner) {
+  if (typeof owner !== 'string') return null;
+
+  const name = owner
+    .replace(/\([^)]*\)/g, '')
+    .replace(/^\s*@/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (UNASSIGNED_OWNERS.has(name.toLowerCase())) return null;
+
+  if (name === name.toLowerCase()) {
+    return name.replace(/\b\w/g, char => char.toUpperCase());
+  }
+  return name;
+}
+
+/**
+ * Normalize a due date to YYYY-MM-DD
+ * @param {string|null} dueDate - Date string
+ * @returns {string|null} ISO date or null if missing/invalid
+ */
+export function normalizeDueDate(dueDate) {
+  if (!dueDate || isNaN(Date.parse(dueDate))) return null;
+  return new Date(dueDate).toISOString().slice(0, 10);
+}
+
+// Fields per list and the text used to recognise the same entry across analyses
+const LISTS = {
+  decisions: {
+    fields: (raw) => {
+      if (typeof raw === 'object' && raw !== null) {
+        return { text: String(raw.text || raw.decision || JSON.stringify(raw)) };
+      }
+      return { text: String(raw) };
+    },
+    key: (item) => item.text,
+  },
+  action_items: {
+    fields: (raw) => {
+      if (typeof raw === 'object' && raw !== null) {
+        return {
+          task: String(raw.task || ''),
+          owner: normalizeOwner(raw.owner),
+          due_date: normalizeDueDate(raw.due_date),
+        };
+      }
+      return { task: String(raw), owner: null, due_date: null };
+    },
+    key: (item) => item.task,
+  },
+};
+
+/**
+ * Validate the fields of a decision or action item from a request body
+ * @param {string} list - 'decisions' or 'action_items'
+ * @param {Object} fields - Request body
+ * @param {boolean} isNew - Whether the entry is being created (required fields must be present)
+ * @returns {string|null} Error message or null when valid
+ */
+export function validateItemFields(list, fields, isNew) {
+  const requiredField = list === 'decisions' ? 'text' : 'task';
+  const value = fields[requiredField];
+
+  if ((isNew || value !== undefined) && (typeof value !== 'string' || !value.trim())) {
+    return `${requiredField} is required`;
+  }
+
+  if (list === 'action_items') {
+    if (fields.owner !== undefined && fields.owner !== null && typeof fields.owner !== 'string') {
+      return 'owner must be a string';
+    }
+    if (fields.status !== undefined && !ACTION_ITEM_STATUSES.includes(fields.status)) {
+      return `Invalid status: ${fields.status}. Must be one of: ${ACTION_ITEM_STATUSES.join(', ')}`;
+    }
+    if (fields.due_date !== undefined && fields.due_date !== null && fields.due_date !== '' && isNaN(Date.parse(fields.due_date))) {
+      return 'Invalid due_date';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Pick the editable fields of a decision or action item from a request body
+ * @param {string} list - 'decisions' or 'action_items'
+ * @param {Object} body - Request body (already validated)
+ * @returns {Object} Fields to add or update
+ */
+export function pickItemFields(list, body) {
+  if (list === 'decisions') {
+    return body.text !== undefined ? { text: body.text.trim() } : {};
+  }
+
+  const fields = {};
+  if (body.task !== undefined) fields.task = body.task.trim();
+  if (body.owner !== undefined) fields.owner = body.owner;
+  if (body.status !== undefined) fields.status = body.status;
+  if (body.due_date !== undefined) fields.due_date = body.due_date || null;
+  return fields;
+}
+
+const normalizeKey = (text) => (text || '').trim().toLowerCase();
+
+const parseJSON = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Convert an action_items row to the entry format
+ */
+const toActionItem = (row) => ({
+  id: row.id,
+  task: row.task,
+  owner: row.owner,
+  owner_id: row.owner_id,
+  status: row.status,
+  due_date: row.due_date,
+  human_edited: !!row.human_edited,
+});
+
+/**
+ * Convert stored or AI-generated decisions to the editable format
+ * Legacy entries (plain strings, objects without ids) get an id assigned.
+ * @param {Array} rawItems - Decisions to normalize
+ * @returns {Array<Object>} Normalized decisions
+ */
+export function normalizeDecisions(rawItems) {
+  return (Array.isArray(rawItems) ? rawItems : []).map(raw => ({
+    id: raw?.id || randomUUID(),
+    ...LISTS.decisions.fields(raw),
+    human_edited: !!raw?.human_edited,
+  }));
+}
+
+/**
+ * Read a meeting's decisions, action items and removed AI entries
+ * @param {number} meetingId - Meeting ID
+ * @returns {Object|null} { decisions, action_items, removed } or null if the meeting has no items yet
+ */
+export function getMeetingItems(meetingId) {
+  const metadata = getMeetingMetadata.get(meetingId);
+  const actionItems = getActionItemsByMeeting.all(meetingId).map(toActionItem);
+  if (!metadata && actionItems.length === 0) return null;
+
+  const rawDecisions = parseJSON(metadata?.decisions, []);
+
+  const items = {
+    decisions: normalizeDecisions(rawDecisions),
+    action_items: actionItems,
+    removed: { decisions: [], action_items: [], ...parseJSON(metadata?.removed_items, {}) },
+  };
+
+  // Store ids assigned to legacy decisions so later edits can address them
+  if (rawDecisions.some(raw => !raw?.id)) {
+    saveMeetingItems(meetingId, items);
+  }
+
+  return items;
+}
+
+/**
+ * Write decisions and removed AI entries for a meeting
+ * Creates the metadata row if the meeting has not been analyzed yet.
+ * @param {number} meetingId - Meeting ID
+ * @param {Object} items - { decisions, removed }
+ */
+export function saveMeetingItems(meetingId, items) {
+  if (!getMeetingMetadata.get(meetingId)) {
+    createMeetingMetadata.run(meetingId, '[]', null, '[]', '[]', null);
+  }
+
+  updateMeetingItems.run(
+    JSON.stringify(items.decisions),
+    JSON.stringify(items.removed),
+    meetingId
+  );
+}
+
+/**
+ * Pick the new AI entries that should be added to a list
+ * Skips entries deleted by hand and entries that duplicate a human-edited one.
+ * @param {string} list - 'decisions' or 'action_items'
+ * @param {Array<Object>} keptItems - Human-edited entries that stay
+ * @param {Array<string>} removed - Keys of AI entries deleted by hand
+ * @param {Array} analysisItems - Entries from the new analysis
+ * @returns {Array<Object>} New entries (fields only)
+ */
+const freshAnalysisItems = (list, keptItems, removed, analysisItems) => {
+  const { fields, key } = LISTS[list];
+  const skip = new Set([...removed, ...keptItems.map(item => normalizeKey(key(item)))]);
+
+  return (Array.isArray(analysisItems) ? analysisItems : [])
+    .map(fields)
+    .filter(item => key(item).trim() && !skip.has(normalizeKey(key(item))));
+};
+
+/**
+ * Replace the AI-generated decisions and action items with a new analysis
+ * Human-edited entries are kept (in their current order) followed by the new AI entries.
+ * @param {number} meetingId - Meeting ID
+ * @param {Object} analysis - Analysis with key_decisions and action_items
+ */
+export const applyAnalysisItems = db.transaction((meetingId, analysis) => {
+  const existing = getMeetingItems(meetingId) || {
+    decisions: [],
+    action_items: [],
+    removed: { decisions: [], action_items: [] },
+  };
+
+  const keptDecisions = existing.decisions.filter(item => item.human_edited);
+
+  // Decisions the new analysis repeats keep their id, so decision register links stay valid
+  const previousIds = new Map(existing.decisions.map(item => [normalizeKey(item.text), item.id]));
+  const newDecisions = freshAnalysisItems('decisions', keptDecisions, existing.removed.decisions || [], analysis.key_decisions)
+    .map(item => ({ id: previousIds.get(normalizeKey(item.text)) || randomUUID(), ...item, human_edited: false }));
+
+  saveMeetingItems(meetingId, {
+    decisions: [...keptDecisions, ...newDecisions],
+    removed: existing.removed,
+  });
+
+  const keptActionItems = existing.action_items.filter(item => item.human_edited);
+  deleteGeneratedActionItems.run(meetingId);
+
+  freshAnalysisItems('action_items', keptActionItems, existing.removed.action_items || [], analysis.action_items)
+    .forEach((item, idx) => {
+      const { owner, owner_id } = resolveOwner(meetingId, item.owner);
+      createActionItem.run(meetingId, item.task, owner, owner_id, 'open', item.due_date, keptActionItems.length + idx, 0);
+    });
+});
+
+/**
+ * Read-modify-write a meeting's decisions in one transaction
+ * @param {number} meetingId - Meeting ID
+ * @param {Function} update - Receives the items and returns false if nothing was changed
+ * @returns {Object|null} Updated items, or null when update returned false
+ */
+const modifyDecisions = db.transaction((meetingId, update) => {
+  const items = getMeetingItems(meetingId) || {
+    decisions: [],
+    action_items: [],
+    removed: { decisions: [], action_items: [] },
+  };
+
+  if (update(items) === false) return null;
+
+  saveMeetingItems(meetingId, items);
+  return items;
+});
+
+/**
+ * Remember a deleted or edited AI action item so reprocessing does not add it back
+ */
+const rememberRemovedActionItem = (meetingId, row) => {
+  modifyDecisions(meetingId, (items) => {
+    items.removed.action_items = [...(items.removed.action_items || []), normalizeKey(row.task)];
+  });
+};
+
+/**
+ * Add a hand-written entry
+ * @param {number} meetingId - Meeting ID
+ * @param {string} list - 'decisions' or 'action_items'
+ * @param {Object} fields - { text } or { task, owner, due_date }
+ * @returns {Object} The new entry
+ */
+export function addMeetingItem(meetingId, list, fields) {
+  if (list === 'action_items') {
+    const item = LISTS.action_items.fields(fields);
+    const { owner, owner_id } = resolveOwner(meetingId, item.owner);
+    const position = getActionItemsByMeeting.all(meetingId).length;
+    const result = createActionItem.run(meetingId, item.task, owner, owner_id, 'open', item.due_date, position, 1);
+    return toActionItem(getActionItemById.get(result.lastInsertRowid));
+  }
+
+  const item = { id: randomUUID(), ...LISTS.decisions.fields(fields), human_edited: true };
+  modifyDecisions(meetingId, (items) => {
+    items.decisions.push(item);
+  });
+  return item;
+}
+
+/**
+ * Edit an action item by ID (any change marks it human-edited)
+ * @param {number} itemId - Action item ID
+ * @param {Object} fields - Fields to change ({ task, owner, status, due_date })
+ * @returns {Object|null} Updated action_items row, or null if not found
+ */
+export const updateActionItemFields = db.transaction((itemId, fields) => {
+  const row = getActionItemById.get(itemId);
+  if (!row) return null;
+
+  // The AI version of a reworded task should not come back on reprocess
+  if (!row.human_edited && fields.task !== undefined && normalizeKey(fields.task) !== normalizeKey(row.task)) {
+    rememberRemovedActionItem(row.meeting_id, row);
+  }
+
+  const status = fields.status !== undefined ? fields.status : row.status;
+  const { owner, owner_id } = fields.owner !== undefined
+    ? resolveOwner(row.meeting_id, normalizeOwner(fields.owner))
+    : { owner: row.owner, owner_id: row.owner_id };
+
+  updateActionItem.run(
+    fields.task !== undefined ? fields.task : row.task,
+    owner,
+    owner_id,
+    status,
+    fields.due_date !== undefined ? normalizeDueDate(fields.due_date) : row.due_date,
+    status, // completed_at is set when the item is marked done
+    itemId
+  );
+
+  return getActionItemById.get(itemId);
+});
+
+/**
+ * Edit an entry and mark it human-edited
+ * @param {number} meetingId - Meeting ID
+ * @param {string} list - 'decisions' or 'action_items'
+ * @param {string} itemId - Entry ID
+ * @param {Object} fields - Fields to change ({ text } or { task, owner, status, due_date })
+ * @returns {Object|null} Updated entry, or null if not found
+ */
+export function updateMeetingItem(meetingId, list, itemId, fields) {
+  if (list === 'action_items') {
+    const row = getActionItemById.get(parseInt(itemId, 10));
+    if (!row || row.meeting_id !== meetingId) return null;
+
+    return toActionItem(updateActionItemFields(row.id, fields));
+  }
+
+  let updated = null;
+  modifyDecisions(meetingId, (items) => {
+    const index = items.decisions.findIndex(item => item.id === itemId);
+    if (index === -1) return false;
+
+    // The AI version of an edited entry should not come back on reprocess
+    if (!items.decisions[index].human_edited) {
+      items.removed.decisions = [...(items.removed.decisions || []), normalizeKey(items.decisions[index].text)];
+    }
+
+    updated = {
+      ...items.decisions[index],
+      ...LISTS.decisions.fields({ ...items.decisions[index], ...fields }),
+      human_edited: true,
+    };
+    items.decisions[index] = updated;
+  });
+  return updated;
+}
+
+/**
+ * Delete an entry (AI entries are remembered so reprocessing does not re-add them)
+ * @param {number} meetingId - Meeting ID
+ * @param {string} list - 'decisions' or 'action_items'
+ * @param {string} itemId - Entry ID
+ * @returns {boolean} True if the entry was deleted
+ */
+export function deleteMeetingItem(meetingId, list, itemId) {
+  if (list === 'action_items') {
+    const row = getActionItemById.get(parseInt(itemId, 10));
+    if (!row || row.meeting_id !== meetingId) return false;
+
+    db.transaction(() => {
+      deleteActionItem.run(row.id);
+      if (!row.human_edited) {
+        rememberRemovedActionItem(meetingId, row);
+      }
+    })();
+    return true;
+  }
+
+  const result = modifyDecisions(meetingId, (items) => {
+    const item = items.decisions.find(entry => entry.id === itemId);
+    if (!item) return false;
+
+    items.decisions = items.decisions.filter(entry => entry.id !== itemId);
+    if (!item.human_edited) {
+      items.removed.decisions = [...(items.removed.decisions || []), normalizeKey(item.text)];
+    }
+  });
+  return result !== null;
+}
+
+/**
+ * Reorder entries
+ * @param {number} meetingId - Meeting ID
+ * @param {string} list - 'decisions' or 'action_items'
+ * @param {Array<string|number>} orderedIds - Every entry ID in the new order
+ * @returns {Array<Object>|null} Reordered entries, or null if the IDs don't match the list
+ */
+export function reorderMeetingItems(meetingId, list, orderedIds) {
+  if (list === 'action_items') {
+    const rows = getActionItemsByMeeting.all(meetingId);
+    const ids = orderedIds.map(id => parseInt(id, 10));
+    const known = new Set(rows.map(row => row.id));
+    if (ids.length !== known.size || new Set(ids).size !== ids.length || !ids.every(id => known.has(id))) {
+      return null;
+    }
+
+    db.transaction(() => {
+      ids.forEach((id, position) => updateActionItemPosition.run(position, id));
+    })();
+    return getActionItemsByMeeting.all(meetingId).map(toActionItem);
+  }
+
+  const result = modifyDecisions(meetingId, (items) => {
+    const byId = new Map(items.decisions.map(item => [item.id, item]));
+    if (orderedIds.length !== byId.size || !orderedIds.every(id => byId.has(id))) {
+      return false;
+    }
+    items.decisions = orderedIds.map(id => byId.get(id));
+  });
+  return result ? result.decisions : null;
+}
+
+/**
+ * Move action items stored as JSON in meeting_metadata into the action_items table
+ */
+const importLegacyActionItems = db.transaction(() => {
+  const rows = getLegacyActionItems.all();
+
+  for (const row of rows) {
+    const items = parseJSON(row.action_items, []);
+    (Array.isArray(items) ? items : []).forEach((raw, idx) => {
+      const item = LISTS.action_items.fields(raw);
+      if (item.task.trim()) {
+        createActionItem.run(row.meeting_id, item.task, item.owner, null, 'open', item.due_date, idx, raw?.human_edited ? 1 : 0);
+      }
+    });
+    clearLegacyActionItems.run(row.meeting_id);
+  }
+
+  if (rows.length > 0) {
+    console.log(`Moved action items of ${rows.length} meeting(s) into the action_items table`);
+  }
+});
+
+importLegacyActionItems();
@@ -0,0 +1,429 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  getMeetingById,
+  updateMeeting,
+  updateMeetingModelInfo,
+  setMeetingStatus,
+  setMeetingDetectedLanguage,
+} from '../db/database.js';
+import { analyzeMeeting, saveSummary, readSummary } from './aiAnalysis.js';
+import { buildSearchIndex } from './searchIndex.js';
+import { transcribeWithRetry, saveTranscript, readTranscript, readTranscriptSections } from './transcription.js';
+import { registerJobHandler, onJobFailed, enqueueJob } from './jobQueue.js';
+import { emitMeetingEvent } from './processingEvents.js';
+import { applyAnalysisItems } from './meetingItems.js';
+import { diarizeTranscript, getSpeakerNames } from './diarization.js';
+import { getLLMSelection, getModelLabel } from './llmProviders.js';
+import { getTranscriptionLanguage, getMeetingLanguage } from './languages.js';
+import { getAnalysisTemplateForMeeting } from './analysisTemplates.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const BACKEND_ROOT = path.join(__dirname, '../..');
+
+// Queue stages in execution order
+export const PIPELINE_STAGES = ['transcription', 'diarization', 'analysis', 'metadata', 'indexing'];
+
+// Meeting status shown while each stage runs
+const STAGE_STATUSES = {
+  transcription: 'transcribing',
+  diarization: 'transcribing',
+  analysis: 'analyzing',
+  metadata: 'analyzing',
+  indexing: 'indexing',
+};
+
+/**
+ * Queue processing for a meeting
+ * Each stage runs as its own job and queues the next stage when it completes.
+ * @param {number} meetingId - Meeting ID
+ * @param {Array<string>} stages - Stages to run, in order (subset of PIPELINE_STAGES)
+ * @param {Object} context - Shared payload (transcriptPath, summaryPath, backend, updateSummary)
+ * @returns {Object} First queued job
+ */
+export const enqueueMeetingProcessing = (meetingId, stages, context = {}) => {
+  const [firstStage, ...pipeline] = stages;
+  return enqueueJob(meetingId, firstStage, { ...context, pipeline });
+};
+
+/**
+ * Build the follow-up job for the remaining pipeline
+ * @param {Object} payload - Current job payload
+ * @param {Object} updates - Outputs to pass on to later stages
+ * @returns {Object|null} Handler result with next job, or null when done
+ */
+const continuePipeline = (payload, updates = {}) => {
+  const [stage, ...pipeline] = payload.pipeline || [];
+  if (!stage) return null;
+
+  return {
+    next: {
+      stage,
+      payload: { ...payload, ...updates, pipeline },
+    },
+  };
+};
+
+/**
+ * Load a meeting row for a job, failing if it was deleted
+ * @param {number} meetingId - Meeting ID
+ * @returns {Object} Meeting row
+ */
+const getMeetingForJob = (meetingId) => {
+  const meeting = getMeetingById.get(meetingId);
+  if (!meeting) {
+    throw new Error(`Meeting ${meetingId} no longer exists`);
+  }
+  return meeting;
+};
+
+/**
+ * Move a meeting to a new status and notify listeners (SSE clients)
+ * @param {number} meetingId - Meeting ID
+ * @param {string} status - One of MEETING_STATUSES
+ * @param {string|null} errorMessage - Error detail (for 'failed')
+ */
+export const updateMeetingStatus = (meetingId, status, errorMessage = null) => {
+  setMeetingStatus(meetingId, status, errorMessage);
+  emitMeetingEvent(meetingId, 'status', { meeting: getMeetingById.get(meetingId) || null });
+};
+
+/**
+ * Register a stage handler that keeps the meeting status in step with the pipeline
+ * The status moves to the stage's status when it starts and to 'complete' after the last stage.
+ * @param {string} stage - Stage name
+ * @param {Function} handler - Async job handler
+ */
+const registerStage = (stage, handler) => {
+  registerJobHandler(stage, async (job, payload) => {
+    // Consecutive stages can share a status (analysis, metadata) - keep its original timestamp
+    if (getMeetingForJob(job.meeting_id).status !== STAGE_STATUSES[stage]) {
+      updateMeetingStatus(job.meeting_id, STAGE_STATUSES[stage]);
+    }
+
+    const result = await handler(job, payload);
+
+    // Moved to the trash while the stage ran: the trash already stopped the pipeline
+    if (!getMeetingById.get(job.meeting_id)) {
+      console.log(`🗑️  Meeting ${job.meeting_id} was moved to the trash - pipeline stopped`);
+      return result;
+    }
+
+    if (!result?.next) {
+      updateMeetingStatus(job.meeting_id, 'complete');
+      console.log(`=== Meeting ${job.meeting_id} processing complete ===`);
+    }
+    return result;
+  });
+};
+
+/**
+ * Transcription stage: transcribe the recording and save transcript files
+ */
+registerStage('transcription', async (job, payload) => {
+  const meeting = getMeetingForJob(job.meeting_id);
+
+  const { transcriptPath, duration, language } = await transcribeMeetingAudio(
+    meeting.id,
+    resolveStoragePath(meeting.audio_path),
+    meeting.title,
+    meeting.date,
+    getTranscriptionLanguage(meeting)
+  );
+
+  setMeetingDetectedLanguage.run(language, meeting.id);
+
+  const current = getMeetingForJob(meeting.id);
+  updateMeeting.run(
+    current.title,
+    current.date,
+    duration,
+    current.audio_path,
+    transcriptPath,
+    current.summary_path,
+    current.id
+  );
+
+  return continuePipeline(payload, { transcriptPath });
+});
+
+/**
+ * Diarization stage: label transcript segments with speakers and rewrite the transcript
+ * Transcripts without timestamped segments (typed notes, older transcripts) are left as they are.
+ */
+registerStage('diarization', async (job, payload) => {
+  const meeting = getMeetingForJob(job.meeting_id);
+
+  const speakerCount = await diarizeTranscript({
+    meetingId: meeting.id,
+    transcriptPath: payload.transcriptPath || meeting.transcript_path,
+    audioPath: meeting.audio_path ? resolveStoragePath(meeting.audio_path) : null,
+  });
+
+  if (speakerCount === null) {
+    console.log(`Meeting ${meeting.id}: transcript has no segments - skipping diarization`);
+  } else {
+    console.log(`Meeting ${meeting.id}: ${speakerCount} speaker(s) identified`);
+  }
+  emitMeetingEvent(meeting.id, 'diarization_completed', { speakers: speakerCount });
+
+  return continuePipeline(payload);
+});
+
+/**
+ * Analysis stage: analyze the transcript and save a new summary file
+ * Previous summary files are kept as history.
+ */
+registerStage('analysis', async (job, payload) => {
+  const meeting = getMeetingForJob(job.meeting_id);
+  const transcriptPath = payload.transcriptPath || meeting.transcript_path;
+  const transcriptText = await loadTranscriptText(transcriptPath);
+
+  // An explicit backend runs with that provider's default model
+  const selection = getLLMSelection('meeting_analysis');
+  const template = getAnalysisTemplateForMeeting(meeting);
+  emitMeetingEvent(meeting.id, 'analysis_started', {
+    backend: payload.backend || selection.provider,
+    model: payload.backend ? getModelLabel(payload.backend) : selection.modelLabel,
+    template: template?.name || null,
+  });
+
+  const analysis = await analyzeMeeting(transcriptText, payload.backend || null, {
+    language: getMeetingLanguage(meeting),
+    template,
+    // Long transcripts of chunked recordings are analyzed chunk by chunk
+    sections: await readTranscriptSections(transcriptPath, getSpeakerNames(meeting.id)),
+    onProgress: (progress) => emitMeetingEvent(meeting.id, 'analysis_progress', progress),
+  });
+  const summaryPath = await saveSummary(analysis, meeting.id);
+
+  emitMeetingEvent(meeting.id, 'analysis_completed', {
+    model: analysis._metadata?.usedModel || null,
+    fallbackOccurred: !!analysis._metadata?.fallbackOccurred,
+  });
+
+  // Without the summary stage the new analysis is kept as history only - metadata and
+  // indexing stay on the summary the meeting shows
+  if (payload.updateSummary === false) {
+    return continuePipeline(payload);
+  }
+
+  const current = getMeetingForJob(meeting.id);
+  updateMeeting.run(
+    current.title,
+    current.date,
+    current.duration,
+    current.audio_path,
+    current.transcript_path,
+    summaryPath,
+    current.id
+  );
+
+  return continuePipeline(payload, { summaryPath });
+});
+
+/**
+ * Metadata stage: store decisions, action items and model info
+ */
+registerStage('metadata', async (job, payload) => {
+  const meeting = getMeetingForJob(job.meeting_id);
+  const analysis = await readSummary(payload.summaryPath || meeting.summary_path);
+
+  saveMeetingMetadata(meeting.id, analysis);
+
+  return continuePipeline(payload);
+});
+
+/**
+ * Indexing stage: rebuild the search index for the meeting
+ */
+registerStage('indexing', async (job, payload) => {
+  const meeting = getMeetingForJob(job.meeting_id);
+  const transcriptText = await loadTranscriptText(payload.transcriptPath || meeting.transcript_path);
+  const analysis = await readSummary(payload.summaryPath || meeting.summary_path);
+
+  await buildSearchIndex(meeting.id, transcriptText, analysis);
+  emitMeetingEvent(meeting.id, 'indexing_completed');
+
+  return continuePipeline(payload);
+});
+
+// Jobs that run out of retries mark their meeting as failed - a trashed meeting keeps the
+// status the trash gave it
+onJobFailed((job, error) => {
+  if (!getMeetingById.get(job.meeting_id)) return;
+  markMeetingError(job.meeting_id, error);
+});
+
+// Header written above typed notes so the analysis knows the meeting title and date
+const formatNotesHeader = (metadata) => `Meeting: ${metadata.title}\nDate: ${metadata.date}\n\n`;
+
+/**
+ * Save notes to a text file
+ * @param {string} notes - The meeting notes
+ * @param {number} meetingId - Meeting ID for filename
+ * @param {object} metadata - Meeting metadata (title, date)
+ * @returns {Promise<string>} Stored path of the notes file (/storage/transcripts/...)
+ */
+export async function saveNotes(notes, meetingId, metadata) {
+  const transcriptsDir = path.join(BACKEND_ROOT, 'storage', 'transcripts');
+
+  // Ensure directory exists
+  await fs.mkdir(transcriptsDir, { recursive: true });
+
+  // Save as .txt file
+  const txtPath = path.join(transcriptsDir, `meeting-${meetingId}.txt`);
+  const content = `${formatNotesHeader(metadata)}${notes}`;
+  await fs.writeFile(txtPath, content, 'utf8');
+
+  return `/storage/transcripts/meeting-${meetingId}.txt`;
+}
+
+/**
+ * Read the notes text of a typed-notes meeting (without the title/date header)
+ * @param {Object} meeting - Meeting row
+ * @returns {Promise<string|null>} Notes text or null if the notes file is missing
+ */
+export async function readNotes(meeting) {
+  const notesPath = await findTranscriptPath(meeting);
+  if (!notesPath) return null;
+
+  try {
+    const content = await loadTranscriptText(notesPath);
+    const headerEnd = content.indexOf('\n\n');
+    return headerEnd === -1 ? content : content.slice(headerEnd + 2);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Transcribe a meeting recording and save the transcript files
+ * @param {number} meetingId - Meeting ID
+ * @param {string} audioPath - Full filesystem path to the recording
+ * @param {string} title - Meeting title (for transcript header)
+ * @param {string} date - Meeting date (for transcript header)
+ * @param {string|null} language - Language code, or null to auto-detect
+ * @returns {Promise<Object>} Transcript text, stored transcript path, duration in seconds and
+ *   language code (detected or the one requested)
+ */
+async function transcribeMeetingAudio(meetingId, audioPath, title, date, language) {
+  const transcription = await transcribeWithRetry(audioPath, meetingId, (progress) => {
+    emitMeetingEvent(meetingId, 'transcription_progress', {
+      current: progress.current || null,
+      total: progress.total || null,
+      message: progress.message || null,
+    });
+
+    if (progress.total) {
+      console.log(`Meeting ${meetingId}: transcribing chunk ${progress.current}/${progress.total}`);
+    } else if (progress.message) {
+      console.log(`Meeting ${meetingId}: ${progress.message}`);
+    }
+  }, { language });
+
+  if (!transcription.text || !transcription.text.trim()) {
+    throw new Error('Transcription returned no text. Check that the recording contains audio.');
+  }
+
+  const duration = transcription.duration ? Math.round(transcription.duration) : null;
+  const { mdPath } = await saveTranscript(transcription.text, meetingId, {
+    title,
+    date,
+    duration,
+    language: transcription.language,
+    provider: transcription.provider,
+    segments: transcription.segments,
+    chunkBoundaries: transcription.chunkBoundaries,
+  });
+
+  return { text: transcription.text, transcriptPath: mdPath, duration, language: transcription.language };
+}
+
+/**
+ * Store decisions, action items and model info from an analysis
+ * Decisions and action items edited by hand are kept (see meetingItems.js).
+ * @param {number} meetingId - Meeting ID
+ * @param {Object} analysis - Analysis result or stored summary
+ */
+function saveMeetingMetadata(meetingId, analysis) {
+  // Extract AI model metadata
+  const aiModelInfo = analysis._metadata ? JSON.stringify(analysis._metadata) : null;
+
+  applyAnalysisItems(meetingId, analysis);
+  updateMeetingModelInfo.run(aiModelInfo, meetingId);
+}
+
+/**
+ * Convert a /storage/... path stored in the database to a filesystem path
+ * @param {string} storagePath - Stored path (e.g. /storage/audio/123.webm)
+ * @returns {string} Full filesystem path
+ */
+export function resolveStoragePath(storagePath) {
+  return storagePath.startsWith('/storage/')
+    ? path.join(BACKEND_ROOT, storagePath)
+    : storagePath;
+}
+
+/**
+ * Find a usable transcript for a meeting
+ * Falls back to the saved notes file when transcript_path is not set
+ * @param {Object} meeting - Meeting row
+ * @returns {Promise<string|null>} Transcript path or null
+ */
+export async function findTranscriptPath(meeting) {
+  if (meeting.transcript_path) {
+    return meeting.transcript_path;
+  }
+
+  const notesPath = path.join(BACKEND_ROOT, 'storage', 'transcripts', `meeting-${meeting.id}.txt`);
+  try {
+    await fs.access(notesPath);
+    return `/storage/transcripts/meeting-${meeting.id}.txt`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read transcript text for analysis and indexing
+ * Markdown transcripts have a plain-text copy saved alongside them, which is preferred
+ * @param {string} transcriptPath - Stored transcript path
+ * @returns {Promise<string>} Transcript text
+ */
+export async function loadTranscriptText(transcriptPath) {
+  if (!transcriptPath) {
+    throw new Error('No transcript available for this meeting');
+  }
+
+  if (!transcriptPath.startsWith('/storage/')) {
+    // Older notes meetings are stored with a full filesystem path
+    return fs.readFile(transcriptPath, 'utf8');
+  }
+
+  if (transcriptPath.endsWith('.md')) {
+    try {
+      return await readTranscript(transcriptPath.replace(/\.md$/, '.txt'));
+    } catch {
+      // Fall back to the markdown transcript
+    }
+  }
+
+  return readTranscript(transcriptPath);
+}
+
+/**
+ * Mark a meeting as failed and record the error detail
+ * Audio, transcript and summary paths are kept so the meeting can be reprocessed
+ */
+export function markMeetingError(meetingId, error) {
+  try {
+    updateMeetingStatus(meetingId, 'failed', error.message);
+    console.error(`Marked meeting ${meetingId} with error status`);
+  } catch (updateError) {
+    console.error(`Failed to mark meeting ${meetingId} with error:`, updateError);
+  }
+}
@@ -0,0 +1,243 @@
+import {
+  getAllSeries,
+  getMeetingsBySeries,
+  getMeetingsWithoutSeries,
+  getSeriesDigest,
+  saveSeriesDigest,
+} from '../db/database.js';
+import { readSummary, generateSeriesDigest } from './aiAnalysis.js';
+
+/**
+ * Meeting series - recurring meetings grouped together
+ *
+ * Titles of recurring meetings usually differ only by a date or number
+ * ("Weekly Sync 2024-03-04", "Weekly sync #12"), so titles are compared after
+ * removing those and suggestions group meetings whose remaining words mostly overlap.
+ */
+
+// Minimum word overlap (Jaccard) for two titles to count as the same series
+const SIMILARITY_THRESHOLD = 0.6;
+
+const MONTHS = 'jan(uary)?|feb(ruary)?|mar(ch)?|apr(il)?|may|june?|july?|aug(ust)?|sep(t(ember)?)?|oct(ober)?|nov(ember)?|dec(ember)?';
+const WEEKDAYS = 'mon(day)?|tue(s(day)?)?|wed(nesday)?|thu(rs(day)?)?|fri(day)?|sat(urday)?|sun(day)?';
+
+/**
+ * Reduce a meeting title to the words that stay the same from one occurrence to the next
+ * @param {string} title - Meeting title
+ * @returns {string} Lowercase title without dates, weekdays, numbers and punctuation
+ */
+export function normalizeSeriesTitle(title) {
+  return (title || '')
+    .toLowerCase()
+    .replace(/\d{4}-\d{1,2}-\d{1,2}/g, ' ')
+    .replace(/\d{1,2}[/.]\d{1,2}([/.]\d{2,4})?/g, ' ')
+    .replace(new RegExp(`\\b(${MONTHS}|${WEEKDAYS})\\b`, 'g'), ' ')
+    .replace(/\b(week|wk|sprint|w)?\s*#?\d+\b/g, ' ')
+    .replace(/[^a-z\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Word overlap between two titles after normalization (0 = nothing in common, 1 = same)
+ * @param {string} a - Title
+ * @param {string} b - Title
+ * @returns {number} Similarity between 0 and 1
+ */
+export function titleSimilarity(a, b) {
+  const wordsA = new Set(normalizeSeriesTitle(a).split(' ').filter(Boolean));
+  const wordsB = new Set(normalizeSeriesTitle(b).split(' ').filter(Boolean));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Suggest a series name for a group of meetings: the words every title shares,
+ * in the order and casing of the latest title
+ * @param {Array<Object>} meetings - Meetings, oldest first
+ * @returns {string} Suggested name
+ */
+const suggestName = (meetings) => {
+  const latest = meetings[meetings.length - 1].title;
+  const wordSets = meetings.map(meeting => new Set(normalizeSeriesTitle(meeting.title).split(' ')));
+
+  const name = latest
+    .split(/\s+/)
+    .filter(word => {
+      const normalized = normalizeSeriesTitle(word);
+      return normalized && wordSets.every(words => words.has(normalized));
+    })
+    .join(' ')
+    .replace(/[:\-–,]+$/, '');
+
+  return name || latest;
+};
+
+/**
+ * Find the existing series a meeting most likely belongs to
+ * @param {Object} meeting - Meeting row
+ * @param {Array<Object>} seriesList - Series rows with their meetings ({ ...series, meetings })
+ * @returns {Object|null} Best matching series, or null
+ */
+const findMatchingSeries = (meeting, seriesList) => {
+  let best = null;
+  let bestScore = 0;
+
+  for (const series of seriesList) {
+    if (series.project_id !== meeting.project_id) continue;
+
+    const score = Math.max(
+      titleSimilarity(meeting.title, series.name),
+      ...series.meetings.map(member => titleSimilarity(meeting.title, member.title))
+    );
+    if (score >= SIMILARITY_THRESHOLD && score > bestScore) {
+      best = series;
+      bestScore = score;
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Suggest series for meetings that are not in one yet
+ * Returns suggestions to add meetings to an existing series and to create new
+ * series from groups of at least two meetings with similar titles (same project).
+ * @param {Object} options
+ * @param {number|null} options.projectId - Only look at this project's meetings
+ * @param {number|null} options.meetingId - Only return suggestions that include this meeting
+ * @returns {Array<Object>} [{ type: 'existing'|'new', series_id, name, project_id, meetings }]
+ */
+export function suggestSeries({ projectId = null, meetingId = null } = {}) {
+  const seriesList = getAllSeries.all({ projectId }).map(series => ({
+    ...series,
+    meetings: getMeetingsBySeries.all(series.id),
+  }));
+  const unassigned = getMeetingsWithoutSeries.all({ projectId });
+
+  const toExisting = new Map();
+  const remaining = [];
+
+  for (const meeting of unassigned) {
+    const series = findMatchingSeries(meeting, seriesList);
+    if (series) {
+      if (!toExisting.has(series.id)) toExisting.set(series.id, { series, meetings: [] });
+      toExisting.get(series.id).meetings.push(meeting);
+    } else {
+      remaining.push(meeting);
+    }
+  }
+
+  // Greedy grouping: each meeting joins the first group whose meetings it resembles
+  const groups = [];
+  for (const meeting of remaining) {
+    const group = groups.find(candidate => (
+      candidate[0].project_id === meeting.project_id &&
+      candidate.some(member => titleSimilarity(member.title, meeting.title) >= SIMILARITY_THRESHOLD)
+    ));
+    if (group) {
+      group.push(meeting);
+    } else {
+      groups.push([meeting]);
+    }
+  }
+
+  const suggestions = [
+    ...[...toExisting.values()].map(({ series, meetings }) => ({
+      type: 'existing',
+      series_id: series.id,
+      name: series.name,
+      project_id: series.project_id,
+      meetings,
+    })),
+    ...groups.filter(group => group.length >= 2).map(group => ({
+      type: 'new',
+      series_id: null,
+      name: suggestName(group),
+      project_id: group[0].project_id,
+      meetings: group,
+    })),
+  ];
+
+  return meetingId
+    ? suggestions.filter(suggestion => suggestion.meetings.some(meeting => meeting.id === meetingId))
+    : suggestions;
+}
+
+const parseDigest = (row) => (row
+  ? {
+    previous_meeting_id: row.previous_meeting_id,
+    ...JSON.parse(row.digest),
+    ai_model_info: row.ai_model_info ? JSON.parse(row.ai_model_info) : null,
+    created_at: row.created_at,
+  }
+  : null);
+
+/**
+ * Build the timeline of a series: its meetings oldest first, each with the
+ * overview of its summary and the "what changed" digest against the meeting before it
+ * @param {number} seriesId - Series ID
+ * @returns {Promise<Array<Object>>} Meetings with overview, key_decisions and digest
+ */
+export async function getSeriesTimeline(seriesId) {
+  const meetings = getMeetingsBySeries.all(seriesId);
+
+  return Promise.all(meetings.map(async (meeting, idx) => {
+    const summary = meeting.summary_path ? await readSummary(meeting.summary_path).catch(() => null) : null;
+    const digest = parseDigest(getSeriesDigest.get(meeting.id));
+
+    return {
+      ...meeting,
+      overview: summary?.overview || null,
+      key_decisions: summary?.key_decisions || [],
+      // A digest is outdated once the meeting before this one changes (e.g. a meeting was added in between)
+      digest: digest && idx > 0 && digest.previous_meeting_id === meetings[idx - 1].id ? digest : null,
+    };
+  }));
+}
+
+/**
+ * Generate the "what changed since last time" digest for a meeting of a series
+ * @param {Object} series - Series row
+ * @param {number} meetingId - Meeting to compare with the one before it in the series
+ * @returns {Promise<{ digest?: Object, error?: string, status?: number }>} Saved digest or an error
+ */
+export async function generateDigestForMeeting(series, meetingId) {
+  const meetings = getMeetingsBySeries.all(series.id);
+  const idx = meetings.findIndex(meeting => meeting.id === meetingId);
+
+  if (idx === -1) {
+    return { error: 'Meeting is not part of this series', status: 404 };
+  }
+  if (idx === 0) {
+    return { error: 'The first meeting of a series has nothing to compare with', status: 400 };
+  }
+
+  const [previous, current] = [meetings[idx - 1], meetings[idx]];
+  if (!previous.summary_path || !current.summary_path) {
+    return { error: 'Both meetings need a summary before they can be compared', status: 400 };
+  }
+
+  const [previousSummary, currentSummary] = await Promise.all([
+    readSummary(previous.summary_path),
+    readSummary(current.summary_path),
+  ]);
+
+  const { backend, model, ...digest } = await generateSeriesDigest(
+    { title: previous.title, date: previous.date, summary: previousSummary },
+    { title: current.title, date: current.date, summary: currentSummary },
+    series.name
+  );
+
+  const aiModelInfo = {
+    backend,
+    model,
+    generatedAt: new Date().toISOString(),
+  };
+
+  saveSeriesDigest.run(current.id, previous.id, JSON.stringify(digest), JSON.stringify(aiModelInfo));
+
+  return { digest: parseDigest(getSeriesDigest.get(current.id)) };
+}
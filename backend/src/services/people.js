@@ -0,0 +1,194 @@
+import db, {
+  createPerson,
+  getAllPeople,
+  getPersonById,
+  getPersonByName,
+  getMeetingAttendees,
+  addMeetingAttendee,
+  clearMeetingAttendees,
+  getUnmatchedActionItems,
+  setActionItemOwner,
+} from '../db/database.js';
+
+/**
+ * People roster and meeting attendees
+ *
+ * Action item owners come from the AI or users as free text ("Sarah", "@sarah.k", "Sarah (PM)").
+ * When an item is saved its owner is matched against the roster so it links to a person:
+ * the meeting's attendees are tried first, then everyone else. A match rewrites the owner
+ * to the person's name; owners that match nobody stay free text.
+ */
+
+const parseAliases = (value) => {
+  try {
+    const aliases = value ? JSON.parse(value) : [];
+    return Array.isArray(aliases) ? aliases : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Convert a people row to the API format (aliases as an array)
+ * @param {Object} row - people row
+ * @returns {Object} Person
+ */
+export const toPerson = (row) => ({
+  ...row,
+  aliases: parseAliases(row.aliases),
+});
+
+/**
+ * Clean up a list of aliases from a request body
+ * @param {Array<string>} aliases - Aliases
+ * @returns {string} JSON array of unique, trimmed aliases
+ */
+export const serializeAliases = (aliases) => JSON.stringify([
+  ...new Set((Array.isArray(aliases) ? aliases : [])
+    .filter(alias => typeof alias === 'string')
+    .map(alias => alias.trim())
+    .filter(Boolean)),
+]);
+
+const normalizeName = (name) => (name || '')
+  .toLowerCase()
+  .replace(/^\s*@/, '')
+  .replace(/[._]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Every name a person can be referred to by: full name, aliases and email local part
+ */
+const namesOf = (person) => [
+  person.name,
+  ...parseAliases(person.aliases),
+  person.email ? person.email.split('@')[0] : null,
+].filter(Boolean).map(normalizeName);
+
+/**
+ * Match an owner name against a list of people
+ * An exact name, alias or email match wins; otherwise a single-word owner matches a
+ * person whose first name it is, as long as only one person has that first name.
+ * @param {string} owner - Normalized owner text
+ * @param {Array<Object>} people - people rows
+ * @returns {Object|null} Matching person
+ */
+const findPerson = (owner, people) => {
+  const name = normalizeName(owner);
+  if (!name) return null;
+
+  const exact = people.find(person => namesOf(person).includes(name));
+  if (exact) return exact;
+
+  if (name.includes(' ')) return null;
+
+  const byFirstName = people.filter(person => namesOf(person).some(candidate => candidate.split(' ')[0] === name));
+  return byFirstName.length === 1 ? byFirstName[0] : null;
+};
+
+/**
+ * Resolve an action item owner to a person - the meeting's attendees first, then the whole roster
+ * @param {number} meetingId - Meeting the action item belongs to
+ * @param {string|null} owner - Normalized owner text
+ * @returns {{ owner: string|null, owner_id: number|null }} Owner text (the person's name when matched) and person ID
+ */
+export function resolveOwner(meetingId, owner) {
+  if (!owner) return { owner: null, owner_id: null };
+
+  const person = findPerson(owner, getMeetingAttendees.all(meetingId)) ||
+    findPerson(owner, getAllPeople.all());
+
+  return person ? { owner: person.name, owner_id: person.id } : { owner, owner_id: null };
+}
+
+/**
+ * Match owners that are not linked to a person again (e.g. after attendees or the roster changed)
+ * @param {Object} options
+ * @param {number|null} options.meetingId - Only this meeting's action items
+ * @returns {number} Number of action items that were linked to a person
+ */
+export const rematchOwners = db.transaction(({ meetingId = null } = {}) => {
+  let matched = 0;
+
+  for (const item of getUnmatchedActionItems.all({ meetingId })) {
+    const { owner, owner_id } = resolveOwner(item.meeting_id, item.owner);
+    if (owner_id) {
+      setActionItemOwner.run(owner, owner_id, item.id);
+      matched++;
+    }
+  }
+
+  return matched;
+});
+
+/**
+ * Find a person by name or alias, creating them if nobody has that name
+ * @param {string} name - Person's name
+ * @returns {Object} people row
+ */
+export const findOrCreatePerson = (name) => {
+  const trimmed = name.trim();
+  const existing = getPersonByName.get(trimmed) ||
+    getAllPeople.all().find(person => namesOf(person).includes(normalizeName(trimmed)));
+  if (existing) return existing;
+
+  const result = createPerson.run(trimmed, null, '[]');
+  return getPersonById.get(result.lastInsertRowid);
+};
+
+/**
+ * Validate an attendee list from a request body
+ * Each attendee is a name, { name } or { personId }, optionally with a speakerLabel.
+ * @param {Array} attendees - Attendees
+ * @returns {string|null} Error message or null when valid
+ */
+export function validateAttendees(attendees) {
+  if (!Array.isArray(attendees)) {
+    return 'attendees must be an array';
+  }
+
+  for (const attendee of attendees) {
+    if (typeof attendee === 'string') {
+      if (!attendee.trim()) return 'Attendee names cannot be empty';
+      continue;
+    }
+    if (!attendee || typeof attendee !== 'object') {
+      return 'Each attendee must be a name or an object with personId or name';
+    }
+    if (attendee.personId !== undefined) {
+      if (!getPersonById.get(parseInt(attendee.personId, 10))) {
+        return `Person not found: ${attendee.personId}`;
+      }
+    } else if (typeof attendee.name !== 'string' || !attendee.name.trim()) {
+      return 'Each attendee must have a personId or a name';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Replace a meeting's attendees (unknown names are added to the roster)
+ * and link action item owners that now match an attendee
+ * @param {number} meetingId - Meeting ID
+ * @param {Array} attendees - Validated attendees (see validateAttendees)
+ * @returns {Array<Object>} The meeting's attendees
+ */
+export const setMeetingAttendees = db.transaction((meetingId, attendees) => {
+  clearMeetingAttendees.run(meetingId);
+
+  for (const attendee of attendees) {
+    const person = typeof attendee === 'string'
+      ? findOrCreatePerson(attendee)
+      : attendee.personId !== undefined
+        ? getPersonById.get(parseInt(attendee.personId, 10))
+        : findOrCreatePerson(attendee.name);
+
+    addMeetingAttendee.run(meetingId, person.id, attendee.speakerLabel || null);
+  }
+
+  rematchOwners({ meetingId });
+
+  return getMeetingAttendees.all(meetingId).map(toPerson);
+});
@@ -0,0 +1,33 @@
+import { EventEmitter } from 'events';
+
+// One channel per meeting; listeners are the open SSE connections
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const channel = (meetingId) => `meeting:${meetingId}`;
+
+/**
+ * Publish a processing event for a meeting
+ * @param {number} meetingId - Meeting ID
+ * @param {string} type - Event type (e.g. 'status', 'transcription_progress', 'analysis_started')
+ * @param {Object} data - Event data
+ */
+export const emitMeetingEvent = (meetingId, type, data = {}) => {
+  emitter.emit(channel(meetingId), {
+    type,
+    meetingId,
+    timestamp: new Date().toISOString(),
+    ...data,
+  });
+};
+
+/**
+ * Listen for processing events for a meeting
+ * @param {number} meetingId - Meeting ID
+ * @param {Function} listener - Called with each event object
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToMeetingEvents = (meetingId, listener) => {
+  emitter.on(channel(meetingId), listener);
+  return () => emitter.off(channel(meetingId), listener);
+};
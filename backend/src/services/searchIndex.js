@@ -140,6 +140,23 @@ export const buildSearchIndex = async (meetingId, transcript, summary) => {
           }
         }
       }
+
+      // Index the fields of the analysis template the meeting was analyzed with
+      if (Array.isArray(summary.template?.fields)) {
+        for (const field of summary.template.fields) {
+          const value = summary[field.key];
+          const texts = Array.isArray(value) ? value : [value];
+          for (const text of texts) {
+            if (typeof text === 'string') {
+              const tokens = tokenize(text);
+              for (const token of tokens) {
+                addToSearchIndex.run(meetingId, token, 'template', 6);
+                indexCount++;
+              }
+            }
+          }
+        }
+      }
     }
 
     console.log(`Search index built: ${indexCount} entries for meeting ${meetingId}`);
@@ -3,7 +3,7 @@ import { getSetting } from '../db/database.js';
 /**
  * Get AI backend preference for a specific feature
  * @param {string} feature - Feature name ('meeting_analysis', 'chat', 'wiki_updates', 'mentor_feedback')
- * @returns {string} Backend preference ('openai' or 'anthropic')
+ * @returns {string} Backend preference (an LLM provider name: 'openai', 'anthropic' or 'local')
  */
 export function getAIBackendForFeature(feature) {
   try {
@@ -23,10 +23,49 @@ export function getAIBackendForFeature(feature) {
 }
 
 /**
- * Get the model name for a backend
- * @param {string} backend - Backend name ('openai' or 'anthropic')
- * @returns {string} Model name
+ * Get the model chosen for a specific feature
+ * @param {string} feature - Feature name (see getAIBackendForFeature)
+ * @returns {string|null} Model id, or null for the provider's default model
  */
-export function getModelNameForBackend(backend) {
-  return backend === 'anthropic' ? 'Claude Sonnet 4.5' : 'GPT-4o';
+export function getAIModelForFeature(feature) {
+  try {
+    const setting = getSetting.get(`ai.${feature}.model`);
+    return setting && setting.value && setting.value !== 'default' ? setting.value : null;
+  } catch (error) {
+    console.error(`Error getting AI model for ${feature}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Get the transcription provider preference
+ * @returns {string} Provider name ('openai' or 'local')
+ */
+export function getTranscriptionBackend() {
+  try {
+    const setting = getSetting.get('ai.transcription');
+
+    if (setting && setting.value) {
+      return setting.value;
+    }
+
+    return process.env.TRANSCRIPTION_BACKEND || 'openai';
+  } catch (error) {
+    console.error('Error getting transcription backend:', error);
+    return process.env.TRANSCRIPTION_BACKEND || 'openai';
+  }
+}
+
+/**
+ * Get the language meeting summaries are written in
+ * @returns {string} 'meeting' (the language the meeting was held in) or a language code
+ */
+export function getAnalysisOutputLanguage() {
+  try {
+    const setting = getSetting.get('analysis.output_language');
+    return setting && setting.value ? setting.value : 'meeting';
+  } catch (error) {
+    console.error('Error getting analysis output language:', error);
+    return 'meeting';
+  }
 }
@@ -0,0 +1,215 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import cron from 'node-cron';
+import { getAllProjectIds, getMeetingFileRefs } from '../db/database.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const STORAGE_DIR = path.join(__dirname, '../../storage');
+
+// Per-meeting files are named meeting-<id>-<timestamp>.* (notes: meeting-<id>.txt)
+const MEETING_FILE_DIRS = ['transcripts', 'summaries', 'chunks'];
+const MEETING_FILE_PATTERN = /^meeting-(\d+)[-.]/;
+
+// Files newer than this are skipped by the sweeper - an upload may not have its meeting row yet
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+// Meetings in these statuses are not processing, so their chunk files are leftovers
+const IDLE_STATUSES = ['complete', 'failed'];
+
+/**
+ * Convert a /storage/... path from the database to a filesystem path inside storage/
+ * @param {string|null} storagePath - Stored path
+ * @returns {string|null} Full path, or null if the path points outside storage/
+ */
+const resolveInStorage = (storagePath) => {
+  if (!storagePath || !storagePath.startsWith('/storage/')) return null;
+
+  const fullPath = path.join(STORAGE_DIR, storagePath.slice('/storage/'.length));
+  return fullPath.startsWith(STORAGE_DIR + path.sep) ? fullPath : null;
+};
+
+/**
+ * List the files in a storage subdirectory (missing directories are empty)
+ */
+const listStorageDir = async (dir) => {
+  try {
+    return await fs.readdir(path.join(STORAGE_DIR, dir));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+};
+
+/**
+ * Delete files and directories, ignoring ones that are already gone
+ * @param {Array<string>} fullPaths - Paths to delete
+ * @returns {Promise<number>} Number of entries deleted
+ */
+const removePaths = async (fullPaths) => {
+  let deletedCount = 0;
+
+  for (const fullPath of new Set(fullPaths)) {
+    try {
+      await fs.rm(fullPath, { recursive: true });
+      deletedCount++;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Failed to delete ${fullPath}:`, error.message);
+      }
+    }
+  }
+
+  return deletedCount;
+};
+
+/**
+ * Find every file in storage that belongs to a meeting
+ * Covers the stored audio/transcript/summary paths plus all transcript and summary
+ * versions and chunk files named after the meeting.
+ * @param {Object} meeting - Meeting row
+ * @returns {Promise<Array<string>>} Full paths
+ */
+export const getMeetingFiles = async (meeting) => {
+  const files = [meeting.audio_path, meeting.transcript_path, meeting.summary_path]
+    .map(resolveInStorage)
+    .filter(Boolean);
+
+  for (const dir of MEETING_FILE_DIRS) {
+    for (const file of await listStorageDir(dir)) {
+      const match = file.match(MEETING_FILE_PATTERN);
+      if (match && parseInt(match[1], 10) === meeting.id) {
+        files.push(path.join(STORAGE_DIR, dir, file));
+      }
+    }
+  }
+
+  return [...new Set(files)];
+};
+
+/**
+ * Delete all files of a meeting (call after the row is deleted)
+ * @param {Object} meeting - Meeting row
+ * @returns {Promise<number>} Number of files deleted
+ */
+export const deleteMeetingFiles = async (meeting) => {
+  const deletedCount = await removePaths(await getMeetingFiles(meeting));
+
+  if (deletedCount > 0) {
+    console.log(`🗑️  Deleted ${deletedCount} file(s) of meeting ${meeting.id}`);
+  }
+  return deletedCount;
+};
+
+/**
+ * Delete the files of a project and all of its meetings
+ * @param {number} projectId - Project ID
+ * @param {Array<Object>} meetings - The project's meeting rows (read before the cascade delete)
+ * @returns {Promise<number>} Number of files deleted
+ */
+export const deleteProjectFiles = async (projectId, meetings) => {
+  let deletedCount = 0;
+
+  for (const meeting of meetings) {
+    deletedCount += await deleteMeetingFiles(meeting);
+  }
+
+  deletedCount += await removePaths([
+    path.join(STORAGE_DIR, 'wikis', `project-${projectId}.md`),
+    path.join(STORAGE_DIR, 'skills', `project-${projectId}`),
+  ]);
+
+  return deletedCount;
+};
+
+/**
+ * Reconcile storage/ against the database and delete files nothing refers to:
+ *   - audio files not referenced by any meeting
+ *   - transcripts, summaries and chunks of meetings that no longer exist
+ *   - chunk files of meetings that are not being processed
+ *   - wikis and project skill folders of deleted projects
+ * Files changed within the last hour are left alone.
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only report what would be deleted
+ * @returns {Promise<Object>} { files: [relative paths], deleted: number }
+ */
+export const sweepOrphanedFiles = async ({ dryRun = false } = {}) => {
+  const meetings = new Map(getMeetingFileRefs.all().map(row => [row.id, row]));
+  const projectIds = new Set(getAllProjectIds.all().map(project => project.id));
+  const referencedAudio = new Set(
+    [...meetings.values()].map(meeting => resolveInStorage(meeting.audio_path)).filter(Boolean)
+  );
+
+  const candidates = [];
+
+  for (const file of await listStorageDir('audio')) {
+    const fullPath = path.join(STORAGE_DIR, 'audio', file);
+    if (file !== '.gitkeep' && !referencedAudio.has(fullPath)) {
+      candidates.push(fullPath);
+    }
+  }
+
+  for (const dir of MEETING_FILE_DIRS) {
+    for (const file of await listStorageDir(dir)) {
+      const match = file.match(MEETING_FILE_PATTERN);
+      if (!match) continue;
+
+      const meeting = meetings.get(parseInt(match[1], 10));
+      if (!meeting || (dir === 'chunks' && IDLE_STATUSES.includes(meeting.status))) {
+        candidates.push(path.join(STORAGE_DIR, dir, file));
+      }
+    }
+  }
+
+  for (const [dir, pattern] of [['wikis', /^project-(\d+)\.md$/], ['skills', /^project-(\d+)$/]]) {
+    for (const file of await listStorageDir(dir)) {
+      const match = file.match(pattern);
+      if (match && !projectIds.has(parseInt(match[1], 10))) {
+        candidates.push(path.join(STORAGE_DIR, dir, file));
+      }
+    }
+  }
+
+  const now = Date.now();
+  const orphans = [];
+  for (const fullPath of candidates) {
+    try {
+      const stats = await fs.stat(fullPath);
+      if (now - stats.mtimeMs > ORPHAN_GRACE_MS) {
+        orphans.push(fullPath);
+      }
+    } catch {
+      // Removed while sweeping
+    }
+  }
+
+  const deleted = dryRun ? 0 : await removePaths(orphans);
+
+  if (orphans.length > 0) {
+    console.log(`🧹 Orphan sweep: ${dryRun ? 'found' : 'deleted'} ${dryRun ? orphans.length : deleted} orphaned file(s)`);
+  }
+
+  return {
+    files: orphans.map(fullPath => `/storage/${path.relative(STORAGE_DIR, fullPath).split(path.sep).join('/')}`),
+    deleted,
+  };
+};
+
+/**
+ * Setup cron job for the orphan sweeper
+ * Runs daily at 3 AM
+ */
+export const setupOrphanSweepCron = () => {
+  cron.schedule('0 3 * * *', async () => {
+    console.log('Running scheduled orphaned file sweep...');
+    try {
+      await sweepOrphanedFiles();
+    } catch (error) {
+      console.error('Error during orphaned file sweep:', error);
+    }
+  });
+
+  console.log('Orphaned file sweep cron job scheduled');
+};
@@ -0,0 +1,133 @@
+import {
+  createTranscriptRevision,
+  getTranscriptRevisions,
+  getTranscriptRevisionById,
+} from '../db/database.js';
+import { readTranscriptSegments, rewriteTranscript } from './transcription.js';
+import { getSpeakerNames } from './diarization.js';
+
+/**
+ * Transcript editing - hand corrections of individual timestamped segments
+ *
+ * Edits rewrite the transcript files in place (see rewriteTranscript) and are recorded as
+ * revisions holding the text before and after, so a revision can be reverted later. A revert is
+ * itself recorded as a revision.
+ */
+
+/**
+ * Convert a transcript_revisions row for API responses
+ * @param {Object} row - Database row
+ * @returns {Object} Revision with parsed changes
+ */
+const toRevision = (row) => ({
+  id: row.id,
+  changes: JSON.parse(row.changes),
+  reverts_revision_id: row.reverts_revision_id,
+  created_at: row.created_at,
+});
+
+/**
+ * Validate segment edits from a request body
+ * @param {Array<Object>} edits - [{ index, text }]
+ * @param {number} segmentCount - Number of segments in the transcript
+ * @returns {string|null} Error message or null when valid
+ */
+export const validateSegmentEdits = (edits, segmentCount) => {
+  if (!Array.isArray(edits) || edits.length === 0) {
+    return 'segments must be a non-empty array of { index, text }';
+  }
+
+  const seen = new Set();
+  for (const edit of edits) {
+    if (!Number.isInteger(edit?.index) || edit.index < 0 || edit.index >= segmentCount) {
+      return `Invalid segment index: ${edit?.index}`;
+    }
+    if (seen.has(edit.index)) {
+      return `Segment ${edit.index} is edited more than once`;
+    }
+    if (typeof edit.text !== 'string' || !edit.text.trim()) {
+      return `Segment ${edit.index} text cannot be empty`;
+    }
+    seen.add(edit.index);
+  }
+
+  return null;
+};
+
+/**
+ * Apply segment edits to a meeting's transcript and record them as a revision
+ * @param {Object} meeting - Meeting row
+ * @param {Array<Object>} edits - Validated edits [{ index, text }]
+ * @param {number|null} revertsRevisionId - Revision this edit reverts (optional)
+ * @returns {Promise<Object|null>} The new revision, or null when no segment text changed
+ */
+export const editTranscriptSegments = async (meeting, edits, revertsRevisionId = null) => {
+  const data = await readTranscriptSegments(meeting.transcript_path);
+  if (!data) {
+    throw new Error('Transcript has no timestamped segments');
+  }
+
+  const changes = edits
+    .map(({ index, text }) => ({
+      index,
+      start: data.segments[index].start,
+      before: data.segments[index].text,
+      after: text.trim(),
+    }))
+    .filter(change => change.before !== change.after);
+
+  if (changes.length === 0) return null;
+
+  const segments = data.segments.map((segment, index) => {
+    const change = changes.find(candidate => candidate.index === index);
+    return change ? { ...segment, text: change.after } : segment;
+  });
+
+  await rewriteTranscript(meeting.transcript_path, {
+    segments,
+    speakerNames: getSpeakerNames(meeting.id),
+    text: segments.map(segment => segment.text).join(' '),
+  });
+
+  const result = createTranscriptRevision.run(
+    meeting.id,
+    meeting.transcript_path,
+    JSON.stringify(changes),
+    revertsRevisionId
+  );
+
+  return toRevision(getTranscriptRevisionById.get(result.lastInsertRowid, meeting.id));
+};
+
+/**
+ * Revision history of a meeting's current transcript, newest first
+ * @param {Object} meeting - Meeting row
+ * @returns {Array<Object>} Revisions
+ */
+export const listTranscriptRevisions = (meeting) => {
+  if (!meeting.transcript_path) return [];
+  return getTranscriptRevisions.all(meeting.id, meeting.transcript_path).map(toRevision);
+};
+
+/**
+ * Get a revision of a meeting's current transcript
+ * @param {Object} meeting - Meeting row
+ * @param {number} revisionId - Revision ID
+ * @returns {Object|null} Revision, or null when not found or made on an earlier transcript
+ */
+export const getTranscriptRevision = (meeting, revisionId) => {
+  const row = getTranscriptRevisionById.get(revisionId, meeting.id);
+  return row && row.transcript_path === meeting.transcript_path ? toRevision(row) : null;
+};
+
+/**
+ * Put back the text a revision replaced
+ * @param {Object} meeting - Meeting row
+ * @param {Object} revision - Revision to revert
+ * @returns {Promise<Object|null>} The revert revision, or null when the text is already as before
+ */
+export const revertTranscriptRevision = (meeting, revision) => editTranscriptSegments(
+  meeting,
+  revision.changes.map(change => ({ index: change.index, text: change.before })),
+  revision.id
+);
@@ -1,71 +1,31 @@
-import OpenAI from 'openai';
 import fs from 'fs/promises';
-import fsSync from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import {
   processLargeAudio,
   cleanupChunks,
-  rechunkWithSmallerSize
+  rechunkWithSmallerSize,
+  mergeChunkTranscriptions
 } from './audioChunker.js';
+import { getTranscriptionProvider, getTranscriptionProviderNames } from './transcriptionProviders.js';
+import { getTranscriptionBackend } from './settingsService.js';
+import { normalizeLanguage } from './languages.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const TRANSCRIPT_DIR = path.join(__dirname, '../../storage/transcripts');
-const SIZE_THRESHOLD_MB = 24; // Trigger chunking if over 24MB
-
-// Initialize OpenAI client (lazy initialization)
-let openai = null;
-
-function getOpenAIClient() {
-  if (!openai && process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-  }
-  return openai;
-}
 
 /**
- * Check for API quota/billing errors
- * @param {Error} error - Error object from API call
- * @returns {string|null} User-friendly error message or null
- */
-function checkAPIQuotaError(error) {
-  // OpenAI error codes
-  if (error.status === 429) {
-    return 'OpenAI API rate limit exceeded. Please wait a few minutes and try "Reprocess Meeting"';
-  }
-  if (error.status === 401) {
-    return 'OpenAI API key is invalid or expired. Please check your .env file';
-  }
-  if (error.status === 402 || error.code === 'insufficient_quota') {
-    return 'OpenAI account has insufficient credits. Please add credits at platform.openai.com/account/billing';
-  }
-  if (error.message && error.message.includes('quota')) {
-    return 'OpenAI API quota exceeded. Check your usage at platform.openai.com/account/usage';
-  }
-  if (error.message && error.message.includes('billing')) {
-    return 'OpenAI billing issue detected. Please check platform.openai.com/account/billing';
-  }
-  return null;
-}
-
-/**
- * Transcribe a single audio file (must be under 25MB)
+ * Transcribe a single audio file (must be under the provider's size limit)
+ * @param {Object} provider - Transcription provider
  * @param {string} audioPath - Path to audio file
- * @param {string} language - Language code (optional)
+ * @param {string|null} language - Language code, or null to auto-detect
  * @returns {Promise<Object>} Transcription result
  */
-const transcribeSingleFile = async (audioPath, language = 'en') => {
-  const client = getOpenAIClient();
-  if (!client) {
-    throw new Error('OpenAI API key not configured');
-  }
-
+const transcribeSingleFile = async (provider, audioPath, language = null) => {
   try {
-    console.log(`Transcribing: ${audioPath}`);
+    console.log(`Transcribing with ${provider.label}: ${audioPath}`);
 
     // Get full path
     const fullAudioPath = path.isAbsolute(audioPath)
@@ -80,36 +40,14 @@ const transcribeSingleFile = async (audioPath, language = 'en') => {
     const fileSizeMB = stats.size / (1024 * 1024);
     console.log(`File size: ${fileSizeMB.toFixed(2)}MB`);
 
-    // Use read stream
-    const audioStream = fsSync.createReadStream(fullAudioPath);
-
-    // Call Whisper API
-    const transcription = await client.audio.transcriptions.create({
-      file: audioStream,
-      model: 'whisper-1',
-      language: language,
-      response_format: 'verbose_json', // Get timestamps
-    });
+    const transcription = await provider.transcribe(fullAudioPath, { language });
 
     console.log(`Transcription completed: ${transcription.text.length} characters`);
 
-    return {
-      text: transcription.text,
-      language: transcription.language,
-      duration: transcription.duration,
-      segments: transcription.segments || [],
-    };
+    return transcription;
   } catch (error) {
-    // Check for API quota/billing issues first
-    const quotaError = checkAPIQuotaError(error);
-    if (quotaError) {
-      console.error('❌ API Quota Error:', quotaError);
-      throw new Error(quotaError);
-    }
-
-    // Check if it's a 413 error (payload too large)
-    if (error.status === 413 || error.message.includes('413')) {
-      throw new Error('PAYLOAD_TOO_LARGE');
+    if (error.message === 'PAYLOAD_TOO_LARGE') {
+      throw error;
     }
 
     console.error('Transcription error:', error);
@@ -117,58 +55,19 @@ const transcribeSingleFile = async (audioPath, language = 'en') => {
   }
 };
 
-/**
- * Merge transcripts from multiple chunks
- * @param {Array<Object>} chunkResults - Array of transcription results with chunk info
- * @returns {Object} Merged transcription result
- */
-const mergeTranscripts = (chunkResults) => {
-  console.log(`\nMerging ${chunkResults.length} transcripts...`);
-
-  let fullText = '';
-  let allSegments = [];
-  let totalDuration = 0;
-  const language = chunkResults[0]?.transcription.language || 'en';
-
-  for (const { chunk, transcription } of chunkResults) {
-    // Add text
-    fullText += transcription.text + ' ';
-
-    // Adjust segment timestamps based on chunk start time
-    if (transcription.segments && transcription.segments.length > 0) {
-      const adjustedSegments = transcription.segments.map(segment => ({
-        ...segment,
-        start: segment.start + chunk.startTime,
-        end: segment.end + chunk.startTime,
-      }));
-      allSegments.push(...adjustedSegments);
-    }
-
-    // Track total duration
-    totalDuration = Math.max(totalDuration, chunk.endTime);
-  }
-
-  // Clean up text (remove extra spaces)
-  fullText = fullText.trim().replace(/\s+/g, ' ');
-
-  console.log(`Merged transcript: ${fullText.length} characters, ${allSegments.length} segments`);
-
-  return {
-    text: fullText,
-    language,
-    duration: totalDuration,
-    segments: allSegments,
-  };
-};
-
 /**
  * Transcribe audio chunks with retry logic
+ * @param {Object} provider - Transcription provider
  * @param {Array<Object>} chunks - Array of chunk information
  * @param {Function} progressCallback - Progress callback (optional)
+ * @param {string|null} language - Language code, or null to auto-detect
  * @returns {Promise<Array<Object>>} Array of transcription results
  */
-const transcribeChunks = async (chunks, progressCallback = null) => {
+const transcribeChunks = async (provider, chunks, progressCallback = null, language = null) => {
   const results = [];
+  // When auto-detecting, the language found in the first chunk is used for the rest so that
+  // short or quiet chunks are not transcribed in another language
+  let chunkLanguage = language;
   let attemptedChunks = [...chunks];
   let retryWithSmallerChunks = false;
 
@@ -189,7 +88,8 @@ const transcribeChunks = async (chunks, progressCallback = null) => {
 
     try {
       // Try to transcribe the chunk
-      const transcription = await transcribeSingleFile(chunk.path);
+      const transcription = await transcribeSingleFile(provider, chunk.path, chunkLanguage);
+      chunkLanguage = chunkLanguage || normalizeLanguage(transcription.language);
 
       results.push({
         chunk,
@@ -220,7 +120,8 @@ const transcribeChunks = async (chunks, progressCallback = null) => {
         await new Promise(resolve => setTimeout(resolve, delay));
 
         try {
-          const transcription = await transcribeSingleFile(chunk.path);
+          const transcription = await transcribeSingleFile(provider, chunk.path, chunkLanguage);
+          chunkLanguage = chunkLanguage || normalizeLanguage(transcription.language);
           results.push({ chunk, transcription });
           console.log(`✅ Chunk ${chunk.index} transcribed successfully on retry ${attempt}`);
           retried = true;
@@ -244,7 +145,7 @@ const transcribeChunks = async (chunks, progressCallback = null) => {
       }
 
       if (!retried && !retryWithSmallerChunks) {
-        throw new Error(`Failed to transcribe chunk ${chunk.index} after ${MAX_RETRIES} retries. This may be due to network instability or OpenAI API issues. Try again later or check your internet connection.`);
+        throw new Error(`Failed to transcribe chunk ${chunk.index} after ${MAX_RETRIES} retries. This may be due to network instability or ${provider.label} issues. Try again later or check your internet connection.`);
       }
 
       if (retryWithSmallerChunks) {
@@ -262,25 +163,22 @@ const transcribeChunks = async (chunks, progressCallback = null) => {
 };
 
 /**
- * Main transcription function with automatic chunking
- * @param {string} audioPath - Path to audio file
+ * Transcribe a recording with one provider, chunking it when it is over the provider's size limit
+ * @param {Object} provider - Transcription provider
+ * @param {string} fullAudioPath - Full path to audio file
  * @param {number} meetingId - Meeting ID
  * @param {Function} progressCallback - Progress callback (optional)
+ * @param {string|null} language - Language code, or null to auto-detect
  * @returns {Promise<Object>} Transcription result
  */
-export const transcribeWithRetry = async (audioPath, meetingId = null, progressCallback = null) => {
-  const client = getOpenAIClient();
-  if (!client) {
-    throw new Error('OpenAI API key not configured');
-  }
-
+const transcribeWithProvider = async (provider, fullAudioPath, meetingId, progressCallback, language) => {
   try {
-    console.log(`\n=== Starting transcription for: ${audioPath} ===`);
+    console.log(`\n=== Starting transcription with ${provider.label} for: ${fullAudioPath} ===`);
 
-    // Get full path
-    const fullAudioPath = path.isAbsolute(audioPath)
-      ? audioPath
-      : path.join(__dirname, '../..', audioPath);
+    // Providers without a size limit get the whole recording
+    if (!provider.maxFileSizeMB) {
+      return await transcribeSingleFile(provider, fullAudioPath, language);
+    }
 
     // Check file size
     const stats = await fs.stat(fullAudioPath);
@@ -288,11 +186,11 @@ export const transcribeWithRetry = async (audioPath, meetingId = null, progressC
     console.log(`Audio file size: ${fileSizeMB.toFixed(2)}MB`);
 
     // If file is small enough, transcribe directly
-    if (fileSizeMB <= SIZE_THRESHOLD_MB) {
-      console.log('File is under 24MB - transcribing directly');
+    if (fileSizeMB <= provider.maxFileSizeMB) {
+      console.log(`File is under ${provider.maxFileSizeMB}MB - transcribing directly`);
 
       try {
-        return await transcribeSingleFile(fullAudioPath);
+        return await transcribeSingleFile(provider, fullAudioPath, language);
       } catch (error) {
         // If direct transcription fails with 413, fall through to chunking
         if (error.message !== 'PAYLOAD_TOO_LARGE') {
@@ -317,8 +215,8 @@ export const transcribeWithRetry = async (audioPath, meetingId = null, progressC
 
     // If no chunking needed (file is small after conversion)
     if (!processed.needsChunking) {
-      console.log('After conversion, file is under 24MB - transcribing directly');
-      const result = await transcribeSingleFile(processed.wavPath);
+      console.log('After conversion, file is under the size limit - transcribing directly');
+      const result = await transcribeSingleFile(provider, processed.wavPath, language);
 
       // Cleanup converted WAV
       await fs.unlink(processed.wavPath).catch(err =>
@@ -333,7 +231,7 @@ export const transcribeWithRetry = async (audioPath, meetingId = null, progressC
 
     let chunkResults;
     try {
-      chunkResults = await transcribeChunks(processed.chunks, progressCallback);
+      chunkResults = await transcribeChunks(provider, processed.chunks, progressCallback, language);
     } catch (error) {
       // If chunks are still too large, re-chunk with smaller duration
       if (error.message === 'RECHUNK_NEEDED') {
@@ -360,7 +258,7 @@ export const transcribeWithRetry = async (audioPath, meetingId = null, progressC
         processed.chunks = smallerChunks;
 
         // Retry transcription
-        chunkResults = await transcribeChunks(processed.chunks, progressCallback);
+        chunkResults = await transcribeChunks(provider, processed.chunks, progressCallback, language);
       } else {
         throw error;
       }
@@ -374,7 +272,7 @@ export const transcribeWithRetry = async (audioPath, meetingId = null, progressC
       });
     }
 
-    const mergedResult = mergeTranscripts(chunkResults);
+    const mergedResult = mergeChunkTranscriptions(chunkResults);
 
     // Cleanup temporary files
     console.log('\n=== Cleaning up temporary files ===');
@@ -388,16 +286,174 @@ export const transcribeWithRetry = async (audioPath, meetingId = null, progressC
     return mergedResult;
 
   } catch (error) {
-    console.error('Transcription failed:', error);
+    console.error(`${provider.label} transcription failed:`, error);
     throw error;
   }
 };
 
+/**
+ * Providers to try, in order: the one chosen in settings, then every other configured provider
+ * An on-premises choice (local Whisper) falls back to cloud providers only when
+ * TRANSCRIPTION_CLOUD_FALLBACK=true - recordings otherwise never leave the network.
+ * @param {string} primaryName - Provider chosen in settings
+ * @returns {Array<Object>} Configured providers
+ */
+export const getProviderOrder = (primaryName) => {
+  const primary = getTranscriptionProvider(primaryName);
+  const cloudAllowed = !primary.onPremises || process.env.TRANSCRIPTION_CLOUD_FALLBACK === 'true';
+  const names = [primaryName, ...getTranscriptionProviderNames().filter(name => name !== primaryName)];
+
+  return names
+    .map(getTranscriptionProvider)
+    .filter(provider => provider.isConfigured() && (cloudAllowed || provider.onPremises));
+};
+
+/**
+ * Main transcription function with automatic chunking and provider fallback
+ * @param {string} audioPath - Path to audio file
+ * @param {number} meetingId - Meeting ID
+ * @param {Function} progressCallback - Progress callback (optional)
+ * @param {Object} options - { language: language code, or null/'auto' to auto-detect }
+ * @returns {Promise<Object>} Transcription result with the provider that produced it
+ *   ({ text, language (code), duration, segments, provider, fallbackOccurred })
+ */
+export const transcribeWithRetry = async (audioPath, meetingId = null, progressCallback = null, { language = null } = {}) => {
+  const requestedLanguage = normalizeLanguage(language);
+  const primaryName = getTranscriptionBackend();
+  const providers = getProviderOrder(primaryName);
+
+  if (providers.length === 0) {
+    if (getTranscriptionProvider(primaryName).onPremises) {
+      throw new Error(`${getTranscriptionProvider(primaryName).label} is not configured, and recordings are not sent to cloud providers without TRANSCRIPTION_CLOUD_FALLBACK=true`);
+    }
+    throw new Error('No transcription provider configured. Set OPENAI_API_KEY or LOCAL_WHISPER_PATH in your .env file');
+  }
+  if (providers[0].name !== primaryName) {
+    console.warn(`⚠️  ${getTranscriptionProvider(primaryName).label} is not configured - using ${providers[0].label}`);
+  }
+
+  // Get full path
+  const fullAudioPath = path.isAbsolute(audioPath)
+    ? audioPath
+    : path.join(__dirname, '../..', audioPath);
+
+  const failures = [];
+
+  for (const provider of providers) {
+    if (failures.length > 0) {
+      console.log(`🔄 Falling back to ${provider.label}...`);
+
+      if (progressCallback) {
+        progressCallback({
+          status: 'processing',
+          message: `Transcription failed - falling back to ${provider.label}...`
+        });
+      }
+    }
+
+    try {
+      const result = await transcribeWithProvider(provider, fullAudioPath, meetingId, progressCallback, requestedLanguage);
+      return {
+        ...result,
+        language: normalizeLanguage(result.language) || requestedLanguage,
+        provider: provider.name,
+        fallbackOccurred: provider.name !== primaryName,
+      };
+    } catch (error) {
+      console.warn(`⚠️  ${provider.label} failed: ${error.message}`);
+      failures.push({ provider, error });
+    }
+  }
+
+  if (failures.length === 1) {
+    throw failures[0].error;
+  }
+  throw new Error(`All transcription providers failed. ${failures.map(({ provider, error }) => `${provider.label}: ${error.message}`).join('. ')}`);
+};
+
 /**
  * Legacy function for backward compatibility
+ * @param {string} audioPath - Path to audio file
+ * @param {string|null} language - Language code, or null to auto-detect
+ */
+export const transcribeAudio = async (audioPath, language = null) => {
+  return await transcribeWithRetry(audioPath, null, null, { language });
+};
+
+/**
+ * Full filesystem path of a stored transcript path
+ */
+const resolveTranscriptPath = (transcriptPath) => path.join(__dirname, '../..', transcriptPath);
+
+/**
+ * Stored path of the segments file saved next to a transcript
+ * @param {string} transcriptPath - Stored .md or .txt transcript path
+ * @returns {string} Stored .json path
+ */
+const segmentsPathFor = (transcriptPath) => transcriptPath.replace(/\.(md|txt)$/, '.json');
+
+const hasSpeakers = (segments) => Array.isArray(segments) && segments.some(segment => segment.speaker);
+
+/**
+ * Format segments as speaker turns ("Alice: ...") - consecutive segments of one speaker are joined
+ * @param {Array<Object>} segments - Segments with speaker labels
+ * @param {Object} speakerNames - Speaker label to display name (unnamed speakers keep their label)
+ * @returns {string} Labeled transcript text
+ */
+export const formatLabeledTranscript = (segments, speakerNames = {}) => {
+  const turns = [];
+
+  for (const segment of segments) {
+    const text = (segment.text || '').trim();
+    if (!text) continue;
+
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === segment.speaker) {
+      last.text += ` ${text}`;
+    } else {
+      turns.push({ speaker: segment.speaker, text });
+    }
+  }
+
+  return turns
+    .map(turn => (turn.speaker ? `${speakerNames[turn.speaker] || turn.speaker}: ${turn.text}` : turn.text))
+    .join('\n\n');
+};
+
+/**
+ * Write the .txt, .md and .json (segments) files of a transcript
+ * The .txt copy is what analysis and indexing read, so it carries speaker names when there are any.
+ * @param {string} baseFullPath - Full path without extension
+ * @param {string} transcript - Transcript text
+ * @param {Object} metadata - { title, date, duration, language, provider, segments, speakerNames,
+ *   chunkBoundaries }
  */
-export const transcribeAudio = async (audioPath, language = 'en') => {
-  return await transcribeWithRetry(audioPath);
+const writeTranscriptFiles = async (baseFullPath, transcript, metadata) => {
+  const { segments, speakerNames = {} } = metadata;
+
+  const text = hasSpeakers(segments) ? formatLabeledTranscript(segments, speakerNames) : transcript;
+  await fs.writeFile(`${baseFullPath}.txt`, text);
+  await fs.writeFile(`${baseFullPath}.md`, generateMarkdownTranscript(transcript, metadata));
+
+  if (Array.isArray(segments) && segments.length > 0) {
+    const { title, date, duration, language, provider, chunkBoundaries } = metadata;
+    await fs.writeFile(`${baseFullPath}.json`, JSON.stringify({
+      title,
+      date,
+      duration,
+      language: language || null,
+      provider: provider || null,
+      text: transcript,
+      segments: segments.map(({ start, end, text, speaker }) => ({
+        start,
+        end,
+        text: (text || '').trim(),
+        speaker: speaker || null,
+      })),
+      // Where the recording was split for transcription - long transcripts are analyzed in these sections
+      ...(chunkBoundaries?.length > 0 && { chunkBoundaries }),
+    }, null, 2));
+  }
 };
 
 /**
@@ -415,14 +471,8 @@ export const saveTranscript = async (transcript, meetingId, metadata = {}) => {
     const timestamp = Date.now();
     const baseFilename = `meeting-${meetingId}-${timestamp}`;
 
-    // Save as plain text
-    const txtPath = path.join(TRANSCRIPT_DIR, `${baseFilename}.txt`);
-    await fs.writeFile(txtPath, transcript);
-
-    // Save as markdown with metadata
-    const mdContent = generateMarkdownTranscript(transcript, metadata);
-    const mdPath = path.join(TRANSCRIPT_DIR, `${baseFilename}.md`);
-    await fs.writeFile(mdPath, mdContent);
+    // Plain text, markdown with metadata and (when available) timestamped segments
+    await writeTranscriptFiles(path.join(TRANSCRIPT_DIR, baseFilename), transcript, metadata);
 
     console.log(`Transcript saved: ${baseFilename}`);
 
@@ -436,6 +486,69 @@ export const saveTranscript = async (transcript, meetingId, metadata = {}) => {
   }
 };
 
+/**
+ * Read the timestamped segments saved with a transcript
+ * @param {string} transcriptPath - Stored transcript path
+ * @returns {Promise<Object|null>} { title, date, duration, language, provider, text, segments,
+ *   chunkBoundaries }, or null for transcripts without segments (typed notes, transcripts saved
+ *   before segments were stored). chunkBoundaries is only there for chunked recordings.
+ */
+export const readTranscriptSegments = async (transcriptPath) => {
+  if (!transcriptPath || !transcriptPath.startsWith('/storage/')) return null;
+
+  try {
+    const content = await fs.readFile(resolveTranscriptPath(segmentsPathFor(transcriptPath)), 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+/**
+ * Split a chunked recording's transcript into the sections transcribed as one chunk each
+ * @param {string} transcriptPath - Stored transcript path
+ * @param {Object} speakerNames - Speaker label to display name
+ * @returns {Promise<Array<Object>|null>} [{ start, end, text }] in order, or null when the
+ *   recording was transcribed in one piece or has no segments
+ */
+export const readTranscriptSections = async (transcriptPath, speakerNames = {}) => {
+  const data = await readTranscriptSegments(transcriptPath);
+  if (!data?.chunkBoundaries?.length) return null;
+
+  const bounds = [0, ...data.chunkBoundaries, Infinity];
+  const sections = bounds.slice(0, -1).map((start, i) => {
+    const end = bounds[i + 1];
+    const segments = data.segments.filter(segment => segment.start >= start && segment.start < end);
+    const text = hasSpeakers(segments)
+      ? formatLabeledTranscript(segments, speakerNames)
+      : segments.map(segment => segment.text).join(' ');
+    return { start, end: Number.isFinite(end) ? end : (data.duration ?? segments[segments.length - 1]?.end ?? start), text };
+  });
+
+  return sections.filter(section => section.text.trim());
+};
+
+/**
+ * Rewrite a transcript in place with new segments and speaker names
+ * The stored paths stay the same, so the meeting keeps pointing at the updated files.
+ * @param {string} transcriptPath - Stored transcript path
+ * @param {Object} updates - { segments, speakerNames, text } (segments and the plain text default
+ *   to the saved ones)
+ */
+export const rewriteTranscript = async (transcriptPath, { segments, speakerNames = {}, text }) => {
+  const data = await readTranscriptSegments(transcriptPath);
+  if (!data) {
+    throw new Error('Transcript has no timestamped segments');
+  }
+
+  await writeTranscriptFiles(resolveTranscriptPath(transcriptPath.replace(/\.(md|txt)$/, '')), text ?? data.text, {
+    ...data,
+    segments: segments || data.segments,
+    speakerNames,
+  });
+};
+
 /**
  * Generate formatted markdown transcript
  * @param {string} transcript - Transcript text
@@ -443,19 +556,20 @@ export const saveTranscript = async (transcript, meetingId, metadata = {}) => {
  * @returns {string} Formatted markdown
  */
 const generateMarkdownTranscript = (transcript, metadata) => {
-  const { title, date, duration, segments } = metadata;
+  const { title, date, duration, segments, speakerNames = {} } = metadata;
 
   let markdown = `# ${title || 'Meeting Transcript'}\n\n`;
   markdown += `**Date:** ${date ? new Date(date).toLocaleString() : 'N/A'}\n`;
   markdown += `**Duration:** ${duration ? formatDuration(duration) : 'N/A'}\n\n`;
   markdown += `---\n\n`;
 
-  // Add segments with timestamps if available
+  // Add segments with timestamps (and speakers) if available
   if (segments && segments.length > 0) {
     markdown += `## Transcript with Timestamps\n\n`;
     for (const segment of segments) {
       const timestamp = formatTimestamp(segment.start);
-      markdown += `**[${timestamp}]** ${segment.text}\n\n`;
+      const speaker = segment.speaker ? ` ${speakerNames[segment.speaker] || segment.speaker}:` : '';
+      markdown += `**[${timestamp}]${speaker}** ${segment.text.trim()}\n\n`;
     }
   } else {
     markdown += `## Transcript\n\n${transcript}\n`;
@@ -501,8 +615,7 @@ const formatTimestamp = (seconds) => {
  */
 export const readTranscript = async (transcriptPath) => {
   try {
-    const fullPath = path.join(__dirname, '../..', transcriptPath);
-    const content = await fs.readFile(fullPath, 'utf-8');
+    const content = await fs.readFile(resolveTranscriptPath(transcriptPath), 'utf-8');
     return content;
   } catch (error) {
     console.error('Error reading transcript:', error);
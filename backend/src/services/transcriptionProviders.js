@@ -0,0 +1,219 @@
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { convertToWav } from './audioChunker.js';
+import { getOpenAIClient, checkAPIQuotaError } from './llmProviders.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Transcription providers - speech to text
+ *
+ * A provider is { label, maxFileSizeMB, isConfigured(), transcribe(fullAudioPath, { language }), onPremises }.
+ * language is an ISO 639-1 code, or null to let the provider detect it.
+ * transcribe resolves to { text, language, duration, segments: [{ start, end, text }] }.
+ * maxFileSizeMB is the largest upload the provider accepts; files above it are chunked by
+ * transcription.js. Providers without a limit (null) get the whole recording.
+ * onPremises marks providers running inside the organization's network.
+ *
+ * The provider in use is chosen with the `ai.transcription` setting; transcription.js falls back
+ * to the other configured providers when it fails - from an on-premises provider only to other
+ * on-premises ones, unless TRANSCRIPTION_CLOUD_FALLBACK allows uploading the recording.
+ */
+
+const providers = new Map();
+
+/**
+ * Register a transcription provider
+ * @param {string} name - Provider name (value of the ai.transcription setting)
+ * @param {Object} provider - { label, maxFileSizeMB, isConfigured, transcribe, onPremises }
+ */
+export const registerTranscriptionProvider = (name, provider) => {
+  providers.set(name, { name, ...provider });
+};
+
+/**
+ * Get a transcription provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ */
+export const getTranscriptionProvider = (name) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown transcription provider: ${name}. Available: ${[...providers.keys()].join(', ')}`);
+  }
+  return provider;
+};
+
+/**
+ * Names of all registered providers
+ * @returns {Array<string>}
+ */
+export const getTranscriptionProviderNames = () => [...providers.keys()];
+
+// ==================== OpenAI Whisper ====================
+
+registerTranscriptionProvider('openai', {
+  label: 'OpenAI Whisper',
+  maxFileSizeMB: 24, // API limit is 25MB
+  isConfigured: () => !!process.env.OPENAI_API_KEY,
+
+  transcribe: async (fullAudioPath, { language = null } = {}) => {
+    const client = getOpenAIClient();
+    if (!client) {
+      throw new Error('OpenAI API key not configured');
+    }
+
+    try {
+      const transcription = await client.audio.transcriptions.create({
+        file: fsSync.createReadStream(fullAudioPath),
+        model: 'whisper-1',
+        ...(language && { language }), // Omitted to auto-detect
+        response_format: 'verbose_json', // Get timestamps
+      });
+
+      return {
+        text: transcription.text,
+        language: transcription.language,
+        duration: transcription.duration,
+        segments: transcription.segments || [],
+      };
+    } catch (error) {
+      // Check for API quota/billing issues first
+      const quotaError = checkAPIQuotaError(error, 'openai');
+      if (quotaError) {
+        console.error('❌ API Quota Error:', quotaError);
+        throw new Error(quotaError);
+      }
+
+      // Check if it's a 413 error (payload too large)
+      if (error.status === 413 || error.message.includes('413')) {
+        throw new Error('PAYLOAD_TOO_LARGE');
+      }
+
+      throw error;
+    }
+  },
+});
+
+// ==================== Local Whisper ====================
+
+// whisper.cpp (whisper-cli) or a faster-whisper CLI with the openai-whisper interface
+// (whisper-ctranslate2, faster-whisper-xxl)
+const LOCAL_ENGINES = ['whisper.cpp', 'faster-whisper'];
+const LOCAL_TIMEOUT_MINUTES = 120;
+
+const getLocalConfig = () => ({
+  engine: process.env.LOCAL_WHISPER_ENGINE || 'whisper.cpp',
+  executable: process.env.LOCAL_WHISPER_PATH,
+  model: process.env.LOCAL_WHISPER_MODEL,
+  timeoutMs: (parseInt(process.env.LOCAL_WHISPER_TIMEOUT_MINUTES, 10) || LOCAL_TIMEOUT_MINUTES) * 60 * 1000,
+});
+
+/**
+ * Run whisper.cpp on a recording
+ * whisper.cpp only reads 16kHz WAV, so the recording is converted first.
+ * @returns {Promise<Object>} Parsed JSON output
+ */
+const runWhisperCpp = async (config, fullAudioPath, language, workDir) => {
+  const wavPath = await convertToWav(fullAudioPath, path.join(workDir, 'audio.wav'));
+  const outputBase = path.join(workDir, 'transcript');
+
+  await execFileAsync(config.executable, [
+    '-m', config.model,
+    '-f', wavPath,
+    '-l', language || 'auto',
+    '-oj',
+    '-of', outputBase,
+    '-np',
+  ], { timeout: config.timeoutMs, maxBuffer: 50 * 1024 * 1024 });
+
+  const output = JSON.parse(await fs.readFile(`${outputBase}.json`, 'utf-8'));
+
+  // Offsets are in milliseconds
+  const segments = (output.transcription || []).map(segment => ({
+    start: segment.offsets.from / 1000,
+    end: segment.offsets.to / 1000,
+    text: segment.text.trim(),
+  }));
+
+  return {
+    text: segments.map(segment => segment.text).join(' '),
+    language: output.result?.language || language,
+    duration: segments.length > 0 ? segments[segments.length - 1].end : null,
+    segments,
+  };
+};
+
+/**
+ * Run a faster-whisper CLI on a recording
+ * @returns {Promise<Object>} Parsed JSON output
+ */
+const runFasterWhisper = async (config, fullAudioPath, language, workDir) => {
+  const args = [
+    fullAudioPath,
+    '--model', config.model || 'small',
+    '--output_format', 'json',
+    '--output_dir', workDir,
+  ];
+  if (language) {
+    args.push('--language', language);
+  }
+
+  await execFileAsync(config.executable, args, { timeout: config.timeoutMs, maxBuffer: 50 * 1024 * 1024 });
+
+  const outputPath = path.join(workDir, `${path.parse(fullAudioPath).name}.json`);
+  const output = JSON.parse(await fs.readFile(outputPath, 'utf-8'));
+
+  const segments = (output.segments || []).map(({ start, end, text }) => ({ start, end, text: text.trim() }));
+
+  return {
+    text: (output.text || '').trim(),
+    language: output.language || language,
+    duration: segments.length > 0 ? segments[segments.length - 1].end : null,
+    segments,
+  };
+};
+
+registerTranscriptionProvider('local', {
+  label: 'Local Whisper',
+  maxFileSizeMB: null, // Runs on the whole recording
+  onPremises: true,
+  isConfigured: () => {
+    const { engine, executable, model } = getLocalConfig();
+    // whisper.cpp has no default model - it needs the path of a ggml model file
+    return !!executable && LOCAL_ENGINES.includes(engine) && (engine !== 'whisper.cpp' || !!model);
+  },
+
+  transcribe: async (fullAudioPath, { language = null } = {}) => {
+    const config = getLocalConfig();
+    if (!config.executable) {
+      throw new Error('Local Whisper not configured. Set LOCAL_WHISPER_PATH in your .env file');
+    }
+    if (!LOCAL_ENGINES.includes(config.engine)) {
+      throw new Error(`Unknown LOCAL_WHISPER_ENGINE: ${config.engine}. Must be one of: ${LOCAL_ENGINES.join(', ')}`);
+    }
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aiba-whisper-'));
+
+    try {
+      const run = config.engine === 'whisper.cpp' ? runWhisperCpp : runFasterWhisper;
+      return await run(config, fullAudioPath, language, workDir);
+    } catch (error) {
+      if (error.code === 'ENOENT' && error.path === config.executable) {
+        throw new Error(`Local Whisper executable not found: ${config.executable}`);
+      }
+      if (error.killed) {
+        throw new Error(`Local Whisper timed out after ${config.timeoutMs / 60000} minutes`);
+      }
+      throw error;
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(err =>
+        console.warn('Failed to cleanup local Whisper output:', err.message)
+      );
+    }
+  },
+});
@@ -0,0 +1,143 @@
+import cron from 'node-cron';
+import db, {
+  trashMeeting,
+  restoreMeeting,
+  trashProject,
+  trashProjectMeetings,
+  restoreProject,
+  restoreProjectMeetings,
+  deleteMeeting,
+  deleteProject,
+  getAllMeetingsOfProject,
+  getExpiredTrashedProjects,
+  getExpiredTrashedMeetings,
+  cancelPendingJobsForMeeting,
+  setMeetingStatus,
+} from '../db/database.js';
+import { deleteMeetingFiles, deleteProjectFiles } from './storageCleanup.js';
+
+/**
+ * Trash bin for meetings and projects
+ *
+ * Deleting a meeting or project sets deleted_at instead of removing the row, which hides it
+ * from every regular query. A project's meetings are trashed with it (same deleted_at) and
+ * come back when the project is restored. Items older than the retention period are purged
+ * for good - rows, cascaded data and files - by a daily cron (setupTrashPurgeCron).
+ */
+
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+
+const INTERRUPTED_MESSAGE = 'Processing was stopped when the meeting was moved to the trash. Use "Reprocess Meeting" to try again.';
+
+/**
+ * Stop queued processing for a meeting going to the trash
+ * A meeting that was mid-pipeline is marked failed so it can be reprocessed after a restore.
+ * A stage already running finishes, but queues no next stage and leaves the status alone.
+ */
+const stopProcessing = (meeting) => {
+  cancelPendingJobsForMeeting.run(meeting.id);
+  if (meeting.status !== 'complete' && meeting.status !== 'failed') {
+    setMeetingStatus(meeting.id, 'failed', INTERRUPTED_MESSAGE);
+  }
+};
+
+/**
+ * Move a meeting to the trash
+ * @param {Object} meeting - Meeting row
+ */
+export const moveMeetingToTrash = db.transaction((meeting) => {
+  stopProcessing(meeting);
+  trashMeeting.run(meeting.id);
+});
+
+/**
+ * Move a project and its meetings to the trash
+ * @param {Object} project - Project row
+ * @param {Array<Object>} meetings - The project's meetings
+ */
+export const moveProjectToTrash = db.transaction((project, meetings) => {
+  meetings.forEach(stopProcessing);
+  trashProject.run(project.id);
+  trashProjectMeetings.run({ projectId: project.id });
+});
+
+/**
+ * Restore a trashed meeting
+ * @param {number} meetingId - Meeting ID
+ */
+export const restoreMeetingFromTrash = (meetingId) => {
+  restoreMeeting.run(meetingId);
+};
+
+/**
+ * Restore a trashed project together with the meetings that were trashed with it
+ * @param {number} projectId - Project ID
+ * @returns {number} Number of meetings restored
+ */
+export const restoreProjectFromTrash = db.transaction((projectId) => {
+  const { changes } = restoreProjectMeetings.run({ projectId });
+  restoreProject.run(projectId);
+  return changes;
+});
+
+/**
+ * Permanently delete a meeting and its files
+ * @param {Object} meeting - Meeting row
+ * @returns {Promise<number>} Number of files deleted
+ */
+export const purgeMeeting = async (meeting) => {
+  deleteMeeting.run(meeting.id);
+  return deleteMeetingFiles(meeting);
+};
+
+/**
+ * Permanently delete a project, all of its meetings and their files
+ * @param {Object} project - Project row
+ * @returns {Promise<number>} Number of files deleted
+ */
+export const purgeProject = async (project) => {
+  // Read the meetings first - the cascade delete removes their rows
+  const meetings = getAllMeetingsOfProject.all(project.id);
+  deleteProject.run(project.id);
+  return deleteProjectFiles(project.id, meetings);
+};
+
+/**
+ * Permanently delete projects and meetings that have been in the trash longer than the retention period
+ * @returns {Promise<Object>} { projects, meetings } - number of items purged
+ */
+export const purgeExpiredTrash = async () => {
+  const projects = getExpiredTrashedProjects.all(TRASH_RETENTION_DAYS);
+  for (const project of projects) {
+    await purgeProject(project);
+  }
+
+  // Read after the projects are gone so their meetings are not purged twice
+  const meetings = getExpiredTrashedMeetings.all(TRASH_RETENTION_DAYS);
+  for (const meeting of meetings) {
+    await purgeMeeting(meeting);
+  }
+
+  if (projects.length > 0 || meetings.length > 0) {
+    console.log(`Trash purge completed: ${projects.length} project(s), ${meetings.length} meeting(s) deleted permanently`);
+  }
+
+  return { projects: projects.length, meetings: meetings.length };
+};
+
+/**
+ * Setup cron job for the permanent deletion of expired trash
+ * Runs daily at 2 AM
+ */
+export const setupTrashPurgeCron = () => {
+  cron.schedule('0 2 * * *', async () => {
+    console.log('Purging expired trash...');
+    try {
+      await purgeExpiredTrash();
+    } catch (error) {
+      console.error('Error during trash purge:', error);
+    }
+  });
+
+  console.log(`Trash purge cron job scheduled (trash kept ${TRASH_RETENTION_DAYS} days)`);
+};
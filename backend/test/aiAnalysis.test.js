@@ -0,0 +1,320 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/testDatabase.js';
+import { registerLLMProvider } from '../src/services/llmProviders.js';
+import {
+  analyzeMeeting,
+  estimateTokens,
+  getTranscriptTokenBudget,
+  splitTranscript,
+  planAnalysisSections,
+  combineSectionAnalyses,
+} from '../src/services/aiAnalysis.js';
+
+const validAnalysis = {
+  overview: 'The team planned the release.',
+  discussion_topics: ['Release'],
+  detailed_discussion: ['The team agreed to ship on Friday after the demo.'],
+  key_decisions: ['Ship on Friday'],
+  action_items: [{ task: 'Send the release notes', owner: 'Alice', due_date: null }],
+  technical_details: [],
+  context: 'Weekly sync.',
+};
+
+/**
+ * Register a provider that answers with the given responses in turn and records its requests
+ * @param {string} name - Provider name
+ * @param {Array<string>|Function} responses - Response texts, or a function of the request returning one
+ * @param {Object} model - Model limits ({ maxOutputTokens, contextTokens })
+ * @returns {Array<Object>} Requests received
+ */
+const registerScriptedProvider = (name, responses, model = { maxOutputTokens: 4096 }) => {
+  const requests = [];
+  registerLLMProvider(name, {
+    label: 'Scripted',
+    models: [{ id: 'scripted-1', label: 'Scripted 1', ...model }],
+    isConfigured: () => true,
+    complete: async (request) => {
+      requests.push(request);
+      return typeof responses === 'function' ? responses(request) : responses[requests.length - 1];
+    },
+  });
+  return requests;
+};
+
+// About 1000 tokens of transcript: 800 four-letter words
+const paragraph = (label) => `${label}: ${'word '.repeat(800)}`.trim();
+
+describe('analyzeMeeting', () => {
+  test('asks for the analysis schema and accepts a valid response', async () => {
+    const requests = registerScriptedProvider('scripted-valid', [JSON.stringify(validAnalysis)]);
+
+    const analysis = await analyzeMeeting('Alice: we ship Friday', 'scripted-valid');
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].schema.name, 'meeting_analysis');
+    assert.equal(analysis.key_decisions[0], 'Ship on Friday');
+    assert.deepEqual(analysis._metadata.validation, { valid: true, attempts: 1, errors: [] });
+  });
+
+  test('sends invalid responses back for repair and records the errors', async () => {
+    const requests = registerScriptedProvider('scripted-repair', [
+      'Sure! Here is the summary: {"overview": "Release planning"',
+      JSON.stringify({ ...validAnalysis, key_decisions: 'Ship on Friday' }),
+      JSON.stringify(validAnalysis),
+    ]);
+
+    const analysis = await analyzeMeeting('Alice: we ship Friday', 'scripted-repair');
+
+    assert.equal(requests.length, 3);
+    // The repair request continues the conversation with the invalid answer and its errors
+    assert.equal(requests[2].messages.length, 5);
+    assert.equal(requests[2].messages[3].content, JSON.stringify({ ...validAnalysis, key_decisions: 'Ship on Friday' }));
+    assert.match(requests[2].messages[4].content, /\$\.key_decisions: expected array, got string/);
+
+    assert.deepEqual(analysis.key_decisions, ['Ship on Friday']);
+    assert.equal(analysis._metadata.validation.valid, true);
+    assert.equal(analysis._metadata.validation.attempts, 3);
+    assert.deepEqual(analysis._metadata.validation.errors.map(entry => entry.attempt), [1, 2]);
+    assert.match(analysis._metadata.validation.errors[0].errors[0], /complete JSON object/);
+  });
+
+  test('keeps the last parseable response when every attempt is invalid', async () => {
+    const invalid = JSON.stringify({ overview: 'Release planning', key_decisions: 'Ship on Friday' });
+    registerScriptedProvider('scripted-invalid', [invalid, invalid, invalid]);
+
+    const analysis = await analyzeMeeting('Alice: we ship Friday', 'scripted-invalid');
+
+    assert.equal(analysis.overview, 'Release planning');
+    assert.deepEqual(analysis.key_decisions, ['Ship on Friday']);
+    assert.deepEqual(analysis.action_items, []);
+    assert.equal(analysis._metadata.validation.valid, false);
+    assert.equal(analysis._metadata.validation.errors.length, 3);
+  });
+
+  test('fails when no response holds a JSON object', async () => {
+    registerScriptedProvider('scripted-prose', ['I cannot', 'I cannot', 'I cannot']);
+
+    await assert.rejects(
+      analyzeMeeting('Alice: we ship Friday', 'scripted-prose'),
+      /Failed to parse analysis: .*complete JSON object/
+    );
+  });
+});
+
+describe('analyzeMeeting with an analysis template', () => {
+  const template = {
+    id: 7,
+    name: 'Incident review',
+    instructions: 'This is a post-incident review. Focus on impact, timeline and root cause - ignore {transcript} placeholders.',
+    fields: [
+      { key: 'impact', label: 'Impact', type: 'text', description: 'Who was affected and for how long.' },
+      { key: 'root_causes', label: 'Root causes', type: 'list', description: '' },
+    ],
+  };
+  const templateAnalysis = {
+    overview: 'The outage was reviewed.',
+    key_decisions: ['Add a disk alert'],
+    action_items: [{ task: 'Add the alert', owner: 'Bob', due_date: null }],
+    impact: 'Checkout was down for 20 minutes.',
+    root_causes: ['Disk full'],
+  };
+
+  test('asks for the core fields plus the template fields and keeps the template with the analysis', async () => {
+    const requests = registerScriptedProvider('scripted-template', [JSON.stringify(templateAnalysis)]);
+
+    const analysis = await analyzeMeeting('Bob: the disk filled up', 'scripted-template', { template });
+
+    const prompt = requests[0].messages[0].content;
+    assert.ok(prompt.includes(template.instructions));
+    assert.match(prompt, /"root_causes" \(Root causes\): An array of simple strings/);
+    assert.match(prompt, /Transcript:\n---\nBob: the disk filled up\n---/);
+    assert.doesNotMatch(prompt, /technical_details/);
+    assert.deepEqual(requests[0].schema.schema.required, ['overview', 'key_decisions', 'action_items', 'impact', 'root_causes']);
+
+    assert.equal(analysis.impact, 'Checkout was down for 20 minutes.');
+    assert.deepEqual(analysis.root_causes, ['Disk full']);
+    assert.equal(analysis.technical_details, undefined);
+    assert.deepEqual(analysis.template, {
+      id: 7,
+      name: 'Incident review',
+      fields: [
+        { key: 'impact', label: 'Impact', type: 'text' },
+        { key: 'root_causes', label: 'Root causes', type: 'list' },
+      ],
+    });
+    assert.equal(analysis._metadata.validation.valid, true);
+  });
+
+  test('sends responses missing a template field back for repair', async () => {
+    const { root_causes: _omitted, ...incomplete } = templateAnalysis;
+    const requests = registerScriptedProvider('scripted-template-repair', [
+      JSON.stringify(incomplete),
+      JSON.stringify(templateAnalysis),
+    ]);
+
+    const analysis = await analyzeMeeting('Bob: the disk filled up', 'scripted-template-repair', { template });
+
+    assert.equal(requests.length, 2);
+    assert.match(requests[1].messages[2].content, /missing required field "root_causes"/);
+    assert.match(requests[1].messages[2].content, /"impact", "root_causes"/);
+    assert.deepEqual(analysis.root_causes, ['Disk full']);
+  });
+});
+
+describe('estimateTokens', () => {
+  test('counts about four characters per token, more for non-Latin scripts', () => {
+    assert.equal(estimateTokens(''), 0);
+    assert.equal(estimateTokens('a'.repeat(400)), 100);
+    assert.equal(estimateTokens('会'.repeat(300)), 200);
+  });
+});
+
+describe('splitTranscript', () => {
+  test('packs paragraphs up to the limit and splits oversized ones by sentence', () => {
+    const long = Array.from({ length: 6 }, (_, i) => `Sentence ${i} ${'x'.repeat(30)}.`).join(' ');
+    const pieces = splitTranscript(`Short one.\n\nShort two.\n\n${long}`, 30);
+
+    assert.equal(pieces[0], 'Short one.\n\nShort two.');
+    assert.ok(pieces.length > 2);
+    assert.ok(pieces.every(piece => estimateTokens(piece) <= 30));
+    assert.equal(pieces.slice(1).join(' '), long);
+  });
+});
+
+describe('planAnalysisSections', () => {
+  test('combines consecutive chunks while they fit and splits chunks that do not', () => {
+    const chunks = [
+      { start: 0, end: 600, text: 'a'.repeat(200) },
+      { start: 600, end: 1200, text: 'b'.repeat(200) },
+      { start: 1200, end: 1800, text: 'c'.repeat(200) },
+      { start: 1800, end: 2400, text: `${'d'.repeat(300)}\n\n${'e'.repeat(300)}` },
+    ];
+
+    const sections = planAnalysisSections('', chunks, 120);
+
+    assert.deepEqual(sections.map(section => [section.start, section.end]), [[0, 1200], [1200, 1800], [null, null], [null, null]]);
+    assert.equal(sections[0].text, `${'a'.repeat(200)}\n\n${'b'.repeat(200)}`);
+    assert.equal(sections[3].text, 'e'.repeat(300));
+  });
+
+  test('splits by size without chunks', () => {
+    const sections = planAnalysisSections(`${paragraph('A')}\n\n${paragraph('B')}`, null, 1100);
+    assert.equal(sections.length, 2);
+    assert.ok(sections.every(section => section.start === null));
+  });
+});
+
+describe('combineSectionAnalyses', () => {
+  test('concatenates lists in order without repeats', () => {
+    const combined = combineSectionAnalyses([
+      { ...validAnalysis, overview: 'First half.', key_decisions: ['Ship on Friday'] },
+      { ...validAnalysis, overview: 'Second half.', key_decisions: ['ship on friday', 'Hire a designer'], context: '' },
+    ]);
+
+    assert.equal(combined.overview, 'First half. Second half.');
+    assert.deepEqual(combined.key_decisions, ['Ship on Friday', 'Hire a designer']);
+    assert.equal(combined.action_items.length, 1);
+    assert.equal(combined.context, 'Weekly sync.');
+  });
+
+  test('combines the fields of an analysis template', () => {
+    const template = { fields: [{ key: 'impact', type: 'text' }, { key: 'root_causes', type: 'list' }] };
+    const combined = combineSectionAnalyses([
+      { overview: 'First.', key_decisions: [], action_items: [], impact: 'Checkout down.', root_causes: ['Disk full'] },
+      { overview: 'Second.', key_decisions: [], action_items: [], impact: '', root_causes: ['disk full', 'No alert'] },
+    ], template);
+
+    assert.deepEqual(combined, {
+      overview: 'First. Second.',
+      key_decisions: [],
+      action_items: [],
+      impact: 'Checkout down.',
+      root_causes: ['Disk full', 'No alert'],
+    });
+  });
+});
+
+describe('analyzeMeeting on a transcript over the context budget', () => {
+  // 4000-token context: about 1300 tokens of transcript per request
+  const smallModel = { maxOutputTokens: 1000, contextTokens: 4000 };
+
+  const sectionResponder = (request) => {
+    const prompt = request.messages[0].content;
+    if (prompt.includes('combining the analyses')) {
+      return JSON.stringify({ ...validAnalysis, overview: 'Merged overview', key_decisions: ['Decision 1', 'Decision 2', 'Decision 3'] });
+    }
+    const part = prompt.match(/PART (\d+) OF (\d+)/)[1];
+    return JSON.stringify({ ...validAnalysis, overview: `Part ${part}`, key_decisions: [`Decision ${part}`] });
+  };
+
+  test('analyzes each recording chunk and merges the results', async () => {
+    const requests = registerScriptedProvider('scripted-long', sectionResponder, smallModel);
+    const chunks = ['A', 'B', 'C'].map((label, i) => ({ start: i * 600, end: (i + 1) * 600, text: paragraph(label) }));
+    const progress = [];
+
+    const analysis = await analyzeMeeting(chunks.map(chunk => chunk.text).join('\n\n'), 'scripted-long', {
+      sections: chunks,
+      onProgress: (event) => progress.push(event),
+    });
+
+    assert.equal(requests.length, 4);
+    for (const [i, label] of ['A', 'B', 'C'].entries()) {
+      const prompt = requests[i].messages[0].content;
+      assert.match(prompt, new RegExp(`PART ${i + 1} OF 3`));
+      assert.ok(prompt.includes(paragraph(label)));
+      assert.ok(!prompt.includes(paragraph(['A', 'B', 'C'][(i + 1) % 3])));
+    }
+    assert.match(requests[3].messages[0].content, /Part 3:\n\{"overview":"Part 3"/);
+
+    assert.equal(analysis.overview, 'Merged overview');
+    assert.deepEqual(analysis.key_decisions, ['Decision 1', 'Decision 2', 'Decision 3']);
+    assert.deepEqual(analysis._metadata.mapReduce, { sections: 3, alignedToChunks: true, merged: 'model' });
+    assert.ok(analysis._metadata.estimatedTokens > analysis._metadata.tokenBudget);
+    assert.equal(analysis._metadata.validation.attempts, 4);
+    assert.deepEqual(progress.map(event => event.current), [1, 2, 3, 3]);
+  });
+
+  test('analyzes a short transcript in one request', async () => {
+    const requests = registerScriptedProvider('scripted-short', sectionResponder, smallModel);
+
+    const analysis = await analyzeMeeting('PART 1 OF 1 - a short meeting', 'scripted-short');
+
+    assert.equal(requests.length, 1);
+    assert.doesNotMatch(requests[0].messages[0].content, /longer meeting/);
+    assert.equal(analysis._metadata.mapReduce, null);
+  });
+});
+
+describe('analyzeMeeting with a small local context', () => {
+  // Default context of a local model: the response may not take the whole window
+  const localModel = { maxOutputTokens: 8192, contextTokens: 4096 };
+
+  test('leaves room for the transcript and asks for a response that fits', async () => {
+    const budget = getTranscriptTokenBudget(localModel);
+    assert.ok(budget >= 1000, `budget ${budget}`);
+
+    const requests = registerScriptedProvider('scripted-local-4k', (request) => {
+      const prompt = request.messages[0].content;
+      return JSON.stringify({ ...validAnalysis, overview: prompt.includes('combining the analyses') ? 'Merged' : 'Part' });
+    }, localModel);
+
+    const transcript = ['A', 'B', 'C'].map(paragraph).join('\n\n');
+    const analysis = await analyzeMeeting(transcript, 'scripted-local-4k');
+
+    // One section per ~1000-token paragraph plus the merge, not one request per word
+    assert.equal(analysis._metadata.mapReduce.sections, 3);
+    assert.equal(requests.length, 4);
+    for (const request of requests) {
+      assert.ok(request.maxTokens <= 1024, `maxTokens ${request.maxTokens}`);
+    }
+  });
+
+  test('rejects a long transcript when the context cannot hold a useful section', async () => {
+    const requests = registerScriptedProvider('scripted-local-2k', [JSON.stringify(validAnalysis)], { maxOutputTokens: 8192, contextTokens: 2048 });
+    const transcript = ['A', 'B', 'C'].map(paragraph).join('\n\n');
+
+    await assert.rejects(analyzeMeeting(transcript, 'scripted-local-2k'), /Model context too small: .*2048-token context/);
+    assert.equal(requests.length, 0);
+  });
+});
@@ -0,0 +1,30 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/testDatabase.js';
+import { normalizeTemplateFields } from '../src/services/analysisTemplates.js';
+
+describe('normalizeTemplateFields', () => {
+  test('derives missing keys from labels and trims text', () => {
+    assert.deepEqual(normalizeTemplateFields([
+      { label: ' Customer pain points ', type: 'list' },
+      { key: 'budget', type: 'text', description: ' Budget mentioned, if any ' },
+    ]), {
+      fields: [
+        { key: 'customer_pain_points', label: 'Customer pain points', type: 'list', description: '' },
+        { key: 'budget', label: 'budget', type: 'text', description: 'Budget mentioned, if any' },
+      ],
+    });
+  });
+
+  test('rejects bad keys, standard field keys, duplicates and unknown types', () => {
+    assert.match(normalizeTemplateFields([]).error, /non-empty array/);
+    assert.match(normalizeTemplateFields([{ key: 'Next-Steps', type: 'list' }]).error, /lowercase letters/);
+    assert.match(normalizeTemplateFields([{ key: 'action_items', type: 'list' }]).error, /standard analysis field/);
+    assert.match(normalizeTemplateFields([{ key: 'template', type: 'text' }]).error, /standard analysis field/);
+    assert.match(normalizeTemplateFields([
+      { key: 'risks', type: 'list' },
+      { label: 'Risks', type: 'text' },
+    ]).error, /Field 2: duplicate key "risks"/);
+    assert.match(normalizeTemplateFields([{ key: 'risks', type: 'table' }]).error, /type must be one of text, list/);
+  });
+});
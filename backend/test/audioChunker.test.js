@@ -0,0 +1,231 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  parseSilenceDetectOutput,
+  planChunkBoundaries,
+  findOverlappingWords,
+  mergeChunkTranscriptions,
+  detectSilences,
+  splitIntoChunks,
+  cleanupChunks,
+  getAudioProcessingStatus,
+} from '../src/services/audioChunker.js';
+
+const SAMPLE_RATE = 16000;
+
+/**
+ * Write a mono 16kHz 16-bit WAV file made of tone and silence sections
+ * @param {string} filePath - Output path
+ * @param {Array<Object>} sections - [{ seconds, tone: boolean }]
+ */
+const writeSyntheticWav = async (filePath, sections) => {
+  const samples = sections.flatMap(({ seconds, tone }) =>
+    Array.from({ length: Math.round(seconds * SAMPLE_RATE) }, (_, i) =>
+      tone ? Math.round(Math.sin((2 * Math.PI * 440 * i) / SAMPLE_RATE) * 16000) : 0
+    )
+  );
+
+  const data = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, i) => data.writeInt16LE(sample, i * 2));
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE * 2, 28); // byte rate
+  header.writeUInt16LE(2, 32); // block align
+  header.writeUInt16LE(16, 34); // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+
+  await fs.writeFile(filePath, Buffer.concat([header, data]));
+};
+
+const segment = (start, end, text) => ({ start, end, text });
+
+describe('parseSilenceDetectOutput', () => {
+  test('pairs silence_start and silence_end lines', () => {
+    const silences = parseSilenceDetectOutput([
+      'Input #0, wav, from \'meeting.wav\':',
+      '[silencedetect @ 0x600] silence_start: -0.002',
+      '[silencedetect @ 0x600] silence_end: 1.25 | silence_duration: 1.252',
+      'size=N/A time=00:00:05.00 bitrate=N/A speed= 500x',
+      '[silencedetect @ 0x600] silence_start: 3.5',
+      '[silencedetect @ 0x600] silence_end: 4.75 | silence_duration: 1.25',
+      '[silencedetect @ 0x600] silence_start: 9.1',
+    ]);
+
+    assert.deepEqual(silences, [
+      { start: 0, end: 1.25 },
+      { start: 3.5, end: 4.75 },
+      { start: 9.1, end: null },
+    ]);
+  });
+});
+
+describe('planChunkBoundaries', () => {
+  test('cuts in the middle of the latest pause before the chunk duration', () => {
+    const plan = planChunkBoundaries(1500, [
+      { start: 300, end: 302 }, // too early - would make a short chunk
+      { start: 570, end: 572 },
+      { start: 580, end: 581 },
+      { start: 1150, end: 1152 },
+    ], 600);
+
+    assert.deepEqual(plan.map(chunk => [chunk.startTime, chunk.endTime]), [
+      [0, 580.5],
+      [580.5, 1151],
+      [1151, 1500],
+    ]);
+    assert.ok(plan.every(chunk => chunk.overlapSeconds === 0 && chunk.audioStart === chunk.startTime));
+  });
+
+  test('cuts at the full duration with an overlap when there is no pause', () => {
+    const plan = planChunkBoundaries(1300, [], 600);
+
+    assert.deepEqual(plan, [
+      { startTime: 0, endTime: 600, audioStart: 0, overlapSeconds: 0 },
+      { startTime: 600, endTime: 1200, audioStart: 598, overlapSeconds: 2 },
+      { startTime: 1200, endTime: 1300, audioStart: 1198, overlapSeconds: 2 },
+    ]);
+  });
+
+  test('treats silence running to the end of the file as a pause', () => {
+    const plan = planChunkBoundaries(640, [{ start: 500, end: null }], 600);
+
+    assert.deepEqual(plan.map(chunk => chunk.endTime), [570, 640]);
+    assert.equal(plan[1].overlapSeconds, 0);
+  });
+
+  test('never plans a chunk longer than the chunk duration', () => {
+    const silences = Array.from({ length: 40 }, (_, i) => ({ start: i * 97.3, end: i * 97.3 + 0.8 }));
+    const plan = planChunkBoundaries(3900, silences, 300);
+
+    assert.equal(plan[0].startTime, 0);
+    assert.equal(plan[plan.length - 1].endTime, 3900);
+    for (const [i, chunk] of plan.entries()) {
+      assert.ok(chunk.endTime - chunk.startTime <= 300);
+      if (i > 0) assert.equal(chunk.startTime, plan[i - 1].endTime);
+    }
+  });
+});
+
+describe('findOverlappingWords', () => {
+  test('matches repeated words regardless of case and punctuation', () => {
+    assert.equal(findOverlappingWords('We will ship it on Friday.', 'on friday, then the demo'), 2);
+  });
+
+  test('ignores a single repeated word', () => {
+    assert.equal(findOverlappingWords('I said no', 'no, that is fine'), 0);
+  });
+});
+
+describe('mergeChunkTranscriptions', () => {
+  test('moves segments onto the recording timeline and removes the overlap', () => {
+    const merged = mergeChunkTranscriptions([
+      {
+        chunk: { startTime: 0, endTime: 600, audioStart: 0, overlapSeconds: 0 },
+        transcription: {
+          text: 'Welcome everyone. We will ship on Friday.',
+          language: 'english',
+          segments: [segment(0, 4, 'Welcome everyone.'), segment(595, 600, 'We will ship on Friday.')],
+        },
+      },
+      {
+        chunk: { startTime: 600, endTime: 900, audioStart: 598, overlapSeconds: 2 },
+        transcription: {
+          text: 'Friday. On Friday. Then the demo.',
+          segments: [
+            segment(0, 1.5, 'Friday.'), // inside the overlap - heard by the first chunk
+            segment(1.5, 5, 'On Friday. Then the demo.'),
+          ],
+        },
+      },
+    ]);
+
+    assert.equal(merged.text, 'Welcome everyone. We will ship on Friday. Then the demo.');
+    assert.equal(merged.language, 'english');
+    assert.equal(merged.duration, 900);
+    assert.deepEqual(merged.chunkBoundaries, [600]);
+    assert.deepEqual(merged.segments.map(s => [s.start, s.end, s.text]), [
+      [0, 4, 'Welcome everyone.'],
+      [595, 600, 'We will ship on Friday.'],
+      [600, 603, 'Then the demo.'],
+    ]);
+  });
+
+  test('keeps repeated words at a boundary cut on a pause', () => {
+    const merged = mergeChunkTranscriptions([
+      {
+        chunk: { startTime: 0, endTime: 580.5, audioStart: 0, overlapSeconds: 0 },
+        transcription: { text: 'Is it done? No, no', segments: [segment(575, 579, 'Is it done? No, no')] },
+      },
+      {
+        chunk: { startTime: 580.5, endTime: 700, audioStart: 580.5, overlapSeconds: 0 },
+        transcription: { text: 'no, no, not yet.', segments: [segment(0.5, 2, 'no, no, not yet.')] },
+      },
+    ]);
+
+    assert.equal(merged.text, 'Is it done? No, no no, no, not yet.');
+    assert.equal(merged.segments[1].start, 581);
+  });
+
+  test('removes the overlap from chunks without segments', () => {
+    const merged = mergeChunkTranscriptions([
+      { chunk: { startTime: 0, endTime: 600, audioStart: 0, overlapSeconds: 0 }, transcription: { text: 'the budget is approved' } },
+      { chunk: { startTime: 600, endTime: 700, audioStart: 598, overlapSeconds: 2 }, transcription: { text: 'is approved. Next item.' } },
+    ]);
+
+    assert.equal(merged.text, 'the budget is approved Next item.');
+    assert.deepEqual(merged.segments, []);
+  });
+});
+
+describe('silence-aware chunking on synthetic audio', { skip: !getAudioProcessingStatus().available && 'FFmpeg not available' }, () => {
+  let workDir;
+  let chunks = [];
+
+  after(async () => {
+    await cleanupChunks(chunks.map(chunk => chunk.path));
+    if (workDir) await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  test('detects pauses and cuts a chunk inside one', async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aiba-chunker-test-'));
+    const wavPath = path.join(workDir, 'synthetic.wav');
+
+    // 3s tone, 1.5s silence, 3s tone, 1.5s silence, 3s tone
+    await writeSyntheticWav(wavPath, [
+      { seconds: 3, tone: true },
+      { seconds: 1.5, tone: false },
+      { seconds: 3, tone: true },
+      { seconds: 1.5, tone: false },
+      { seconds: 3, tone: true },
+    ]);
+
+    const silences = await detectSilences(wavPath);
+    assert.equal(silences.length, 2);
+    assert.ok(Math.abs(silences[0].start - 3) < 0.1 && Math.abs(silences[0].end - 4.5) < 0.1);
+    assert.ok(Math.abs(silences[1].start - 7.5) < 0.1 && Math.abs(silences[1].end - 9) < 0.1);
+
+    // A 9s chunk looks for a pause in its last 2.25s - the second pause (middle 8.25s)
+    chunks = await splitIntoChunks(wavPath, 12, 9);
+
+    assert.equal(chunks.length, 2);
+    assert.ok(Math.abs(chunks[0].endTime - 8.25) < 0.1);
+    assert.equal(chunks[1].startTime, chunks[0].endTime);
+    assert.ok(chunks.every(chunk => chunk.overlapSeconds === 0));
+
+    // 16kHz mono 16-bit: 32000 bytes per second
+    const firstChunkBytes = (await fs.stat(chunks[0].path)).size;
+    assert.ok(Math.abs(firstChunkBytes / 32000 - chunks[0].endTime) < 0.1);
+  });
+});
@@ -0,0 +1,61 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/testDatabase.js';
+import { getDiarizer } from '../src/services/diarization.js';
+
+const segment = (start, end, text) => ({ start, end, text });
+
+const speakersOf = (segments) => segments.map(entry => entry.speaker);
+
+describe('getDiarizer', () => {
+  test('leaves transcripts unlabeled unless a diarizer is selected', async () => {
+    const previous = process.env.DIARIZATION_PROVIDER;
+    delete process.env.DIARIZATION_PROVIDER;
+    try {
+      const segments = await getDiarizer().diarize({
+        segments: [segment(0, 2, 'Hello.'), segment(5, 7, 'Hi there.')],
+        speakerCount: 2,
+      });
+      assert.deepEqual(speakersOf(segments), [null, null]);
+    } finally {
+      if (previous !== undefined) process.env.DIARIZATION_PROVIDER = previous;
+    }
+  });
+
+  test('rejects unknown providers', () => {
+    assert.throws(() => getDiarizer('nope'), /Unknown diarization provider: nope/);
+  });
+});
+
+describe('local diarizer', () => {
+  const local = getDiarizer('local');
+
+  test('starts a new turn after a long pause or a question', async () => {
+    const segments = await local.diarize({
+      segments: [
+        segment(0, 2, 'Let us start.'),
+        segment(2.2, 4, 'First item is the release.'), // short pause - same speaker
+        segment(6, 8, 'Sounds good.'), // 2s pause - next speaker
+        segment(8.1, 9, 'Who owns it?'),
+        segment(9.1, 10, 'I do.'), // after a question - next speaker
+      ],
+      speakerCount: 2,
+    });
+
+    assert.deepEqual(speakersOf(segments), ['SPEAKER_0', 'SPEAKER_0', 'SPEAKER_1', 'SPEAKER_1', 'SPEAKER_0']);
+  });
+
+  test('rotates through the expected number of speakers', async () => {
+    const turns = [0, 2, 4, 6].map(start => segment(start, start + 0.5, 'Next.'));
+
+    const three = await local.diarize({ segments: turns, speakerCount: 3 });
+    assert.deepEqual(speakersOf(three), ['SPEAKER_0', 'SPEAKER_1', 'SPEAKER_2', 'SPEAKER_0']);
+
+    // Two speakers when the count is unknown, one at least
+    const unknown = await local.diarize({ segments: turns, speakerCount: null });
+    assert.deepEqual(speakersOf(unknown), ['SPEAKER_0', 'SPEAKER_1', 'SPEAKER_0', 'SPEAKER_1']);
+
+    const single = await local.diarize({ segments: turns, speakerCount: 1 });
+    assert.deepEqual(speakersOf(single), ['SPEAKER_0', 'SPEAKER_0', 'SPEAKER_0', 'SPEAKER_0']);
+  });
+});
@@ -0,0 +1,3 @@
+// Imported first by tests whose modules reach database.js: they get a fresh in-memory database
+// with default settings instead of the developer's backend/aiba.db
+process.env.DATABASE_PATH = ':memory:';
@@ -0,0 +1,131 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/testDatabase.js';
+import {
+  createMeeting,
+  createJob,
+  getJobById,
+  getJobsByMeeting,
+  markJobRunning,
+  resetRunningJobs,
+} from '../src/db/database.js';
+import {
+  enqueueJob,
+  registerJobHandler,
+  onJobFailed,
+  isRetryableError,
+  getRetryDelay,
+} from '../src/services/jobQueue.js';
+
+const createTestMeeting = () => Number(
+  createMeeting.run(null, 'Queue test', '2026-01-05', null, null, null, null, null).lastInsertRowid
+);
+
+/**
+ * Wait until a job leaves the pending/running states
+ * @returns {Promise<Object>} Job row
+ */
+const waitForJob = async (jobId, isDone = job => job.status !== 'pending' || job.attempts > 0) => {
+  for (let i = 0; i < 200; i++) {
+    const job = getJobById.get(jobId);
+    if (job.status !== 'running' && isDone(job)) return job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+};
+
+describe('isRetryableError', () => {
+  test('retries rate limits, overload and network errors', () => {
+    for (const message of ['429 Rate limit reached', 'Overloaded', 'read ECONNRESET', 'Request timeout after 60s', 'Connection error.']) {
+      assert.equal(isRetryableError(new Error(message)), true, message);
+    }
+  });
+
+  test('does not retry other failures', () => {
+    assert.equal(isRetryableError(new Error('Invalid API key')), false);
+    assert.equal(isRetryableError(new Error('Transcript file not found')), false);
+    assert.equal(isRetryableError(null), false);
+  });
+});
+
+describe('getRetryDelay', () => {
+  test('doubles with every attempt up to 30 minutes', () => {
+    assert.deepEqual([1, 2, 3, 4].map(getRetryDelay), [30, 60, 120, 240]);
+    assert.equal(getRetryDelay(20), 30 * 60);
+  });
+});
+
+describe('job queue', () => {
+  // The queue logs every job it runs
+  before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+  after(() => mock.restoreAll());
+
+  test('runs a job and enqueues its follow-up stage', async () => {
+    const meetingId = createTestMeeting();
+    registerJobHandler('test-first', async (job, payload) => ({ next: { stage: 'test-second', payload: { from: payload.value } } }));
+    registerJobHandler('test-second', async () => {});
+
+    const job = enqueueJob(meetingId, 'test-first', { value: 7 });
+    assert.equal((await waitForJob(job.id)).status, 'completed');
+
+    const [followUp] = getJobsByMeeting.all(meetingId).filter(entry => entry.stage === 'test-second');
+    assert.deepEqual(JSON.parse(followUp.payload), { from: 7 });
+    assert.equal((await waitForJob(followUp.id)).status, 'completed');
+  });
+
+  test('reschedules a job that hit a retryable error', async () => {
+    const meetingId = createTestMeeting();
+    registerJobHandler('test-rate-limited', async () => {
+      throw new Error('429 Rate limit reached');
+    });
+
+    const job = enqueueJob(meetingId, 'test-rate-limited');
+    const retried = await waitForJob(job.id, entry => entry.attempts === 1);
+
+    assert.equal(retried.status, 'pending');
+    assert.equal(retried.last_error, '429 Rate limit reached');
+    assert.ok(retried.run_after > retried.created_at);
+  });
+
+  test('fails a job on a permanent error or after its last attempt, and notifies listeners', async () => {
+    const meetingId = createTestMeeting();
+    const failures = [];
+    onJobFailed((job, error) => failures.push({ id: job.id, message: error.message }));
+    registerJobHandler('test-broken', async () => {
+      throw new Error('Transcript file not found');
+    });
+    registerJobHandler('test-exhausted', async () => {
+      throw new Error('Overloaded');
+    });
+
+    const broken = enqueueJob(meetingId, 'test-broken');
+    assert.equal((await waitForJob(broken.id)).status, 'failed');
+
+    const exhausted = enqueueJob(createTestMeeting(), 'test-exhausted', {}, 1);
+    const failed = await waitForJob(exhausted.id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.attempts, 1);
+
+    assert.deepEqual(failures.filter(entry => [broken.id, exhausted.id].includes(entry.id)), [
+      { id: broken.id, message: 'Transcript file not found' },
+      { id: exhausted.id, message: 'Overloaded' },
+    ]);
+  });
+
+  test('puts jobs interrupted by a restart back in the queue', () => {
+    const meetingId = createTestMeeting();
+    // Not enqueued through the queue, so no worker picks it up
+    const jobId = createJob.run(meetingId, 'test-interrupted', '{}', 5).lastInsertRowid;
+    markJobRunning.run(jobId);
+
+    resetRunningJobs.run();
+
+    const job = getJobById.get(jobId);
+    assert.equal(job.status, 'pending');
+    assert.equal(job.attempts, 1);
+  });
+});
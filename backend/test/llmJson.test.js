@@ -0,0 +1,88 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJSONResponse, validateJSONSchema } from '../src/services/llmJson.js';
+
+describe('parseJSONResponse', () => {
+  test('parses a bare object', () => {
+    assert.deepEqual(parseJSONResponse('{"overview": "Sprint review"}'), { overview: 'Sprint review' });
+  });
+
+  test('takes the object out of a code fence with prose around it', () => {
+    const text = 'Here is the summary:\n```json\n{"overview": "Sprint review", "key_decisions": []}\n```\nLet me know if you need more.';
+    assert.deepEqual(parseJSONResponse(text), { overview: 'Sprint review', key_decisions: [] });
+  });
+
+  test('skips reasoning in think tags', () => {
+    const text = '<think>The user wants {json}. I should list decisions.</think>\n{"key_decisions": ["Ship on Friday"]}';
+    assert.deepEqual(parseJSONResponse(text), { key_decisions: ['Ship on Friday'] });
+  });
+
+  test('ignores braces inside strings and text after the object', () => {
+    const text = '{"context": "Use {placeholders} and \\"quotes\\""} Hope this helps {:';
+    assert.deepEqual(parseJSONResponse(text), { context: 'Use {placeholders} and "quotes"' });
+  });
+
+  test('removes trailing commas', () => {
+    const text = '{"discussion_topics": ["Budget", "Hiring",], "context": "a, ]",}';
+    assert.deepEqual(parseJSONResponse(text), { discussion_topics: ['Budget', 'Hiring'], context: 'a, ]' });
+  });
+
+  test('rejects a cut-off object', () => {
+    assert.throws(() => parseJSONResponse('{"overview": "Sprint review", "key_decisions": ["Ship'), /complete JSON object/);
+  });
+
+  test('rejects an empty response', () => {
+    assert.throws(() => parseJSONResponse('   '), /Empty response/);
+  });
+});
+
+describe('validateJSONSchema', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      overview: { type: 'string' },
+      key_decisions: { type: 'array', items: { type: 'string' } },
+      action_items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { task: { type: 'string' }, owner: { type: ['string', 'null'] } },
+          required: ['task', 'owner'],
+          additionalProperties: false,
+        },
+      },
+    },
+    required: ['overview', 'key_decisions', 'action_items'],
+    additionalProperties: false,
+  };
+
+  test('accepts a matching object', () => {
+    assert.deepEqual(validateJSONSchema({
+      overview: 'Sprint review',
+      key_decisions: ['Ship on Friday'],
+      action_items: [{ task: 'Send draft', owner: null }],
+    }, schema), []);
+  });
+
+  test('reports each problem with its location', () => {
+    assert.deepEqual(validateJSONSchema({
+      overview: 'Sprint review',
+      key_decisions: ['Ship on Friday', { text: 'Hire' }],
+      action_items: [{ task: 'Send draft', owner: 3, due: 'Friday' }],
+      notes: '',
+    }, schema), [
+      '$.key_decisions[1]: expected string, got object',
+      '$.action_items[0].owner: expected string or null, got integer',
+      '$.action_items[0]: unexpected field "due"',
+      '$: unexpected field "notes"',
+    ]);
+  });
+
+  test('reports missing fields and wrong top-level types', () => {
+    assert.deepEqual(validateJSONSchema({ overview: 'x', key_decisions: 'Ship' }, schema), [
+      '$: missing required field "action_items"',
+      '$.key_decisions: expected array, got string',
+    ]);
+    assert.deepEqual(validateJSONSchema([], schema), ['$: expected object, got array']);
+  });
+});
@@ -0,0 +1,84 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/testDatabase.js';
+import { registerLLMProvider, generateText } from '../src/services/llmProviders.js';
+
+// The built-in providers stay out of the fallback order
+const PROVIDER_ENV = ['ANTHROPIC_API_KEY', 'OPENAI_API_KEY', 'LOCAL_LLM_BASE_URL'];
+
+/**
+ * Register a provider with one model that records its requests
+ * @param {string} name - Provider name
+ * @param {number} contextTokens - Context window of its model
+ * @param {Function} complete - Answers a request
+ * @returns {Array<Object>} Requests received
+ */
+const registerRecordingProvider = (name, contextTokens, complete) => {
+  const requests = [];
+  registerLLMProvider(name, {
+    label: name,
+    models: [{ id: `${name}-1`, label: `${name} 1`, maxOutputTokens: 4096, contextTokens }],
+    isConfigured: () => true,
+    complete: async (request) => {
+      requests.push(request);
+      return complete(request);
+    },
+  });
+  return requests;
+};
+
+describe('generateText fallback', () => {
+  const savedEnv = {};
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    for (const name of PROVIDER_ENV) {
+      savedEnv[name] = process.env[name];
+      delete process.env[name];
+    }
+  });
+
+  after(() => {
+    mock.restoreAll();
+    for (const name of PROVIDER_ENV) {
+      if (savedEnv[name] !== undefined) process.env[name] = savedEnv[name];
+    }
+  });
+
+  test('skips fallback models whose context cannot hold the prompt', async () => {
+    registerRecordingProvider('large-primary', 200000, () => {
+      throw new Error('Account has a payment issue');
+    });
+    const small = registerRecordingProvider('small-fallback', 8192, () => 'small');
+    const large = registerRecordingProvider('large-fallback', 128000, () => 'large');
+
+    const result = await generateText('meeting_analysis', {
+      messages: [{ role: 'user', content: 'Analyze this meeting' }],
+      maxTokens: 4096,
+      promptTokens: 20000,
+    }, { provider: 'large-primary' });
+
+    assert.equal(result.text, 'large');
+    assert.equal(result.provider, 'large-fallback');
+    assert.equal(result.fallbackOccurred, true);
+    assert.equal(small.length, 0);
+    assert.equal(large.length, 1);
+
+    // Without a prompt size every fallback is tried
+    const unsized = await generateText('meeting_analysis', { messages: [{ role: 'user', content: 'Hi' }] }, { provider: 'large-primary' });
+    assert.equal(unsized.provider, 'small-fallback');
+  });
+
+  test('reports the skipped models when no fallback fits', async () => {
+    registerRecordingProvider('tiny-primary', 200000, () => {
+      throw new Error('Account has a payment issue');
+    });
+
+    await assert.rejects(generateText('meeting_analysis', {
+      messages: [{ role: 'user', content: 'Analyze this meeting' }],
+      maxTokens: 4096,
+      promptTokens: 500000,
+    }, { provider: 'tiny-primary' }), /All AI providers failed\..*small-fallback 1 context \(8192 tokens\) is too small/);
+  });
+});
@@ -0,0 +1,94 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/testDatabase.js';
+import { createMeeting, createMeetingMetadata } from '../src/db/database.js';
+import {
+  normalizeOwner,
+  normalizeDueDate,
+  normalizeDecisions,
+  applyAnalysisItems,
+  getMeetingItems,
+  addMeetingItem,
+  updateMeetingItem,
+  deleteMeetingItem,
+} from '../src/services/meetingItems.js';
+
+const createTestMeeting = () => Number(
+  createMeeting.run(null, 'Items test', '2026-01-05', null, null, null, null, null).lastInsertRowid
+);
+
+describe('normalizeOwner', () => {
+  test('writes the same person the same way', () => {
+    assert.equal(normalizeOwner('  @sarah  '), 'Sarah');
+    assert.equal(normalizeOwner('sarah klein (PM)'), 'Sarah Klein');
+    assert.equal(normalizeOwner('McDonald'), 'McDonald');
+  });
+
+  test('treats placeholders as unassigned', () => {
+    for (const owner of ['TBD', 'n/a', ' ', 'Unassigned', null, 42]) {
+      assert.equal(normalizeOwner(owner), null, String(owner));
+    }
+  });
+});
+
+describe('normalizeDueDate', () => {
+  test('keeps valid dates as YYYY-MM-DD', () => {
+    assert.equal(normalizeDueDate('2026-03-01T12:00:00Z'), '2026-03-01');
+    assert.equal(normalizeDueDate('next Friday'), null);
+    assert.equal(normalizeDueDate(null), null);
+  });
+});
+
+describe('normalizeDecisions', () => {
+  test('gives legacy decisions an id and keeps existing ones', () => {
+    const [legacy, stored] = normalizeDecisions(['Ship on Friday', { id: 'd-1', text: 'Hire a designer', human_edited: true }]);
+
+    assert.equal(legacy.text, 'Ship on Friday');
+    assert.ok(legacy.id);
+    assert.equal(legacy.human_edited, false);
+    assert.deepEqual(stored, { id: 'd-1', text: 'Hire a designer', human_edited: true });
+  });
+});
+
+describe('applyAnalysisItems', () => {
+  test('replaces AI entries while keeping hand edits and decision ids', () => {
+    const meetingId = createTestMeeting();
+    applyAnalysisItems(meetingId, {
+      key_decisions: ['Ship on Friday', 'Freeze the API'],
+      action_items: [{ task: 'Write release notes', owner: 'tbd' }, { task: 'Book the demo room', owner: null }],
+    });
+
+    const first = getMeetingItems(meetingId);
+    const shipId = first.decisions[0].id;
+    const freeze = first.decisions[1];
+    const [notes, room] = first.action_items;
+
+    updateMeetingItem(meetingId, 'decisions', freeze.id, { text: 'Freeze the API on Thursday' });
+    deleteMeetingItem(meetingId, 'action_items', String(room.id));
+    addMeetingItem(meetingId, 'action_items', { task: 'Update the changelog', owner: null });
+
+    applyAnalysisItems(meetingId, {
+      key_decisions: ['Ship on Friday', 'Freeze the API', 'Freeze the API on Thursday', 'Drop IE support'],
+      action_items: [{ task: 'Write release notes' }, { task: 'Book the demo room' }, { task: 'update the changelog' }],
+    });
+
+    const second = getMeetingItems(meetingId);
+
+    // Hand-edited entries first; the AI version of the edited decision does not come back
+    assert.deepEqual(second.decisions.map(item => item.text), ['Freeze the API on Thursday', 'Ship on Friday', 'Drop IE support']);
+    assert.equal(second.decisions[0].id, freeze.id);
+    assert.equal(second.decisions[1].id, shipId);
+
+    // The deleted AI item stays deleted and the hand-written one is not duplicated
+    assert.deepEqual(second.action_items.map(item => item.task), ['Update the changelog', 'Write release notes']);
+    assert.notEqual(second.action_items[1].id, notes.id);
+  });
+
+  test('stores ids for decisions saved before they had any', () => {
+    const meetingId = createTestMeeting();
+    createMeetingMetadata.run(meetingId, JSON.stringify(['Ship on Friday']), null, '[]', '[]', null);
+
+    const { id } = getMeetingItems(meetingId).decisions[0];
+    assert.equal(getMeetingItems(meetingId).decisions[0].id, id);
+  });
+});
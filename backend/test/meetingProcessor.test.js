@@ -0,0 +1,153 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import './helpers/testDatabase.js';
+import db, { getMeetingById, getTrashedMeetingById } from '../src/db/database.js';
+import { registerLLMProvider } from '../src/services/llmProviders.js';
+import { saveSummary } from '../src/services/aiAnalysis.js';
+import { saveTranscript } from '../src/services/transcription.js';
+import { getMeetingItems } from '../src/services/meetingItems.js';
+import { enqueueMeetingProcessing } from '../src/services/meetingProcessor.js';
+import { moveMeetingToTrash } from '../src/services/trash.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STORAGE_DIR = path.join(__dirname, '../storage');
+
+// Stored files are named after the meeting id - ids far above any real meeting
+const MEETING_ID = 9000400;
+const TRASHED_MEETING_ID = 9000401;
+
+const analysisWith = (decision) => ({
+  overview: `The team decided: ${decision}.`,
+  discussion_topics: ['Release'],
+  detailed_discussion: [`The team agreed to ${decision}.`],
+  key_decisions: [decision],
+  action_items: [],
+  technical_details: [],
+  context: 'Weekly sync.',
+});
+
+const waitUntil = async (check) => {
+  for (let i = 0; i < 300; i++) {
+    const value = check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Processing did not get there in time');
+};
+
+const waitForMeeting = (isDone) => waitUntil(() => {
+  const meeting = getMeetingById.get(MEETING_ID);
+  return isDone(meeting) && meeting;
+});
+
+const getJobs = db.prepare('SELECT stage, status FROM processing_jobs WHERE meeting_id = ? ORDER BY id');
+
+const removeMeetingFiles = async (meetingId) => {
+  for (const dir of ['transcripts', 'summaries']) {
+    for (const file of await fs.readdir(path.join(STORAGE_DIR, dir))) {
+      if (file.startsWith(`meeting-${meetingId}-`)) {
+        await fs.rm(path.join(STORAGE_DIR, dir, file));
+      }
+    }
+  }
+};
+
+describe('reprocessing without the summary stage', () => {
+  let summaryPath;
+  let transcriptPath;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+
+    registerLLMProvider('scripted-pipeline', {
+      label: 'Scripted',
+      models: [{ id: 'scripted-1', label: 'Scripted 1', maxOutputTokens: 4096 }],
+      isConfigured: () => true,
+      complete: async () => JSON.stringify(analysisWith('Ship on Monday')),
+    });
+
+    ({ mdPath: transcriptPath } = await saveTranscript('We talked about the release.', MEETING_ID, { title: 'Release sync' }));
+    summaryPath = await saveSummary(analysisWith('Ship on Friday'), MEETING_ID);
+    db.prepare(`
+      INSERT INTO meetings (id, title, date, transcript_path, summary_path, status)
+      VALUES (?, 'Release sync', '2026-01-05', ?, ?, 'complete')
+    `).run(MEETING_ID, transcriptPath, summaryPath);
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await removeMeetingFiles(MEETING_ID);
+  });
+
+  test('keeps the meeting summary and runs metadata and indexing against it', async () => {
+    enqueueMeetingProcessing(MEETING_ID, ['analysis', 'metadata', 'indexing'], {
+      transcriptPath,
+      summaryPath,
+      backend: 'scripted-pipeline',
+      updateSummary: false,
+    });
+
+    const meeting = await waitForMeeting(current => current.status === 'complete' && current.indexing_at);
+
+    assert.equal(meeting.summary_path, summaryPath);
+    assert.deepEqual(getMeetingItems(MEETING_ID).decisions.map(item => item.text), ['Ship on Friday']);
+
+    // The new analysis is kept as history
+    const summaries = (await fs.readdir(path.join(STORAGE_DIR, 'summaries'))).filter(file => file.startsWith(`meeting-${MEETING_ID}-`));
+    assert.equal(summaries.length, 2);
+  });
+});
+
+describe('moving a meeting to the trash while a stage runs', () => {
+  let releaseAnalysis;
+  let transcriptPath;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+
+    const analysisReleased = new Promise(resolve => { releaseAnalysis = resolve; });
+    registerLLMProvider('scripted-blocking', {
+      label: 'Scripted',
+      models: [{ id: 'scripted-1', label: 'Scripted 1', maxOutputTokens: 4096 }],
+      isConfigured: () => true,
+      complete: async () => {
+        await analysisReleased;
+        return JSON.stringify(analysisWith('Ship on Monday'));
+      },
+    });
+
+    ({ mdPath: transcriptPath } = await saveTranscript('We talked about the release.', TRASHED_MEETING_ID, { title: 'Release sync' }));
+    db.prepare(`
+      INSERT INTO meetings (id, title, date, transcript_path, status) VALUES (?, 'Release sync', '2026-01-05', ?, 'queued')
+    `).run(TRASHED_MEETING_ID, transcriptPath);
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await removeMeetingFiles(TRASHED_MEETING_ID);
+  });
+
+  test('queues no further stage and keeps the trash status', async () => {
+    enqueueMeetingProcessing(TRASHED_MEETING_ID, ['analysis', 'metadata', 'indexing'], {
+      transcriptPath,
+      backend: 'scripted-blocking',
+    });
+
+    const running = await waitUntil(() => {
+      const meeting = getMeetingById.get(TRASHED_MEETING_ID);
+      return meeting.status === 'analyzing' && meeting;
+    });
+    moveMeetingToTrash(running);
+    releaseAnalysis();
+
+    await waitUntil(() => getJobs.all(TRASHED_MEETING_ID).every(job => job.status !== 'pending' && job.status !== 'running'));
+
+    assert.deepEqual(getJobs.all(TRASHED_MEETING_ID).map(job => job.stage), ['analysis']);
+    const meeting = getTrashedMeetingById.get(TRASHED_MEETING_ID);
+    assert.equal(meeting.status, 'failed');
+    assert.match(meeting.error_message, /moved to the trash/);
+  });
+});
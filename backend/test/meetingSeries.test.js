@@ -0,0 +1,55 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/testDatabase.js';
+import { createProject, createMeeting, createSeries, setMeetingSeries } from '../src/db/database.js';
+import { normalizeSeriesTitle, titleSimilarity, suggestSeries } from '../src/services/meetingSeries.js';
+
+const addMeeting = (projectId, title, date) => Number(
+  createMeeting.run(projectId, title, date, null, null, null, null, null).lastInsertRowid
+);
+
+describe('normalizeSeriesTitle', () => {
+  test('drops dates, weekdays, numbers and punctuation', () => {
+    assert.equal(normalizeSeriesTitle('Weekly Sync 2024-03-04'), 'weekly sync');
+    assert.equal(normalizeSeriesTitle('Weekly sync #12'), 'weekly sync');
+    assert.equal(normalizeSeriesTitle('Design Review - Tue 3/12'), 'design review');
+    assert.equal(normalizeSeriesTitle('Sprint 14 Retro'), 'retro');
+  });
+});
+
+describe('titleSimilarity', () => {
+  test('compares the words left after normalization', () => {
+    assert.equal(titleSimilarity('Weekly Sync 2024-03-04', 'Weekly sync #12'), 1);
+    assert.equal(titleSimilarity('Weekly product sync', 'Weekly sync'), 2 / 3);
+    assert.equal(titleSimilarity('Budget review', 'Weekly sync'), 0);
+    assert.equal(titleSimilarity('2024-03-04', 'Weekly sync'), 0);
+  });
+});
+
+describe('suggestSeries', () => {
+  test('suggests existing series and new groups within a project', () => {
+    const projectId = Number(createProject.run('Series project', null).lastInsertRowid);
+    const otherProjectId = Number(createProject.run('Other project', null).lastInsertRowid);
+
+    const seriesId = Number(createSeries.run(projectId, 'Design Review').lastInsertRowid);
+    setMeetingSeries.run(seriesId, addMeeting(projectId, 'Design Review 1', '2026-01-01'));
+    const review = addMeeting(projectId, 'Design review #2', '2026-01-08');
+
+    const syncs = [
+      addMeeting(projectId, 'Weekly Sync - Jan 5', '2026-01-05'),
+      addMeeting(projectId, 'weekly sync jan 12', '2026-01-12'),
+    ];
+    addMeeting(otherProjectId, 'Weekly Sync - Jan 19', '2026-01-19');
+    addMeeting(projectId, 'Budget planning', '2026-01-20');
+
+    const suggestions = suggestSeries({ projectId });
+
+    assert.deepEqual(suggestions.map(({ type, series_id, name, meetings }) => ({ type, series_id, name, meetings: meetings.map(meeting => meeting.id) })), [
+      { type: 'existing', series_id: seriesId, name: 'Design Review', meetings: [review] },
+      { type: 'new', series_id: null, name: 'weekly sync', meetings: syncs },
+    ]);
+
+    // Meetings of another project never join the group
+    assert.deepEqual(suggestSeries({ meetingId: syncs[0] }).map(suggestion => suggestion.meetings.length), [2]);
+  });
+});
@@ -0,0 +1,68 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/testDatabase.js';
+import { createMeeting, createPerson, getPersonById } from '../src/db/database.js';
+import { resolveOwner, setMeetingAttendees, serializeAliases, findOrCreatePerson } from '../src/services/people.js';
+
+const addPerson = (name, email = null, aliases = []) => getPersonById.get(
+  createPerson.run(name, email, JSON.stringify(aliases)).lastInsertRowid
+);
+
+describe('resolveOwner', () => {
+  let sarah;
+  let alexMorgan;
+  let alexChen;
+  let bob;
+  let meetingId;
+  let otherMeetingId;
+
+  before(() => {
+    sarah = addPerson('Sarah Klein', 'sarah.k@example.com', ['SK']);
+    alexMorgan = addPerson('Alex Morgan');
+    alexChen = addPerson('Alex Chen');
+    bob = addPerson('Bob Stone');
+
+    meetingId = Number(createMeeting.run(null, 'Planning', '2026-01-05', null, null, null, null, null).lastInsertRowid);
+    otherMeetingId = Number(createMeeting.run(null, 'Retro', '2026-01-06', null, null, null, null, null).lastInsertRowid);
+    setMeetingAttendees(meetingId, [{ personId: alexChen.id }, { personId: sarah.id }]);
+  });
+
+  test('matches full names, aliases and email handles', () => {
+    assert.deepEqual(resolveOwner(otherMeetingId, 'sarah klein'), { owner: 'Sarah Klein', owner_id: sarah.id });
+    assert.deepEqual(resolveOwner(otherMeetingId, 'SK'), { owner: 'Sarah Klein', owner_id: sarah.id });
+    assert.deepEqual(resolveOwner(otherMeetingId, '@sarah.k'), { owner: 'Sarah Klein', owner_id: sarah.id });
+  });
+
+  test('matches a first name only when one person has it', () => {
+    assert.deepEqual(resolveOwner(otherMeetingId, 'Bob'), { owner: 'Bob Stone', owner_id: bob.id });
+    assert.deepEqual(resolveOwner(otherMeetingId, 'Alex'), { owner: 'Alex', owner_id: null });
+  });
+
+  test('prefers the meeting attendees for an ambiguous first name', () => {
+    assert.deepEqual(resolveOwner(meetingId, 'Alex'), { owner: 'Alex Chen', owner_id: alexChen.id });
+    assert.equal(resolveOwner(meetingId, 'Alex Morgan').owner_id, alexMorgan.id);
+  });
+
+  test('keeps unknown owners as free text', () => {
+    assert.deepEqual(resolveOwner(meetingId, 'Sarah Connor'), { owner: 'Sarah Connor', owner_id: null });
+    assert.deepEqual(resolveOwner(meetingId, 'Legal team'), { owner: 'Legal team', owner_id: null });
+    assert.deepEqual(resolveOwner(meetingId, null), { owner: null, owner_id: null });
+  });
+});
+
+describe('findOrCreatePerson', () => {
+  test('reuses a person known by that name or alias', () => {
+    const dana = addPerson('Dana Ruiz', null, ['DR']);
+
+    assert.equal(findOrCreatePerson(' Dana Ruiz ').id, dana.id);
+    assert.equal(findOrCreatePerson('dr').id, dana.id);
+    assert.notEqual(findOrCreatePerson('Dana Smith').id, dana.id);
+  });
+});
+
+describe('serializeAliases', () => {
+  test('trims, drops empty and duplicate aliases', () => {
+    assert.equal(serializeAliases([' SK ', 'SK', '', 42, 'Sally']), '["SK","Sally"]');
+    assert.equal(serializeAliases('SK'), '[]');
+  });
+});
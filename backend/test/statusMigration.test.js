@@ -0,0 +1,86 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+// A database from before meetings had a status: failures were written into transcript_path
+const createLegacyDatabase = (dbPath) => {
+  const legacy = new Database(dbPath);
+  legacy.exec(`
+    CREATE TABLE projects (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE meetings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      project_id INTEGER,
+      title TEXT NOT NULL,
+      date TEXT NOT NULL,
+      audio_path TEXT,
+      transcript_path TEXT,
+      summary_path TEXT,
+      duration INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+    );
+    INSERT INTO meetings (id, title, date, transcript_path, summary_path, created_at, updated_at) VALUES
+      (1, 'Processed', '2025-01-01', '/storage/transcripts/meeting-1.md', '/storage/summaries/meeting-1.json', '2025-01-01 09:00:00', '2025-01-01 09:05:00'),
+      (2, 'Failed', '2025-01-02', 'ERROR: Whisper rejected the file', NULL, '2025-01-02 09:00:00', '2025-01-02 09:01:00'),
+      (3, 'Interrupted', '2025-01-03', '/storage/transcripts/meeting-3.md', NULL, '2025-01-03 09:00:00', '2025-01-03 09:02:00');
+  `);
+  legacy.close();
+};
+
+describe('meeting status migration', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aiba-migration-'));
+  let db;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+
+    const dbPath = path.join(dir, 'legacy.db');
+    createLegacyDatabase(dbPath);
+    process.env.DATABASE_PATH = dbPath;
+    ({ default: db } = await import('../src/db/database.js'));
+  });
+
+  after(() => {
+    mock.restoreAll();
+    db?.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('derives each meeting status from what processing left behind', () => {
+    const meetings = db.prepare(`
+      SELECT id, status, error_message, transcript_path, queued_at, completed_at, failed_at FROM meetings ORDER BY id
+    `).all();
+
+    assert.deepEqual(meetings, [
+      {
+        id: 1, status: 'complete', error_message: null, transcript_path: '/storage/transcripts/meeting-1.md',
+        queued_at: '2025-01-01 09:00:00', completed_at: '2025-01-01 09:05:00', failed_at: null,
+      },
+      {
+        id: 2, status: 'failed', error_message: 'Whisper rejected the file', transcript_path: null,
+        queued_at: '2025-01-02 09:00:00', completed_at: null, failed_at: '2025-01-02 09:01:00',
+      },
+      {
+        id: 3, status: 'failed', error_message: 'Processing was interrupted. Use "Reprocess Meeting" to try again.',
+        transcript_path: '/storage/transcripts/meeting-3.md',
+        queued_at: '2025-01-03 09:00:00', completed_at: null, failed_at: '2025-01-03 09:02:00',
+      },
+    ]);
+  });
+
+  test('brings the rest of the schema up to date', () => {
+    const columns = db.pragma('table_info(meetings)').map(column => column.name);
+    for (const column of ['status', 'deleted_at', 'series_id', 'language', 'analysis_template_id']) {
+      assert.ok(columns.includes(column), column);
+    }
+  });
+});
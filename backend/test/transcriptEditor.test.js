@@ -0,0 +1,97 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import './helpers/testDatabase.js';
+import db from '../src/db/database.js';
+import { saveTranscript, readTranscriptSegments } from '../src/services/transcription.js';
+import {
+  validateSegmentEdits,
+  editTranscriptSegments,
+  listTranscriptRevisions,
+  getTranscriptRevision,
+  revertTranscriptRevision,
+} from '../src/services/transcriptEditor.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TRANSCRIPT_DIR = path.join(__dirname, '../storage/transcripts');
+
+// Transcript files are named after the meeting id - one far above any real meeting
+const MEETING_ID = 9000300;
+
+describe('validateSegmentEdits', () => {
+  test('accepts one edit per existing segment', () => {
+    assert.equal(validateSegmentEdits([{ index: 0, text: 'Hello' }, { index: 2, text: 'Bye' }], 3), null);
+  });
+
+  test('rejects missing, out of range, repeated and empty edits', () => {
+    assert.match(validateSegmentEdits([], 3), /non-empty array/);
+    assert.match(validateSegmentEdits([{ index: 3, text: 'Hi' }], 3), /Invalid segment index: 3/);
+    assert.match(validateSegmentEdits([{ index: '1', text: 'Hi' }], 3), /Invalid segment index/);
+    assert.match(validateSegmentEdits([{ index: 1, text: 'Hi' }, { index: 1, text: 'Hey' }], 3), /edited more than once/);
+    assert.match(validateSegmentEdits([{ index: 1, text: '  ' }], 3), /cannot be empty/);
+  });
+});
+
+describe('transcript revisions', () => {
+  let meeting;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+
+    const { mdPath } = await saveTranscript('We ship on friday. Alice writes the notes.', MEETING_ID, {
+      title: 'Release sync',
+      segments: [
+        { start: 0, end: 2, text: 'We ship on friday.' },
+        { start: 2, end: 4, text: 'Alis writes the notes.' },
+      ],
+    });
+    db.prepare(`INSERT INTO meetings (id, title, date, transcript_path, status) VALUES (?, 'Release sync', '2026-01-05', ?, 'complete')`)
+      .run(MEETING_ID, mdPath);
+    meeting = db.prepare('SELECT * FROM meetings WHERE id = ?').get(MEETING_ID);
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    for (const file of await fs.readdir(TRANSCRIPT_DIR)) {
+      if (file.startsWith(`meeting-${MEETING_ID}-`)) {
+        await fs.rm(path.join(TRANSCRIPT_DIR, file));
+      }
+    }
+  });
+
+  test('records edits and reverts them', async () => {
+    const revision = await editTranscriptSegments(meeting, [
+      { index: 0, text: 'We ship on Friday.' },
+      { index: 1, text: 'Alice writes the notes. ' },
+    ]);
+
+    assert.deepEqual(revision.changes, [
+      { index: 0, start: 0, before: 'We ship on friday.', after: 'We ship on Friday.' },
+      { index: 1, start: 2, before: 'Alis writes the notes.', after: 'Alice writes the notes.' },
+    ]);
+    assert.deepEqual((await readTranscriptSegments(meeting.transcript_path)).segments.map(segment => segment.text),
+      ['We ship on Friday.', 'Alice writes the notes.']);
+    assert.match(await fs.readFile(path.join(__dirname, '..', meeting.transcript_path.replace(/\.md$/, '.txt')), 'utf-8'), /Alice writes/);
+
+    // Nothing changed - no revision
+    assert.equal(await editTranscriptSegments(meeting, [{ index: 1, text: 'Alice writes the notes.' }]), null);
+
+    const revert = await revertTranscriptRevision(meeting, revision);
+    assert.equal(revert.reverts_revision_id, revision.id);
+    assert.deepEqual((await readTranscriptSegments(meeting.transcript_path)).segments.map(segment => segment.text),
+      ['We ship on friday.', 'Alis writes the notes.']);
+
+    assert.deepEqual(listTranscriptRevisions(meeting).map(entry => entry.id), [revert.id, revision.id]);
+  });
+
+  test('hides revisions made on an earlier transcript', async () => {
+    const [revision] = listTranscriptRevisions(meeting);
+    const retranscribed = { ...meeting, transcript_path: '/storage/transcripts/meeting-9000300-2.md' };
+
+    assert.ok(getTranscriptRevision(meeting, revision.id));
+    assert.equal(getTranscriptRevision(retranscribed, revision.id), null);
+    assert.deepEqual(listTranscriptRevisions(retranscribed), []);
+  });
+});
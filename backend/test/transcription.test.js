@@ -0,0 +1,45 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/testDatabase.js';
+import { registerTranscriptionProvider } from '../src/services/transcriptionProviders.js';
+import { getProviderOrder } from '../src/services/transcription.js';
+
+const registerFakeProvider = (name, { onPremises = false, configured = true } = {}) => {
+  registerTranscriptionProvider(name, {
+    label: name,
+    maxFileSizeMB: null,
+    onPremises,
+    isConfigured: () => configured,
+    transcribe: async () => ({ text: '', language: null, duration: 0, segments: [] }),
+  });
+};
+
+registerFakeProvider('test-onprem', { onPremises: true });
+registerFakeProvider('test-onprem-backup', { onPremises: true });
+registerFakeProvider('test-onprem-down', { onPremises: true, configured: false });
+registerFakeProvider('test-cloud');
+
+// Only the fake providers - the real ones depend on the developer's .env
+const orderOf = (primaryName) => getProviderOrder(primaryName)
+  .map(provider => provider.name)
+  .filter(name => name.startsWith('test-'));
+
+describe('getProviderOrder', () => {
+  afterEach(() => {
+    delete process.env.TRANSCRIPTION_CLOUD_FALLBACK;
+  });
+
+  test('falls back from a cloud provider to every configured provider', () => {
+    assert.deepEqual(orderOf('test-cloud'), ['test-cloud', 'test-onprem', 'test-onprem-backup']);
+  });
+
+  test('keeps recordings on premises when the chosen provider is', () => {
+    assert.deepEqual(orderOf('test-onprem'), ['test-onprem', 'test-onprem-backup']);
+    assert.deepEqual(orderOf('test-onprem-down'), ['test-onprem', 'test-onprem-backup']);
+  });
+
+  test('falls back from on premises to the cloud only when allowed', () => {
+    process.env.TRANSCRIPTION_CLOUD_FALLBACK = 'true';
+    assert.deepEqual(orderOf('test-onprem'), ['test-onprem', 'test-onprem-backup', 'test-cloud']);
+  });
+});
@@ -0,0 +1,84 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import './helpers/testDatabase.js';
+import db, { getTrashedMeetingById, getMeetingById } from '../src/db/database.js';
+import {
+  moveMeetingToTrash,
+  moveProjectToTrash,
+  restoreProjectFromTrash,
+  purgeExpiredTrash,
+} from '../src/services/trash.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TRANSCRIPT_DIR = path.join(__dirname, '../storage/transcripts');
+
+// Purging deletes storage files named after the meeting and project ids - ids far above any
+// real meeting keep the developer's storage/ untouched
+const insertProject = db.prepare('INSERT INTO projects (id, name) VALUES (?, ?)');
+const insertMeeting = db.prepare(`
+  INSERT INTO meetings (id, project_id, title, date, status) VALUES (?, ?, ?, '2026-01-05', 'complete')
+`);
+const backdateProject = db.prepare(`UPDATE projects SET deleted_at = datetime('now', '-' || ? || ' days') WHERE id = ?`);
+const backdateMeeting = db.prepare(`UPDATE meetings SET deleted_at = datetime('now', '-' || ? || ' days') WHERE id = ?`);
+const meetingExists = (id) => !!db.prepare('SELECT id FROM meetings WHERE id = ?').get(id);
+
+describe('trash', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+  after(() => mock.restoreAll());
+
+  test('restores a project with the meetings trashed along with it only', () => {
+    insertProject.run(9000100, 'Restored project');
+    insertMeeting.run(9000101, 9000100, 'Trashed with the project');
+    insertMeeting.run(9000102, 9000100, 'Trashed on its own');
+
+    moveMeetingToTrash(getMeetingById.get(9000102));
+    backdateMeeting.run(1, 9000102);
+    moveProjectToTrash({ id: 9000100 }, [getMeetingById.get(9000101)]);
+
+    assert.equal(restoreProjectFromTrash(9000100), 1);
+    assert.ok(getMeetingById.get(9000101));
+    assert.ok(getTrashedMeetingById.get(9000102));
+  });
+
+  describe('purgeExpiredTrash', () => {
+    const transcriptFile = path.join(TRANSCRIPT_DIR, 'meeting-9000201-test.txt');
+
+    before(async () => {
+      await fs.mkdir(TRANSCRIPT_DIR, { recursive: true });
+      await fs.writeFile(transcriptFile, 'Transcript');
+    });
+    after(() => fs.rm(transcriptFile, { force: true }));
+
+    test('deletes expired projects before expired meetings, and nothing recent', async () => {
+      // Expired project with its meetings, one of them trashed before the project
+      insertProject.run(9000200, 'Expired project');
+      insertMeeting.run(9000201, 9000200, 'Project meeting');
+      insertMeeting.run(9000202, 9000200, 'Project meeting trashed earlier');
+      moveMeetingToTrash(getMeetingById.get(9000202));
+      backdateMeeting.run(45, 9000202);
+      moveProjectToTrash({ id: 9000200 }, [getMeetingById.get(9000201)]);
+      backdateProject.run(40, 9000200);
+      backdateMeeting.run(40, 9000201);
+
+      // Expired and recently trashed meetings without a project
+      insertMeeting.run(9000203, null, 'Expired meeting');
+      moveMeetingToTrash(getMeetingById.get(9000203));
+      backdateMeeting.run(31, 9000203);
+      insertMeeting.run(9000204, null, 'Recently trashed meeting');
+      moveMeetingToTrash(getMeetingById.get(9000204));
+      backdateMeeting.run(5, 9000204);
+
+      const purged = await purgeExpiredTrash();
+
+      // The project's meetings went with it and are not counted again
+      assert.deepEqual(purged, { projects: 1, meetings: 1 });
+      assert.deepEqual([9000201, 9000202, 9000203, 9000204].map(meetingExists), [false, false, false, true]);
+      await assert.rejects(fs.access(transcriptFile), { code: 'ENOENT' });
+    });
+  });
+});
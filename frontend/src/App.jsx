@@ -1,12 +1,17 @@
 import { useEffect, useState } from 'react';
 import useStore from './stores/useStore';
-import { projectsAPI, meetingsAPI, healthCheck } from './services/api';
+import { projectsAPI, meetingsAPI, analysisTemplatesAPI, healthCheck } from './services/api';
 import NotesInput from './components/Notes/NotesInput';
 import MeetingsList from './components/Meetings/MeetingsList';
 import MeetingDetails from './components/Meetings/MeetingDetails';
 import WikiEditor from './components/Wiki/WikiEditor';
+import DecisionLog from './components/Decisions/DecisionLog';
+import SeriesView from './components/Series/SeriesView';
+import PeopleDirectory from './components/People/PeopleDirectory';
 import GlobalSearch from './components/Search/GlobalSearch';
 import ProjectManager from './components/Projects/ProjectManager';
+import AnalysisTemplateManager from './components/Projects/AnalysisTemplateManager';
+import ActionItemTracker from './components/ActionItems/ActionItemTracker';
 import SkillsManager from './components/Skills/SkillsManager';
 import ChatSidebar from './components/Chat/ChatSidebar';
 import SettingsModal from './components/Settings/SettingsModal';
@@ -20,6 +25,7 @@ function App() {
     meetings = [],
     setProjects,
     setMeetings,
+    setAnalysisTemplates,
     setStatus,
     activeTab,
     setActiveTab,
@@ -46,6 +52,9 @@ function App() {
         const meetingsData = await meetingsAPI.getAll();
         setMeetings(meetingsData);
         console.log('✅ Meetings loaded:', meetingsData);
+
+        // Load analysis templates
+        setAnalysisTemplates(await analysisTemplatesAPI.getAll());
       } catch (error) {
         console.error('❌ Error loading data:', error.message);
         setStatus('error', error.message);
@@ -53,7 +62,7 @@ function App() {
     };
 
     loadData();
-  }, [setProjects, setMeetings, setStatus]);
+  }, [setProjects, setMeetings, setAnalysisTemplates, setStatus]);
 
   return (
     <div style={{ minHeight: '100vh' }} className="page-transition">
@@ -187,6 +196,37 @@ function App() {
           >
             📋 Meetings <span className="badge" style={{ marginLeft: '8px', fontSize: '11px' }}>{meetings.length}</span>
           </button>
+          <button
+            onClick={() => setAppTab('actions')}
+            className={appTab === 'actions' ? 'btn-gradient' : ''}
+            style={{
+              flex: 1,
+              padding: '14px 20px',
+              fontSize: '15px',
+              fontWeight: '600',
+              background: appTab === 'actions' ? undefined : 'transparent',
+              color: appTab === 'actions' ? '#fff' : '#6b7280',
+              border: 'none',
+              borderRadius: '10px',
+              cursor: 'pointer',
+              transition: 'all 0.3s ease',
+              boxShadow: appTab === 'actions' ? undefined : 'none',
+            }}
+            onMouseEnter={(e) => {
+              if (appTab !== 'actions') {
+                e.target.style.background = 'rgba(99, 102, 241, 0.1)';
+                e.target.style.color = '#6366f1';
+              }
+            }}
+            onMouseLeave={(e) => {
+              if (appTab !== 'actions') {
+                e.target.style.background = 'transparent';
+                e.target.style.color = '#6b7280';
+              }
+            }}
+          >
+            ✅ Action Items
+          </button>
           <button
             onClick={() => setAppTab('wiki')}
             className={appTab === 'wiki' ? 'btn-gradient' : ''}
@@ -218,6 +258,99 @@ function App() {
           >
             📚 Wiki
           </button>
+          <button
+            onClick={() => setAppTab('decisions')}
+            className={appTab === 'decisions' ? 'btn-gradient' : ''}
+            style={{
+              flex: 1,
+              padding: '14px 20px',
+              fontSize: '15px',
+              fontWeight: '600',
+              background: appTab === 'decisions' ? undefined : 'transparent',
+              color: appTab === 'decisions' ? '#fff' : '#6b7280',
+              border: 'none',
+              borderRadius: '10px',
+              cursor: 'pointer',
+              transition: 'all 0.3s ease',
+              boxShadow: appTab === 'decisions' ? undefined : 'none',
+            }}
+            onMouseEnter={(e) => {
+              if (appTab !== 'decisions') {
+                e.target.style.background = 'rgba(99, 102, 241, 0.1)';
+                e.target.style.color = '#6366f1';
+              }
+            }}
+            onMouseLeave={(e) => {
+              if (appTab !== 'decisions') {
+                e.target.style.background = 'transparent';
+                e.target.style.color = '#6b7280';
+              }
+            }}
+          >
+            ⚖️ Decisions
+          </button>
+          <button
+            onClick={() => setAppTab('series')}
+            className={appTab === 'series' ? 'btn-gradient' : ''}
+            style={{
+              flex: 1,
+              padding: '14px 20px',
+              fontSize: '15px',
+              fontWeight: '600',
+              background: appTab === 'series' ? undefined : 'transparent',
+              color: appTab === 'series' ? '#fff' : '#6b7280',
+              border: 'none',
+              borderRadius: '10px',
+              cursor: 'pointer',
+              transition: 'all 0.3s ease',
+              boxShadow: appTab === 'series' ? undefined : 'none',
+            }}
+            onMouseEnter={(e) => {
+              if (appTab !== 'series') {
+                e.target.style.background = 'rgba(99, 102, 241, 0.1)';
+                e.target.style.color = '#6366f1';
+              }
+            }}
+            onMouseLeave={(e) => {
+              if (appTab !== 'series') {
+                e.target.style.background = 'transparent';
+                e.target.style.color = '#6b7280';
+              }
+            }}
+          >
+            🔁 Series
+          </button>
+          <button
+            onClick={() => setAppTab('people')}
+            className={appTab === 'people' ? 'btn-gradient' : ''}
+            style={{
+              flex: 1,
+              padding: '14px 20px',
+              fontSize: '15px',
+              fontWeight: '600',
+              background: appTab === 'people' ? undefined : 'transparent',
+              color: appTab === 'people' ? '#fff' : '#6b7280',
+              border: 'none',
+              borderRadius: '10px',
+              cursor: 'pointer',
+              transition: 'all 0.3s ease',
+              boxShadow: appTab === 'people' ? undefined : 'none',
+            }}
+            onMouseEnter={(e) => {
+              if (appTab !== 'people') {
+                e.target.style.background = 'rgba(99, 102, 241, 0.1)';
+                e.target.style.color = '#6366f1';
+              }
+            }}
+            onMouseLeave={(e) => {
+              if (appTab !== 'people') {
+                e.target.style.background = 'transparent';
+                e.target.style.color = '#6b7280';
+              }
+            }}
+          >
+            👥 People
+          </button>
           <button
             onClick={() => setAppTab('skills')}
             className={appTab === 'skills' ? 'btn-gradient' : ''}
@@ -341,11 +474,31 @@ function App() {
           </div>
         )}
 
+        {/* Action Items Tab */}
+        {appTab === 'actions' && (
+          <ActionItemTracker onMeetingSelect={() => setAppTab('meetings')} />
+        )}
+
         {/* Wiki Tab */}
         {appTab === 'wiki' && (
           <WikiEditor />
         )}
 
+        {/* Decisions Tab */}
+        {appTab === 'decisions' && (
+          <DecisionLog onMeetingSelect={() => setAppTab('meetings')} />
+        )}
+
+        {/* Series Tab */}
+        {appTab === 'series' && (
+          <SeriesView onMeetingSelect={() => setAppTab('meetings')} />
+        )}
+
+        {/* People Tab */}
+        {appTab === 'people' && (
+          <PeopleDirectory onMeetingSelect={() => setAppTab('meetings')} />
+        )}
+
         {/* Skills Tab */}
         {appTab === 'skills' && (
           <SkillsManager />
@@ -353,7 +506,10 @@ function App() {
 
         {/* Projects Tab */}
         {appTab === 'projects' && (
-          <ProjectManager />
+          <>
+            <ProjectManager />
+            <AnalysisTemplateManager />
+          </>
         )}
 
         {/* ServiceNow Tab */}
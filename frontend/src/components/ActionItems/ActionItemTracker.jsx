@@ -0,0 +1,231 @@
+import { useState, useEffect, useCallback } from 'react';
+import useStore from '../../stores/useStore';
+import { actionItemsAPI, meetingsAPI } from '../../services/api';
+
+const STATUS_STYLES = {
+  open: { label: '⏳ Open', background: '#fff3cd', color: '#856404' },
+  blocked: { label: '⛔ Blocked', background: '#f8d7da', color: '#721c24' },
+  done: { label: '✅ Done', background: '#d4edda', color: '#155724' },
+};
+
+const selectStyle = {
+  padding: '8px',
+  fontSize: '14px',
+  border: '1px solid #ced4da',
+  borderRadius: '4px',
+  background: '#fff'
+};
+
+const ActionItemTracker = ({ onMeetingSelect }) => {
+  const { projects, selectMeeting, setStatus } = useStore();
+  const [actionItems, setActionItems] = useState([]);
+  const [owners, setOwners] = useState([]);
+  const [filters, setFilters] = useState({ projectId: '', owner: '', status: 'open' });
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loadActionItems = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const activeFilters = Object.fromEntries(
+        Object.entries(filters).filter(([, value]) => value)
+      );
+      const [items, ownerList] = await Promise.all([
+        actionItemsAPI.getAll(activeFilters),
+        actionItemsAPI.getOwners(),
+      ]);
+      setActionItems(items);
+      setOwners(ownerList);
+    } catch (error) {
+      setStatus('error', error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filters, setStatus]);
+
+  useEffect(() => {
+    loadActionItems();
+  }, [loadActionItems]);
+
+  const handleUpdate = async (item, updates) => {
+    try {
+      await actionItemsAPI.update(item.id, updates);
+      await loadActionItems();
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const handleOpenMeeting = async (meetingId) => {
+    try {
+      const response = await meetingsAPI.getById(meetingId);
+      selectMeeting(response.meeting);
+
+      // Notify parent to switch to meetings tab
+      if (onMeetingSelect) {
+        onMeetingSelect(response.meeting);
+      }
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const isOverdue = (item) => {
+    if (!item.due_date || item.status === 'done') return false;
+    return item.due_date < new Date().toISOString().slice(0, 10);
+  };
+
+  return (
+    <div style={{
+      background: '#fff',
+      borderRadius: '8px',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+      padding: '20px',
+      marginBottom: '20px'
+    }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: '20px',
+        flexWrap: 'wrap',
+        gap: '10px'
+      }}>
+        <h2 style={{ margin: 0, fontSize: '20px', fontWeight: 'bold' }}>
+          ✅ Action Items
+        </h2>
+
+        {/* Filters */}
+        <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
+          <select
+            value={filters.projectId}
+            onChange={(e) => setFilters({ ...filters, projectId: e.target.value })}
+            style={selectStyle}
+          >
+            <option value="">All Projects</option>
+            {projects.map(project => (
+              <option key={project.id} value={project.id}>
+                {project.name}
+              </option>
+            ))}
+          </select>
+          <select
+            value={filters.owner}
+            onChange={(e) => setFilters({ ...filters, owner: e.target.value })}
+            style={selectStyle}
+          >
+            <option value="">All Owners</option>
+            {owners.map(({ owner, count }) => (
+              <option key={owner} value={owner}>
+                {owner} ({count})
+              </option>
+            ))}
+          </select>
+          <select
+            value={filters.status}
+            onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+            style={selectStyle}
+          >
+            <option value="">All Statuses</option>
+            <option value="open">Open</option>
+            <option value="blocked">Blocked</option>
+            <option value="done">Done</option>
+          </select>
+        </div>
+      </div>
+
+      {isLoading && actionItems.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px', color: '#6c757d' }}>
+          <p>⏳ Loading action items...</p>
+        </div>
+      ) : actionItems.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px', color: '#6c757d' }}>
+          <p style={{ fontSize: '48px', margin: '0 0 10px 0' }}>🎉</p>
+          <p style={{ margin: 0 }}>No action items match these filters</p>
+        </div>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', textAlign: 'left' }}>
+          <thead>
+            <tr style={{ borderBottom: '2px solid #dee2e6', color: '#495057' }}>
+              <th style={{ padding: '10px' }}>Task</th>
+              <th style={{ padding: '10px' }}>Owner</th>
+              <th style={{ padding: '10px' }}>Due</th>
+              <th style={{ padding: '10px' }}>Status</th>
+              <th style={{ padding: '10px' }}>Meeting</th>
+            </tr>
+          </thead>
+          <tbody>
+            {actionItems.map(item => (
+              <tr key={item.id} style={{ borderBottom: '1px solid #dee2e6' }}>
+                <td style={{
+                  padding: '10px',
+                  textDecoration: item.status === 'done' ? 'line-through' : 'none',
+                  color: item.status === 'done' ? '#6c757d' : 'inherit'
+                }}>
+                  {item.task}
+                </td>
+                <td style={{ padding: '10px', color: item.owner ? 'inherit' : '#adb5bd' }}>
+                  {item.owner || 'Unassigned'}
+                </td>
+                <td style={{ padding: '10px' }}>
+                  <input
+                    type="date"
+                    value={item.due_date || ''}
+                    onChange={(e) => handleUpdate(item, { due_date: e.target.value || null })}
+                    style={{
+                      ...selectStyle,
+                      padding: '4px',
+                      borderColor: isOverdue(item) ? '#dc3545' : '#ced4da',
+                      color: isOverdue(item) ? '#dc3545' : 'inherit'
+                    }}
+                  />
+                </td>
+                <td style={{ padding: '10px' }}>
+                  <select
+                    value={item.status}
+                    onChange={(e) => handleUpdate(item, { status: e.target.value })}
+                    style={{
+                      ...selectStyle,
+                      padding: '4px',
+                      background: STATUS_STYLES[item.status].background,
+                      color: STATUS_STYLES[item.status].color
+                    }}
+                  >
+                    {Object.entries(STATUS_STYLES).map(([value, { label }]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </td>
+                <td style={{ padding: '10px' }}>
+                  <button
+                    onClick={() => handleOpenMeeting(item.meeting_id)}
+                    title={item.project_name || ''}
+                    style={{
+                      background: 'transparent',
+                      border: 'none',
+                      color: '#007bff',
+                      cursor: 'pointer',
+                      padding: 0,
+                      fontSize: '14px',
+                      textAlign: 'left'
+                    }}
+                  >
+                    {item.meeting_title}
+                  </button>
+                  <div style={{ fontSize: '12px', color: '#6c757d' }}>
+                    {new Date(item.meeting_date).toLocaleDateString('en-US', {
+                      month: 'short',
+                      day: 'numeric',
+                      year: 'numeric'
+                    })}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ActionItemTracker;
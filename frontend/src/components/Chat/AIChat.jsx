@@ -66,11 +66,11 @@ const AIChat = ({ isSidebar = false }) => {
         // Store backend info for future reference
         localStorage.setItem('aiBackend', data.aiBackend);
       } else {
-        setAiModel('Claude Sonnet 4.5'); // Fallback
+        setAiModel('Claude Sonnet 4'); // Fallback
       }
     } catch (error) {
       console.error('Failed to fetch model info:', error);
-      setAiModel('Claude Sonnet 4.5'); // Default fallback
+      setAiModel('Claude Sonnet 4'); // Default fallback
     }
   };
 
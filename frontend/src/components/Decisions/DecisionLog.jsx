@@ -0,0 +1,266 @@
+import { useState, useEffect, useCallback } from 'react';
+import useStore from '../../stores/useStore';
+import { decisionsAPI, meetingsAPI } from '../../services/api';
+
+const selectStyle = {
+  padding: '8px',
+  fontSize: '14px',
+  border: '1px solid #ced4da',
+  borderRadius: '4px',
+  background: '#fff'
+};
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  fontSize: '12px',
+  background: 'transparent',
+  border: '1px solid #dee2e6',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  whiteSpace: 'nowrap'
+};
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+/**
+ * Project decision register - decisions from every meeting of a project, oldest first.
+ * A decision can be marked as superseded by one from the same or a later meeting.
+ */
+const DecisionLog = ({ onMeetingSelect }) => {
+  const { projects, selectedProject, selectProject, selectMeeting, setStatus } = useStore();
+  const [decisions, setDecisions] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('active');
+  const [supersedingId, setSupersedingId] = useState(null);
+
+  const loadDecisions = useCallback(async () => {
+    if (!selectedProject) return;
+
+    try {
+      setDecisions(await decisionsAPI.getAll(selectedProject.id));
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  }, [selectedProject, setStatus]);
+
+  useEffect(() => {
+    loadDecisions();
+  }, [loadDecisions]);
+
+  const handleSupersede = async (decisionId, supersededById) => {
+    try {
+      setDecisions(await decisionsAPI.supersede(selectedProject.id, decisionId, supersededById));
+      setSupersedingId(null);
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const handleRestore = async (decisionId) => {
+    try {
+      setDecisions(await decisionsAPI.restore(selectedProject.id, decisionId));
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const handleOpenMeeting = async (meetingId) => {
+    try {
+      const response = await meetingsAPI.getById(meetingId);
+      selectMeeting(response.meeting);
+
+      // Notify parent to switch to meetings tab
+      if (onMeetingSelect) {
+        onMeetingSelect(response.meeting);
+      }
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  // Candidates to replace a decision: other decisions from the same or a later meeting
+  const getReplacementCandidates = (decision) => decisions.filter(candidate => (
+    candidate.id !== decision.id &&
+    new Date(candidate.meeting_date) >= new Date(decision.meeting_date)
+  ));
+
+  const renderMeetingLink = (entry) => (
+    <button
+      onClick={() => handleOpenMeeting(entry.meeting_id)}
+      style={{
+        background: 'transparent',
+        border: 'none',
+        color: '#007bff',
+        cursor: 'pointer',
+        padding: 0,
+        fontSize: '12px'
+      }}
+    >
+      {entry.meeting_title} · {formatDate(entry.meeting_date)}
+    </button>
+  );
+
+  const projectSelector = projects.length > 0 && (
+    <select
+      value={selectedProject?.id || ''}
+      onChange={(e) => {
+        const project = projects.find(p => p.id === parseInt(e.target.value));
+        if (project) selectProject(project);
+      }}
+      style={{ ...selectStyle, minWidth: '200px' }}
+    >
+      <option value="">Select a project...</option>
+      {projects.map(project => (
+        <option key={project.id} value={project.id}>
+          {project.name}
+        </option>
+      ))}
+    </select>
+  );
+
+  if (!selectedProject) {
+    return (
+      <div style={{
+        background: '#fff',
+        borderRadius: '8px',
+        boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+        padding: '60px 20px',
+        textAlign: 'center',
+        color: '#6c757d'
+      }}>
+        <p style={{ fontSize: '64px', margin: '0 0 20px 0' }}>⚖️</p>
+        <h3 style={{ margin: '0 0 20px 0' }}>No Project Selected</h3>
+        <p style={{ margin: '0 0 20px 0' }}>Select a project to view its decision log</p>
+        {projectSelector}
+      </div>
+    );
+  }
+
+  const visibleDecisions = decisions.filter(decision => !statusFilter || decision.status === statusFilter);
+
+  return (
+    <div style={{
+      background: '#fff',
+      borderRadius: '8px',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+      padding: '20px',
+      marginBottom: '20px'
+    }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: '20px',
+        flexWrap: 'wrap',
+        gap: '10px'
+      }}>
+        <h2 style={{ margin: 0, fontSize: '20px', fontWeight: 'bold' }}>
+          ⚖️ Decision Log
+        </h2>
+
+        <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
+          {projectSelector}
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            style={selectStyle}
+          >
+            <option value="active">Active</option>
+            <option value="superseded">Superseded</option>
+            <option value="">All Decisions</option>
+          </select>
+        </div>
+      </div>
+
+      {visibleDecisions.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px', color: '#6c757d' }}>
+          <p style={{ fontSize: '48px', margin: '0 0 10px 0' }}>⚖️</p>
+          <p style={{ margin: 0 }}>
+            {decisions.length === 0
+              ? 'No decisions recorded in this project\'s meetings yet'
+              : 'No decisions match this filter'}
+          </p>
+        </div>
+      ) : (
+        visibleDecisions.map(decision => {
+          const isSuperseded = decision.status === 'superseded';
+
+          return (
+            <div
+              key={decision.id}
+              style={{
+                padding: '12px 15px',
+                marginBottom: '10px',
+                border: '1px solid #dee2e6',
+                borderLeft: `4px solid ${isSuperseded ? '#adb5bd' : '#28a745'}`,
+                borderRadius: '6px',
+                background: isSuperseded ? '#f8f9fa' : '#fff'
+              }}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '10px' }}>
+                <div style={{
+                  fontSize: '14px',
+                  color: isSuperseded ? '#6c757d' : 'inherit',
+                  textDecoration: isSuperseded ? 'line-through' : 'none'
+                }}>
+                  {decision.text}
+                </div>
+                {isSuperseded ? (
+                  <button onClick={() => handleRestore(decision.id)} style={smallButtonStyle}>
+                    ↩️ Restore
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => setSupersedingId(supersedingId === decision.id ? null : decision.id)}
+                    disabled={getReplacementCandidates(decision).length === 0}
+                    title="Mark as replaced by a later decision"
+                    style={smallButtonStyle}
+                  >
+                    🔁 Superseded...
+                  </button>
+                )}
+              </div>
+
+              <div style={{ marginTop: '4px', color: '#6c757d', fontSize: '12px' }}>
+                📅 {renderMeetingLink(decision)}
+              </div>
+
+              {decision.superseded_by && (
+                <div style={{ marginTop: '6px', fontSize: '13px', color: '#495057' }}>
+                  ➡️ Superseded by: {decision.superseded_by.text}{' '}
+                  <span style={{ color: '#6c757d' }}>({renderMeetingLink(decision.superseded_by)})</span>
+                </div>
+              )}
+
+              {decision.supersedes.map(previous => (
+                <div key={previous.id} style={{ marginTop: '6px', fontSize: '13px', color: '#6c757d' }}>
+                  ⬅️ Replaces: {previous.text}
+                </div>
+              ))}
+
+              {supersedingId === decision.id && (
+                <select
+                  defaultValue=""
+                  onChange={(e) => e.target.value && handleSupersede(decision.id, e.target.value)}
+                  style={{ ...selectStyle, width: '100%', marginTop: '10px' }}
+                >
+                  <option value="">Superseded by...</option>
+                  {getReplacementCandidates(decision).map(candidate => (
+                    <option key={candidate.id} value={candidate.id}>
+                      {formatDate(candidate.meeting_date)} - {candidate.text}
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+};
+
+export default DecisionLog;
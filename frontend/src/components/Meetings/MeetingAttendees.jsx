@@ -0,0 +1,95 @@
+import { useState, useEffect } from 'react';
+import useStore from '../../stores/useStore';
+import { meetingsAPI, peopleAPI } from '../../services/api';
+
+const chipStyle = {
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '4px',
+  background: '#e7f3ff',
+  color: '#004085',
+  padding: '3px 8px',
+  borderRadius: '12px',
+  fontSize: '12px'
+};
+
+/**
+ * Attendee chips for a meeting with an input to add people from the roster.
+ * Names that are not on the roster yet are added to it by the backend.
+ */
+const MeetingAttendees = ({ meetingId, attendees, onChange }) => {
+  const { setStatus } = useStore();
+  const [people, setPeople] = useState([]);
+  const [newName, setNewName] = useState('');
+
+  useEffect(() => {
+    peopleAPI.getAll().then(setPeople).catch(() => setPeople([]));
+  }, [meetingId]);
+
+  const saveAttendees = async (list) => {
+    try {
+      onChange(await meetingsAPI.setAttendees(meetingId, list));
+      setPeople(await peopleAPI.getAll());
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const current = attendees.map(person => ({ personId: person.id, speakerLabel: person.speaker_label }));
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+
+    const person = people.find(p => p.name.toLowerCase() === name.toLowerCase());
+    await saveAttendees([...current, person ? { personId: person.id } : { name }]);
+    setNewName('');
+  };
+
+  const handleRemove = (personId) => {
+    saveAttendees(current.filter(attendee => attendee.personId !== personId));
+  };
+
+  const attendeeIds = new Set(attendees.map(person => person.id));
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap', marginTop: '8px' }}>
+      <span style={{ fontSize: '13px', color: '#6c757d' }}>👥</span>
+      {attendees.map(person => (
+        <span key={person.id} style={chipStyle} title={person.speaker_label ? `Speaker: ${person.speaker_label}` : undefined}>
+          {person.name}
+          <button
+            onClick={() => handleRemove(person.id)}
+            title="Remove attendee"
+            style={{ background: 'transparent', border: 'none', cursor: 'pointer', padding: 0, fontSize: '12px', color: '#6c757d' }}
+          >
+            ✖
+          </button>
+        </span>
+      ))}
+      <form onSubmit={handleAdd} style={{ display: 'inline-flex', gap: '4px' }}>
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="Add attendee..."
+          list={`attendee-options-${meetingId}`}
+          style={{
+            padding: '3px 8px',
+            fontSize: '12px',
+            border: '1px solid #ced4da',
+            borderRadius: '12px',
+            width: '140px'
+          }}
+        />
+        <datalist id={`attendee-options-${meetingId}`}>
+          {people.filter(person => !attendeeIds.has(person.id)).map(person => (
+            <option key={person.id} value={person.name} />
+          ))}
+        </datalist>
+      </form>
+    </div>
+  );
+};
+
+export default MeetingAttendees;
@@ -0,0 +1,37 @@
+import { useState } from 'react';
+import { meetingsAPI } from '../../services/api';
+
+/**
+ * Player for a meeting's recording.
+ * audioRef gives the parent access to the <audio> element to seek from the transcript;
+ * onTimeUpdate reports the playback position in seconds.
+ */
+const MeetingAudioPlayer = ({ meetingId, audioRef, onTimeUpdate }) => {
+  const [isUnavailable, setIsUnavailable] = useState(false);
+
+  return (
+    <div style={{
+      padding: '10px 20px',
+      borderBottom: '1px solid #dee2e6',
+      background: '#f8f9fa'
+    }}>
+      {isUnavailable ? (
+        <div style={{ fontSize: '13px', color: '#6c757d' }}>
+          🔇 The recording is no longer available
+        </div>
+      ) : (
+        <audio
+          ref={audioRef}
+          src={meetingsAPI.getAudioUrl(meetingId)}
+          controls
+          preload="metadata"
+          onTimeUpdate={(e) => onTimeUpdate(e.target.currentTime)}
+          onError={() => setIsUnavailable(true)}
+          style={{ width: '100%', height: '36px' }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default MeetingAudioPlayer;
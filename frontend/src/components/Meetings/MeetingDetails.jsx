@@ -1,33 +1,32 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import useStore from '../../stores/useStore';
-import { meetingsAPI, settingsAPI } from '../../services/api';
+import { meetingsAPI } from '../../services/api';
+import RecordingStatus from '../Recording/RecordingStatus';
+import MeetingEditForm from './MeetingEditForm';
+import MeetingItemsEditor from './MeetingItemsEditor';
+import MeetingAttendees from './MeetingAttendees';
+import MeetingSpeakers from './MeetingSpeakers';
+import TranscriptEditor from './TranscriptEditor';
+import MeetingAudioPlayer from './MeetingAudioPlayer';
 import MentorFeedback from './MentorFeedback';
 import WikiUpdateSuggestions from './WikiUpdateSuggestions';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
 const MeetingDetails = () => {
   const { selectedMeeting, updateMeeting, setStatus } = useStore();
   const [activeTab, setActiveTab] = useState('summary');
   const [transcript, setTranscript] = useState('');
   const [summary, setSummary] = useState(null);
   const [metadata, setMetadata] = useState(null);
-  const [isProcessing, setIsProcessing] = useState(false);
-  const [processingMessage, setProcessingMessage] = useState('');
-  const [settings, setSettings] = useState(null);
-
-  // Load settings on mount
-  useEffect(() => {
-    const loadSettings = async () => {
-      try {
-        const loadedSettings = await settingsAPI.getAll();
-        setSettings(loadedSettings);
-      } catch (error) {
-        console.error('Error loading settings:', error);
-      }
-    };
-    loadSettings();
-  }, []);
+  const [items, setItems] = useState({ decisions: [], action_items: [] });
+  const [attendees, setAttendees] = useState([]);
+  const [isEditing, setIsEditing] = useState(false);
+  const [playbackTime, setPlaybackTime] = useState(null);
+  const previousStatus = useRef(null);
+  const audioRef = useRef(null);
 
   useEffect(() => {
     if (selectedMeeting) {
@@ -37,8 +36,10 @@ const MeetingDetails = () => {
       setTranscript('');
       setSummary(null);
       setMetadata(null);
-      setIsProcessing(false);
-      setProcessingMessage('');
+      setItems({ decisions: [], action_items: [] });
+      setAttendees([]);
+      setIsEditing(false);
+      setPlaybackTime(null);
       setActiveTab('summary'); // Reset to summary tab
 
       // Then load new content
@@ -49,108 +50,21 @@ const MeetingDetails = () => {
       setTranscript('');
       setSummary(null);
       setMetadata(null);
-      setIsProcessing(false);
-      setProcessingMessage('');
+      setItems({ decisions: [], action_items: [] });
+      setAttendees([]);
     }
   }, [selectedMeeting?.id]); // Only re-run when meeting ID changes
 
-  // Auto-polling for background processing
+  // Reload content when background processing finishes
+  // (RecordingStatus streams progress and keeps the meeting status in the store up to date)
   useEffect(() => {
-    if (!selectedMeeting) return;
-
-    let pollInterval = null;
-    let pollCount = 0;
-    const MAX_POLLS = 900; // Poll for max 45 minutes (900 * 3s = 2700s) to match backend adaptive timeout for huge files
-
-    const checkProcessingStatus = async () => {
-      try {
-        const response = await meetingsAPI.getById(selectedMeeting.id);
-        const meeting = response.meeting || response;
-
-        // Update the store with latest meeting data
-        updateMeeting(meeting.id, meeting);
-
-        // Check for error state (transcript_path starts with "ERROR:")
-        if (meeting.transcript_path && meeting.transcript_path.startsWith('ERROR:')) {
-          const errorMessage = meeting.transcript_path.substring(7); // Remove "ERROR: " prefix
-          console.error('❌ Meeting processing failed:', errorMessage);
-          setIsProcessing(false);
-          setProcessingMessage(`❌ Processing failed: ${errorMessage}`);
-          if (pollInterval) {
-            clearInterval(pollInterval);
-            pollInterval = null;
-          }
-          return;
-        }
-
-        // Check if processing is complete
-        const hasTranscript = !!meeting.transcript_path;
-        const hasSummary = !!meeting.summary_path;
-
-        if (hasTranscript && hasSummary) {
-          // Processing complete! Load the content
-          console.log('✅ Processing complete, loading content...');
-          setIsProcessing(false);
-          setProcessingMessage('');
-          await loadMeetingContent();
-          if (pollInterval) {
-            clearInterval(pollInterval);
-            pollInterval = null;
-          }
-        } else {
-          // Still processing
-          if (!isProcessing) {
-            setIsProcessing(true);
-            if (!hasTranscript) {
-              setProcessingMessage('🎙️ Transcribing audio with OpenAI Whisper...');
-            } else if (!hasSummary) {
-              // Show which AI backend is being used from settings
-              const aiBackend = settings?.['ai.meeting_analysis'] || 'anthropic';
-              const modelName = aiBackend === 'anthropic' ? 'Claude Sonnet 4.5' : 'GPT-4o';
-              setProcessingMessage(`🤖 Generating AI summary with ${modelName}...`);
-            }
-          }
-          console.log(`⏳ Still processing... (${pollCount}/${MAX_POLLS})`);
-        }
-
-        pollCount++;
-        if (pollCount >= MAX_POLLS) {
-          console.warn('⚠️ Polling timeout reached');
-          setIsProcessing(false);
-          setProcessingMessage('⚠️ Processing is taking longer than expected. Try refreshing.');
-          if (pollInterval) {
-            clearInterval(pollInterval);
-            pollInterval = null;
-          }
-        }
-      } catch (error) {
-        console.error('Error checking processing status:', error);
-      }
-    };
-
-    // Start polling immediately if no transcript/summary
-    const initialCheck = async () => {
-      if (!selectedMeeting.transcript_path || !selectedMeeting.summary_path) {
-        setIsProcessing(true);
-        const aiBackend = settings?.['ai.meeting_analysis'] || 'anthropic';
-        const modelName = aiBackend === 'anthropic' ? 'Claude Sonnet 4.5' : 'GPT-4o';
-        setProcessingMessage(`🎙️ Starting processing (using ${modelName})...`);
-        await checkProcessingStatus();
-
-        // Set up interval for continuous polling
-        pollInterval = setInterval(checkProcessingStatus, 3000); // Poll every 3 seconds
-      }
-    };
-
-    initialCheck();
-
-    // Cleanup on unmount
-    return () => {
-      if (pollInterval) {
-        clearInterval(pollInterval);
-      }
-    };
-  }, [selectedMeeting?.id, selectedMeeting?.transcript_path, selectedMeeting?.summary_path, settings]);
+    const status = selectedMeeting?.status;
+    if (previousStatus.current && previousStatus.current !== 'complete' && status === 'complete') {
+      console.log('✅ Processing complete, loading content...');
+      loadMeetingContent();
+    }
+    previousStatus.current = status;
+  }, [selectedMeeting?.id, selectedMeeting?.status]);
 
   const loadMeetingContent = async () => {
     if (!selectedMeeting) return;
@@ -163,12 +77,8 @@ const MeetingDetails = () => {
       console.log('📥 Loaded meeting:', fullMeeting);
 
       // Check for error state
-      if (fullMeeting.transcript_path && fullMeeting.transcript_path.startsWith('ERROR:')) {
-        const errorMessage = fullMeeting.transcript_path.substring(7);
-        console.error('❌ Meeting has error status:', errorMessage);
-        setIsProcessing(false);
-        setProcessingMessage(`❌ Processing failed: ${errorMessage}`);
-        return;
+      if (fullMeeting.status === 'failed') {
+        console.error('❌ Meeting has error status:', fullMeeting.error_message);
       }
 
       // Load transcript
@@ -196,6 +106,8 @@ const MeetingDetails = () => {
       // Set metadata from meeting
       const meetingMetadata = response.metadata || fullMeeting.metadata || null;
       setMetadata(meetingMetadata);
+      setItems(response.items || { decisions: [], action_items: [] });
+      setAttendees(response.attendees || []);
       console.log('📋 Metadata:', meetingMetadata);
     } catch (error) {
       console.error('❌ Error loading meeting content:', error);
@@ -212,34 +124,62 @@ const MeetingDetails = () => {
       setTranscript('');
       setSummary(null);
       setMetadata(null);
-      setIsProcessing(true);
-      const aiBackend = settings?.['ai.meeting_analysis'] || 'anthropic';
-      const modelName = aiBackend === 'anthropic' ? 'Claude Sonnet 4.5' : 'GPT-4o';
-      setProcessingMessage(`🔄 Reprocessing started - transcribing audio (using ${modelName})...`);
+      setItems({ decisions: [], action_items: [] });
       setStatus('processing', 'Starting reprocessing...');
 
-      // Call reprocess API (backend clears ERROR status in database)
+      // Call reprocess API (backend moves the meeting back to 'queued')
       const response = await meetingsAPI.reprocess(selectedMeeting.id);
-      const clearedMeeting = response.meeting || response;
+      const queuedMeeting = response.meeting || response;
 
-      console.log('✅ Reprocess API call successful, meeting status cleared');
+      console.log('✅ Reprocess API call successful, meeting queued');
 
-      // Update the meeting in store with cleared status from backend
-      updateMeeting(selectedMeeting.id, {
-        ...clearedMeeting,
-        transcript_path: null,
-        summary_path: null
-      });
+      // Update the meeting in store with the queued status from backend
+      updateMeeting(selectedMeeting.id, queuedMeeting);
 
       setStatus('success', 'Reprocessing started! Watch for updates...');
       setTimeout(() => setStatus('idle'), 3000);
 
-      // The auto-polling useEffect will handle checking for completion
+      // RecordingStatus streams progress until processing completes
     } catch (error) {
       console.error('❌ Reprocess failed:', error);
       setStatus('error', error.message);
-      setIsProcessing(false);
-      setProcessingMessage('');
+    }
+  };
+
+  const handleEditSaved = (response) => {
+    setIsEditing(false);
+
+    if (response.reprocessing) {
+      // Notes changed - the summary is regenerated in the background
+      setSummary(null);
+      setMetadata(null);
+      setItems({ decisions: [], action_items: [] });
+    }
+    loadMeetingContent();
+  };
+
+  // Play the recording from a transcript segment
+  const handleSeek = (seconds) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+
+    audio.currentTime = seconds;
+    audio.play().catch(error => console.error('Playback failed:', error));
+  };
+
+  const handleTranscriptEdited = (response) => {
+    updateMeeting(selectedMeeting.id, response.meeting);
+    loadMeetingContent();
+  };
+
+  // Action item owners may now match an attendee, so reload the items too
+  const handleAttendeesChange = async (updatedAttendees) => {
+    setAttendees(updatedAttendees);
+    try {
+      const response = await meetingsAPI.getById(selectedMeeting.id);
+      setItems(response.items || { decisions: [], action_items: [] });
+    } catch (error) {
+      setStatus('error', error.message);
     }
   };
 
@@ -271,6 +211,9 @@ const MeetingDetails = () => {
     });
   };
 
+  const meetingLanguage = selectedMeeting.detected_language
+    || (selectedMeeting.language !== 'auto' ? selectedMeeting.language : null);
+
   return (
     <div style={{
       background: '#fff',
@@ -287,27 +230,63 @@ const MeetingDetails = () => {
         borderBottom: '1px solid #dee2e6',
         background: '#f8f9fa'
       }}>
-        <h2 style={{ margin: '0 0 8px 0', fontSize: '22px', fontWeight: 'bold' }}>
-          {selectedMeeting.title}
-        </h2>
-        <div style={{ fontSize: '14px', color: '#6c757d' }}>
-          {formatDate(selectedMeeting.date)}
-        </div>
-        <button
-          onClick={handleReprocess}
-          style={{
-            marginTop: '10px',
-            padding: '6px 12px',
-            fontSize: '13px',
-            background: '#007bff',
-            color: 'white',
-            border: 'none',
-            borderRadius: '4px',
-            cursor: 'pointer'
-          }}
-        >
-          🔄 Reprocess Meeting
-        </button>
+        {isEditing ? (
+          <MeetingEditForm
+            meeting={selectedMeeting}
+            transcript={transcript}
+            onSaved={handleEditSaved}
+            onCancel={() => setIsEditing(false)}
+          />
+        ) : (
+          <>
+            <h2 style={{ margin: '0 0 8px 0', fontSize: '22px', fontWeight: 'bold' }}>
+              {selectedMeeting.title}
+            </h2>
+            <div style={{ fontSize: '14px', color: '#6c757d' }}>
+              {formatDate(selectedMeeting.date)}
+              {meetingLanguage && (
+                <span title={selectedMeeting.detected_language ? 'Detected during transcription' : 'Meeting language'}>
+                  {' · 🌐 '}{languageNames.of(meetingLanguage)}
+                </span>
+              )}
+            </div>
+            <MeetingAttendees
+              meetingId={selectedMeeting.id}
+              attendees={attendees}
+              onChange={handleAttendeesChange}
+            />
+            <div style={{ display: 'flex', gap: '8px', marginTop: '10px' }}>
+              <button
+                onClick={handleReprocess}
+                style={{
+                  padding: '6px 12px',
+                  fontSize: '13px',
+                  background: '#007bff',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '4px',
+                  cursor: 'pointer'
+                }}
+              >
+                🔄 Reprocess Meeting
+              </button>
+              <button
+                onClick={() => setIsEditing(true)}
+                style={{
+                  padding: '6px 12px',
+                  fontSize: '13px',
+                  background: '#6c757d',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '4px',
+                  cursor: 'pointer'
+                }}
+              >
+                ✏️ Edit
+              </button>
+            </div>
+          </>
+        )}
       </div>
 
       {/* Tabs */}
@@ -342,38 +321,16 @@ const MeetingDetails = () => {
       </div>
 
       {/* Processing Status Banner */}
-      {(isProcessing || processingMessage) && (
-        <div style={{
-          padding: '15px 20px',
-          background: processingMessage.startsWith('❌')
-            ? 'linear-gradient(135deg, #dc3545 0%, #c82333 100%)'
-            : 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
-          color: 'white',
-          fontSize: '14px',
-          fontWeight: '500',
-          display: 'flex',
-          alignItems: 'center',
-          gap: '10px',
-          borderBottom: '1px solid #dee2e6'
-        }}>
-          {!processingMessage.startsWith('❌') && (
-            <div style={{
-              width: '20px',
-              height: '20px',
-              border: '3px solid rgba(255,255,255,0.3)',
-              borderTop: '3px solid white',
-              borderRadius: '50%',
-              animation: 'spin 1s linear infinite'
-            }} />
-          )}
-          {processingMessage}
-          <style>{`
-            @keyframes spin {
-              0% { transform: rotate(0deg); }
-              100% { transform: rotate(360deg); }
-            }
-          `}</style>
-        </div>
+      <RecordingStatus meeting={selectedMeeting} />
+
+      {/* Recording - kept outside the tabs so playback continues while switching */}
+      {selectedMeeting.audio_path && (
+        <MeetingAudioPlayer
+          key={selectedMeeting.id}
+          meetingId={selectedMeeting.id}
+          audioRef={audioRef}
+          onTimeUpdate={setPlaybackTime}
+        />
       )}
 
       {/* Content */}
@@ -415,12 +372,22 @@ const MeetingDetails = () => {
                             <>
                               <div style={{ fontWeight: 'bold' }}>Analyzed with {modelInfo.usedModel} (Fallback)</div>
                               <div style={{ fontSize: '11px', opacity: 0.9 }}>
-                                Primary API unavailable, automatically switched from {modelInfo.usedBackend === 'openai' ? 'Anthropic' : 'OpenAI'}
+                                Primary AI provider unavailable, automatically switched to another one
                               </div>
                             </>
                           ) : (
                             <div>Analyzed with {modelInfo.usedModel}</div>
                           )}
+                          {modelInfo.validation && !modelInfo.validation.valid && (
+                            <div style={{ fontSize: '11px', opacity: 0.9 }}>
+                              ⚠️ Output did not match the expected format after {modelInfo.validation.attempts} attempts - some fields may be incomplete
+                            </div>
+                          )}
+                          {modelInfo.validation?.valid && modelInfo.validation.attempts > 1 && (
+                            <div style={{ fontSize: '11px', opacity: 0.9 }}>
+                              Output repaired after {modelInfo.validation.attempts - 1} invalid response{modelInfo.validation.attempts > 2 ? 's' : ''}
+                            </div>
+                          )}
                         </div>
                       </div>
                     );
@@ -429,6 +396,12 @@ const MeetingDetails = () => {
                   }
                 })()}
 
+                {summary.template && (
+                  <div style={{ marginBottom: '20px', fontSize: '13px', color: '#6c757d' }}>
+                    🧩 Analyzed with the <strong>{summary.template.name}</strong> template
+                  </div>
+                )}
+
                 {/* Overview */}
                 {summary.overview && (
                   <div style={{ marginBottom: '30px' }}>
@@ -520,27 +493,46 @@ const MeetingDetails = () => {
                   </div>
                 )}
 
-                {/* Key Decisions */}
-                {summary.key_decisions && summary.key_decisions.length > 0 && (
-                  <div style={{ marginBottom: '30px' }}>
-                    <h3 style={{ fontSize: '18px', fontWeight: 'bold', marginBottom: '10px' }}>
-                      🎯 Key Decisions
-                    </h3>
-                    <ul style={{ paddingLeft: '20px', lineHeight: '1.8' }}>
-                      {summary.key_decisions.map((decision, idx) => {
-                        // Handle both string and object formats
-                        const isObject = typeof decision === 'object' && decision !== null;
-                        const decisionText = isObject ? (decision.decision || decision.text || JSON.stringify(decision)) : decision;
+                {/* Analysis template fields - described by the template snapshot saved with the summary */}
+                {summary.template?.fields?.map(field => {
+                  const value = summary[field.key];
+                  const entries = Array.isArray(value) ? value.filter(Boolean) : [];
+                  if (field.type === 'list' ? entries.length === 0 : !value) return null;
+
+                  return (
+                    <div key={field.key} style={{ marginBottom: '30px' }}>
+                      <h3 style={{ fontSize: '18px', fontWeight: 'bold', marginBottom: '10px' }}>
+                        🧩 {field.label}
+                      </h3>
+                      {field.type === 'list' ? (
+                        <ul style={{ paddingLeft: '20px', lineHeight: '1.8' }}>
+                          {entries.map((entry, idx) => (
+                            <li key={idx} style={{ marginBottom: '8px', color: '#495057' }}>
+                              {typeof entry === 'string' ? entry : JSON.stringify(entry)}
+                            </li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <p style={{ lineHeight: '1.6', color: '#495057', margin: 0, whiteSpace: 'pre-wrap' }}>
+                          {typeof value === 'string' ? value : JSON.stringify(value)}
+                        </p>
+                      )}
+                    </div>
+                  );
+                })}
 
-                        return (
-                          <li key={idx} style={{ marginBottom: '8px', color: '#495057' }}>
-                            {decisionText}
-                          </li>
-                        );
-                      })}
-                    </ul>
-                  </div>
-                )}
+                {/* Key Decisions */}
+                <div style={{ marginBottom: '30px' }}>
+                  <h3 style={{ fontSize: '18px', fontWeight: 'bold', marginBottom: '10px' }}>
+                    🎯 Key Decisions
+                  </h3>
+                  <MeetingItemsEditor
+                    meetingId={selectedMeeting.id}
+                    list="decisions"
+                    items={items.decisions}
+                    onChange={(decisions) => setItems({ ...items, decisions })}
+                  />
+                </div>
 
                 {/* Technical Details */}
                 {summary.technical_details && summary.technical_details.length > 0 && (
@@ -581,55 +573,30 @@ const MeetingDetails = () => {
 
         {activeTab === 'transcript' && (
           <div style={{ textAlign: 'left' }}>
-            {transcript ? (
-              <pre style={{
-                whiteSpace: 'pre-wrap',
-                fontFamily: 'inherit',
-                lineHeight: '1.8',
-                color: '#495057',
-                margin: 0
-              }}>
-                {transcript}
-              </pre>
-            ) : (
-              <div style={{ textAlign: 'center', padding: '40px', color: '#6c757d' }}>
-                <p>⏳ Transcript not yet generated or processing...</p>
-              </div>
-            )}
+            <MeetingSpeakers
+              meetingId={selectedMeeting.id}
+              transcriptPath={selectedMeeting.transcript_path}
+              onChange={loadMeetingContent}
+            />
+            <TranscriptEditor
+              meetingId={selectedMeeting.id}
+              transcriptPath={selectedMeeting.transcript_path}
+              transcript={transcript}
+              onChange={handleTranscriptEdited}
+              playbackTime={playbackTime}
+              onSeek={selectedMeeting.audio_path ? handleSeek : null}
+            />
           </div>
         )}
 
         {activeTab === 'actions' && (
           <div style={{ textAlign: 'left' }}>
-            {summary?.action_items && summary.action_items.length > 0 ? (
-              <div>
-                {summary.action_items.map((item, idx) => (
-                  <div
-                    key={idx}
-                    style={{
-                      padding: '15px',
-                      marginBottom: '15px',
-                      border: '1px solid #dee2e6',
-                      borderRadius: '6px',
-                      background: '#f8f9fa'
-                    }}
-                  >
-                    <div style={{ fontWeight: 'bold', marginBottom: '8px', fontSize: '15px' }}>
-                      {item.task || item}
-                    </div>
-                    {item.owner && (
-                      <div style={{ fontSize: '13px', color: '#6c757d' }}>
-                        👤 Assigned to: {item.owner}
-                      </div>
-                    )}
-                  </div>
-                ))}
-              </div>
-            ) : (
-              <div style={{ textAlign: 'center', padding: '40px', color: '#6c757d' }}>
-                <p>✅ No action items identified</p>
-              </div>
-            )}
+            <MeetingItemsEditor
+              meetingId={selectedMeeting.id}
+              list="action-items"
+              items={items.action_items}
+              onChange={(actionItems) => setItems({ ...items, action_items: actionItems })}
+            />
           </div>
         )}
       </div>
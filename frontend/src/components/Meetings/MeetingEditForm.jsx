@@ -0,0 +1,217 @@
+import { useState } from 'react';
+import useStore from '../../stores/useStore';
+import { meetingsAPI } from '../../services/api';
+import LanguageSelect from '../Settings/LanguageSelect';
+
+// Convert an ISO date to the value format of a datetime-local input (local time)
+const toDateTimeInputValue = (dateString) => {
+  const date = new Date(dateString);
+  if (isNaN(date.getTime())) return '';
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// Typed notes are saved with a "Meeting:/Date:" header above the notes text
+const stripNotesHeader = (text) => {
+  if (!text.startsWith('Meeting:')) return text;
+  const headerEnd = text.indexOf('\n\n');
+  return headerEnd === -1 ? text : text.slice(headerEnd + 2);
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px',
+  fontSize: '14px',
+  border: '1px solid #ced4da',
+  borderRadius: '4px',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = {
+  display: 'block',
+  fontSize: '13px',
+  fontWeight: 'bold',
+  marginBottom: '4px',
+  color: '#495057'
+};
+
+const MeetingEditForm = ({ meeting, transcript, onSaved, onCancel }) => {
+  const { projects, analysisTemplates, updateMeeting, setStatus } = useStore();
+  const isNotesMeeting = !meeting.audio_path;
+
+  const [title, setTitle] = useState(meeting.title);
+  const [date, setDate] = useState(toDateTimeInputValue(meeting.date));
+  const [projectId, setProjectId] = useState(meeting.project_id ? String(meeting.project_id) : '');
+  const [language, setLanguage] = useState(meeting.language || ''); // '' = project default
+  const [templateId, setTemplateId] = useState(meeting.analysis_template_id ? String(meeting.analysis_template_id) : ''); // '' = project's template
+  const [notes, setNotes] = useState(isNotesMeeting ? stripNotesHeader(transcript || '') : '');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!title.trim()) {
+      setStatus('error', 'Title is required');
+      return;
+    }
+
+    const updates = {
+      title: title.trim(),
+      date: new Date(date).toISOString(),
+      projectId: projectId ? parseInt(projectId, 10) : null,
+      language: language || null,
+      analysisTemplateId: templateId ? parseInt(templateId, 10) : null,
+    };
+
+    // Only send notes when they were edited so unchanged notes don't trigger reanalysis
+    if (isNotesMeeting && notes.trim() !== stripNotesHeader(transcript || '').trim()) {
+      updates.notes = notes;
+    }
+
+    try {
+      setIsSaving(true);
+      const response = await meetingsAPI.update(meeting.id, updates);
+      updateMeeting(meeting.id, response.meeting);
+      setStatus('success', response.message);
+      setTimeout(() => setStatus('idle'), 3000);
+      onSaved(response);
+    } catch (error) {
+      setStatus('error', error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+      <div>
+        <label style={labelStyle}>Title</label>
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          style={inputStyle}
+        />
+      </div>
+
+      <div style={{ display: 'flex', gap: '12px' }}>
+        <div style={{ flex: 1 }}>
+          <label style={labelStyle}>Date</label>
+          <input
+            type="datetime-local"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            required
+            style={inputStyle}
+          />
+        </div>
+        <div style={{ flex: 1 }}>
+          <label style={labelStyle}>Project</label>
+          <select
+            value={projectId}
+            onChange={(e) => setProjectId(e.target.value)}
+            style={{ ...inputStyle, background: '#fff' }}
+          >
+            <option value="">No project</option>
+            {projects.map(project => (
+              <option key={project.id} value={project.id}>
+                {project.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div style={{ flex: 1 }}>
+          <label style={labelStyle}>Language</label>
+          <LanguageSelect
+            value={language}
+            onChange={setLanguage}
+            choices={[
+              { value: '', label: 'Project default' },
+              { value: 'auto', label: 'Auto-detect' },
+            ]}
+            style={{ ...inputStyle, background: '#fff' }}
+          />
+        </div>
+      </div>
+
+      {language !== (meeting.language || '') && (
+        <div style={{ fontSize: '12px', color: '#6c757d', marginTop: '-6px' }}>
+          {isNotesMeeting
+            ? 'The new language is used the next time the notes are analyzed.'
+            : 'The new language is used the next time the meeting is reprocessed - re-run transcription to apply it.'}
+        </div>
+      )}
+
+      <div>
+        <label style={labelStyle}>Analysis template</label>
+        <select
+          value={templateId}
+          onChange={(e) => setTemplateId(e.target.value)}
+          style={{ ...inputStyle, background: '#fff' }}
+        >
+          <option value="">Project default</option>
+          {analysisTemplates.map(template => (
+            <option key={template.id} value={template.id}>
+              {template.name}
+            </option>
+          ))}
+        </select>
+        {templateId !== (meeting.analysis_template_id ? String(meeting.analysis_template_id) : '') && (
+          <div style={{ fontSize: '12px', color: '#6c757d', marginTop: '4px' }}>
+            The new template is used the next time the meeting is analyzed - reprocess the meeting to apply it.
+          </div>
+        )}
+      </div>
+
+      {isNotesMeeting && (
+        <div>
+          <label style={labelStyle}>Notes</label>
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            rows={8}
+            style={{ ...inputStyle, fontFamily: 'inherit', resize: 'vertical' }}
+          />
+          <div style={{ fontSize: '12px', color: '#6c757d', marginTop: '4px' }}>
+            Changing the notes re-runs the AI analysis and search indexing.
+          </div>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button
+          type="submit"
+          disabled={isSaving}
+          style={{
+            padding: '6px 12px',
+            fontSize: '13px',
+            background: '#28a745',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: isSaving ? 'not-allowed' : 'pointer',
+            opacity: isSaving ? 0.6 : 1
+          }}
+        >
+          {isSaving ? 'Saving...' : '💾 Save'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          style={{
+            padding: '6px 12px',
+            fontSize: '13px',
+            background: '#6c757d',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: 'pointer'
+          }}
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default MeetingEditForm;
@@ -0,0 +1,224 @@
+import { useState } from 'react';
+import useStore from '../../stores/useStore';
+import { meetingsAPI } from '../../services/api';
+
+const inputStyle = {
+  padding: '6px 8px',
+  fontSize: '14px',
+  border: '1px solid #ced4da',
+  borderRadius: '4px',
+  boxSizing: 'border-box'
+};
+
+const iconButtonStyle = {
+  padding: '2px 6px',
+  fontSize: '13px',
+  background: 'transparent',
+  border: '1px solid #dee2e6',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+const primaryButtonStyle = {
+  padding: '6px 12px',
+  fontSize: '13px',
+  background: '#007bff',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+const emptyDraft = { text: '', task: '', owner: '' };
+
+/**
+ * Editable list of decisions or action items for a meeting.
+ * Entries added or edited here are flagged human-edited and survive reprocessing.
+ * @param {string} list - 'decisions' or 'action-items'
+ */
+const MeetingItemsEditor = ({ meetingId, list, items, onChange }) => {
+  const { setStatus } = useStore();
+  const [editingId, setEditingId] = useState(null);
+  const [editDraft, setEditDraft] = useState(emptyDraft);
+  const [newDraft, setNewDraft] = useState(emptyDraft);
+
+  const isDecisions = list === 'decisions';
+
+  const toFields = (draft) => (isDecisions
+    ? { text: draft.text.trim() }
+    : { task: draft.task.trim(), owner: draft.owner.trim() || null });
+
+  const isDraftEmpty = (draft) => (isDecisions ? !draft.text.trim() : !draft.task.trim());
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (isDraftEmpty(newDraft)) return;
+
+    try {
+      const item = await meetingsAPI.addItem(meetingId, list, toFields(newDraft));
+      onChange([...items, item]);
+      setNewDraft(emptyDraft);
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const startEditing = (item) => {
+    setEditingId(item.id);
+    setEditDraft({ text: item.text || '', task: item.task || '', owner: item.owner || '' });
+  };
+
+  const handleSave = async (itemId) => {
+    if (isDraftEmpty(editDraft)) return;
+
+    try {
+      const updated = await meetingsAPI.updateItem(meetingId, list, itemId, toFields(editDraft));
+      onChange(items.map(item => (item.id === itemId ? updated : item)));
+      setEditingId(null);
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const handleDelete = async (itemId) => {
+    try {
+      await meetingsAPI.deleteItem(meetingId, list, itemId);
+      onChange(items.filter(item => item.id !== itemId));
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const handleMove = async (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= items.length) return;
+
+    const reordered = [...items];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+
+    try {
+      const saved = await meetingsAPI.reorderItems(meetingId, list, reordered.map(item => item.id));
+      onChange(saved);
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const renderFields = (draft, setDraft) => (
+    isDecisions ? (
+      <input
+        type="text"
+        value={draft.text}
+        onChange={(e) => setDraft({ ...draft, text: e.target.value })}
+        placeholder="Decision..."
+        style={{ ...inputStyle, flex: 1 }}
+      />
+    ) : (
+      <>
+        <input
+          type="text"
+          value={draft.task}
+          onChange={(e) => setDraft({ ...draft, task: e.target.value })}
+          placeholder="Task..."
+          style={{ ...inputStyle, flex: 2 }}
+        />
+        <input
+          type="text"
+          value={draft.owner}
+          onChange={(e) => setDraft({ ...draft, owner: e.target.value })}
+          placeholder="Owner"
+          style={{ ...inputStyle, flex: 1 }}
+        />
+      </>
+    )
+  );
+
+  return (
+    <div>
+      {items.length === 0 && (
+        <div style={{ padding: '10px 0', color: '#6c757d', fontSize: '14px' }}>
+          {isDecisions ? 'No decisions recorded' : '✅ No action items identified'}
+        </div>
+      )}
+
+      {items.map((item, idx) => (
+        <div
+          key={item.id}
+          style={{
+            padding: isDecisions ? '8px 12px' : '15px',
+            marginBottom: isDecisions ? '8px' : '15px',
+            border: '1px solid #dee2e6',
+            borderRadius: '6px',
+            background: '#f8f9fa',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '10px'
+          }}
+        >
+          {editingId === item.id ? (
+            <>
+              {renderFields(editDraft, setEditDraft)}
+              <button onClick={() => handleSave(item.id)} style={primaryButtonStyle}>Save</button>
+              <button onClick={() => setEditingId(null)} style={iconButtonStyle}>Cancel</button>
+            </>
+          ) : (
+            <>
+              <div style={{ flex: 1 }}>
+                <div style={{
+                  fontWeight: isDecisions ? 'normal' : 'bold',
+                  fontSize: isDecisions ? '14px' : '15px',
+                  color: isDecisions ? '#495057' : 'inherit',
+                  marginBottom: !isDecisions && item.owner ? '8px' : 0
+                }}>
+                  {isDecisions ? item.text : item.task}
+                  {item.human_edited && (
+                    <span
+                      title="Edited by hand - kept when the meeting is reprocessed"
+                      style={{
+                        marginLeft: '8px',
+                        padding: '1px 6px',
+                        fontSize: '11px',
+                        fontWeight: 'normal',
+                        background: '#e7f3ff',
+                        color: '#0056b3',
+                        borderRadius: '10px'
+                      }}
+                    >
+                      ✍️ edited
+                    </span>
+                  )}
+                </div>
+                {!isDecisions && item.owner && (
+                  <div style={{ fontSize: '13px', color: '#6c757d' }}>
+                    👤 Assigned to: {item.owner}
+                  </div>
+                )}
+                {!isDecisions && (item.due_date || item.status !== 'open') && (
+                  <div style={{ fontSize: '13px', color: '#6c757d', marginTop: '4px' }}>
+                    {item.due_date && `📅 Due ${item.due_date}`}
+                    {item.due_date && item.status !== 'open' && ' · '}
+                    {item.status === 'done' && '✅ Done'}
+                    {item.status === 'blocked' && '⛔ Blocked'}
+                  </div>
+                )}
+              </div>
+              <button onClick={() => handleMove(idx, -1)} disabled={idx === 0} title="Move up" style={iconButtonStyle}>↑</button>
+              <button onClick={() => handleMove(idx, 1)} disabled={idx === items.length - 1} title="Move down" style={iconButtonStyle}>↓</button>
+              <button onClick={() => startEditing(item)} title="Edit" style={iconButtonStyle}>✏️</button>
+              <button onClick={() => handleDelete(item.id)} title="Delete" style={iconButtonStyle}>🗑️</button>
+            </>
+          )}
+        </div>
+      ))}
+
+      <form onSubmit={handleAdd} style={{ display: 'flex', gap: '8px', marginTop: '10px' }}>
+        {renderFields(newDraft, setNewDraft)}
+        <button type="submit" disabled={isDraftEmpty(newDraft)} style={primaryButtonStyle}>
+          ➕ Add
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default MeetingItemsEditor;
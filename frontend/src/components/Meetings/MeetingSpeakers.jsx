@@ -0,0 +1,134 @@
+import { useState, useEffect, useCallback } from 'react';
+import useStore from '../../stores/useStore';
+import { meetingsAPI, peopleAPI } from '../../services/api';
+
+const inputStyle = {
+  padding: '4px 8px',
+  fontSize: '13px',
+  border: '1px solid #ced4da',
+  borderRadius: '4px',
+  width: '180px'
+};
+
+/**
+ * Speakers found in a meeting's transcript, with a name field for each.
+ * Named speakers become attendees and the transcript is rewritten with their names.
+ */
+const MeetingSpeakers = ({ meetingId, transcriptPath, onChange }) => {
+  const { updateMeeting, setStatus } = useStore();
+  const [speakers, setSpeakers] = useState([]);
+  const [people, setPeople] = useState([]);
+  const [names, setNames] = useState({});
+  const [reanalyze, setReanalyze] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const applySpeakers = (list) => {
+    setSpeakers(list);
+    setNames(Object.fromEntries(list.map(speaker => [speaker.label, speaker.person?.name || ''])));
+  };
+
+  const loadSpeakers = useCallback(async () => {
+    try {
+      const [speakersData, peopleData] = await Promise.all([
+        meetingsAPI.getSpeakers(meetingId),
+        peopleAPI.getAll(),
+      ]);
+      applySpeakers(speakersData);
+      setPeople(peopleData);
+    } catch {
+      applySpeakers([]);
+    }
+  }, [meetingId]);
+
+  // transcriptPath changes when the meeting is transcribed again
+  useEffect(() => {
+    loadSpeakers();
+  }, [loadSpeakers, transcriptPath]);
+
+  const changed = speakers.filter(speaker => (names[speaker.label] || '').trim() !== (speaker.person?.name || ''));
+
+  const handleSave = async () => {
+    const assignments = Object.fromEntries(changed.map(speaker => {
+      const name = names[speaker.label].trim();
+      const person = people.find(p => p.name.toLowerCase() === name.toLowerCase());
+      return [speaker.label, !name ? null : person ? { personId: person.id } : { name }];
+    }));
+
+    try {
+      setIsSaving(true);
+      const response = await meetingsAPI.setSpeakers(meetingId, assignments, reanalyze);
+      applySpeakers(response.speakers);
+      updateMeeting(meetingId, response.meeting);
+      setPeople(await peopleAPI.getAll());
+      setStatus('success', response.message);
+      setTimeout(() => setStatus('idle'), 3000);
+      onChange(response);
+    } catch (error) {
+      setStatus('error', error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (speakers.length === 0) return null;
+
+  return (
+    <div style={{
+      marginBottom: '20px',
+      padding: '12px 15px',
+      background: '#f8f9fa',
+      border: '1px solid #dee2e6',
+      borderRadius: '6px'
+    }}>
+      <div style={{ fontWeight: '600', fontSize: '14px', marginBottom: '10px' }}>
+        🗣️ Speakers
+      </div>
+
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+        {speakers.map(speaker => (
+          <label key={speaker.label} style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '12px', color: '#6c757d' }}>
+            {speaker.label} ({speaker.segmentCount} segment{speaker.segmentCount !== 1 ? 's' : ''})
+            <input
+              value={names[speaker.label] || ''}
+              onChange={(e) => setNames({ ...names, [speaker.label]: e.target.value })}
+              placeholder="Who is this?"
+              list={`speaker-options-${meetingId}`}
+              style={inputStyle}
+            />
+          </label>
+        ))}
+        <datalist id={`speaker-options-${meetingId}`}>
+          {people.map(person => (
+            <option key={person.id} value={person.name} />
+          ))}
+        </datalist>
+      </div>
+
+      {changed.length > 0 && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginTop: '10px' }}>
+          <button
+            onClick={handleSave}
+            disabled={isSaving}
+            style={{
+              padding: '6px 12px',
+              fontSize: '13px',
+              background: '#007bff',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer'
+            }}
+          >
+            {isSaving ? 'Saving...' : '💾 Save speaker names'}
+          </button>
+          <label style={{ fontSize: '13px', color: '#495057', display: 'flex', alignItems: 'center', gap: '4px' }}>
+            <input type="checkbox" checked={reanalyze} onChange={(e) => setReanalyze(e.target.checked)} />
+            Re-run analysis to attribute action items
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MeetingSpeakers;
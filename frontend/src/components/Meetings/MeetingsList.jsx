@@ -44,17 +44,26 @@ const MeetingsList = () => {
 
   const handleDelete = async (meetingId) => {
     try {
-      setStatus('processing', 'Deleting meeting...');
-      await meetingsAPI.delete(meetingId);
+      setStatus('processing', 'Moving meeting to trash...');
+      const result = await meetingsAPI.delete(meetingId);
       deleteMeeting(meetingId);
       setShowDeleteConfirm(null);
-      setStatus('success', 'Meeting deleted successfully');
+      setStatus('success', result.message);
       setTimeout(() => setStatus('idle'), 3000);
     } catch (error) {
       setStatus('error', error.message);
     }
   };
 
+  // Badge colors for meetings that are still processing or failed
+  const STATUS_BADGES = {
+    queued: { label: '⏳ Queued', background: '#e9ecef', color: '#495057' },
+    transcribing: { label: '🎙️ Transcribing', background: '#fff3cd', color: '#856404' },
+    analyzing: { label: '🤖 Analyzing', background: '#fff3cd', color: '#856404' },
+    indexing: { label: '🔍 Indexing', background: '#fff3cd', color: '#856404' },
+    failed: { label: '❌ Failed', background: '#f8d7da', color: '#721c24' },
+  };
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
@@ -168,6 +177,41 @@ const MeetingsList = () => {
                 {getProjectName(meeting.project_id)}
               </div>
 
+              {/* Series Badge */}
+              {meeting.series_name && (
+                <div style={{
+                  display: 'inline-block',
+                  background: '#ede9fe',
+                  color: '#5b21b6',
+                  padding: '3px 8px',
+                  borderRadius: '12px',
+                  fontSize: '12px',
+                  marginBottom: '8px',
+                  marginLeft: '6px'
+                }}>
+                  🔁 {meeting.series_name}
+                </div>
+              )}
+
+              {/* Status Badge */}
+              {STATUS_BADGES[meeting.status] && (
+                <div
+                  title={meeting.status === 'failed' ? meeting.error_message : undefined}
+                  style={{
+                    display: 'inline-block',
+                    background: STATUS_BADGES[meeting.status].background,
+                    color: STATUS_BADGES[meeting.status].color,
+                    padding: '3px 8px',
+                    borderRadius: '12px',
+                    fontSize: '12px',
+                    marginBottom: '8px',
+                    marginLeft: '6px'
+                  }}
+                >
+                  {STATUS_BADGES[meeting.status].label}
+                </div>
+              )}
+
               {/* Metadata */}
               <div style={{
                 fontSize: '13px',
@@ -0,0 +1,289 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import useStore from '../../stores/useStore';
+import { meetingsAPI } from '../../services/api';
+
+const smallButtonStyle = {
+  padding: '6px 12px',
+  fontSize: '13px',
+  background: 'transparent',
+  border: '1px solid #dee2e6',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  whiteSpace: 'nowrap'
+};
+
+const formatTimestamp = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+};
+
+const formatRevisionDate = (dateString) => new Date(`${dateString.replace(' ', 'T')}Z`).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+/**
+ * Index of the segment being played: the last one that started at or before the playback time
+ * @returns {number|null} Segment index, or null before playback starts
+ */
+const findPlayingSegment = (segments, playbackTime) => {
+  if (playbackTime === null || !segments) return null;
+
+  let playing = null;
+  for (const segment of segments) {
+    if (segment.start > playbackTime) break;
+    playing = segment.index;
+  }
+  return playing;
+};
+
+/**
+ * Transcript view with timestamped segments that can be corrected one by one.
+ * Saved corrections are kept as revisions that can be reverted.
+ * While the recording plays, the current segment is highlighted; clicking a segment plays from
+ * there (onSeek, when the meeting has a recording).
+ * Transcripts without segments (typed notes, older transcripts) are shown as plain text.
+ */
+const TranscriptEditor = ({ meetingId, transcriptPath, transcript, onChange, playbackTime = null, onSeek = null }) => {
+  const { setStatus } = useStore();
+  const [data, setData] = useState(null);
+  const [drafts, setDrafts] = useState(null);
+  const [reanalyze, setReanalyze] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [revisions, setRevisions] = useState(null);
+  const playingRef = useRef(null);
+
+  const playingIndex = findPlayingSegment(data?.segments, playbackTime);
+
+  // Keep the segment being played in view (not while editing - it would move the textareas)
+  useEffect(() => {
+    if (!drafts) {
+      playingRef.current?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [playingIndex, drafts]);
+
+  const loadSegments = useCallback(async () => {
+    try {
+      setData(await meetingsAPI.getTranscript(meetingId));
+    } catch {
+      setData(null);
+    }
+  }, [meetingId]);
+
+  // transcriptPath changes when the meeting is transcribed again; transcript when the files are rewritten
+  useEffect(() => {
+    setDrafts(null);
+    setRevisions(null);
+    loadSegments();
+  }, [loadSegments, transcriptPath, transcript]);
+
+  const loadRevisions = async () => {
+    try {
+      setRevisions(await meetingsAPI.getTranscriptRevisions(meetingId));
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const handleResponse = async (response) => {
+    setStatus('success', response.message);
+    setTimeout(() => setStatus('idle'), 3000);
+    setDrafts(null);
+    await loadSegments();
+    if (revisions) {
+      await loadRevisions();
+    }
+    onChange(response);
+  };
+
+  if (!data?.segments) {
+    return transcript ? (
+      <pre style={{
+        whiteSpace: 'pre-wrap',
+        fontFamily: 'inherit',
+        lineHeight: '1.8',
+        color: '#495057',
+        margin: 0
+      }}>
+        {transcript}
+      </pre>
+    ) : (
+      <div style={{ textAlign: 'center', padding: '40px', color: '#6c757d' }}>
+        <p>⏳ Transcript not yet generated or processing...</p>
+      </div>
+    );
+  }
+
+  const edits = drafts
+    ? data.segments
+      .filter(segment => drafts[segment.index].trim() !== segment.text)
+      .map(segment => ({ index: segment.index, text: drafts[segment.index] }))
+    : [];
+
+  const handleStartEditing = () => {
+    setDrafts(Object.fromEntries(data.segments.map(segment => [segment.index, segment.text])));
+  };
+
+  const handleSave = async () => {
+    if (edits.some(edit => !edit.text.trim())) {
+      setStatus('error', 'Segments cannot be empty');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await handleResponse(await meetingsAPI.editTranscript(meetingId, edits, { reanalyze }));
+    } catch (error) {
+      setStatus('error', error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRevert = async (revision) => {
+    if (!window.confirm('Put back the text this revision replaced?')) return;
+
+    try {
+      await handleResponse(await meetingsAPI.revertTranscriptRevision(meetingId, revision.id, { reanalyze }));
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const speakerName = (label) => data.speakerNames[label] || label;
+
+  return (
+    <div>
+      {/* Toolbar */}
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', marginBottom: '15px' }}>
+        {drafts ? (
+          <>
+            <button
+              onClick={handleSave}
+              disabled={isSaving || edits.length === 0}
+              style={{
+                ...smallButtonStyle,
+                background: '#28a745',
+                color: 'white',
+                border: 'none',
+                opacity: isSaving || edits.length === 0 ? 0.6 : 1
+              }}
+            >
+              {isSaving ? 'Saving...' : `💾 Save ${edits.length} change${edits.length !== 1 ? 's' : ''}`}
+            </button>
+            <button onClick={() => setDrafts(null)} style={smallButtonStyle}>
+              Cancel
+            </button>
+          </>
+        ) : (
+          <button onClick={handleStartEditing} style={smallButtonStyle}>
+            ✏️ Edit transcript
+          </button>
+        )}
+        <button
+          onClick={() => (revisions ? setRevisions(null) : loadRevisions())}
+          style={smallButtonStyle}
+        >
+          🕘 History ({data.revisionCount})
+        </button>
+        <label style={{ fontSize: '13px', color: '#495057', display: 'flex', alignItems: 'center', gap: '4px' }}>
+          <input type="checkbox" checked={reanalyze} onChange={(e) => setReanalyze(e.target.checked)} />
+          Re-run analysis after saving
+        </label>
+      </div>
+
+      {/* Revision history */}
+      {revisions && (
+        <div style={{
+          marginBottom: '20px',
+          padding: '12px 15px',
+          background: '#f8f9fa',
+          border: '1px solid #dee2e6',
+          borderRadius: '6px'
+        }}>
+          {revisions.length === 0 ? (
+            <div style={{ fontSize: '13px', color: '#6c757d' }}>No corrections yet</div>
+          ) : (
+            revisions.map(revision => (
+              <div key={revision.id} style={{ padding: '8px 0', borderBottom: '1px solid #e9ecef' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
+                  <span style={{ fontSize: '13px', fontWeight: '600' }}>
+                    {formatRevisionDate(revision.created_at)}
+                    {revision.reverts_revision_id && (
+                      <span style={{ fontWeight: 'normal', color: '#6c757d' }}> · revert</span>
+                    )}
+                  </span>
+                  <button onClick={() => handleRevert(revision)} style={{ ...smallButtonStyle, padding: '2px 8px', fontSize: '12px' }}>
+                    ↩️ Revert
+                  </button>
+                </div>
+                {revision.changes.map(change => (
+                  <div key={change.index} style={{ fontSize: '12px', marginTop: '4px', color: '#495057' }}>
+                    <span style={{ color: '#6c757d' }}>[{formatTimestamp(change.start)}] </span>
+                    <span style={{ textDecoration: 'line-through', color: '#dc3545' }}>{change.before}</span>
+                    {' → '}
+                    <span style={{ color: '#28a745' }}>{change.after}</span>
+                  </div>
+                ))}
+              </div>
+            ))
+          )}
+        </div>
+      )}
+
+      {/* Segments */}
+      {data.segments.map(segment => (
+        <div
+          key={segment.index}
+          ref={segment.index === playingIndex ? playingRef : null}
+          onClick={onSeek && !drafts ? () => onSeek(segment.start) : undefined}
+          title={onSeek && !drafts ? 'Play from here' : undefined}
+          style={{
+            display: 'flex',
+            gap: '10px',
+            marginBottom: '6px',
+            padding: '2px 6px',
+            lineHeight: '1.6',
+            borderRadius: '4px',
+            background: segment.index === playingIndex ? '#fff3cd' : 'transparent',
+            cursor: onSeek && !drafts ? 'pointer' : 'default'
+          }}
+        >
+          <span style={{ color: '#6c757d', fontSize: '12px', fontFamily: 'monospace', paddingTop: '3px', flexShrink: 0 }}>
+            [{formatTimestamp(segment.start)}]
+          </span>
+          <div style={{ flex: 1, color: '#495057' }}>
+            {segment.speaker && (
+              <strong style={{ marginRight: '6px' }}>{speakerName(segment.speaker)}:</strong>
+            )}
+            {drafts ? (
+              <textarea
+                value={drafts[segment.index]}
+                onChange={(e) => setDrafts({ ...drafts, [segment.index]: e.target.value })}
+                rows={Math.max(1, Math.ceil(drafts[segment.index].length / 90))}
+                style={{
+                  width: '100%',
+                  padding: '4px 6px',
+                  fontSize: '14px',
+                  fontFamily: 'inherit',
+                  border: '1px solid',
+                  borderColor: drafts[segment.index].trim() !== segment.text ? '#ffc107' : '#ced4da',
+                  borderRadius: '4px',
+                  boxSizing: 'border-box',
+                  resize: 'vertical'
+                }}
+              />
+            ) : (
+              segment.text
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TranscriptEditor;
@@ -0,0 +1,310 @@
+import { useState, useEffect, useCallback } from 'react';
+import useStore from '../../stores/useStore';
+import { peopleAPI, meetingsAPI } from '../../services/api';
+
+const inputStyle = {
+  padding: '8px',
+  fontSize: '14px',
+  border: '1px solid #ced4da',
+  borderRadius: '4px',
+  boxSizing: 'border-box'
+};
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  fontSize: '12px',
+  background: 'transparent',
+  border: '1px solid #dee2e6',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  whiteSpace: 'nowrap'
+};
+
+const cardStyle = {
+  background: '#fff',
+  borderRadius: '8px',
+  boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+  padding: '20px'
+};
+
+const STATUS_COLORS = {
+  open: '#007bff',
+  blocked: '#dc3545',
+};
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+const toDraft = (person) => ({
+  name: person.name,
+  email: person.email || '',
+  aliases: person.aliases.join(', ')
+});
+
+/**
+ * People roster - everyone who attended a meeting or owns an action item.
+ * Selecting a person shows the meetings they attended and their open action items.
+ */
+const PeopleDirectory = ({ onMeetingSelect }) => {
+  const { selectMeeting, setStatus } = useStore();
+  const [people, setPeople] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [profile, setProfile] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [draft, setDraft] = useState(null);
+
+  const loadPeople = useCallback(async () => {
+    try {
+      setPeople(await peopleAPI.getAll());
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  }, [setStatus]);
+
+  const loadProfile = useCallback(async () => {
+    if (!selectedId) return;
+
+    try {
+      setProfile(await peopleAPI.getById(selectedId));
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  }, [selectedId, setStatus]);
+
+  useEffect(() => {
+    loadPeople();
+  }, [loadPeople]);
+
+  useEffect(() => {
+    setDraft(null);
+    loadProfile();
+  }, [loadProfile]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+
+    try {
+      const person = await peopleAPI.create({ name: newName.trim() });
+      setNewName('');
+      await loadPeople();
+      setSelectedId(person.id);
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      await peopleAPI.update(profile.person.id, {
+        name: draft.name,
+        email: draft.email || null,
+        aliases: draft.aliases.split(',').map(alias => alias.trim()).filter(Boolean)
+      });
+      setDraft(null);
+      await Promise.all([loadPeople(), loadProfile()]);
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Remove ${profile.person.name} from the roster? Their action items keep the owner name.`)) return;
+
+    try {
+      await peopleAPI.delete(profile.person.id);
+      setSelectedId(null);
+      setProfile(null);
+      await loadPeople();
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const handleOpenMeeting = async (meetingId) => {
+    try {
+      const response = await meetingsAPI.getById(meetingId);
+      selectMeeting(response.meeting);
+
+      // Notify parent to switch to meetings tab
+      if (onMeetingSelect) {
+        onMeetingSelect(response.meeting);
+      }
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const renderMeetingLink = (meetingId, title, date) => (
+    <button
+      onClick={() => handleOpenMeeting(meetingId)}
+      style={{
+        background: 'transparent',
+        border: 'none',
+        color: '#007bff',
+        cursor: 'pointer',
+        padding: 0,
+        fontSize: '13px',
+        textAlign: 'left'
+      }}
+    >
+      {title} · {formatDate(date)}
+    </button>
+  );
+
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: '340px 1fr', gap: '20px', marginBottom: '20px' }}>
+      {/* Roster */}
+      <div style={cardStyle}>
+        <h2 style={{ margin: '0 0 15px 0', fontSize: '20px', fontWeight: 'bold' }}>
+          👥 People
+        </h2>
+
+        <form onSubmit={handleAdd} style={{ display: 'flex', gap: '6px', marginBottom: '15px' }}>
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="Add a person..."
+            style={{ ...inputStyle, flex: 1 }}
+          />
+          <button type="submit" disabled={!newName.trim()} style={smallButtonStyle}>
+            ➕ Add
+          </button>
+        </form>
+
+        {people.length === 0 ? (
+          <p style={{ color: '#6c757d', fontSize: '14px' }}>
+            No people yet - add attendees to a meeting or add someone here
+          </p>
+        ) : (
+          people.map(person => (
+            <div
+              key={person.id}
+              onClick={() => setSelectedId(person.id)}
+              style={{
+                padding: '10px 12px',
+                marginBottom: '8px',
+                border: '1px solid #dee2e6',
+                borderColor: selectedId === person.id ? '#007bff' : '#dee2e6',
+                borderRadius: '6px',
+                cursor: 'pointer',
+                background: selectedId === person.id ? '#e7f3ff' : '#fff'
+              }}
+            >
+              <div style={{ fontWeight: 'bold', fontSize: '14px' }}>{person.name}</div>
+              <div style={{ fontSize: '12px', color: '#6c757d', marginTop: '2px' }}>
+                {person.meeting_count} meeting{person.meeting_count !== 1 ? 's' : ''} · {person.open_item_count} open item{person.open_item_count !== 1 ? 's' : ''}
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      {/* Person page */}
+      <div style={cardStyle}>
+        {!profile ? (
+          <div style={{ textAlign: 'center', padding: '60px 20px', color: '#6c757d' }}>
+            <p style={{ fontSize: '64px', margin: '0 0 20px 0' }}>👤</p>
+            <h3 style={{ margin: '0 0 10px 0' }}>No Person Selected</h3>
+            <p style={{ margin: 0 }}>Select someone to see their meetings and open action items</p>
+          </div>
+        ) : (
+          <>
+            {draft ? (
+              <form onSubmit={handleSave} style={{ display: 'grid', gap: '8px', marginBottom: '20px' }}>
+                <input
+                  value={draft.name}
+                  onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                  placeholder="Name"
+                  style={inputStyle}
+                />
+                <input
+                  value={draft.email}
+                  onChange={(e) => setDraft({ ...draft, email: e.target.value })}
+                  placeholder="Email"
+                  style={inputStyle}
+                />
+                <input
+                  value={draft.aliases}
+                  onChange={(e) => setDraft({ ...draft, aliases: e.target.value })}
+                  placeholder="Other names, comma separated (e.g. Bob, Bobby)"
+                  style={inputStyle}
+                />
+                <div style={{ display: 'flex', gap: '6px' }}>
+                  <button type="submit" disabled={!draft.name.trim()} style={smallButtonStyle}>💾 Save</button>
+                  <button type="button" onClick={() => setDraft(null)} style={smallButtonStyle}>Cancel</button>
+                </div>
+              </form>
+            ) : (
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '10px', marginBottom: '20px' }}>
+                <div>
+                  <h2 style={{ margin: 0, fontSize: '20px', fontWeight: 'bold' }}>{profile.person.name}</h2>
+                  <div style={{ fontSize: '13px', color: '#6c757d', marginTop: '4px' }}>
+                    {profile.person.email || 'No email'}
+                    {profile.person.aliases.length > 0 && ` · also known as ${profile.person.aliases.join(', ')}`}
+                  </div>
+                </div>
+                <div style={{ display: 'flex', gap: '6px', alignItems: 'flex-start' }}>
+                  <button onClick={() => setDraft(toDraft(profile.person))} style={smallButtonStyle}>✏️ Edit</button>
+                  <button onClick={handleDelete} style={smallButtonStyle}>🗑️ Remove</button>
+                </div>
+              </div>
+            )}
+
+            <h3 style={{ fontSize: '16px', margin: '0 0 10px 0' }}>
+              ✅ Open Action Items ({profile.actionItems.length})
+            </h3>
+            {profile.actionItems.length === 0 ? (
+              <p style={{ color: '#6c757d', fontSize: '14px' }}>Nothing open</p>
+            ) : (
+              profile.actionItems.map(item => (
+                <div
+                  key={item.id}
+                  style={{
+                    padding: '10px 12px',
+                    marginBottom: '8px',
+                    border: '1px solid #dee2e6',
+                    borderLeft: `4px solid ${STATUS_COLORS[item.status]}`,
+                    borderRadius: '6px'
+                  }}
+                >
+                  <div style={{ fontSize: '14px' }}>{item.task}</div>
+                  <div style={{ fontSize: '12px', color: '#6c757d', marginTop: '4px', display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+                    {item.status === 'blocked' && <span style={{ color: '#dc3545' }}>⛔ Blocked</span>}
+                    {item.due_date && <span>⏰ Due {formatDate(item.due_date)}</span>}
+                    <span>📅 {renderMeetingLink(item.meeting_id, item.meeting_title, item.meeting_date)}</span>
+                  </div>
+                </div>
+              ))
+            )}
+
+            <h3 style={{ fontSize: '16px', margin: '20px 0 10px 0' }}>
+              📋 Meetings Attended ({profile.meetings.length})
+            </h3>
+            {profile.meetings.length === 0 ? (
+              <p style={{ color: '#6c757d', fontSize: '14px' }}>Not listed as an attendee of any meeting</p>
+            ) : (
+              <ul style={{ margin: 0, paddingLeft: '20px', lineHeight: '1.8' }}>
+                {profile.meetings.map(meeting => (
+                  <li key={meeting.id}>
+                    {renderMeetingLink(meeting.id, meeting.title, meeting.date)}
+                    {meeting.project_name && (
+                      <span style={{ fontSize: '12px', color: '#6c757d' }}> - {meeting.project_name}</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PeopleDirectory;
@@ -0,0 +1,325 @@
+import { useState } from 'react';
+import useStore from '../../stores/useStore';
+import { analysisTemplatesAPI } from '../../services/api';
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px',
+  fontSize: '14px',
+  border: '1px solid #ced4da',
+  borderRadius: '4px',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = {
+  display: 'block',
+  fontSize: '13px',
+  fontWeight: 'bold',
+  marginBottom: '4px',
+  color: '#495057'
+};
+
+const smallButtonStyle = {
+  padding: '6px 12px',
+  fontSize: '12px',
+  background: 'transparent',
+  border: '1px solid #dee2e6',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  whiteSpace: 'nowrap'
+};
+
+const emptyField = () => ({ key: '', label: '', type: 'list', description: '' });
+
+const emptyDraft = () => ({
+  name: '',
+  description: '',
+  instructions: '',
+  fields: [emptyField()]
+});
+
+// Existing fields keep their key so summaries made with the template still render after an edit
+const toDraft = (template) => ({
+  id: template.id,
+  name: template.name,
+  description: template.description || '',
+  instructions: template.instructions,
+  fields: template.fields.map(field => ({ ...field }))
+});
+
+/**
+ * Analysis templates - a prompt plus the fields the AI analysis returns for a kind of meeting
+ * (sales calls, incident reviews...). Every analysis keeps the overview, decisions and action items.
+ */
+const AnalysisTemplateManager = () => {
+  const { analysisTemplates, setAnalysisTemplates, setStatus } = useStore();
+  const [draft, setDraft] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const reloadTemplates = async () => {
+    setAnalysisTemplates(await analysisTemplatesAPI.getAll());
+  };
+
+  const updateField = (index, changes) => {
+    setDraft({
+      ...draft,
+      fields: draft.fields.map((field, i) => (i === index ? { ...field, ...changes } : field))
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const body = {
+      name: draft.name,
+      description: draft.description || null,
+      instructions: draft.instructions,
+      fields: draft.fields.filter(field => field.label.trim() || field.key)
+    };
+
+    try {
+      setIsSaving(true);
+      if (draft.id) {
+        await analysisTemplatesAPI.update(draft.id, body);
+      } else {
+        await analysisTemplatesAPI.create(body);
+      }
+      await reloadTemplates();
+      setDraft(null);
+      setStatus('success', 'Analysis template saved - it applies the next time a meeting using it is analyzed');
+      setTimeout(() => setStatus('idle'), 3000);
+    } catch (error) {
+      setStatus('error', error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!confirm(`Delete the "${template.name}" template? Projects and meetings using it go back to the standard analysis.`)) return;
+
+    try {
+      const result = await analysisTemplatesAPI.delete(template.id);
+      await reloadTemplates();
+      setStatus('success', result.message);
+      setTimeout(() => setStatus('idle'), 3000);
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  return (
+    <div style={{
+      background: '#fff',
+      borderRadius: '8px',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+      padding: '20px',
+      marginBottom: '20px'
+    }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: '10px'
+      }}>
+        <h2 style={{ margin: 0, fontSize: '20px', fontWeight: 'bold' }}>
+          🧩 Analysis Templates
+        </h2>
+        <button
+          onClick={() => setDraft(draft ? null : emptyDraft())}
+          style={{
+            padding: '8px 16px',
+            fontSize: '14px',
+            fontWeight: 'bold',
+            background: draft ? '#6c757d' : '#28a745',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: 'pointer'
+          }}
+        >
+          {draft ? '✕ Cancel' : '+ New Template'}
+        </button>
+      </div>
+      <p style={{ margin: '0 0 15px 0', fontSize: '13px', color: '#6c757d' }}>
+        Templates replace the standard AI summary fields for a kind of meeting. Every analysis still
+        includes the overview, key decisions and action items. Assign a template to a project above or
+        to a single meeting when editing it.
+      </p>
+
+      {/* Template form */}
+      {draft && (
+        <form onSubmit={handleSave} style={{
+          background: '#f8f9fa',
+          padding: '15px',
+          borderRadius: '6px',
+          marginBottom: '20px',
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '12px'
+        }}>
+          <div style={{ display: 'flex', gap: '12px' }}>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle}>Name</label>
+              <input
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                placeholder="e.g. Sales call"
+                autoFocus
+                style={inputStyle}
+              />
+            </div>
+            <div style={{ flex: 2 }}>
+              <label style={labelStyle}>Description</label>
+              <input
+                value={draft.description}
+                onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                placeholder="Optional"
+                style={inputStyle}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label style={labelStyle}>Instructions</label>
+            <textarea
+              value={draft.instructions}
+              onChange={(e) => setDraft({ ...draft, instructions: e.target.value })}
+              rows={4}
+              placeholder="What kind of meeting this is and what the summary should focus on, e.g. 'This is a discovery call with a prospective customer. Capture their needs, objections and buying process.'"
+              style={{ ...inputStyle, fontFamily: 'inherit', resize: 'vertical' }}
+            />
+          </div>
+
+          <div>
+            <label style={labelStyle}>Summary fields</label>
+            {draft.fields.map((field, index) => (
+              <div key={index} style={{ display: 'flex', gap: '6px', marginBottom: '6px' }}>
+                <input
+                  value={field.label}
+                  onChange={(e) => updateField(index, { label: e.target.value })}
+                  placeholder="Label, e.g. Objections"
+                  style={{ ...inputStyle, flex: 1 }}
+                />
+                <select
+                  value={field.type}
+                  onChange={(e) => updateField(index, { type: e.target.value })}
+                  style={{ ...inputStyle, width: '110px', background: '#fff' }}
+                >
+                  <option value="list">List</option>
+                  <option value="text">Paragraph</option>
+                </select>
+                <input
+                  value={field.description}
+                  onChange={(e) => updateField(index, { description: e.target.value })}
+                  placeholder="What the AI should put here (optional)"
+                  style={{ ...inputStyle, flex: 2 }}
+                />
+                <button
+                  type="button"
+                  onClick={() => setDraft({ ...draft, fields: draft.fields.filter((_, i) => i !== index) })}
+                  title="Remove field"
+                  style={smallButtonStyle}
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => setDraft({ ...draft, fields: [...draft.fields, emptyField()] })}
+              style={smallButtonStyle}
+            >
+              ➕ Add field
+            </button>
+          </div>
+
+          <div>
+            <button
+              type="submit"
+              disabled={isSaving || !draft.name.trim() || !draft.instructions.trim()}
+              style={{
+                padding: '10px 20px',
+                fontSize: '14px',
+                fontWeight: 'bold',
+                background: '#007bff',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: isSaving ? 'not-allowed' : 'pointer',
+                opacity: isSaving || !draft.name.trim() || !draft.instructions.trim() ? 0.6 : 1
+              }}
+            >
+              {isSaving ? 'Saving...' : draft.id ? '💾 Save Template' : 'Create Template'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Templates list */}
+      {analysisTemplates.length === 0 ? (
+        <p style={{ margin: 0, fontSize: '14px', color: '#6c757d' }}>
+          No templates yet - meetings are analyzed with the standard summary fields.
+        </p>
+      ) : (
+        <div style={{ display: 'grid', gap: '10px' }}>
+          {analysisTemplates.map(template => (
+            <div
+              key={template.id}
+              style={{
+                padding: '15px',
+                background: '#f8f9fa',
+                border: '1px solid #dee2e6',
+                borderRadius: '6px',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'flex-start',
+                gap: '10px'
+              }}
+            >
+              <div>
+                <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>
+                  {template.name}
+                </div>
+                {template.description && (
+                  <div style={{ fontSize: '13px', color: '#495057', marginBottom: '6px' }}>
+                    {template.description}
+                  </div>
+                )}
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '6px' }}>
+                  {template.fields.map(field => (
+                    <span key={field.key} style={{
+                      padding: '2px 8px',
+                      background: '#e7f3ff',
+                      color: '#0056b3',
+                      borderRadius: '10px',
+                      fontSize: '12px'
+                    }}>
+                      {field.label}{field.type === 'list' ? ' (list)' : ''}
+                    </span>
+                  ))}
+                </div>
+                <div style={{ fontSize: '12px', color: '#6c757d' }}>
+                  Used by {template.project_count} project(s) and {template.meeting_count} meeting(s)
+                </div>
+              </div>
+              <div style={{ display: 'flex', gap: '6px' }}>
+                <button onClick={() => setDraft(toDraft(template))} style={smallButtonStyle}>
+                  ✏️ Edit
+                </button>
+                <button
+                  onClick={() => handleDelete(template)}
+                  style={{ ...smallButtonStyle, color: '#dc3545', borderColor: '#f5c2c7' }}
+                >
+                  🗑️ Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnalysisTemplateManager;
@@ -1,12 +1,133 @@
-import { useState } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import useStore from '../../stores/useStore';
-import { projectsAPI } from '../../services/api';
+import { projectsAPI, meetingsAPI, trashAPI, analysisTemplatesAPI } from '../../services/api';
+import LanguageSelect from '../Settings/LanguageSelect';
+
+const trashButtonStyle = {
+  padding: '6px 12px',
+  fontSize: '12px',
+  background: 'transparent',
+  border: '1px solid #dee2e6',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  whiteSpace: 'nowrap'
+};
 
 const ProjectManager = () => {
-  const { projects, setProjects, addProject, setStatus } = useStore();
+  const {
+    projects,
+    meetings,
+    analysisTemplates,
+    setProjects,
+    setMeetings,
+    setAnalysisTemplates,
+    addProject,
+    updateProject,
+    deleteProject,
+    setStatus
+  } = useStore();
   const [showForm, setShowForm] = useState(false);
   const [newProjectName, setNewProjectName] = useState('');
+  const [newProjectLanguage, setNewProjectLanguage] = useState(''); // '' = auto-detect
   const [isCreating, setIsCreating] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
+  const [trash, setTrash] = useState({ projects: [], meetings: [], retentionDays: null });
+
+  const loadTrash = useCallback(async () => {
+    try {
+      setTrash(await trashAPI.getAll());
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  }, [setStatus]);
+
+  useEffect(() => {
+    if (showTrash) {
+      loadTrash();
+    }
+  }, [showTrash, loadTrash]);
+
+  const handleTrashProject = async (project) => {
+    if (!confirm(`Move "${project.name}" and its meetings to the trash?`)) return;
+
+    try {
+      const result = await projectsAPI.delete(project.id);
+      deleteProject(project.id);
+      setMeetings(meetings.filter(meeting => meeting.project_id !== project.id));
+      setStatus('success', result.message);
+      setTimeout(() => setStatus('idle'), 3000);
+      if (showTrash) loadTrash();
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  // Restoring a project brings its meetings back too, so reload both lists
+  const handleRestore = async (type, id) => {
+    try {
+      const result = await trashAPI.restore(type, id);
+      const [allProjects, allMeetings] = await Promise.all([
+        projectsAPI.getAll(),
+        meetingsAPI.getAll(),
+      ]);
+      setProjects(allProjects);
+      setMeetings(allMeetings);
+      await loadTrash();
+      setStatus('success', result.message);
+      setTimeout(() => setStatus('idle'), 3000);
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const handleDeletePermanently = async (type, id, name) => {
+    if (!confirm(`Permanently delete "${name}"? This removes all of its files and cannot be undone.`)) return;
+
+    try {
+      const result = await trashAPI.deletePermanently(type, id);
+      await loadTrash();
+      setStatus('success', result.message);
+      setTimeout(() => setStatus('idle'), 3000);
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const renderTrashEntry = (type, item, name, details) => (
+    <div
+      key={`${type}-${item.id}`}
+      style={{
+        padding: '12px 15px',
+        background: '#f8f9fa',
+        border: '1px solid #dee2e6',
+        borderRadius: '6px',
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        gap: '10px'
+      }}
+    >
+      <div>
+        <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>
+          {type === 'projects' ? '📁' : '🎙️'} {name}
+        </div>
+        <div style={{ fontSize: '12px', color: '#6c757d' }}>
+          {details} · Deleted permanently on {new Date(item.purge_at).toLocaleDateString()}
+        </div>
+      </div>
+      <div style={{ display: 'flex', gap: '6px' }}>
+        <button onClick={() => handleRestore(type, item.id)} style={trashButtonStyle}>
+          ↩️ Restore
+        </button>
+        <button
+          onClick={() => handleDeletePermanently(type, item.id, name)}
+          style={{ ...trashButtonStyle, color: '#dc3545', borderColor: '#f5c2c7' }}
+        >
+          Delete forever
+        </button>
+      </div>
+    </div>
+  );
 
   const handleCreateProject = async (e) => {
     e.preventDefault();
@@ -18,9 +139,10 @@ const ProjectManager = () => {
 
     try {
       setIsCreating(true);
-      const result = await projectsAPI.create(newProjectName);
+      const result = await projectsAPI.create(newProjectName, newProjectLanguage || null);
       addProject(result.project);
       setNewProjectName('');
+      setNewProjectLanguage('');
       setShowForm(false);
       setStatus('success', 'Project created successfully!');
       setTimeout(() => setStatus('idle'), 3000);
@@ -31,6 +153,26 @@ const ProjectManager = () => {
     }
   };
 
+  const handleLanguageChange = async (project, language) => {
+    try {
+      const result = await projectsAPI.update(project.id, project.name, language || null);
+      updateProject(project.id, result.project);
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  // Reload the templates too - they list how many projects use them
+  const handleTemplateChange = async (project, templateId) => {
+    try {
+      const result = await projectsAPI.update(project.id, project.name, undefined, templateId ? parseInt(templateId, 10) : null);
+      updateProject(project.id, result.project);
+      setAnalysisTemplates(await analysisTemplatesAPI.getAll());
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
   return (
     <div style={{
       background: '#fff',
@@ -46,27 +188,80 @@ const ProjectManager = () => {
         marginBottom: '20px'
       }}>
         <h2 style={{ margin: 0, fontSize: '20px', fontWeight: 'bold' }}>
-          📁 Projects
+          {showTrash ? '🗑️ Trash' : '📁 Projects'}
         </h2>
-        <button
-          onClick={() => setShowForm(!showForm)}
-          style={{
-            padding: '8px 16px',
-            fontSize: '14px',
-            fontWeight: 'bold',
-            background: '#28a745',
-            color: 'white',
-            border: 'none',
-            borderRadius: '4px',
-            cursor: 'pointer'
-          }}
-        >
-          {showForm ? '✕ Cancel' : '+ New Project'}
-        </button>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <button
+            onClick={() => setShowTrash(!showTrash)}
+            style={{
+              padding: '8px 16px',
+              fontSize: '14px',
+              fontWeight: 'bold',
+              background: '#6c757d',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer'
+            }}
+          >
+            {showTrash ? '← Projects' : '🗑️ Trash'}
+          </button>
+          {!showTrash && (
+            <button
+              onClick={() => setShowForm(!showForm)}
+              style={{
+                padding: '8px 16px',
+                fontSize: '14px',
+                fontWeight: 'bold',
+                background: '#28a745',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer'
+              }}
+            >
+              {showForm ? '✕ Cancel' : '+ New Project'}
+            </button>
+          )}
+        </div>
       </div>
 
+      {/* Trash */}
+      {showTrash && (
+        trash.projects.length === 0 && trash.meetings.length === 0 ? (
+          <div style={{
+            textAlign: 'center',
+            padding: '40px 20px',
+            color: '#6c757d'
+          }}>
+            <p style={{ fontSize: '48px', margin: '0 0 10px 0' }}>🗑️</p>
+            <p style={{ margin: 0, fontSize: '14px' }}>
+              The trash is empty
+            </p>
+          </div>
+        ) : (
+          <div style={{ display: 'grid', gap: '10px' }}>
+            <div style={{ fontSize: '13px', color: '#6c757d' }}>
+              Deleted projects and meetings are kept for {trash.retentionDays} days before they are removed for good.
+            </div>
+            {trash.projects.map(project => renderTrashEntry(
+              'projects',
+              project,
+              project.name,
+              `${project.meeting_count} meeting(s)`
+            ))}
+            {trash.meetings.map(meeting => renderTrashEntry(
+              'meetings',
+              meeting,
+              meeting.title,
+              meeting.project_name || 'No project'
+            ))}
+          </div>
+        )
+      )}
+
       {/* Create Form */}
-      {showForm && (
+      {!showTrash && showForm && (
         <form onSubmit={handleCreateProject} style={{
           background: '#f8f9fa',
           padding: '15px',
@@ -88,6 +283,15 @@ const ProjectManager = () => {
               marginBottom: '10px'
             }}
           />
+          <label style={{ display: 'block', fontSize: '13px', color: '#495057', marginBottom: '10px' }}>
+            Meeting language{' '}
+            <LanguageSelect
+              value={newProjectLanguage}
+              onChange={setNewProjectLanguage}
+              choices={[{ value: '', label: 'Auto-detect' }]}
+              style={{ padding: '6px', fontSize: '13px', border: '1px solid #dee2e6', borderRadius: '4px' }}
+            />
+          </label>
           <button
             type="submit"
             disabled={isCreating || !newProjectName.trim()}
@@ -109,7 +313,7 @@ const ProjectManager = () => {
       )}
 
       {/* Projects List */}
-      {projects.length === 0 ? (
+      {showTrash ? null : projects.length === 0 ? (
         <div style={{
           textAlign: 'center',
           padding: '40px 20px',
@@ -146,6 +350,34 @@ const ProjectManager = () => {
                   Created: {new Date(project.created_at).toLocaleDateString()}
                 </div>
               </div>
+              <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                <LanguageSelect
+                  value={project.language || ''}
+                  onChange={(language) => handleLanguageChange(project, language)}
+                  choices={[{ value: '', label: '🌐 Auto-detect' }]}
+                  style={{ ...trashButtonStyle, cursor: 'default' }}
+                />
+                <select
+                  value={project.analysis_template_id || ''}
+                  onChange={(e) => handleTemplateChange(project, e.target.value)}
+                  title="Analysis template for the project's meetings"
+                  style={{ ...trashButtonStyle, cursor: 'default' }}
+                >
+                  <option value="">🧩 Standard analysis</option>
+                  {analysisTemplates.map(template => (
+                    <option key={template.id} value={template.id}>
+                      🧩 {template.name}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => handleTrashProject(project)}
+                  title="Move to trash"
+                  style={trashButtonStyle}
+                >
+                  🗑️ Delete
+                </button>
+              </div>
             </div>
           ))}
         </div>
@@ -1,6 +1,7 @@
 import { useState, useEffect, useRef } from 'react';
 import useStore from '../../stores/useStore';
 import { meetingsAPI } from '../../services/api';
+import LanguageSelect from '../Settings/LanguageSelect';
 
 const AudioRecorder = () => {
   const {
@@ -22,6 +23,7 @@ const AudioRecorder = () => {
 
   const [selectedProjectId, setSelectedProjectId] = useState('');
   const [meetingTitle, setMeetingTitle] = useState('');
+  const [language, setLanguage] = useState(''); // '' = project default
   const [permissionGranted, setPermissionGranted] = useState(false);
   const timerRef = useRef(null);
 
@@ -169,7 +171,7 @@ const AudioRecorder = () => {
       }
 
       // Upload to backend
-      const response = await meetingsAPI.create(audioBlob, selectedProjectId, meetingTitle);
+      const response = await meetingsAPI.create(audioBlob, selectedProjectId, meetingTitle, language);
       const meeting = response.meeting || response;
 
       console.log('✅ Recording uploaded:', meeting);
@@ -270,6 +272,28 @@ const AudioRecorder = () => {
         />
       </div>
 
+      <div style={{ marginBottom: '20px' }}>
+        <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
+          Language
+        </label>
+        <LanguageSelect
+          value={language}
+          onChange={setLanguage}
+          disabled={isRecording}
+          choices={[
+            { value: '', label: 'Project default' },
+            { value: 'auto', label: 'Auto-detect' },
+          ]}
+          style={{
+            width: '100%',
+            padding: '10px',
+            fontSize: '14px',
+            border: '1px solid #ccc',
+            borderRadius: '4px',
+          }}
+        />
+      </div>
+
       <div style={{
         marginBottom: '20px',
         padding: '30px',
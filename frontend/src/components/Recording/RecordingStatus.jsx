@@ -1,7 +1,151 @@
+import { useState, useEffect } from 'react';
 import useStore from '../../stores/useStore';
+import { meetingsAPI } from '../../services/api';
 
-const RecordingStatus = () => {
-  const { isRecording, status, errorMessage, clearError } = useStore();
+// Default progress message for each meeting status
+const STATUS_MESSAGES = {
+  queued: '⏳ Queued for processing...',
+  transcribing: '🎙️ Transcribing audio...',
+  analyzing: '🤖 Generating AI summary...',
+  indexing: '🔍 Indexing meeting for search...',
+};
+
+/**
+ * Shows recording/app status, or live processing progress when given a meeting.
+ * Progress is streamed from /api/meetings/:id/events while the meeting is being processed.
+ */
+const RecordingStatus = ({ meeting = null }) => {
+  const { isRecording, status, errorMessage, clearError, updateMeeting } = useStore();
+  const [progress, setProgress] = useState(null);
+
+  const meetingId = meeting?.id;
+  const isMeetingActive = !!meeting && !['complete', 'failed'].includes(meeting.status);
+
+  useEffect(() => {
+    if (!isMeetingActive) {
+      setProgress(null);
+      return;
+    }
+
+    const handleEvent = (event) => {
+      switch (event.type) {
+        case 'status':
+          if (event.meeting) {
+            updateMeeting(event.meeting.id, event.meeting);
+            setProgress({ message: STATUS_MESSAGES[event.meeting.status] || null });
+          }
+          break;
+        case 'transcription_progress':
+          setProgress({
+            message: event.total
+              ? `🎙️ Transcribing chunk ${event.current} of ${event.total}...`
+              : `🎙️ ${event.message || 'Transcribing audio...'}`,
+            current: event.current,
+            total: event.total,
+          });
+          break;
+        case 'diarization_completed':
+          setProgress({
+            message: event.speakers ? `🗣️ ${event.speakers} speaker(s) identified` : '🗣️ Transcript ready',
+          });
+          break;
+        case 'analysis_started':
+          setProgress({
+            message: `🤖 Generating AI summary with ${event.model || event.backend}${event.template ? ` using the "${event.template}" template` : ''}...`,
+          });
+          break;
+        case 'analysis_progress':
+          setProgress({
+            message: `🤖 ${event.message}`,
+            current: event.current,
+            total: event.total,
+          });
+          break;
+        case 'analysis_completed':
+          setProgress({
+            message: `✅ Analysis complete${event.model ? ` (${event.model})` : ''} - saving results...`,
+          });
+          break;
+        case 'indexing_completed':
+          setProgress({ message: '🔍 Search index updated' });
+          break;
+        default:
+          break;
+      }
+    };
+
+    const unsubscribe = meetingsAPI.subscribeToEvents(meetingId, handleEvent);
+    return unsubscribe;
+  }, [meetingId, isMeetingActive, updateMeeting]);
+
+  if (meeting) {
+    if (meeting.status === 'failed') {
+      return (
+        <div style={{
+          padding: '15px 20px',
+          background: 'linear-gradient(135deg, #dc3545 0%, #c82333 100%)',
+          color: 'white',
+          fontSize: '14px',
+          fontWeight: '500',
+          borderBottom: '1px solid #dee2e6'
+        }}>
+          ❌ Processing failed: {meeting.error_message || 'Unknown error'}
+        </div>
+      );
+    }
+
+    if (!isMeetingActive) {
+      return null;
+    }
+
+    const message = progress?.message || STATUS_MESSAGES[meeting.status] || STATUS_MESSAGES.queued;
+    const percent = progress?.total ? Math.round((progress.current / progress.total) * 100) : null;
+
+    return (
+      <div style={{
+        padding: '15px 20px',
+        background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+        color: 'white',
+        fontSize: '14px',
+        fontWeight: '500',
+        borderBottom: '1px solid #dee2e6'
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+          <div style={{
+            width: '20px',
+            height: '20px',
+            border: '3px solid rgba(255,255,255,0.3)',
+            borderTop: '3px solid white',
+            borderRadius: '50%',
+            animation: 'spin 1s linear infinite'
+          }} />
+          {message}
+        </div>
+        {percent !== null && (
+          <div style={{
+            marginTop: '10px',
+            height: '6px',
+            background: 'rgba(255,255,255,0.3)',
+            borderRadius: '3px',
+            overflow: 'hidden'
+          }}>
+            <div style={{
+              width: `${percent}%`,
+              height: '100%',
+              background: 'white',
+              transition: 'width 0.3s'
+            }} />
+          </div>
+        )}
+        <style>{`
+          @keyframes spin {
+            0% { transform: rotate(0deg); }
+            100% { transform: rotate(360deg); }
+          }
+        `}</style>
+      </div>
+    );
+  }
 
   const getStatusConfig = () => {
     if (isRecording) {
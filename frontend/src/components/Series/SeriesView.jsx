@@ -0,0 +1,409 @@
+import { useState, useEffect, useCallback } from 'react';
+import useStore from '../../stores/useStore';
+import { seriesAPI, meetingsAPI } from '../../services/api';
+
+const selectStyle = {
+  padding: '8px',
+  fontSize: '14px',
+  border: '1px solid #ced4da',
+  borderRadius: '4px',
+  background: '#fff'
+};
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  fontSize: '12px',
+  background: 'transparent',
+  border: '1px solid #dee2e6',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  whiteSpace: 'nowrap'
+};
+
+const cardStyle = {
+  background: '#fff',
+  borderRadius: '8px',
+  boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+  padding: '20px'
+};
+
+const DIGEST_SECTIONS = [
+  { key: 'new_topics', label: '🆕 New topics' },
+  { key: 'progress', label: '✅ Progress' },
+  { key: 'decisions_changed', label: '⚖️ Decisions changed' },
+  { key: 'still_open', label: '⏳ Still open' },
+];
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+/**
+ * Meeting series - recurring meetings grouped together.
+ * Lists series and suggested groupings, and shows a series as a timeline with
+ * an AI "what changed since last time" digest between consecutive meetings.
+ */
+const SeriesView = ({ onMeetingSelect }) => {
+  const { projects, selectMeeting, setMeetings, setStatus } = useStore();
+  const [projectId, setProjectId] = useState('');
+  const [seriesList, setSeriesList] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
+  const [selectedSeriesId, setSelectedSeriesId] = useState(null);
+  const [selectedSeries, setSelectedSeries] = useState(null);
+  const [timeline, setTimeline] = useState([]);
+  const [renaming, setRenaming] = useState(null);
+  const [generatingFor, setGeneratingFor] = useState(null);
+
+  const loadSeries = useCallback(async () => {
+    try {
+      const [seriesData, suggestionsData] = await Promise.all([
+        seriesAPI.getAll(projectId || null),
+        seriesAPI.getSuggestions(projectId || null),
+      ]);
+      setSeriesList(seriesData);
+      setSuggestions(suggestionsData);
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  }, [projectId, setStatus]);
+
+  const loadTimeline = useCallback(async () => {
+    if (!selectedSeriesId) return;
+
+    try {
+      const data = await seriesAPI.getById(selectedSeriesId);
+      setSelectedSeries(data.series);
+      setTimeline(data.timeline);
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  }, [selectedSeriesId, setStatus]);
+
+  useEffect(() => {
+    loadSeries();
+  }, [loadSeries]);
+
+  useEffect(() => {
+    loadTimeline();
+  }, [loadTimeline]);
+
+  // Series membership shows up in the meetings list, so reload it after changes
+  const refresh = async () => {
+    await Promise.all([loadSeries(), loadTimeline()]);
+    setMeetings(await meetingsAPI.getAll());
+  };
+
+  const handleAcceptSuggestion = async (suggestion) => {
+    try {
+      const meetingIds = suggestion.meetings.map(meeting => meeting.id);
+
+      if (suggestion.type === 'existing') {
+        await seriesAPI.addMeetings(suggestion.series_id, meetingIds);
+        setStatus('success', `Added ${meetingIds.length} meeting(s) to "${suggestion.name}"`);
+      } else {
+        const series = await seriesAPI.create(suggestion.name, suggestion.project_id, meetingIds);
+        setSelectedSeriesId(series.id);
+        setStatus('success', `Series "${series.name}" created`);
+      }
+
+      await refresh();
+      setTimeout(() => setStatus('idle'), 3000);
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const handleRename = async () => {
+    if (!renaming?.trim()) return;
+
+    try {
+      await seriesAPI.rename(selectedSeries.id, renaming.trim());
+      setRenaming(null);
+      await refresh();
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const handleDeleteSeries = async () => {
+    if (!window.confirm(`Delete the series "${selectedSeries.name}"? Its meetings are kept.`)) return;
+
+    try {
+      await seriesAPI.delete(selectedSeries.id);
+      setSelectedSeriesId(null);
+      setSelectedSeries(null);
+      setTimeline([]);
+      await refresh();
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const handleRemoveMeeting = async (meetingId) => {
+    try {
+      await seriesAPI.removeMeeting(selectedSeries.id, meetingId);
+      await refresh();
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const handleGenerateDigest = async (meetingId) => {
+    try {
+      setGeneratingFor(meetingId);
+      setStatus('processing', 'Comparing with the previous meeting...');
+      await seriesAPI.generateDigest(selectedSeries.id, meetingId);
+      await loadTimeline();
+      setStatus('success', 'Digest generated');
+      setTimeout(() => setStatus('idle'), 3000);
+    } catch (error) {
+      setStatus('error', error.message);
+    } finally {
+      setGeneratingFor(null);
+    }
+  };
+
+  const handleOpenMeeting = async (meetingId) => {
+    try {
+      const response = await meetingsAPI.getById(meetingId);
+      selectMeeting(response.meeting);
+
+      // Notify parent to switch to meetings tab
+      if (onMeetingSelect) {
+        onMeetingSelect(response.meeting);
+      }
+    } catch (error) {
+      setStatus('error', error.message);
+    }
+  };
+
+  const renderDigest = (digest) => (
+    <div style={{
+      marginTop: '10px',
+      padding: '10px 12px',
+      background: '#f5f3ff',
+      border: '1px solid #ddd6fe',
+      borderRadius: '6px',
+      fontSize: '13px'
+    }}>
+      <div style={{ fontWeight: '600', color: '#5b21b6', marginBottom: '6px' }}>
+        🔍 What changed since last time
+      </div>
+      {digest.overview && <p style={{ margin: '0 0 8px 0' }}>{digest.overview}</p>}
+      {DIGEST_SECTIONS.filter(section => digest[section.key]?.length > 0).map(section => (
+        <div key={section.key} style={{ marginBottom: '6px' }}>
+          <div style={{ fontWeight: '600' }}>{section.label}</div>
+          <ul style={{ margin: '2px 0 0 0', paddingLeft: '20px' }}>
+            {digest[section.key].map((item, idx) => <li key={idx}>{item}</li>)}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: '380px 1fr', gap: '20px', marginBottom: '20px' }}>
+      {/* Series and suggestions */}
+      <div style={cardStyle}>
+        <h2 style={{ margin: '0 0 15px 0', fontSize: '20px', fontWeight: 'bold' }}>
+          🔁 Meeting Series
+        </h2>
+
+        <select
+          value={projectId}
+          onChange={(e) => setProjectId(e.target.value)}
+          style={{ ...selectStyle, width: '100%', marginBottom: '15px' }}
+        >
+          <option value="">All Projects</option>
+          {projects.map(project => (
+            <option key={project.id} value={project.id}>
+              {project.name}
+            </option>
+          ))}
+        </select>
+
+        {seriesList.length === 0 ? (
+          <p style={{ color: '#6c757d', fontSize: '14px' }}>No series yet</p>
+        ) : (
+          seriesList.map(series => (
+            <div
+              key={series.id}
+              onClick={() => setSelectedSeriesId(series.id)}
+              style={{
+                padding: '12px',
+                marginBottom: '8px',
+                border: '1px solid #dee2e6',
+                borderColor: selectedSeriesId === series.id ? '#007bff' : '#dee2e6',
+                borderRadius: '6px',
+                cursor: 'pointer',
+                background: selectedSeriesId === series.id ? '#e7f3ff' : '#fff'
+              }}
+            >
+              <div style={{ fontWeight: 'bold', fontSize: '15px' }}>{series.name}</div>
+              <div style={{ fontSize: '12px', color: '#6c757d', marginTop: '4px' }}>
+                {series.project_name || 'No project'} · {series.meeting_count} meeting{series.meeting_count !== 1 ? 's' : ''}
+                {series.last_meeting_date && ` · last ${formatDate(series.last_meeting_date)}`}
+              </div>
+            </div>
+          ))
+        )}
+
+        {suggestions.length > 0 && (
+          <>
+            <h3 style={{ margin: '20px 0 10px 0', fontSize: '16px' }}>💡 Suggestions</h3>
+            {suggestions.map(suggestion => (
+              <div
+                key={`${suggestion.type}-${suggestion.series_id || suggestion.meetings[0].id}`}
+                style={{
+                  padding: '12px',
+                  marginBottom: '8px',
+                  border: '1px dashed #ced4da',
+                  borderRadius: '6px'
+                }}
+              >
+                <div style={{ display: 'flex', justifyContent: 'space-between', gap: '10px' }}>
+                  <div style={{ fontWeight: '600', fontSize: '14px' }}>
+                    {suggestion.type === 'existing' ? `Add to "${suggestion.name}"` : `New series "${suggestion.name}"`}
+                  </div>
+                  <button onClick={() => handleAcceptSuggestion(suggestion)} style={smallButtonStyle}>
+                    {suggestion.type === 'existing' ? '➕ Add' : '✨ Create'}
+                  </button>
+                </div>
+                <ul style={{ margin: '6px 0 0 0', paddingLeft: '20px', fontSize: '12px', color: '#6c757d' }}>
+                  {suggestion.meetings.map(meeting => (
+                    <li key={meeting.id}>{meeting.title} · {formatDate(meeting.date)}</li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+
+      {/* Timeline */}
+      <div style={cardStyle}>
+        {!selectedSeries ? (
+          <div style={{ textAlign: 'center', padding: '60px 20px', color: '#6c757d' }}>
+            <p style={{ fontSize: '64px', margin: '0 0 20px 0' }}>🔁</p>
+            <h3 style={{ margin: '0 0 10px 0' }}>No Series Selected</h3>
+            <p style={{ margin: 0 }}>Select a series to see its timeline</p>
+          </div>
+        ) : (
+          <>
+            <div style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              marginBottom: '20px',
+              gap: '10px'
+            }}>
+              {renaming !== null ? (
+                <div style={{ display: 'flex', gap: '6px', flex: 1 }}>
+                  <input
+                    value={renaming}
+                    onChange={(e) => setRenaming(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleRename()}
+                    style={{ ...selectStyle, flex: 1 }}
+                    autoFocus
+                  />
+                  <button onClick={handleRename} style={smallButtonStyle}>Save</button>
+                  <button onClick={() => setRenaming(null)} style={smallButtonStyle}>Cancel</button>
+                </div>
+              ) : (
+                <>
+                  <h2 style={{ margin: 0, fontSize: '20px', fontWeight: 'bold' }}>
+                    {selectedSeries.name}
+                  </h2>
+                  <div style={{ display: 'flex', gap: '6px' }}>
+                    <button onClick={() => setRenaming(selectedSeries.name)} style={smallButtonStyle}>
+                      ✏️ Rename
+                    </button>
+                    <button onClick={handleDeleteSeries} style={smallButtonStyle}>
+                      🗑️ Delete
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+
+            {timeline.length === 0 ? (
+              <p style={{ color: '#6c757d' }}>This series has no meetings</p>
+            ) : (
+              timeline.map((meeting, idx) => (
+                <div
+                  key={meeting.id}
+                  style={{
+                    position: 'relative',
+                    paddingLeft: '24px',
+                    paddingBottom: '20px',
+                    borderLeft: idx < timeline.length - 1 ? '2px solid #ddd6fe' : '2px solid transparent',
+                    marginLeft: '6px'
+                  }}
+                >
+                  <div style={{
+                    position: 'absolute',
+                    left: '-7px',
+                    top: '2px',
+                    width: '12px',
+                    height: '12px',
+                    borderRadius: '50%',
+                    background: '#7c3aed'
+                  }} />
+
+                  <div style={{ display: 'flex', justifyContent: 'space-between', gap: '10px' }}>
+                    <div>
+                      <button
+                        onClick={() => handleOpenMeeting(meeting.id)}
+                        style={{
+                          background: 'transparent',
+                          border: 'none',
+                          color: '#007bff',
+                          cursor: 'pointer',
+                          padding: 0,
+                          fontSize: '15px',
+                          fontWeight: 'bold'
+                        }}
+                      >
+                        {meeting.title}
+                      </button>
+                      <div style={{ fontSize: '12px', color: '#6c757d' }}>📅 {formatDate(meeting.date)}</div>
+                    </div>
+                    <div style={{ display: 'flex', gap: '6px', alignItems: 'flex-start' }}>
+                      {idx > 0 && (
+                        <button
+                          onClick={() => handleGenerateDigest(meeting.id)}
+                          disabled={generatingFor !== null || !meeting.summary_path || !timeline[idx - 1].summary_path}
+                          title="Compare with the previous meeting of the series"
+                          style={smallButtonStyle}
+                        >
+                          {generatingFor === meeting.id ? '⏳ Generating...' : meeting.digest ? '🔄 Regenerate digest' : '🔍 What changed?'}
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleRemoveMeeting(meeting.id)}
+                        title="Remove from series"
+                        style={smallButtonStyle}
+                      >
+                        ✖
+                      </button>
+                    </div>
+                  </div>
+
+                  {meeting.overview && (
+                    <p style={{ margin: '8px 0 0 0', fontSize: '14px', color: '#495057' }}>{meeting.overview}</p>
+                  )}
+
+                  {meeting.digest && renderDigest(meeting.digest)}
+                </div>
+              ))
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SeriesView;
@@ -0,0 +1,49 @@
+import { useState, useEffect } from 'react';
+import { settingsAPI } from '../../services/api';
+
+// The language list never changes while the app runs - fetch it once for every select
+let languagesRequest = null;
+
+const loadLanguages = () => {
+  if (!languagesRequest) {
+    languagesRequest = settingsAPI.getLanguages().catch((error) => {
+      languagesRequest = null;
+      throw error;
+    });
+  }
+  return languagesRequest;
+};
+
+/**
+ * Select for a transcription/summary language.
+ * `choices` are extra options listed above the languages, e.g. [{ value: 'auto', label: 'Auto-detect' }].
+ */
+const LanguageSelect = ({ value, onChange, choices = [], disabled = false, style = {} }) => {
+  const [languages, setLanguages] = useState([]);
+
+  useEffect(() => {
+    loadLanguages().then(setLanguages).catch(() => setLanguages([]));
+  }, []);
+
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      style={style}
+    >
+      {choices.map(choice => (
+        <option key={choice.value} value={choice.value}>
+          {choice.label}
+        </option>
+      ))}
+      {languages.map(language => (
+        <option key={language.code} value={language.code}>
+          {language.name}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default LanguageSelect;
@@ -1,5 +1,47 @@
 import { useState, useEffect } from 'react';
 import { settingsAPI } from '../../services/api';
+import LanguageSelect from './LanguageSelect';
+
+const modelOptions = [
+  {
+    value: 'anthropic',
+    label: '🤖 Claude',
+    vendor: 'Anthropic',
+    gradient: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+    color: '#667eea'
+  },
+  {
+    value: 'openai',
+    label: '🤖 GPT',
+    vendor: 'OpenAI',
+    gradient: 'linear-gradient(135deg, #10a37f 0%, #0e8c6a 100%)',
+    color: '#10a37f'
+  },
+  {
+    value: 'local',
+    label: '🏠 Local',
+    vendor: 'Ollama / llama.cpp / vLLM',
+    gradient: 'linear-gradient(135deg, #fd7e14 0%, #e8590c 100%)',
+    color: '#fd7e14'
+  }
+];
+
+const transcriptionOptions = [
+  {
+    value: 'openai',
+    label: '🎙️ Whisper',
+    vendor: 'OpenAI',
+    gradient: 'linear-gradient(135deg, #10a37f 0%, #0e8c6a 100%)',
+    color: '#10a37f'
+  },
+  {
+    value: 'local',
+    label: '💻 Local Whisper',
+    vendor: 'whisper.cpp / faster-whisper',
+    gradient: 'linear-gradient(135deg, #fd7e14 0%, #e8590c 100%)',
+    color: '#fd7e14'
+  }
+];
 
 const SettingsModal = ({ isOpen, onClose }) => {
   const [settings, setSettings] = useState({
@@ -7,7 +49,14 @@ const SettingsModal = ({ isOpen, onClose }) => {
     'ai.chat': 'anthropic',
     'ai.wiki_updates': 'anthropic',
     'ai.mentor_feedback': 'anthropic',
+    'ai.meeting_analysis.model': 'default',
+    'ai.chat.model': 'default',
+    'ai.wiki_updates.model': 'default',
+    'ai.mentor_feedback.model': 'default',
+    'ai.transcription': 'openai',
+    'analysis.output_language': 'meeting',
   });
+  const [providers, setProviders] = useState([]);
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
   const [message, setMessage] = useState('');
@@ -21,8 +70,12 @@ const SettingsModal = ({ isOpen, onClose }) => {
   const loadSettings = async () => {
     try {
       setLoading(true);
-      const loadedSettings = await settingsAPI.getAll();
+      const [loadedSettings, loadedProviders] = await Promise.all([
+        settingsAPI.getAll(),
+        settingsAPI.getModels()
+      ]);
       setSettings(loadedSettings);
+      setProviders(loadedProviders);
     } catch (error) {
       setMessage(`Error loading settings: ${error.message}`);
     } finally {
@@ -37,6 +90,18 @@ const SettingsModal = ({ isOpen, onClose }) => {
     }));
   };
 
+  // Model ids belong to one provider - switching provider goes back to its default model
+  const handleProviderChange = (feature, value) => {
+    setSettings(prev => ({
+      ...prev,
+      [feature.key]: value,
+      ...(feature.modelKey && prev[feature.key] !== value && { [feature.modelKey]: 'default' })
+    }));
+  };
+
+  const providerFor = (providerName) => providers.find(provider => provider.name === providerName);
+  const modelsFor = (providerName) => providerFor(providerName)?.models || [];
+
   const handleSave = async () => {
     try {
       setSaving(true);
@@ -57,29 +122,44 @@ const SettingsModal = ({ isOpen, onClose }) => {
   if (!isOpen) return null;
 
   const features = [
+    {
+      key: 'ai.transcription',
+      label: 'Transcription',
+      icon: '🎙️',
+      description: 'Speech-to-text for recordings (falls back to the other provider if this one fails and the other is set up - local Whisper only falls back to the cloud when TRANSCRIPTION_CLOUD_FALLBACK is enabled)',
+      options: transcriptionOptions
+    },
     {
       key: 'ai.meeting_analysis',
+      modelKey: 'ai.meeting_analysis.model',
       label: 'Meeting Analysis',
       icon: '📊',
-      description: 'AI model for processing and analyzing meeting transcripts'
+      description: 'AI model for processing and analyzing meeting transcripts',
+      options: modelOptions
     },
     {
       key: 'ai.chat',
+      modelKey: 'ai.chat.model',
       label: 'Chat Assistant',
       icon: '💬',
-      description: 'AI model for the project mentor chat'
+      description: 'AI model for the project mentor chat',
+      options: modelOptions
     },
     {
       key: 'ai.wiki_updates',
+      modelKey: 'ai.wiki_updates.model',
       label: 'Wiki Updates',
       icon: '📝',
-      description: 'AI model for generating wiki update suggestions'
+      description: 'AI model for generating wiki update suggestions',
+      options: modelOptions
     },
     {
       key: 'ai.mentor_feedback',
+      modelKey: 'ai.mentor_feedback.model',
       label: 'Mentor Feedback',
       icon: '🎯',
-      description: 'AI model for generating meeting feedback'
+      description: 'AI model for generating meeting feedback',
+      options: modelOptions
     }
   ];
 
@@ -196,72 +276,108 @@ const SettingsModal = ({ isOpen, onClose }) => {
                   </div>
 
                   <div style={{ display: 'flex', gap: '12px' }}>
-                    <button
-                      onClick={() => handleChange(feature.key, 'anthropic')}
-                      style={{
-                        flex: 1,
-                        padding: '12px 16px',
-                        background: settings[feature.key] === 'anthropic'
-                          ? 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)'
-                          : 'white',
-                        color: settings[feature.key] === 'anthropic' ? 'white' : '#495057',
-                        border: '2px solid',
-                        borderColor: settings[feature.key] === 'anthropic' ? '#667eea' : '#dee2e6',
-                        borderRadius: '8px',
-                        fontSize: '14px',
-                        fontWeight: '600',
-                        cursor: 'pointer',
-                        transition: 'all 0.2s',
-                        display: 'flex',
-                        flexDirection: 'column',
-                        alignItems: 'center',
-                        gap: '4px'
-                      }}
-                    >
-                      <span>🤖 Claude Sonnet 4.5</span>
-                      <span style={{
-                        fontSize: '11px',
-                        opacity: 0.8,
-                        fontWeight: 'normal'
-                      }}>
-                        (Anthropic)
-                      </span>
-                    </button>
+                    {feature.options.map(option => (
+                      <button
+                        key={option.value}
+                        onClick={() => handleProviderChange(feature, option.value)}
+                        style={{
+                          flex: 1,
+                          padding: '12px 16px',
+                          background: settings[feature.key] === option.value
+                            ? option.gradient
+                            : 'white',
+                          color: settings[feature.key] === option.value ? 'white' : '#495057',
+                          border: '2px solid',
+                          borderColor: settings[feature.key] === option.value ? option.color : '#dee2e6',
+                          borderRadius: '8px',
+                          fontSize: '14px',
+                          fontWeight: '600',
+                          cursor: 'pointer',
+                          transition: 'all 0.2s',
+                          display: 'flex',
+                          flexDirection: 'column',
+                          alignItems: 'center',
+                          gap: '4px'
+                        }}
+                      >
+                        <span>{option.label}</span>
+                        <span style={{
+                          fontSize: '11px',
+                          opacity: 0.8,
+                          fontWeight: 'normal'
+                        }}>
+                          ({option.vendor})
+                        </span>
+                      </button>
+                    ))}
+                  </div>
+
+                  {feature.modelKey && providerFor(settings[feature.key])?.configured === false && (
+                    <p style={{ margin: '10px 0 0 0', fontSize: '12px', color: '#856404' }}>
+                      ⚠️ {providerFor(settings[feature.key]).label} is not configured on the server
+                      {settings[feature.key] === 'local'
+                        ? ' (set LOCAL_LLM_BASE_URL) - this feature will fail until it is'
+                        : ' - another configured provider will be used'}
+                    </p>
+                  )}
 
-                    <button
-                      onClick={() => handleChange(feature.key, 'openai')}
+                  {feature.modelKey && modelsFor(settings[feature.key]).length > 0 && (
+                    <select
+                      value={settings[feature.modelKey] || 'default'}
+                      onChange={(e) => handleChange(feature.modelKey, e.target.value)}
                       style={{
-                        flex: 1,
-                        padding: '12px 16px',
-                        background: settings[feature.key] === 'openai'
-                          ? 'linear-gradient(135deg, #10a37f 0%, #0e8c6a 100%)'
-                          : 'white',
-                        color: settings[feature.key] === 'openai' ? 'white' : '#495057',
-                        border: '2px solid',
-                        borderColor: settings[feature.key] === 'openai' ? '#10a37f' : '#dee2e6',
+                        width: '100%',
+                        marginTop: '12px',
+                        padding: '8px 10px',
+                        fontSize: '13px',
+                        border: '2px solid #dee2e6',
                         borderRadius: '8px',
-                        fontSize: '14px',
-                        fontWeight: '600',
-                        cursor: 'pointer',
-                        transition: 'all 0.2s',
-                        display: 'flex',
-                        flexDirection: 'column',
-                        alignItems: 'center',
-                        gap: '4px'
+                        background: 'white'
                       }}
                     >
-                      <span>🤖 GPT-4o</span>
-                      <span style={{
-                        fontSize: '11px',
-                        opacity: 0.8,
-                        fontWeight: 'normal'
-                      }}>
-                        (OpenAI)
-                      </span>
-                    </button>
-                  </div>
+                      <option value="default">
+                        Default model ({modelsFor(settings[feature.key])[0].label})
+                      </option>
+                      {modelsFor(settings[feature.key]).map(model => (
+                        <option key={model.id} value={model.id}>{model.label}</option>
+                      ))}
+                    </select>
+                  )}
                 </div>
               ))}
+
+              <div style={{
+                padding: '20px',
+                background: '#f8f9fa',
+                borderRadius: '8px',
+                border: '2px solid #e9ecef'
+              }}>
+                <div style={{ marginBottom: '12px' }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '4px' }}>
+                    <span style={{ fontSize: '20px' }}>🌐</span>
+                    <h3 style={{ margin: 0, fontSize: '16px', fontWeight: '600' }}>
+                      Summary Language
+                    </h3>
+                  </div>
+                  <p style={{ margin: 0, fontSize: '13px', color: '#6c757d' }}>
+                    Language meeting summaries are written in - the meeting's own language or always the same one
+                  </p>
+                </div>
+
+                <LanguageSelect
+                  value={settings['analysis.output_language'] || 'meeting'}
+                  onChange={(value) => handleChange('analysis.output_language', value)}
+                  choices={[{ value: 'meeting', label: 'Same as the meeting' }]}
+                  style={{
+                    width: '100%',
+                    padding: '10px',
+                    fontSize: '14px',
+                    border: '2px solid #dee2e6',
+                    borderRadius: '8px',
+                    background: 'white'
+                  }}
+                />
+              </div>
             </div>
           )}
 
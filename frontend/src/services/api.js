@@ -43,18 +43,20 @@ export const projectsAPI = {
     }
   },
 
-  create: async (name) => {
+  // language: default transcription language code, or null to auto-detect
+  create: async (name, language = null) => {
     try {
-      const response = await api.post('/api/projects', { name });
+      const response = await api.post('/api/projects', { name, language });
       return response.data;
     } catch (error) {
       handleError(error);
     }
   },
 
-  update: async (id, name) => {
+  // language / analysisTemplateId: undefined keeps the current value
+  update: async (id, name, language, analysisTemplateId) => {
     try {
-      const response = await api.put(`/api/projects/${id}`, { name });
+      const response = await api.put(`/api/projects/${id}`, { name, language, analysisTemplateId });
       return response.data;
     } catch (error) {
       handleError(error);
@@ -92,13 +94,23 @@ export const meetingsAPI = {
     }
   },
 
-  create: async (audioBlob, projectId, title) => {
+  // language: code or 'auto' to override the project's default language (optional)
+  create: async (audioBlob, projectId, title, language = null) => {
     try {
+      // Typed notes ({ projectId, title, notes }) are sent as JSON
+      if (!(audioBlob instanceof Blob)) {
+        const response = await api.post('/api/meetings', audioBlob);
+        return response.data.meeting || response.data;
+      }
+
       const formData = new FormData();
       formData.append('audio', audioBlob, 'recording.webm');
       formData.append('projectId', projectId);
       formData.append('title', title);
       formData.append('date', new Date().toISOString());
+      if (language) {
+        formData.append('language', language);
+      }
 
       const response = await api.post('/api/meetings', formData, {
         headers: {
@@ -111,15 +123,154 @@ export const meetingsAPI = {
     }
   },
 
-  reprocess: async (id) => {
+  // updates: { title, date, projectId, language, notes } - changing notes re-runs analysis
+  update: async (id, updates) => {
+    try {
+      const response = await api.patch(`/api/meetings/${id}`, updates);
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // options: { stages: ['transcription', 'diarization', 'analysis', 'summary', 'metadata', 'indexing'], backend: 'openai' | 'anthropic' }
+  reprocess: async (id, options = {}) => {
+    try {
+      const response = await api.post(`/api/meetings/${id}/reprocess`, options);
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // Decisions and action items - list is 'decisions' or 'action-items'
+  addItem: async (id, list, fields) => {
+    try {
+      const response = await api.post(`/api/meetings/${id}/${list}`, fields);
+      return response.data.item;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  updateItem: async (id, list, itemId, fields) => {
+    try {
+      const response = await api.patch(`/api/meetings/${id}/${list}/${itemId}`, fields);
+      return response.data.item;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  deleteItem: async (id, list, itemId) => {
+    try {
+      const response = await api.delete(`/api/meetings/${id}/${list}/${itemId}`);
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  reorderItems: async (id, list, ids) => {
+    try {
+      const response = await api.put(`/api/meetings/${id}/${list}/order`, { ids });
+      return response.data.items;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // Recording stream for <audio> elements (supports seeking with Range requests)
+  getAudioUrl: (id) => `${API_URL}/api/meetings/${id}/audio`,
+
+  // Live processing events (Server-Sent Events). Returns a function that closes the stream.
+  subscribeToEvents: (id, onEvent) => {
+    const source = new EventSource(`${API_URL}/api/meetings/${id}/events`);
+    source.onmessage = (message) => {
+      try {
+        onEvent(JSON.parse(message.data));
+      } catch (error) {
+        console.error('Invalid processing event:', error);
+      }
+    };
+    return () => source.close();
+  },
+
+  setAttendees: async (id, attendees) => {
     try {
-      const response = await api.post(`/api/meetings/${id}/reprocess`);
+      const response = await api.put(`/api/meetings/${id}/attendees`, { attendees });
+      return response.data.attendees;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  getSpeakers: async (id) => {
+    try {
+      const response = await api.get(`/api/meetings/${id}/speakers`);
+      return response.data.speakers;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // speakers: { 'Speaker 1': { personId } | { name } | null }
+  setSpeakers: async (id, speakers, reanalyze = false) => {
+    try {
+      const response = await api.put(`/api/meetings/${id}/speakers`, { speakers, reanalyze });
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // { segments: [{ index, start, end, text, speaker }] | null, speakerNames, revisionCount }
+  getTranscript: async (id) => {
+    try {
+      const response = await api.get(`/api/meetings/${id}/transcript`);
       return response.data;
     } catch (error) {
       handleError(error);
     }
   },
 
+  // segments: [{ index, text }], options: { reanalyze, reindex }
+  editTranscript: async (id, segments, options = {}) => {
+    try {
+      const response = await api.patch(`/api/meetings/${id}/transcript`, { segments, ...options });
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  getTranscriptRevisions: async (id) => {
+    try {
+      const response = await api.get(`/api/meetings/${id}/transcript/revisions`);
+      return response.data.revisions || [];
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  revertTranscriptRevision: async (id, revisionId, options = {}) => {
+    try {
+      const response = await api.post(`/api/meetings/${id}/transcript/revisions/${revisionId}/revert`, options);
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  getSummaries: async (id) => {
+    try {
+      const response = await api.get(`/api/meetings/${id}/summaries`);
+      return response.data.summaries || [];
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
   delete: async (id) => {
     try {
       const response = await api.delete(`/api/meetings/${id}`);
@@ -130,6 +281,278 @@ export const meetingsAPI = {
   },
 };
 
+// Action items API
+export const actionItemsAPI = {
+  // filters: { projectId, owner, status }
+  getAll: async (filters = {}) => {
+    try {
+      const response = await api.get('/api/action-items', { params: filters });
+      return response.data.actionItems || [];
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  getOwners: async () => {
+    try {
+      const response = await api.get('/api/action-items/owners');
+      return response.data.owners || [];
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // updates: { task, owner, status, due_date }
+  update: async (id, updates) => {
+    try {
+      const response = await api.patch(`/api/action-items/${id}`, updates);
+      return response.data.actionItem;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+};
+
+// Decision register API
+export const decisionsAPI = {
+  getAll: async (projectId, status) => {
+    try {
+      const response = await api.get(`/api/decisions/${projectId}`, {
+        params: status ? { status } : {},
+      });
+      return response.data.decisions;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  supersede: async (projectId, decisionId, supersededById) => {
+    try {
+      const response = await api.put(`/api/decisions/${projectId}/${decisionId}/superseded-by`, {
+        decisionId: supersededById,
+      });
+      return response.data.decisions;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  restore: async (projectId, decisionId) => {
+    try {
+      const response = await api.delete(`/api/decisions/${projectId}/${decisionId}/superseded-by`);
+      return response.data.decisions;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+};
+
+// Meeting series API
+export const seriesAPI = {
+  getAll: async (projectId) => {
+    try {
+      const response = await api.get('/api/series', {
+        params: projectId ? { projectId } : {},
+      });
+      return response.data.series;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  getById: async (id) => {
+    try {
+      const response = await api.get(`/api/series/${id}`);
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  getSuggestions: async (projectId) => {
+    try {
+      const response = await api.get('/api/series/suggestions', {
+        params: projectId ? { projectId } : {},
+      });
+      return response.data.suggestions;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  create: async (name, projectId, meetingIds = []) => {
+    try {
+      const response = await api.post('/api/series', { name, projectId, meetingIds });
+      return response.data.series;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  rename: async (id, name) => {
+    try {
+      const response = await api.patch(`/api/series/${id}`, { name });
+      return response.data.series;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  delete: async (id) => {
+    try {
+      const response = await api.delete(`/api/series/${id}`);
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  addMeetings: async (id, meetingIds) => {
+    try {
+      const response = await api.post(`/api/series/${id}/meetings`, { meetingIds });
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  removeMeeting: async (id, meetingId) => {
+    try {
+      const response = await api.delete(`/api/series/${id}/meetings/${meetingId}`);
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  generateDigest: async (id, meetingId) => {
+    try {
+      const response = await api.post(`/api/series/${id}/digest`, { meetingId });
+      return response.data.digest;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+};
+
+// People API
+export const peopleAPI = {
+  getAll: async () => {
+    try {
+      const response = await api.get('/api/people');
+      return response.data.people;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  getById: async (id) => {
+    try {
+      const response = await api.get(`/api/people/${id}`);
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  create: async (fields) => {
+    try {
+      const response = await api.post('/api/people', fields);
+      return response.data.person;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  update: async (id, fields) => {
+    try {
+      const response = await api.patch(`/api/people/${id}`, fields);
+      return response.data.person;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  delete: async (id) => {
+    try {
+      const response = await api.delete(`/api/people/${id}`);
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+};
+
+// Analysis templates API
+export const analysisTemplatesAPI = {
+  getAll: async () => {
+    try {
+      const response = await api.get('/api/analysis-templates');
+      return response.data.templates;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // fields: { name, description, instructions, fields: [{ key, label, type: 'text' | 'list', description }] }
+  create: async (fields) => {
+    try {
+      const response = await api.post('/api/analysis-templates', fields);
+      return response.data.template;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  update: async (id, fields) => {
+    try {
+      const response = await api.patch(`/api/analysis-templates/${id}`, fields);
+      return response.data.template;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  delete: async (id) => {
+    try {
+      const response = await api.delete(`/api/analysis-templates/${id}`);
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+};
+
+// Trash API
+export const trashAPI = {
+  getAll: async () => {
+    try {
+      const response = await api.get('/api/trash');
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  restore: async (type, id) => {
+    try {
+      const response = await api.post(`/api/trash/${type}/${id}/restore`);
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  deletePermanently: async (type, id) => {
+    try {
+      const response = await api.delete(`/api/trash/${type}/${id}`);
+      return response.data;
+    } catch (error) {
+      handleError(error);
+    }
+  },
+};
+
 // Wiki API
 export const wikiAPI = {
   get: async (projectId) => {
@@ -333,6 +756,26 @@ export const settingsAPI = {
       handleError(error);
     }
   },
+
+  // [{ code, name }] for transcription and summary language selects
+  getLanguages: async () => {
+    try {
+      const response = await api.get('/api/settings/languages');
+      return response.data.languages || [];
+    } catch (error) {
+      handleError(error);
+    }
+  },
+
+  // [{ name, label, configured, models: [{ id, label }] }] - default model first
+  getModels: async () => {
+    try {
+      const response = await api.get('/api/settings/models');
+      return response.data.providers || [];
+    } catch (error) {
+      handleError(error);
+    }
+  },
 };
 
 // ServiceNow API
@@ -5,6 +5,9 @@ const useStore = create((set, get) => ({
   projects: [],
   selectedProject: null,
 
+  // Analysis templates (assigned to projects and meetings)
+  analysisTemplates: [],
+
   // Meetings
   meetings: [],
   selectedMeeting: null,
@@ -38,6 +41,9 @@ const useStore = create((set, get) => ({
 
   selectProject: (project) => set({ selectedProject: project }),
 
+  // Actions - Analysis templates
+  setAnalysisTemplates: (analysisTemplates) => set({ analysisTemplates }),
+
   // Actions - Meetings
   setMeetings: (meetings) => set({ meetings }),
 